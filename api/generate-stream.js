@@ -4,17 +4,27 @@
 // real pipeline event as it happens, ending with a { type: 'final', result }
 // line carrying the exact same result shape /api/generate returns.
 //
-// This file does not change or replace /api/generate; it is an additional,
-// optional path. Any guard failure or mid-stream error responds in a way the
-// client can detect and fall back from, so the existing /api/generate path
-// remains the safety net. api/generate.js itself is untouched.
+// This file does not replace /api/generate; it is an additional, optional
+// path, and the two take the same body and keep their guards in step. Any
+// guard failure or mid-stream error responds in a way the client can detect
+// and fall back from, so /api/generate remains the safety net.
 
-import OpenAI from 'openai';
 import { generatePlan } from '../lib/orchestrator.js';
+import { providerConfig, providerFromEnv } from '../lib/providers.js';
+import { pipelineConfig } from '../lib/config.js';
+import { promptVersions } from '../lib/prompts.js';
+import { loadRun } from '../lib/runs.js';
+import { checkApproval } from '../lib/approval.js';
+import { referenceFor } from '../lib/coverage.js';
+import { cases } from '../demo/cases.js';
 
 const MODEL_DEFAULT = (process.env.MODEL_DEFAULT || 'gpt-4o').trim();
 const DEMO_PASSCODE = (process.env.DEMO_PASSCODE || '').trim();
 const MAX_CASE_CHARS = 8000;
+const PIPELINE = pipelineConfig();
+// Seconds kept back from `config.maxDuration` so a run that degrades under
+// its deadline still has time to send its result.
+const DEADLINE_MARGIN_S = 5;
 
 // Best-effort in-memory rate limit (per warm instance), independent from the
 // one in api/generate.js since serverless instances/modules are isolated.
@@ -34,12 +44,17 @@ function safeParse(s) {
   try { return JSON.parse(s); } catch { return {}; }
 }
 
+// Returns false when the line could not be written (the client is gone), so
+// the caller can cancel the run instead of streaming into the void.
 function writeLine(res, obj) {
+  if (res.destroyed || res.writableEnded) return false;
   try {
     res.write(JSON.stringify(obj) + '\n');
     if (typeof res.flush === 'function') res.flush();
-  } catch {
-    // Best-effort; if the connection dropped there is nothing more to do.
+    return true;
+  } catch (e) {
+    console.error('stream_write_failed', e?.message || e);
+    return false;
   }
 }
 
@@ -49,23 +64,45 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'method_not_allowed' });
   }
 
-  if (!process.env.OPENAI_API_KEY) {
+  if (!providerConfig().configured) {
     return res.status(503).json({ error: 'live_unavailable' });
   }
 
   const body = typeof req.body === 'string' ? safeParse(req.body) : (req.body || {});
-  const { caseText, model, reasoningEffort, verbosity, passcode } = body;
+  const { caseText, model, reasoningEffort, verbosity, passcode, audit, promptVersion, clarify, approval, deidentify, ensemble, runId, answers } = body;
 
   if (DEMO_PASSCODE && (passcode || '').trim() !== DEMO_PASSCODE) {
     return res.status(401).json({ error: 'bad_passcode' });
   }
 
-  if (!caseText || !String(caseText).trim()) {
+  // A `runId` resumes a paused run instead of starting one; the case comes
+  // from the saved run. A clarification pause takes the clinician's
+  // `answers`, an approval pause the attending's `approval` (lib/approval.js).
+  if (runId) {
+    let run;
+    try {
+      run = loadRun(runId, { secret: PIPELINE.runSecret });
+    } catch (e) {
+      return res.status(e.code === 'run_expired' ? 410 : e.code === 'run_used' ? 409 : 404).json({ error: e.code || 'unknown_run' });
+    }
+    const bad = run.kind === 'approval' ? checkApproval(approval) : null;
+    if (bad) return res.status(bad === 'approval_too_long' ? 413 : 400).json({ error: bad });
+    if (run.kind === 'clarify' && answers && JSON.stringify(answers).length > MAX_CASE_CHARS) {
+      return res.status(413).json({ error: 'answers_too_long' });
+    }
+  } else if (!caseText || !String(caseText).trim()) {
     return res.status(400).json({ error: 'missing_caseText' });
-  }
-  if (String(caseText).length > MAX_CASE_CHARS) {
+  } else if (String(caseText).length > MAX_CASE_CHARS) {
     return res.status(413).json({ error: 'case_too_long' });
   }
+  // Without RUN_SECRET a paused run lives in one instance's memory, which
+  // the instance that receives the reply cannot see; refuse to pause.
+  if (!runId && (clarify === true || approval === true || PIPELINE.approval) && !PIPELINE.runSecret) {
+    return res.status(400).json({ error: 'run_secret_required' });
+  }
+  if (promptVersion && !promptVersions().includes(String(promptVersion))) {
+    return res.status(400).json({ error: 'unknown_prompt_version' });
+  }
 
   const ip = (req.headers['x-forwarded-for'] || '').split(',')[0].trim() || 'unknown';
   if (rateLimited(ip)) {
@@ -82,23 +119,41 @@ export default async function handler(req, res) {
     try { res.flushHeaders(); } catch {}
   }
 
+  // A closed tab or dropped connection aborts the run; it then ends with a
+  // { type: 'cancelled' } line rather than an error.
+  const controller = new AbortController();
+  res.on('close', () => { if (!res.writableEnded) controller.abort(); });
+
   try {
-    const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    const client = providerFromEnv();
     const result = await generatePlan({
       client,
-      caseText: String(caseText),
+      ...(runId
+        ? { resume: { runId: String(runId), answers: answers && typeof answers === 'object' ? answers : {}, approval }, references: cases }
+        : { caseText: String(caseText), reference: referenceFor(caseText, cases) }),
       model,
       reasoningEffort,
       verbosity,
       modelDefault: MODEL_DEFAULT,
-      onEvent: (ev) => writeLine(res, ev),
+      ...PIPELINE,
+      deadlineMs: Math.min(PIPELINE.deadlineMs || Infinity, (config.maxDuration - DEADLINE_MARGIN_S) * 1000),
+      ...(audit === false ? { audit: false } : {}),
+      ...(promptVersion ? { promptVersion: String(promptVersion) } : {}),
+      ...(clarify === true ? { clarify: true } : {}),
+      ...(approval === true ? { approval: true } : {}),
+      ...(deidentify === 'strict' ? { deidentify: 'strict' } : {}),
+      ...(Number.isInteger(ensemble) && ensemble > 1 ? { ensemble } : {}),
+      signal: controller.signal,
+      onEvent: (ev) => { if (!writeLine(res, ev)) controller.abort(); },
     });
     writeLine(res, { type: 'final', result });
     res.end();
   } catch (e) {
-    console.error('generate_stream_failed', e?.message || e);
-    writeLine(res, { type: 'error', error: 'generate_failed' });
-    res.end();
+    if (e?.code !== 'cancelled') {
+      console.error('generate_stream_failed', e?.message || e);
+      writeLine(res, { type: 'error', error: 'generate_failed' });
+    }
+    if (!res.writableEnded) res.end();
   }
 }
 
@@ -2,15 +2,26 @@
 // Shares orchestration logic with the local server via lib/orchestrator.js.
 // Protected by input caps, a best-effort rate limit, and an optional passcode.
 
-import OpenAI from 'openai';
 import { generatePlan } from '../lib/orchestrator.js';
+import { providerConfig, providerFromEnv } from '../lib/providers.js';
+import { pipelineConfig } from '../lib/config.js';
+import { promptVersions } from '../lib/prompts.js';
+import { loadRun } from '../lib/runs.js';
+import { checkApproval } from '../lib/approval.js';
+import { referenceFor } from '../lib/coverage.js';
+import { cases } from '../demo/cases.js';
 
 const MODEL_DEFAULT = (process.env.MODEL_DEFAULT || 'gpt-4o').trim();
 const DEMO_PASSCODE = (process.env.DEMO_PASSCODE || '').trim();
 const MAX_CASE_CHARS = 8000;
+const PIPELINE = pipelineConfig();
+// Seconds kept back from `config.maxDuration` so a run that degrades under
+// its deadline still has time to send its result.
+const DEADLINE_MARGIN_S = 5;
 
 // Best-effort in-memory rate limit (per warm instance). Not bulletproof, but
-// deters casual abuse. Pair with an OpenAI monthly budget cap for real safety.
+// deters casual abuse. Spend is capped separately by RUN_BUDGET_USD and
+// DAILY_BUDGET_USD (lib/usage.js).
 const RL_WINDOW_MS = 60 * 1000;
 const RL_MAX = 5; // requests per IP per window
 const hits = new Map();
@@ -29,41 +40,79 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'method_not_allowed' });
   }
 
-  if (!process.env.OPENAI_API_KEY) {
+  if (!providerConfig().configured) {
     return res.status(503).json({ error: 'live_unavailable' });
   }
 
   const body = typeof req.body === 'string' ? safeParse(req.body) : (req.body || {});
-  const { caseText, model, reasoningEffort, verbosity, passcode } = body;
+  const { caseText, model, reasoningEffort, verbosity, passcode, audit, promptVersion, clarify, approval, deidentify, ensemble, runId, answers } = body;
 
   if (DEMO_PASSCODE && (passcode || '').trim() !== DEMO_PASSCODE) {
     return res.status(401).json({ error: 'bad_passcode' });
   }
 
-  if (!caseText || !String(caseText).trim()) {
+  // A `runId` resumes a paused run instead of starting one; the case comes
+  // from the saved run. A clarification pause takes the clinician's
+  // `answers`, an approval pause the attending's `approval` (lib/approval.js).
+  if (runId) {
+    let run;
+    try {
+      run = loadRun(runId, { secret: PIPELINE.runSecret });
+    } catch (e) {
+      return res.status(e.code === 'run_expired' ? 410 : e.code === 'run_used' ? 409 : 404).json({ error: e.code || 'unknown_run' });
+    }
+    const bad = run.kind === 'approval' ? checkApproval(approval) : null;
+    if (bad) return res.status(bad === 'approval_too_long' ? 413 : 400).json({ error: bad });
+    if (run.kind === 'clarify' && answers && JSON.stringify(answers).length > MAX_CASE_CHARS) {
+      return res.status(413).json({ error: 'answers_too_long' });
+    }
+  } else if (!caseText || !String(caseText).trim()) {
     return res.status(400).json({ error: 'missing_caseText' });
-  }
-  if (String(caseText).length > MAX_CASE_CHARS) {
+  } else if (String(caseText).length > MAX_CASE_CHARS) {
     return res.status(413).json({ error: 'case_too_long' });
   }
+  // Without RUN_SECRET a paused run lives in one instance's memory, which
+  // the instance that receives the reply cannot see; refuse to pause.
+  if (!runId && (clarify === true || approval === true || PIPELINE.approval) && !PIPELINE.runSecret) {
+    return res.status(400).json({ error: 'run_secret_required' });
+  }
+  if (promptVersion && !promptVersions().includes(String(promptVersion))) {
+    return res.status(400).json({ error: 'unknown_prompt_version' });
+  }
 
   const ip = (req.headers['x-forwarded-for'] || '').split(',')[0].trim() || 'unknown';
   if (rateLimited(ip)) {
     return res.status(429).json({ error: 'rate_limited' });
   }
 
+  // Stop spending tokens if the caller disconnects before the response.
+  const controller = new AbortController();
+  res.on('close', () => { if (!res.writableEnded) controller.abort(); });
+
   try {
-    const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    const client = providerFromEnv();
     const result = await generatePlan({
       client,
-      caseText: String(caseText),
+      ...(runId
+        ? { resume: { runId: String(runId), answers: answers && typeof answers === 'object' ? answers : {}, approval }, references: cases }
+        : { caseText: String(caseText), reference: referenceFor(caseText, cases) }),
       model,
       reasoningEffort,
       verbosity,
       modelDefault: MODEL_DEFAULT,
+      ...PIPELINE,
+      deadlineMs: Math.min(PIPELINE.deadlineMs || Infinity, (config.maxDuration - DEADLINE_MARGIN_S) * 1000),
+      ...(audit === false ? { audit: false } : {}),
+      ...(promptVersion ? { promptVersion: String(promptVersion) } : {}),
+      ...(clarify === true ? { clarify: true } : {}),
+      ...(approval === true ? { approval: true } : {}),
+      ...(deidentify === 'strict' ? { deidentify: 'strict' } : {}),
+      ...(Number.isInteger(ensemble) && ensemble > 1 ? { ensemble } : {}),
+      signal: controller.signal,
     });
     return res.status(200).json(result);
   } catch (e) {
+    if (e?.code === 'cancelled') return;
     console.error('generate_failed', e?.message || e);
     return res.status(500).json({ error: 'generate_failed' });
   }
@@ -0,0 +1,29 @@
+// api/intake.js — Vercel serverless function for the structured case intake.
+// Reads the case into the fields the pipeline plans from and lists the ones
+// missing that matter for reconstruction (lib/intake.js). No model call, so
+// no passcode or rate limit; the case length cap matches api/generate.js.
+
+import { parseIntake } from '../lib/intake.js';
+
+const MAX_CASE_CHARS = 8000;
+
+export default function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ error: 'method_not_allowed' });
+  }
+
+  const body = typeof req.body === 'string' ? safeParse(req.body) : (req.body || {});
+  const { caseText } = body;
+  if (!caseText || !String(caseText).trim()) {
+    return res.status(400).json({ error: 'missing_caseText' });
+  }
+  if (String(caseText).length > MAX_CASE_CHARS) {
+    return res.status(413).json({ error: 'case_too_long' });
+  }
+  return res.status(200).json(parseIntake(String(caseText)));
+}
+
+function safeParse(s) {
+  try { return JSON.parse(s); } catch { return {}; }
+}
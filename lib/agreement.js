@@ -0,0 +1,132 @@
+// lib/agreement.js — agreement between the AI review board and human raters.
+// The thesis instrument is the reviewer's five-domain Likert scale (1-5,
+// lib/policy.js DOMAIN_NAMES). Surgeons rate the same plans on it; this
+// compares the board's final scores (lib/eval.js records) with each surgeon,
+// and the surgeons with each other, per domain: Cohen's kappa unweighted and
+// quadratic-weighted, ICC(2,1) (two-way random, absolute agreement, single
+// rater) and a Bland–Altman summary of the score differences.
+// scripts/agreement.mjs reads the ratings and writes the report.
+//
+// Rating: { subject, rater, scores: [d1..d5] }   a score may be null (not rated)
+// Pair:   { a, b, n, kappa, weighted_kappa, icc, mean_diff, sd_diff,
+//           loa_low, loa_high }                   differences are a − b
+// Group:  { raters, n, icc }                      ICC over subjects all raters scored
+
+import { DOMAIN_NAMES } from './policy.js';
+
+export const SCALE = [1, 2, 3, 4, 5];
+export const AI_RATER = 'ai_board';
+
+const round = (n, d = 3) => (n === null || !Number.isFinite(n) ? null : Math.round(n * 10 ** d) / 10 ** d);
+const mean = (xs) => xs.reduce((a, b) => a + b, 0) / xs.length;
+
+// Cohen's kappa for paired ratings on `scale`. `weights` is 'none', 'linear'
+// or 'quadratic' (disagreement weighted by distance, or distance squared).
+// Null when undefined: fewer than two pairs, or every rating in one category.
+export function cohenKappa(a, b, { weights = 'none', scale = SCALE } = {}) {
+  const n = a.length;
+  if (n < 2 || b.length !== n) return null;
+  const k = scale.length;
+  const idx = (v) => scale.indexOf(v);
+  const w = (i, j) => (weights === 'quadratic' ? ((i - j) / (k - 1)) ** 2
+    : weights === 'linear' ? Math.abs(i - j) / (k - 1)
+      : i === j ? 0 : 1);
+  const rowTotals = new Array(k).fill(0);
+  const colTotals = new Array(k).fill(0);
+  let observed = 0;
+  for (let t = 0; t < n; t++) {
+    const i = idx(a[t]);
+    const j = idx(b[t]);
+    if (i < 0 || j < 0) return null;
+    rowTotals[i]++;
+    colTotals[j]++;
+    observed += w(i, j);
+  }
+  let expected = 0;
+  for (let i = 0; i < k; i++) for (let j = 0; j < k; j++) expected += w(i, j) * rowTotals[i] * colTotals[j] / n;
+  return expected === 0 ? null : 1 - observed / expected;
+}
+
+// ICC(2,1) (Shrout & Fleiss) for `rows` of subjects × raters with no gaps.
+// Null with fewer than two subjects or raters, or no variance at all.
+export function icc(rows) {
+  const n = rows.length;
+  const k = n ? rows[0].length : 0;
+  if (n < 2 || k < 2) return null;
+  const grand = mean(rows.flat());
+  const rowMeans = rows.map(mean);
+  const colMeans = Array.from({ length: k }, (_, j) => mean(rows.map((r) => r[j])));
+  const ssRows = k * rowMeans.reduce((s, m) => s + (m - grand) ** 2, 0);
+  const ssCols = n * colMeans.reduce((s, m) => s + (m - grand) ** 2, 0);
+  const ssTotal = rows.flat().reduce((s, x) => s + (x - grand) ** 2, 0);
+  const msRows = ssRows / (n - 1);
+  const msCols = ssCols / (k - 1);
+  const msErr = (ssTotal - ssRows - ssCols) / ((n - 1) * (k - 1));
+  const denom = msRows + (k - 1) * msErr + (k * (msCols - msErr)) / n;
+  return denom === 0 ? null : (msRows - msErr) / denom;
+}
+
+// Mean and SD of the differences a − b, and the 95% limits of agreement.
+export function blandAltman(a, b) {
+  const d = a.map((x, i) => x - b[i]);
+  if (!d.length) return { mean_diff: null, sd_diff: null, loa_low: null, loa_high: null };
+  const m = mean(d);
+  const sd = d.length > 1 ? Math.sqrt(d.reduce((s, x) => s + (x - m) ** 2, 0) / (d.length - 1)) : null;
+  return { mean_diff: m, sd_diff: sd, loa_low: sd === null ? null : m - 1.96 * sd, loa_high: sd === null ? null : m + 1.96 * sd };
+}
+
+// Agreement between raters `a` and `b` on the subjects both scored.
+export function comparePair(a, b, xs, ys) {
+  const ba = blandAltman(xs, ys);
+  return {
+    a, b, n: xs.length,
+    kappa: round(cohenKappa(xs, ys)),
+    weighted_kappa: round(cohenKappa(xs, ys, { weights: 'quadratic' })),
+    icc: round(icc(xs.map((x, i) => [x, ys[i]]))),
+    mean_diff: round(ba.mean_diff), sd_diff: round(ba.sd_diff), loa_low: round(ba.loa_low), loa_high: round(ba.loa_high),
+  };
+}
+
+const validScore = (v) => (SCALE.includes(v) ? v : null);
+
+// Per-domain agreement for a set of ratings. Pairs are the AI board against
+// each human rater, then every pair of human raters; `humans` and `all` are
+// the ICC over the human raters alone and with the board included.
+export function agreementReport(ratings, { domains = DOMAIN_NAMES } = {}) {
+  const bySubject = new Map();
+  for (const r of ratings) {
+    if (!bySubject.has(r.subject)) bySubject.set(r.subject, new Map());
+    bySubject.get(r.subject).set(r.rater, r.scores);
+  }
+  const raters = [...new Set(ratings.map((r) => r.rater))];
+  const humans = raters.filter((r) => r !== AI_RATER);
+  const pairs = [
+    ...(raters.includes(AI_RATER) ? humans.map((h) => [AI_RATER, h]) : []),
+    ...humans.flatMap((h, i) => humans.slice(i + 1).map((g) => [h, g])),
+  ];
+  const score = (subject, rater, d) => validScore(bySubject.get(subject).get(rater)?.[d] ?? null);
+
+  // Subjects every rater in `group` scored on domain d, as score rows.
+  const complete = (group, d) => [...bySubject.keys()]
+    .map((s) => group.map((r) => score(s, r, d)))
+    .filter((row) => row.every((v) => v !== null));
+  const groupIcc = (group, d) => {
+    const rows = group.length >= 2 ? complete(group, d) : [];
+    return { raters: group.length, n: rows.length, icc: round(icc(rows)) };
+  };
+
+  return {
+    raters,
+    subjects: bySubject.size,
+    domains: domains.map((name, d) => ({
+      domain: d + 1,
+      name,
+      pairs: pairs.map(([a, b]) => {
+        const rows = complete([a, b], d);
+        return comparePair(a, b, rows.map((r) => r[0]), rows.map((r) => r[1]));
+      }),
+      humans: groupIcc(humans, d),
+      all: groupIcc(raters, d),
+    })),
+  };
+}
@@ -0,0 +1,52 @@
+// lib/approval.js — the attending's sign-off on an accepted plan.
+// With the approval gate on (generatePlan `approval`), an accepted plan is
+// not synthesized straight away: the run pauses at `awaiting_approval` and
+// resumes with one of
+//   { action: 'approve', by }                 the plan as accepted
+//   { action: 'edit', by, plan_markdown }     the attending's edited plan
+//   { action: 'revise', by, critique }        another planner round with the
+//                                             attending's critique
+// `by` is whatever name the client sends; it is recorded, not verified.
+//
+// Entry (result `approval` / `approvals`): { action, by, at, critique? }
+
+export const APPROVAL_ACTIONS = ['approve', 'edit', 'revise'];
+
+const MAX_NAME_CHARS = 120;
+const MAX_PLAN_CHARS = 60000;
+const MAX_CRITIQUE_CHARS = 4000;
+
+const text = (v) => (typeof v === 'string' ? v.trim() : '');
+
+// The error code for an unusable approval reply, or null when it is usable:
+// approval_action_invalid, approval_by_missing, approval_plan_missing,
+// approval_critique_missing, approval_too_long.
+export function checkApproval(approval) {
+  if (!approval || typeof approval !== 'object' || !APPROVAL_ACTIONS.includes(approval.action)) return 'approval_action_invalid';
+  if (!text(approval.by)) return 'approval_by_missing';
+  if (approval.action === 'edit' && !text(approval.plan_markdown)) return 'approval_plan_missing';
+  if (approval.action === 'revise' && !text(approval.critique)) return 'approval_critique_missing';
+  if (text(approval.by).length > MAX_NAME_CHARS ||
+      text(approval.plan_markdown).length > MAX_PLAN_CHARS ||
+      text(approval.critique).length > MAX_CRITIQUE_CHARS) return 'approval_too_long';
+  return null;
+}
+
+// Throws with the checkApproval code; otherwise the entry to record.
+export function approvalEntry(approval, at = new Date()) {
+  const code = checkApproval(approval);
+  if (code) {
+    const err = new Error(code);
+    err.code = code;
+    throw err;
+  }
+  return {
+    action: approval.action,
+    by: text(approval.by),
+    at: at.toISOString(),
+    ...(approval.action === 'revise' ? { critique: text(approval.critique) } : {}),
+  };
+}
+
+// The attending's critique as the planner sees it on a sent-back plan.
+export const approvalCritique = (entry) => `Attending review (plan sent back before sign-off):\n${entry.critique}`;
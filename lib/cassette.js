@@ -0,0 +1,87 @@
+// lib/cassette.js — record/replay of LLM calls for offline runs.
+// A cassette is a JSON file of every prompt/response pair a pipeline made:
+//
+//   { version: 1, entries: [{ stage, round, model, key, system, user, text, usage }] }
+//
+// recordingProvider() wraps a live adapter and appends each call as it
+// completes; replayProvider() serves those responses back through the same
+// adapter interface (lib/providers.js) with no network, so generatePlan's
+// real parsing, loop and override logic run deterministically.
+
+import { createHash } from 'node:crypto';
+import { existsSync, readFileSync, writeFileSync } from 'node:fs';
+
+const CASSETTE_VERSION = 1;
+
+// Identifies a call by its exact prompt text, independent of the model used.
+export const cassetteKey = ({ system, user }) =>
+  createHash('sha256').update(`${system || ''}\u0000${user || ''}`).digest('hex').slice(0, 24);
+
+export function loadCassette(path) {
+  if (!path || !existsSync(path)) return { version: CASSETTE_VERSION, entries: [] };
+  const data = JSON.parse(readFileSync(path, 'utf8'));
+  if (!data || !Array.isArray(data.entries)) throw new Error(`invalid_cassette: ${path}`);
+  return data;
+}
+
+export function saveCassette(path, cassette) {
+  writeFileSync(path, JSON.stringify(cassette, null, 2) + '\n');
+}
+
+// Appends to an existing cassette at `path` (so several runs can share one
+// file) and rewrites it after every call, so an interrupted run still leaves
+// a usable recording behind.
+export function recordingProvider(inner, { path }) {
+  const cassette = loadCassette(path);
+  return {
+    name: `record:${inner.name}`,
+    defaultModel: inner.defaultModel,
+    cassette,
+    async complete(msg, opts = {}) {
+      const out = await inner.complete(msg, opts);
+      cassette.entries.push({
+        stage: opts.stage || null,
+        round: opts.round ?? null,
+        model: out.model || opts.model || inner.defaultModel || null,
+        key: cassetteKey(msg),
+        system: msg.system,
+        user: msg.user,
+        text: out.text,
+        usage: out.usage || null,
+      });
+      if (path) saveCassette(path, cassette);
+      return out;
+    }
+  };
+}
+
+// Serves recorded responses. Lookup order: the next unused entry with the
+// same prompt key; otherwise (unless `strict`) the next unused entry for the
+// same stage, so a cassette survives small prompt edits. A call with no
+// match throws `cassette_miss` rather than inventing output. A streamed call
+// receives the recorded text as a single delta.
+export function replayProvider(cassette, { strict = false } = {}) {
+  const entries = (cassette && cassette.entries) || [];
+  const used = new Set();
+  const take = (pred) => {
+    const i = entries.findIndex((e, idx) => !used.has(idx) && pred(e));
+    if (i === -1) return null;
+    used.add(i);
+    return entries[i];
+  };
+  return {
+    name: 'replay',
+    defaultModel: entries[0]?.model || 'replay',
+    async complete(msg, opts = {}) {
+      const key = cassetteKey(msg);
+      const hit = take((e) => e.key === key) || (!strict && opts.stage ? take((e) => e.stage === opts.stage) : null);
+      if (!hit) {
+        const err = new Error(`cassette_miss: ${opts.stage || 'unknown'} ${key}`);
+        err.code = 'cassette_miss';
+        throw err;
+      }
+      if (opts.onDelta && hit.text) opts.onDelta(hit.text);
+      return { text: hit.text || '', usage: hit.usage || null };
+    }
+  };
+}
@@ -0,0 +1,47 @@
+// lib/clarify.js — the planner's Unknowns as questions for the clinician.
+// The planner is told not to ask follow-up questions and to declare missing
+// information under "Unknowns / Clarifications Needed" instead. In
+// interactive runs (generatePlan `clarify`) those entries are sent to the
+// client as questions, and the answers are appended to the case before the
+// plan is drafted again.
+//
+// Question: { id: 'q1', text, why? }
+// Clarification: { id, question, answer }
+
+import { parseSections, findSection, listBlocks } from './markdown.js';
+
+// Questions put to the clinician per run; the rest stay as plan Unknowns.
+const MAX_QUESTIONS = 8;
+const MAX_QUESTION_CHARS = 400;
+
+// Entries that say there is nothing to ask.
+const NOTHING_RE = /^(none|n\/a|no (significant |major |further )?(unknowns?|clarifications?|open questions?))\b/i;
+
+const clip = (s) => (s.length > MAX_QUESTION_CHARS ? `${s.slice(0, MAX_QUESTION_CHARS - 1)}…` : s);
+
+// Questions from a draft plan: the structured `unknowns` when the plan came
+// from JSON output, else the entries of the Markdown Unknowns section.
+export function unknownsToQuestions(planMd, planJson) {
+  const items = Array.isArray(planJson?.unknowns)
+    ? planJson.unknowns.filter((u) => u && u.item).map((u) => ({ text: String(u.item).trim(), why: String(u.why_it_matters || '').trim() }))
+    : listBlocks(findSection(parseSections(planMd, 1), 'Unknowns')?.body).map((text) => ({ text }));
+  return items
+    .filter((q) => q.text && !NOTHING_RE.test(q.text))
+    .slice(0, MAX_QUESTIONS)
+    .map((q, i) => ({ id: `q${i + 1}`, text: clip(q.text), ...(q.why ? { why: clip(q.why) } : {}) }));
+}
+
+// Appends the answered questions to the case text. `answers` maps question
+// id to the clinician's answer; blank answers are left out, so the planner
+// declares those items as unknown again. Returns { caseText, clarifications }.
+export function mergeAnswers(caseText, questions, answers) {
+  const clarifications = (questions || [])
+    .map((q) => ({ id: q.id, question: q.text, answer: String(answers?.[q.id] ?? '').trim() }))
+    .filter((c) => c.answer);
+  if (!clarifications.length) return { caseText, clarifications };
+  const block = clarifications.map((c) => `- Q: ${c.question}\n  A: ${c.answer}`).join('\n');
+  return {
+    caseText: `${caseText}\n\nClinician clarifications (answers to the planner's open questions):\n${block}`,
+    clarifications,
+  };
+}
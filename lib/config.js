@@ -0,0 +1,61 @@
+// lib/config.js — deployment settings for generatePlan, read from env.
+// Shared by server.js and the api/ routes so every entry point runs the
+// pipeline the same way. Returns plain generatePlan options; anything unset
+// leaves the orchestrator's default behavior in place.
+//
+//   REVIEW_PANEL       comma list of panel reviewer ids (lib/panel.js) or "all";
+//                      unset keeps the single review-board call
+//   REVIEW_CONSENSUS   unanimous | majority | any-critical-veto (default majority)
+//   ACCEPTANCE_POLICY  preset name (verdict | strict) or a JSON policy (lib/policy.js)
+//   PLAN_FORMAT        markdown (default) | json — structured planner output
+//   PLAN_REPAIR_ROUNDS re-asks allowed when a JSON plan fails validation (default 1)
+//   PLAN_CONFORMANCE   off | report (default) | reask — Output_Contract checks
+//   SYNTH_VERIFY       off | report (default) | regenerate | block — note faithfulness
+//   AUDIT_TRAIL        on (default) | off — per-round history (`rounds`, `manager_trace`)
+//   LLM_PRICES         JSON price overrides, USD per 1M tokens (lib/usage.js)
+//   RUN_BUDGET_USD     stop a run once its estimated cost reaches this
+//   DAILY_BUDGET_USD   stop runs once today's estimated spend reaches this
+//   RUN_DEADLINE_MS    wall-clock limit for a whole run; stages are skipped to meet it
+//   STAGE_TIMEOUT_MS   limit for a single model call (retried like other failures)
+//   STREAM_TEXT        on (default) | off — stream plan and note text as `delta` events
+//   PROMPT_VERSION     prompt template version, a directory under prompts/ (lib/prompts.js)
+//   RUN_SECRET         seals paused-run ids so any instance can resume them (lib/runs.js)
+//   APPROVAL_GATE      off (default) | on — accepted plans wait for the attending's
+//                      sign-off before the operative note (lib/approval.js)
+//   DEIDENTIFY         mask (default) | strict | off — identifiers in the case are
+//                      masked before prompting; strict refuses high-risk ones
+//   SAFETY_LINT        on (default) | off — deterministic safety rules on every
+//                      reviewed draft (lib/safety-rules.js)
+//   ENSEMBLE_SIZE      2-5 independent first drafts scored by the board (lib/ensemble.js);
+//                      unset keeps the single draft
+//   ENSEMBLE_MODE      select (default) | merge — review the best draft, or merge them
+export function pipelineConfig(env = process.env) {
+  const val = (k) => (env[k] || '').trim();
+  const usd = (k) => (Number(val(k)) > 0 ? Number(val(k)) : undefined);
+  const ms = (k) => (parseInt(val(k), 10) > 0 ? parseInt(val(k), 10) : undefined);
+  return {
+    panel: val('REVIEW_PANEL') || undefined,
+    consensus: val('REVIEW_CONSENSUS') || undefined,
+    policy: val('ACCEPTANCE_POLICY') || undefined,
+    planFormat: val('PLAN_FORMAT').toLowerCase() === 'json' ? 'json' : 'markdown',
+    repairRounds: val('PLAN_REPAIR_ROUNDS') ? Math.max(0, parseInt(val('PLAN_REPAIR_ROUNDS'), 10) || 0) : undefined,
+    conformance: ['off', 'report', 'reask'].includes(val('PLAN_CONFORMANCE').toLowerCase())
+      ? val('PLAN_CONFORMANCE').toLowerCase() : undefined,
+    synthVerify: ['off', 'report', 'regenerate', 'block'].includes(val('SYNTH_VERIFY').toLowerCase())
+      ? val('SYNTH_VERIFY').toLowerCase() : undefined,
+    audit: val('AUDIT_TRAIL').toLowerCase() === 'off' ? false : undefined,
+    prices: val('LLM_PRICES') || undefined,
+    runBudget: usd('RUN_BUDGET_USD'),
+    dailyBudget: usd('DAILY_BUDGET_USD'),
+    deadlineMs: ms('RUN_DEADLINE_MS'),
+    stageTimeoutMs: ms('STAGE_TIMEOUT_MS'),
+    streamText: val('STREAM_TEXT').toLowerCase() === 'off' ? false : undefined,
+    promptVersion: val('PROMPT_VERSION') || undefined,
+    runSecret: val('RUN_SECRET') || undefined,
+    approval: val('APPROVAL_GATE').toLowerCase() === 'on' ? true : undefined,
+    deidentify: ['off', 'strict'].includes(val('DEIDENTIFY').toLowerCase()) ? val('DEIDENTIFY').toLowerCase() : undefined,
+    safetyLint: val('SAFETY_LINT').toLowerCase() === 'off' ? false : undefined,
+    ensemble: parseInt(val('ENSEMBLE_SIZE'), 10) >= 2 ? parseInt(val('ENSEMBLE_SIZE'), 10) : undefined,
+    ensembleMode: val('ENSEMBLE_MODE').toLowerCase() === 'merge' ? 'merge' : undefined,
+  };
+}
@@ -0,0 +1,118 @@
+// lib/conformance.js — Output_Contract conformance for planner and synth outputs.
+// plannerPrompt and synthPrompt each fix an exact section list and a
+// Definition_of_Done; this checks that a reply actually followed them, so
+// format problems can be reported (and optionally re-asked) before they cost
+// a review round. Deterministic, no LLM calls.
+//
+// Findings: { code, severity: 'error' | 'warning', section?, message }
+//   missing_section, extra_section, misordered_section, empty_section,
+//   empty_alternatives, contingency_format, steps_not_numbered, missing_title
+
+import { normTitle, parseSections, findSection, listItems } from './markdown.js';
+
+// Section lists as written in the prompts' Output_Contracts. `required`
+// sections back the Definition_of_Done; the rest may be omitted by the
+// synthesizer ("Omit sections not relevant") but not by the planner.
+export const PLANNER_CONTRACT = {
+  level: 1,
+  sections: [
+    'Patient Summary',
+    'Defect / Problem Definition',
+    'Reconstructive Objectives',
+    'Primary Reconstructive Plan',
+    'Alternatives Considered',
+    'Operative Plan',
+    'Key Contingencies',
+    'Unknowns / Clarifications Needed',
+    'Assumptions and Confidence',
+  ],
+  required: ['Primary Reconstructive Plan', 'Alternatives Considered', 'Operative Plan', 'Unknowns / Clarifications Needed'],
+};
+
+export const SYNTH_CONTRACT = {
+  level: 2,
+  title: 'Preoperative Surgical Plan',
+  sections: [
+    'Patient Summary',
+    'Defect / Problem and Objectives',
+    'Planned Reconstruction',
+    'Intraoperative Plan',
+    'Key Contingency Plans',
+    'Unknowns / Clarifications Needed',
+    'Assumptions / Conditional Elements',
+  ],
+  required: ['Planned Reconstruction', 'Intraoperative Plan'],
+};
+
+const IF_THEN = /^if\s+.+?,\s*then\s+.+/i;
+const SCENARIO = /^(\*\*)?[^:]+:(\*\*)?\s*\S/;
+
+// kind: 'plan' (planner and revision outputs) or 'synth'. Returns
+// { ok, findings } where ok means no error-level findings.
+export function checkConformance(md, kind = 'plan') {
+  const contract = kind === 'synth' ? SYNTH_CONTRACT : PLANNER_CONTRACT;
+  const strictSections = kind !== 'synth';
+  const findings = [];
+  const add = (code, severity, message, section) =>
+    findings.push({ code, severity, ...(section ? { section } : {}), message });
+
+  if (contract.title && !parseSections(md, 1).some((s) => normTitle(s.title) === normTitle(contract.title))) {
+    add('missing_title', 'warning', `Missing the "# ${contract.title}" title.`);
+  }
+
+  const sections = parseSections(md, contract.level);
+  const expected = contract.sections.map(normTitle);
+  const required = new Set(contract.required.map(normTitle));
+
+  contract.sections.forEach((name, i) => {
+    if (!sections.some((s) => normTitle(s.title) === expected[i])) {
+      const isRequired = required.has(expected[i]);
+      if (strictSections || isRequired) {
+        add('missing_section', isRequired ? 'error' : 'warning', `Missing section "${name}".`, name);
+      }
+    }
+  });
+
+  for (const s of sections) {
+    if (!expected.includes(normTitle(s.title))) add('extra_section', 'warning', `Unexpected section "${s.title}".`, s.title);
+  }
+
+  // Order: each known section must come after the previous known one.
+  let last = -1;
+  for (const s of sections) {
+    const idx = expected.indexOf(normTitle(s.title));
+    if (idx === -1) continue;
+    if (idx < last) add('misordered_section', 'warning', `Section "${s.title}" is out of order.`, s.title);
+    last = Math.max(last, idx);
+  }
+
+  for (const s of sections) {
+    if (expected.includes(normTitle(s.title)) && !s.body) add('empty_section', 'warning', `Section "${s.title}" is empty.`, s.title);
+  }
+
+  if (kind === 'synth') {
+    const cont = findSection(sections, 'Key Contingency Plans');
+    for (const item of cont ? listItems(cont.body) : []) {
+      if (!SCENARIO.test(item)) add('contingency_format', 'warning', `Contingency not in "Scenario: response" form: "${item.slice(0, 120)}"`, cont.title);
+    }
+    const intra = findSection(sections, 'Intraoperative Plan');
+    if (intra && intra.body && !/^\s*\d+[.)]\s+/m.test(intra.body)) {
+      add('steps_not_numbered', 'warning', 'Intraoperative Plan has no numbered steps.', intra.title);
+    }
+  } else {
+    const alt = findSection(sections, 'Alternatives Considered');
+    if (alt && !alt.body.replace(/\b(none|n\/a|not applicable)\b\.?/gi, '').trim()) {
+      add('empty_alternatives', 'error', '"Alternatives Considered" lists no alternatives.', alt.title);
+    }
+    const cont = findSection(sections, 'Key Contingencies');
+    for (const item of cont ? listItems(cont.body) : []) {
+      if (!IF_THEN.test(item)) add('contingency_format', 'warning', `Contingency not in "If ..., then ..." form: "${item.slice(0, 120)}"`, cont.title);
+    }
+    const ops = findSection(sections, 'Operative Plan');
+    if (ops && ops.body && !/^\s*\d+[.)]\s+/m.test(ops.body)) {
+      add('steps_not_numbered', 'warning', 'Operative Plan has no numbered steps.', ops.title);
+    }
+  }
+
+  return { ok: !findings.some((f) => f.severity === 'error'), findings };
+}
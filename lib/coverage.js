@@ -0,0 +1,172 @@
+// lib/coverage.js — a generated plan scored against a bundled reference plan.
+// Each bundled case (demo/cases.js) carries an expert-authored plan: steps,
+// and `branch` contingencies with their own steps. When one of those cases
+// is run live, the generated plan's Operative Plan, Primary Reconstructive
+// Plan and Key Contingencies are matched against it: which reference steps
+// and contingencies the plan covers, misses or contradicts, and which of its
+// own steps have no reference counterpart. Recall and precision follow.
+// Like lib/faithfulness.js this matches terms (lib/text.js content words),
+// it does not judge clinical equivalence.
+//
+// Reference: { id, plan }   plan is the demo/cases.js array
+// Coverage:  { reference, recall, precision, steps, contingencies, items, extra }
+//   steps / contingencies  { total, covered, missed, contradicted }
+//   items  [{ kind: 'step' | 'contingency', name, status, match?, reason? }]
+//          status 'covered' | 'missed' | 'contradicted'
+//   extra  [{ section, text }]   plan steps and contingencies matching no reference item
+
+import { parseSections, findSection, listBlocks } from './markdown.js';
+import { contentTokens } from './text.js';
+import { findOptions } from './flap-kb.js';
+
+// A plan entry covers a reference item when its overlap score reaches this.
+const MATCH_THRESHOLD = 0.6;
+
+const STEP_SECTIONS = ['Operative Plan', 'Primary Reconstructive Plan'];
+const CONTINGENCY_SECTION = 'Key Contingencies';
+
+const PROCEDURE_RE = /\b[a-z]+(?:ectomy|otomy|ostomy|plasty)\b|\bneck dissection\b/gi;
+const TIME_FRAME = /^\s*(?:during|after|before|following|once|while|at the end of)\b/i;
+// A negation governs a procedure only when it is written directly on it:
+// "no / omit / defer / do not perform [the elective] neck dissection", or
+// "neck dissection is deferred / not indicated". "Do not delay the neck
+// dissection" rules nothing out.
+const NEGATED_BEFORE = '(?:no|without|avoid(?:ing)?|omit(?:ting)?|forgo(?:ing)?|defer(?:ring)?|not\\s+(?:perform|do|undertake|plan|offer)\\w*)';
+const MODIFIER = '(?:a|an|the|any|elective|selective|formal|routine|planned|immediate|prophylactic|ipsilateral|contralateral|bilateral|right|left|further|additional)';
+const NEGATED_AFTER = '(?:(?:is|are|was|will\\s+be|to\\s+be)\\s+)?(?:deferred|omitted|avoided|not\\s+(?:indicated|required|needed|necessary|performed|planned|done))';
+
+const norm = (s) => String(s || '').toLowerCase().replace(/\s+/g, ' ').trim();
+const clip = (s, n) => (s.length > n ? `${s.slice(0, n - 1)}…` : s);
+
+// The bundled case whose case text `caseText` is, if any: the reference for
+// scoring a live run. Case texts are compared with whitespace normalized.
+export function referenceFor(caseText, cases) {
+  const text = norm(caseText);
+  const hit = (cases || []).find((c) => Array.isArray(c.plan) && norm(c.caseText) === text);
+  return hit ? { id: hit.id, plan: hit.plan } : null;
+}
+
+// The reference for bundled case `id`, as referenceFor returns it; null for
+// an id no bundled case has (saved runs keep only the id).
+export function referenceById(id, cases) {
+  const hit = (cases || []).find((c) => c.id === id && Array.isArray(c.plan));
+  return hit ? { id: hit.id, plan: hit.plan } : null;
+}
+
+// Reference steps and branches as items to match.
+function referenceItems(plan) {
+  return (plan || []).map((item) => (item.type === 'branch'
+    ? {
+      kind: 'contingency', name: item.condition,
+      text: [item.condition, ...(item.steps || []).map((s) => `${s.name} ${s.description}`)].join(' '),
+    }
+    : {
+      kind: 'step', name: item.name, text: `${item.name} ${item.description}`,
+      // The step's own procedure: its name and the first clause of its
+      // description that is not a time frame ("During neck dissection, ...").
+      first: `${item.name} ${String(item.description || '').split(/[,;.]/).find((c) => !TIME_FRAME.test(c)) || ''}`,
+    }));
+}
+
+// How far a plan entry covers a reference item, 0..1: the share of the
+// entry's content words (or of the item's, if fewer) the two have in common,
+// or all of the item's name words appearing in the entry. One shared word
+// is not a match.
+function overlap(item, entry) {
+  const ref = new Set(contentTokens(item.text));
+  const ent = new Set(contentTokens(entry));
+  const name = new Set(contentTokens(item.name));
+  if (!ref.size || !ent.size) return 0;
+  let shared = 0;
+  for (const t of ent) if (ref.has(t)) shared++;
+  let named = 0;
+  for (const t of name) if (ent.has(t)) named++;
+  const byWords = shared >= 2 ? shared / Math.min(ref.size, ent.size) : 0;
+  const byName = name.size && named === name.size && (named >= 2 || shared >= 2) ? 1 : 0;
+  return Math.max(byWords, byName);
+}
+
+function best(item, entries) {
+  let index = -1;
+  let score = 0;
+  entries.forEach((e, i) => {
+    const s = overlap(item, e.text);
+    if (s > score) { score = s; index = i; }
+  });
+  return { index, score };
+}
+
+// Why the plan contradicts a reference step, or null: it chooses a different
+// reconstruction than the step names, or it rules out the step's procedure.
+// Only the plan entry matched to the step is read for that, or, when none
+// matches, the entries naming the procedure: a negation in an entry about
+// another step does not count.
+function contradiction(item, chosen, entries, matched) {
+  const named = findOptions(item.name);
+  if (named.length && chosen.length && !named.some((o) => chosen.some((c) => c.id === o.id))) {
+    return `The plan chooses ${chosen.map((c) => c.name).join(' + ')} instead of ${named.map((o) => o.name).join(' + ')}.`;
+  }
+  for (const term of new Set((item.first.match(PROCEDURE_RE) || []).map(norm))) {
+    const t = `${term.replace(/ /g, '\\s+')}s?`;
+    const re = new RegExp(`\\b${NEGATED_BEFORE}\\s+(?:${MODIFIER}\\s+){0,3}${t}\\b|\\b${t}\\s+${NEGATED_AFTER}\\b`, 'i');
+    for (const e of matched ? [matched] : entries) {
+      const m = re.exec(e.text);
+      if (m) return `The plan rules it out: "${clip(m[0], 80)}".`;
+    }
+  }
+  return null;
+}
+
+const counts = (items, kind) => {
+  const of = items.filter((i) => i.kind === kind);
+  return {
+    total: of.length,
+    covered: of.filter((i) => i.status === 'covered').length,
+    missed: of.filter((i) => i.status === 'missed').length,
+    contradicted: of.filter((i) => i.status === 'contradicted').length,
+  };
+};
+
+const ratio = (n, d) => (d ? Math.round((n / d) * 100) / 100 : null);
+
+// Coverage of the plan Markdown against `reference`. Recall is the share of
+// reference items covered; precision the share of the plan's Operative Plan
+// steps and Key Contingencies that match some reference item.
+export function scoreCoverage(planMd, reference) {
+  const sections = parseSections(planMd, 1);
+  const blocks = (title) => listBlocks(findSection(sections, title)?.body).map((text) => ({ section: title, text }));
+  const stepEntries = STEP_SECTIONS.flatMap(blocks);
+  const contEntries = blocks(CONTINGENCY_SECTION);
+  const chosen = findOptions(findSection(sections, 'Primary Reconstructive Plan')?.body);
+
+  const refs = referenceItems(reference.plan);
+  const items = refs.map((item) => {
+    const entries = item.kind === 'step' ? stepEntries : contEntries;
+    const m = best(item, entries);
+    const why = item.kind === 'step'
+      ? contradiction(item, chosen, entries, m.score >= MATCH_THRESHOLD ? entries[m.index] : null) : null;
+    if (why) return { kind: item.kind, name: item.name, status: 'contradicted', reason: why };
+    return m.score >= MATCH_THRESHOLD
+      ? { kind: item.kind, name: item.name, status: 'covered', match: clip(entries[m.index].text, 160) }
+      : { kind: item.kind, name: item.name, status: 'missed' };
+  });
+
+  // The plan's own steps and contingencies, against every reference item of
+  // the same kind (the reconstruction section is context, not counted).
+  const own = [...stepEntries.filter((e) => e.section === 'Operative Plan'), ...contEntries];
+  const extra = own.filter((e) => {
+    const kind = e.section === CONTINGENCY_SECTION ? 'contingency' : 'step';
+    return !refs.some((r) => r.kind === kind && overlap(r, e.text) >= MATCH_THRESHOLD);
+  }).map((e) => ({ section: e.section, text: clip(e.text, 160) }));
+
+  const covered = items.filter((i) => i.status === 'covered').length;
+  return {
+    reference: reference.id,
+    recall: ratio(covered, items.length),
+    precision: ratio(own.length - extra.length, own.length),
+    steps: counts(items, 'step'),
+    contingencies: counts(items, 'contingency'),
+    items,
+    extra,
+  };
+}
@@ -0,0 +1,173 @@
+// lib/deidentify.js — local PHI masking before case text reaches a provider.
+// Pasted clinical summaries can carry identifiers the plan does not need.
+// Every detected identifier is replaced by a typed token ("[NAME_1]",
+// "[MRN_1]"), the same value always by the same token, and the mapping from
+// token to value stays with the server so the plan and note can be
+// re-identified for the user. Detection is pattern-based: it catches
+// labelled and well-formed identifiers, not every name written in prose.
+//
+// Entity: { token, type, text, risk }
+//   type  name | mrn | national_id | phone | email | address | date | hospital
+//         | clinician (a name after "Dr" or "Prof": the treating team, not
+//         the patient)
+//   risk  'high' (identifies the patient on its own) | 'moderate' | 'low'
+//   Only the server sees `text`; results and events carry publicEntity().
+
+export const HIGH_RISK_TYPES = ['name', 'mrn', 'national_id', 'phone', 'email', 'address'];
+export const LOW_RISK_TYPES = ['clinician'];
+export const ENTITY_LABELS = {
+  name: 'name', mrn: 'MRN', national_id: 'national ID', phone: 'phone number',
+  email: 'email address', address: 'address', date: 'date', hospital: 'hospital',
+  clinician: 'clinician name',
+};
+
+const MONTH = '(?:Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)';
+const NAME_WORD = "[A-Z][a-z]+(?:[-'][A-Z]?[a-z]+)?";
+const INSTITUTION = '(?:Hospitals?|Medical Cent(?:er|re)|Infirmary|Clinic|Health System|Cancer Cent(?:er|re))';
+const INSTITUTION_RE = new RegExp(`${INSTITUTION}$`);
+
+// Capitalised words a label like "Patient:" is followed by that are not a
+// name: sex, age and clinical terms ("Patient: Female, 58", "Pt: Smoker").
+const NOT_NAMES = new Set([
+  'Male', 'Female', 'Man', 'Woman', 'Gentleman', 'Lady', 'Boy', 'Girl', 'Transgender', 'Nonbinary',
+  'Adult', 'Elderly', 'Pediatric', 'Paediatric', 'Age', 'Aged', 'Year', 'Years', 'Old',
+  'Smoker', 'Nonsmoker', 'Non', 'Former', 'Current', 'Ex', 'Known', 'History', 'Diabetic', 'Hypertensive',
+  'Presents', 'Presenting', 'Presented', 'Referred', 'Admitted', 'Seen', 'Status', 'Post', 'Prior', 'Previous',
+  'Recurrent', 'Primary', 'New', 'Right', 'Left', 'Bilateral', 'Tongue', 'Oral', 'Floor', 'Mouth', 'Lip',
+  'Cheek', 'Buccal', 'Mandible', 'Maxilla', 'Scalp', 'Head', 'Neck', 'Cancer', 'Carcinoma', 'Tumor', 'Tumour',
+  'Squamous', 'Unknown', 'None', 'Not', 'Anonymous', 'Redacted', 'Case',
+]);
+// Words of a department rather than an institution ("Head and Neck Clinic").
+const DEPARTMENT_WORDS = new Set([
+  'The', 'Our', 'Head', 'Neck', 'Plastic', 'Plastics', 'Reconstructive', 'Surgery', 'Surgical', 'Oncology',
+  'Radiation', 'Outpatient', 'Inpatient', 'Dental', 'Oral', 'Maxillofacial', 'Facial', 'ENT', 'Otolaryngology',
+  'Tumor', 'Tumour', 'Multidisciplinary', 'Microvascular', 'Wound', 'Pain', 'Breast', 'Skin', 'Dermatology',
+  'Speech', 'Swallowing', 'Preoperative', 'Pre-operative', 'Anesthesia', 'Anaesthesia', 'Joint', 'Combined',
+]);
+
+// A name value up to the first word that is not part of a name, or null.
+const nameValue = (value) => {
+  const words = value.split(' ');
+  const cut = words.findIndex((w) => NOT_NAMES.has(w));
+  return (cut < 0 ? words : words.slice(0, cut)).join(' ') || null;
+};
+// A hospital value, or null for a department name.
+const hospitalValue = (value) => {
+  const words = value.replace(INSTITUTION_RE, '').split(' ').filter((w) => w && !/^(?:and|of|for|&)$/.test(w));
+  return words.every((w) => DEPARTMENT_WORDS.has(w)) ? null : value;
+};
+
+// Detectors in priority order: where matches overlap, the earlier detector
+// wins. `group` masks only that capture group (the value after a label);
+// `keep(value)` returns the part to mask, or null to mask nothing.
+const DETECTORS = [
+  { type: 'email', re: /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g },
+  { type: 'national_id', re: /\b(?:SSN|social security(?: number| no\.?)?|national (?:id|insurance)(?: number| no\.?)?|NI (?:number|no\.?)|NHS (?:number|no\.?)|NRIC|passport(?: number| no\.?)|medicare(?: number| no\.?))\s*[:#]?\s*([A-Z0-9][A-Z0-9 -]{5,18}[A-Z0-9])/gi, group: 1 },
+  { type: 'national_id', re: /\b\d{3}-\d{2}-\d{4}\b/g },
+  { type: 'national_id', re: /\b[A-CEGHJ-PR-TW-Z]{2} ?\d{2} ?\d{2} ?\d{2} ?[A-D]\b/g },
+  { type: 'mrn', re: /\b(?:MRN|medical record(?: number| no\.?)?|hospital (?:number|no\.?)|patient (?:id|number|no\.?)|UR(?: number| no\.?)|chart(?: number| no\.?))\s*[:#]?\s*([A-Z]{0,3}[-]?\d[\dA-Z-]{3,})/gi, group: 1 },
+  { type: 'phone', re: /\b(?:tel(?:ephone)?|phone|mobile|cell|contact)\s*(?:no\.?|number)?\s*[:#]?\s*(\+?[\d()][\d ()-]{6,}\d)/gi, group: 1 },
+  { type: 'phone', re: /(?:\+\d{1,3}[ .-]?)?\(?\b\d{3}\)?[ .-]\d{3}[ .-]\d{4}\b/g },
+  { type: 'date', re: /\b\d{4}-\d{2}-\d{2}\b/g },
+  { type: 'date', re: /\b\d{1,2}[/.-]\d{1,2}[/.-](?:\d{4}|\d{2})\b/g },
+  { type: 'date', re: new RegExp(`\\b\\d{1,2}(?:st|nd|rd|th)?(?: of)? ${MONTH}\\.?,? \\d{4}\\b`, 'g') },
+  { type: 'date', re: new RegExp(`\\b${MONTH}\\.? \\d{1,2}(?:st|nd|rd|th)?,? \\d{4}\\b`, 'g') },
+  { type: 'date', re: new RegExp(`\\b${MONTH}\\.? \\d{4}\\b`, 'g') },
+  { type: 'address', re: /\b(?:address|addr\.?|lives at|resides at)\s*[:#]?\s*([^\n;]{6,80}?)(?=[\n;]|\.\s|$)/gi, group: 1 },
+  { type: 'address', re: /\b\d{1,5} (?:[A-Z][a-z]+ ){1,3}(?:Street|St|Road|Rd|Avenue|Ave|Lane|Ln|Drive|Dr|Boulevard|Blvd|Court|Ct|Way|Place|Pl|Crescent|Close|Terrace)\b\.?/g },
+  { type: 'hospital', re: new RegExp(`\\b(?:(?:St\\.?|Saint) )?(?:[A-Z][\\w'.-]+ (?:(?:and|of|for|&) )?){1,4}${INSTITUTION}\\b`, 'g'), keep: hospitalValue },
+  // Only the label ignores case: the name itself must be capitalised.
+  { type: 'name', re: new RegExp(`\\b(?:[Pp]atient(?: [Nn]ame)?|[Nn]ame|[Pp]t)\\s*[:#]\\s*(${NAME_WORD}(?: ${NAME_WORD}){0,2})`, 'g'), group: 1, keep: nameValue },
+  { type: 'name', re: new RegExp(`\\b(?:Mr|Mrs|Ms|Miss|Mx)\\.? (${NAME_WORD}(?: ${NAME_WORD})?)`, 'g'), group: 1 },
+  { type: 'clinician', re: new RegExp(`\\b(?:Dr|Prof)\\.? (${NAME_WORD}(?: ${NAME_WORD})?)`, 'g'), group: 1 },
+];
+
+const TOKEN_RE = /\[(NAME|MRN|NATIONAL_ID|PHONE|EMAIL|ADDRESS|DATE|HOSPITAL|CLINICIAN)_\d+\]/g;
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Spans to mask in `text`: [{ start, end, type, text }], non-overlapping.
+// Values already in `known` ({ type, text } entries) are found wherever they
+// recur, even where no pattern would match them again (a surname written
+// into an edited plan).
+function detect(text, known) {
+  const spans = [];
+  const add = (span) => {
+    if (!spans.some((s) => s.start < span.end && span.start < s.end)) spans.push(span);
+  };
+  for (const e of [...known].sort((a, b) => b.text.length - a.text.length)) {
+    const re = new RegExp(`(?<!\\w)${escapeRe(e.text)}(?!\\w)`, 'g');
+    for (let m; (m = re.exec(text));) add({ start: m.index, end: m.index + e.text.length, type: e.type, text: e.text });
+  }
+  for (const { type, re, group, keep } of DETECTORS) {
+    re.lastIndex = 0;
+    for (let m; (m = re.exec(text));) {
+      const found = group ? m[group] : m[0];
+      const value = found && keep ? keep(found) : found;
+      if (!value || !value.trim()) continue;
+      const start = m.index + (group ? m[0].indexOf(value) : 0);
+      add({ start, end: start + value.length, type, text: value });
+    }
+  }
+  return spans.sort((a, b) => a.start - b.start);
+}
+
+// A masker shares one mapping across every text of a run, so an identifier
+// keeps its token from the case to the answers and edits that follow.
+// `mapping` is { [token]: { type, text } }, e.g. from a saved run.
+//   mask(text)      text with identifiers replaced by tokens
+//   unmask(text)    tokens replaced by the original values
+//   entities()      every entity masked so far, values included
+export function createMasker(mapping = {}) {
+  const map = { ...mapping };
+  const byValue = new Map(Object.entries(map).map(([token, e]) => [`${e.type}:${e.text}`, token]));
+  const count = (type) => Object.values(map).filter((e) => e.type === type).length;
+
+  const tokenFor = (type, text) => {
+    const key = `${type}:${text}`;
+    if (!byValue.has(key)) {
+      const token = `[${type.toUpperCase()}_${count(type) + 1}]`;
+      map[token] = { type, text };
+      byValue.set(key, token);
+    }
+    return byValue.get(key);
+  };
+
+  return {
+    mapping: map,
+    mask(text) {
+      if (!text) return text;
+      let out = '';
+      let at = 0;
+      for (const s of detect(String(text), Object.values(map))) {
+        out += text.slice(at, s.start) + tokenFor(s.type, s.text);
+        at = s.end;
+      }
+      return out + text.slice(at);
+    },
+    unmask(text) {
+      if (typeof text !== 'string') return text;
+      return text.replace(TOKEN_RE, (token) => (map[token] ? map[token].text : token));
+    },
+    entities() {
+      return Object.entries(map).map(([token, e]) => ({
+        token, type: e.type, text: e.text,
+        risk: HIGH_RISK_TYPES.includes(e.type) ? 'high' : LOW_RISK_TYPES.includes(e.type) ? 'low' : 'moderate',
+      }));
+    },
+  };
+}
+
+// An entity as results, events and error replies report it: the token and
+// what kind of identifier it replaced, never the value.
+export const publicEntity = ({ token, type, risk }) => ({ token, type, risk });
+
+// `value` with every string in it unmasked (plans as JSON, question lists).
+export function unmaskDeep(masker, value) {
+  if (typeof value === 'string') return masker.unmask(value);
+  if (Array.isArray(value)) return value.map((v) => unmaskDeep(masker, v));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, unmaskDeep(masker, v)]));
+  }
+  return value;
+}
@@ -0,0 +1,78 @@
+// lib/ensemble.js — self-consistency over several independent first drafts.
+// With an ensemble (generatePlan `ensemble`) the planner writes N drafts of
+// the same case at a higher temperature, the board scores each one, and the
+// review loop goes on from either the best-ranked draft ('select') or one
+// plan merged from all of them ('merge'). How far the drafts agree on the
+// primary reconstruction is reported as a confidence signal: a case where
+// independent drafts pick different reconstructions is one to read closely.
+//
+// Sample: { sample, plan_markdown, strategy: { key, label }, verdict, scores,
+//           total, findings }
+// Agreement: { strategy, count, size, share, level: 'high' | 'moderate' | 'low' }
+
+import { parseSections, findSection, listBlocks } from './markdown.js';
+import { findOptions } from './flap-kb.js';
+import { SEVERITIES, worstSeverity } from './findings.js';
+
+export const ENSEMBLE_MODES = ['select', 'merge'];
+export const MAX_ENSEMBLE = 5;
+
+// { size, mode } for a requested size and mode. Sizes below 2 turn the
+// ensemble off (size 0); larger ones are capped at MAX_ENSEMBLE.
+export function resolveEnsemble(size, mode) {
+  const n = parseInt(size, 10) || 0;
+  return {
+    size: n >= 2 ? Math.min(MAX_ENSEMBLE, n) : 0,
+    mode: ENSEMBLE_MODES.includes(mode) ? mode : 'select',
+  };
+}
+
+const clip = (s, n) => (s.length > n ? `${s.slice(0, n - 1)}…` : s);
+
+// The primary reconstruction a draft chose: the knowledge-base options
+// (lib/flap-kb.js) named in its Primary Reconstructive Plan, e.g. "fibula"
+// or "fibula+alt" for a double flap. A section naming no known option is
+// keyed by its first entry, so two such drafts agree only when they match.
+export function primaryStrategy(planMd) {
+  const body = findSection(parseSections(planMd, 1), 'Primary Reconstructive Plan')?.body || '';
+  const options = findOptions(body);
+  if (options.length) {
+    return { key: options.map((o) => o.id).sort().join('+'), label: options.map((o) => o.name).join(' + ') };
+  }
+  const first = (listBlocks(body)[0] || body.split('\n')[0] || '').trim();
+  return { key: `text:${first.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()}`, label: first ? clip(first, 80) : 'not stated' };
+}
+
+// Severity rank of a sample's worst finding; no findings ranks best.
+const worstRank = (s) => {
+  const w = worstSeverity(s.findings);
+  return w ? SEVERITIES.indexOf(w) : SEVERITIES.length;
+};
+
+// Best first: accepted by the board, then the least severe worst finding,
+// then the highest total domain score, then the earliest sample.
+export function rankSamples(samples) {
+  return [...samples].sort((a, b) =>
+    (b.verdict === 'accept') - (a.verdict === 'accept') ||
+    worstRank(b) - worstRank(a) ||
+    b.total - a.total ||
+    a.sample - b.sample);
+}
+
+// The most common primary strategy and the share of drafts that chose it;
+// on a tie the one chosen by the best-ranked draft wins.
+export function strategyAgreement(samples) {
+  const ranked = rankSamples(samples);
+  const counts = new Map();
+  for (const s of samples) counts.set(s.strategy.key, (counts.get(s.strategy.key) || 0) + 1);
+  const top = Math.max(...counts.values());
+  const modal = ranked.find((s) => counts.get(s.strategy.key) === top);
+  const share = top / samples.length;
+  return {
+    strategy: modal.strategy.label,
+    count: top,
+    size: samples.length,
+    share: Math.round(share * 100) / 100,
+    level: share === 1 ? 'high' : share >= 0.6 ? 'moderate' : 'low',
+  };
+}
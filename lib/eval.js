@@ -0,0 +1,223 @@
+// lib/eval.js — metrics for batch evaluation runs (scripts/eval-batch.mjs).
+// Each generatePlan result is reduced to one flat record, so a batch can be
+// appended to as it runs, resumed after an interruption, and loaded into a
+// statistics package as CSV. Summaries group the records by model, and by
+// model and case, into the measures the thesis reports.
+//
+// Record: { key, case_id, model, rep, status: 'ok' | 'error', error,
+//   started_at, latency_ms, verdict, source, accepted, board_accepted,
+//   manager_override, rounds, accepted_round, d1..d5, findings_critical,
+//   findings_major, findings_minor, calls, input_tokens, output_tokens,
+//   cost_usd, priced, prompt_version, policy, coverage_recall,
+//   coverage_precision, coverage_contradicted }   coverage only for cases with
+//   a reference plan (lib/coverage.js)
+
+import { DOMAIN_NAMES } from './policy.js';
+import { countFindings } from './findings.js';
+
+export const DOMAIN_KEYS = DOMAIN_NAMES.map((_, i) => `d${i + 1}`);
+
+// Record fields in CSV column order; error records leave most of them empty.
+export const RECORD_COLUMNS = [
+  'key', 'case_id', 'model', 'rep', 'status', 'error', 'started_at', 'latency_ms',
+  'verdict', 'source', 'accepted', 'board_accepted', 'manager_override', 'rounds', 'accepted_round',
+  ...DOMAIN_KEYS, 'findings_critical', 'findings_major', 'findings_minor',
+  'calls', 'input_tokens', 'output_tokens', 'cost_usd', 'priced', 'prompt_version', 'policy',
+  'coverage_recall', 'coverage_precision', 'coverage_contradicted',
+];
+
+// Identifies one run of a batch: the same case, model and repetition.
+export const runKey = (caseId, model, rep) => `${caseId}|${model}|${rep}`;
+
+// The record for a finished run. `model` is the label the batch used ('default'
+// for the provider's own default); `error` is set instead of `result` for a
+// run that threw.
+export function runRecord({ caseId, model, rep, startedAt, latencyMs, result, error }) {
+  const base = {
+    key: runKey(caseId, model, rep), case_id: caseId, model, rep,
+    started_at: new Date(startedAt).toISOString(), latency_ms: latencyMs,
+  };
+  if (error) return { ...base, status: 'error', error: error.code || error.message || String(error) };
+
+  const decisions = result.decisions || [];
+  const firstAccept = decisions.find((d) => d.accept);
+  const counts = countFindings(result.findings);
+  const usage = result.usage || {};
+  return {
+    ...base,
+    status: 'ok',
+    error: null,
+    verdict: result.verdict,
+    source: result.source,
+    accepted: result.verdict === 'accept',
+    board_accepted: result.verdict === 'accept' && result.source === 'review',
+    manager_override: result.source === 'manager_override',
+    rounds: decisions.length,
+    accepted_round: firstAccept ? firstAccept.round : null,
+    ...Object.fromEntries(DOMAIN_KEYS.map((k, i) => [k, Array.isArray(result.scores) ? result.scores[i] ?? null : null])),
+    findings_critical: counts.critical,
+    findings_major: counts.major,
+    findings_minor: counts.minor,
+    calls: usage.calls || 0,
+    input_tokens: usage.input_tokens || 0,
+    output_tokens: usage.output_tokens || 0,
+    // A partial estimate is no cost for analysis: some calls had no price.
+    cost_usd: usage.priced ? usage.cost_usd ?? null : null,
+    priced: !!usage.priced,
+    prompt_version: result.prompts?.version || null,
+    policy: result.policy?.id || null,
+    coverage_recall: result.coverage?.recall ?? null,
+    coverage_precision: result.coverage?.precision ?? null,
+    coverage_contradicted: result.coverage
+      ? result.coverage.steps.contradicted + result.coverage.contingencies.contradicted : null,
+  };
+}
+
+// Latest record per run key from the lines of a runs.jsonl file. A line cut
+// short by an interruption is skipped.
+export function parseRecords(text) {
+  const byKey = new Map();
+  for (const line of String(text).split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const r = JSON.parse(line);
+      byKey.set(r.key, r);
+    } catch {}
+  }
+  return byKey;
+}
+
+const round = (n, d = 4) => (n === null ? null : Math.round(n * 10 ** d) / 10 ** d);
+const mean = (xs) => (xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : null);
+const sd = (xs) => {
+  if (xs.length < 2) return null;
+  const m = mean(xs);
+  return Math.sqrt(xs.reduce((a, x) => a + (x - m) ** 2, 0) / (xs.length - 1));
+};
+function quantile(xs, q) {
+  if (!xs.length) return null;
+  const s = [...xs].sort((a, b) => a - b);
+  const pos = (s.length - 1) * q;
+  const lo = Math.floor(pos);
+  return s[lo] + (s[Math.min(lo + 1, s.length - 1)] - s[lo]) * (pos - lo);
+}
+const nums = (records, k) => records.map((r) => r[k]).filter((v) => typeof v === 'number' && Number.isFinite(v));
+
+// Measures over a set of records. Rates are over the runs that completed;
+// `manager_override_rate` is over all completed runs, `override_of_rejections`
+// over those the board had not accepted.
+export function summarize(records) {
+  const ok = records.filter((r) => r.status === 'ok');
+  const rejectedByBoard = ok.filter((r) => !r.board_accepted && r.source !== 'budget_exceeded' && r.source !== 'deadline_exceeded');
+  const rate = (n, d) => (d ? round(n / d) : null);
+  const rounds = nums(ok.filter((r) => r.accepted_round !== null), 'accepted_round');
+  const latency = nums(ok, 'latency_ms');
+  const cost = nums(ok, 'cost_usd');
+  return {
+    runs: records.length,
+    completed: ok.length,
+    errors: records.length - ok.length,
+    acceptance_rate: rate(ok.filter((r) => r.accepted).length, ok.length),
+    board_acceptance_rate: rate(ok.filter((r) => r.board_accepted).length, ok.length),
+    manager_override_rate: rate(ok.filter((r) => r.manager_override).length, ok.length),
+    override_of_rejections: rate(ok.filter((r) => r.manager_override).length, rejectedByBoard.length),
+    stopped: ok.filter((r) => r.source === 'budget_exceeded' || r.source === 'deadline_exceeded').length,
+    rounds_to_acceptance: { mean: round(mean(rounds), 2), median: quantile(rounds, 0.5), n: rounds.length },
+    domain_means: Object.fromEntries(DOMAIN_KEYS.map((k) => [k, round(mean(nums(ok, k)), 2)])),
+    domain_sd: Object.fromEntries(DOMAIN_KEYS.map((k) => [k, round(sd(nums(ok, k)), 2)])),
+    latency_ms: { mean: round(mean(latency), 0), median: round(quantile(latency, 0.5), 0), p90: round(quantile(latency, 0.9), 0) },
+    cost_usd: { total: cost.length ? round(cost.reduce((a, b) => a + b, 0), 4) : null, mean: round(mean(cost), 4), priced_runs: cost.length },
+    coverage: {
+      recall: round(mean(nums(ok, 'coverage_recall')), 2),
+      precision: round(mean(nums(ok, 'coverage_precision')), 2),
+      n: nums(ok, 'coverage_recall').length,
+    },
+  };
+}
+
+// Summaries per model ({ [model]: summary }), and per model and case
+// ({ [model]: { [case_id]: summary } }). Nesting keeps each key part as
+// written, whatever characters a model name or case id contains.
+export function summarizeBatch(records) {
+  const group = (fields) => {
+    const out = {};
+    for (const r of records) {
+      const parents = fields.slice(0, -1).reduce((node, f) => (node[r[f]] ||= {}), out);
+      (parents[r[fields.at(-1)]] ||= []).push(r);
+    }
+    const summarizeAll = (node, depth) => Object.fromEntries(Object.entries(node).map(([k, v]) => [
+      k, depth === fields.length - 1 ? summarize(v) : summarizeAll(v, depth + 1),
+    ]));
+    return summarizeAll(out, 0);
+  };
+  return {
+    overall: summarize(records),
+    by_model: group(['model']),
+    by_model_case: group(['model', 'case_id']),
+  };
+}
+
+const cell = (v) => {
+  if (v === null || v === undefined) return '';
+  const s = String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+// CSV with a header row; `columns` defaults to the keys of the first row.
+export function toCsv(rows, columns = Object.keys(rows[0] || {})) {
+  return [columns.join(','), ...rows.map((r) => columns.map((c) => cell(r[c])).join(','))].join('\n') + '\n';
+}
+
+// Rows of a CSV file with a header row, as objects keyed by header; quoted
+// fields may contain commas, quotes ("") and newlines.
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const src = String(text).replace(/^\uFEFF/, '');
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') { row.push(field); field = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      if (row.some((f) => f !== '')) rows.push(row);
+      row = [];
+    } else field += ch;
+  }
+  row.push(field);
+  if (row.some((f) => f !== '')) rows.push(row);
+  const [header = [], ...body] = rows;
+  const cols = header.map((h) => h.trim());
+  return body.map((r) => Object.fromEntries(cols.map((c, i) => [c, (r[i] ?? '').trim()])));
+}
+
+// One CSV row per summary group of summarizeBatch, nested `keyNames.length`
+// deep: the key parts as columns, then the nested measures flattened.
+export function summaryRows(groups, keyNames) {
+  const entries = [];
+  const walk = (node, keys) => {
+    if (keys.length === keyNames.length) entries.push([keys, node]);
+    else for (const [k, child] of Object.entries(node)) walk(child, [...keys, k]);
+  };
+  walk(groups, []);
+  return entries.map(([keys, s]) => ({
+    ...Object.fromEntries(keys.map((v, i) => [keyNames[i], v])),
+    runs: s.runs, completed: s.completed, errors: s.errors,
+    acceptance_rate: s.acceptance_rate, board_acceptance_rate: s.board_acceptance_rate,
+    manager_override_rate: s.manager_override_rate, override_of_rejections: s.override_of_rejections,
+    stopped: s.stopped,
+    rounds_to_acceptance_mean: s.rounds_to_acceptance.mean, rounds_to_acceptance_median: s.rounds_to_acceptance.median,
+    ...Object.fromEntries(DOMAIN_KEYS.map((k) => [`${k}_mean`, s.domain_means[k]])),
+    ...Object.fromEntries(DOMAIN_KEYS.map((k) => [`${k}_sd`, s.domain_sd[k]])),
+    latency_ms_mean: s.latency_ms.mean, latency_ms_median: s.latency_ms.median, latency_ms_p90: s.latency_ms.p90,
+    cost_usd_total: s.cost_usd.total, cost_usd_mean: s.cost_usd.mean,
+    coverage_recall_mean: s.coverage.recall, coverage_precision_mean: s.coverage.precision,
+  }));
+}
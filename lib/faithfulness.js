@@ -0,0 +1,90 @@
+// lib/faithfulness.js — post-synthesis faithfulness check.
+// synthPrompt says "Do not introduce new clinical content" and "Preserve
+// uncertainty". This compares the final operative note against the accepted
+// plan it was synthesized from and reports what the note added (procedures,
+// vessels, flaps, numeric values, contingencies) or silently dropped
+// (Unknowns). Deterministic and deliberately conservative: it flags terms,
+// it does not judge clinical equivalence.
+//
+// Findings: { code, severity: 'error' | 'warning', term?, message }
+//   new_procedure, new_vessel, new_flap, new_numeric, new_contingency,
+//   dropped_unknown
+
+import { parseSections, findSection, listBlocks } from './markdown.js';
+import { bestMatch } from './text.js';
+
+// Reconstructive options by name and common abbreviation. Matched
+// case-insensitively on word boundaries.
+const FLAP_TERMS = [
+  'radial forearm', 'rfff', 'ulnar forearm', 'anterolateral thigh', 'alt', 'fibula', 'fibular',
+  'scapular', 'parascapular', 'scapular tip', 'subscapular', 'latissimus', 'serratus',
+  'rectus abdominis', 'diep', 'gracilis', 'tdap', 'medial sural', 'iliac crest', 'dcia',
+  'jejunal', 'jejunum', 'gastro-omental', 'pectoralis major', 'supraclavicular', 'submental',
+  'temporalis', 'nasolabial', 'famm', 'deltopectoral', 'lateral arm', 'omental',
+];
+
+const PROCEDURE_RE = /\b[a-z]+(?:ectomy|ectomies|otomy|ostomy|plasty|rrhaphy|pexy)\b|\b(?:neck dissection|skin graft|nerve graft|vein graft|cable graft|nerve transfer|free tissue transfer)\b/gi;
+const VESSEL_RE = /\b(?:(?:superior|inferior|external|internal|common|anterior|posterior|transverse|descending|ascending)\s+)?(?:facial|lingual|thyroid|carotid|jugular|cervical|temporal|mammary|thoracic|thoracodorsal|cephalic|subclavian|occipital|maxillary|radial|ulnar|peroneal|circumflex|acromial|thoracoacromial)\s+(?:artery|arteries|vein|veins|vessels?|pedicle)\b/gi;
+const NUMERIC_RE = /\b\d+(?:\.\d+)?(?:\s*[-–]\s*\d+(?:\.\d+)?)?\s*(?:mm|cm|ml|mL|hours?|hrs?|h|days?|weeks?|%|mg|units?)\b/g;
+
+const norm = (s) => String(s || '').toLowerCase().replace(/\s+/g, ' ').trim();
+const uniq = (arr) => [...new Set(arr)];
+
+function termsIn(text, re) {
+  return uniq((String(text || '').match(re) || []).map(norm));
+}
+
+function flapsIn(text) {
+  const t = norm(text);
+  return FLAP_TERMS.filter((f) => new RegExp(`\\b${f.replace(/[-]/g, '[- ]')}\\b`, 'i').test(t));
+}
+
+// Numbers compared on their digits and unit only ("1.5 cm" == "1.5cm").
+const numKey = (s) => norm(s).replace(/\s+/g, '').replace(/–/g, '-').replace(/hours?|hrs?/, 'h');
+
+// Accepted plan Markdown (planner Output_Contract) vs final note Markdown
+// (synth Output_Contract). Returns { ok, findings }; ok means no errors.
+export function verifySynthesis(planMd, noteMd) {
+  const findings = [];
+  const add = (code, severity, message, term) => findings.push({ code, severity, ...(term ? { term } : {}), message });
+  const plan = norm(planMd);
+
+  for (const p of termsIn(noteMd, PROCEDURE_RE)) {
+    if (!plan.includes(p)) add('new_procedure', 'error', `Procedure "${p}" appears in the note but not in the accepted plan.`, p);
+  }
+  for (const v of termsIn(noteMd, VESSEL_RE)) {
+    // Accept a bare "<name> artery/vein" if the plan names the same vessel
+    // with or without a qualifier, e.g. "common facial vein" vs "facial vein".
+    const core = v.split(' ').slice(-2).join(' ').replace(/arteries$/, 'artery').replace(/(vein|vessel)s$/, '$1');
+    if (!plan.includes(v) && !plan.includes(core)) add('new_vessel', 'error', `Vessel "${v}" appears in the note but not in the accepted plan.`, v);
+  }
+  const planFlaps = new Set(flapsIn(planMd));
+  for (const f of flapsIn(noteMd)) {
+    if (!planFlaps.has(f)) add('new_flap', 'error', `Flap or donor site "${f}" appears in the note but not in the accepted plan.`, f);
+  }
+  const planNums = new Set(termsIn(planMd, NUMERIC_RE).map(numKey));
+  for (const n of termsIn(noteMd, NUMERIC_RE)) {
+    if (!planNums.has(numKey(n))) add('new_numeric', 'warning', `Value "${n}" appears in the note but not in the accepted plan.`, n);
+  }
+
+  const planSecs = parseSections(planMd, 1);
+  const noteSecs = parseSections(noteMd, 2);
+
+  const planCont = listBlocks(findSection(planSecs, 'Key Contingencies')?.body);
+  const noteCont = listBlocks(findSection(noteSecs, 'Key Contingency Plans')?.body);
+  for (const c of noteCont) {
+    if (bestMatch(c, planCont).score < 0.25) {
+      add('new_contingency', 'error', `Contingency "${c.slice(0, 160)}" has no counterpart in the accepted plan.`);
+    }
+  }
+
+  const planUnk = listBlocks(findSection(planSecs, 'Unknowns')?.body);
+  const noteUnk = listBlocks(findSection(noteSecs, 'Unknowns')?.body);
+  for (const u of planUnk) {
+    if (bestMatch(u, noteUnk).score < 0.3) {
+      add('dropped_unknown', 'error', `Unknown "${u.slice(0, 160)}" from the accepted plan is missing from the note.`);
+    }
+  }
+
+  return { ok: !findings.some((f) => f.severity === 'error'), findings };
+}
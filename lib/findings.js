@@ -0,0 +1,83 @@
+// lib/findings.js — structured reviewer findings.
+// From prompt v2.1 the reviewer itemizes its concerns in a <Findings> tag: a
+// JSON array of { severity, domain, section, issue }. The manager stage and
+// the acceptance policy decide on these items instead of guessing severity
+// from the wording of the free-text comment.
+//
+//   severity  'critical' (could harm the patient if followed as written)
+//             | 'major' (domain mismatch, major omission, unsupported
+//             certainty) | 'minor' (anything else, including format)
+//   domain    thesis scoring domain 1-5, or null
+//   section   the plan section concerned, or null
+//   issue     what is wrong and what to change
+
+export const SEVERITIES = ['critical', 'major', 'minor'];
+
+// Findings kept per review; anything beyond is dropped.
+const MAX_FINDINGS = 20;
+
+const rank = (s) => SEVERITIES.indexOf(s);
+
+// Findings from one raw reviewer reply, most severe first. Returns null when
+// the reply has no <Findings> tag or its content is not a JSON array, so
+// callers can tell "no findings given" from "no concerns" ([]). A severity
+// the reviewer made up counts as major rather than being waved through.
+export function parseFindings(raw) {
+  const m = String(raw || '').match(/<Findings>([\s\S]*?)<\/Findings>/i);
+  if (!m) return null;
+  let list;
+  try { list = JSON.parse(m[1].trim() || '[]'); } catch { return null; }
+  if (!Array.isArray(list)) return null;
+  return list
+    .filter((f) => f && typeof f === 'object' && String(f.issue || '').trim())
+    .slice(0, MAX_FINDINGS)
+    .map((f) => {
+      const severity = String(f.severity || '').trim().toLowerCase();
+      const domain = parseInt(f.domain, 10);
+      return {
+        severity: SEVERITIES.includes(severity) ? severity : 'major',
+        domain: domain >= 1 && domain <= 5 ? domain : null,
+        section: String(f.section || '').trim() || null,
+        issue: String(f.issue).trim(),
+      };
+    })
+    .sort((a, b) => rank(a.severity) - rank(b.severity));
+}
+
+// The most severe severity present, or null for no findings.
+export function worstSeverity(findings) {
+  if (!Array.isArray(findings) || !findings.length) return null;
+  return SEVERITIES[Math.min(...findings.map((f) => rank(f.severity)))];
+}
+
+// Findings at `severity` or worse.
+export function findingsAtLeast(findings, severity) {
+  if (!Array.isArray(findings)) return [];
+  return findings.filter((f) => rank(f.severity) <= rank(severity));
+}
+
+// Findings from several sources (the reviewer, the safety rules) as one
+// list, most severe first; null when every source gave none.
+export function mergeFindings(...lists) {
+  if (lists.every((l) => !Array.isArray(l))) return null;
+  return lists.filter(Array.isArray).flat().sort((a, b) => rank(a.severity) - rank(b.severity));
+}
+
+// { critical, major, minor } counts.
+export function countFindings(findings) {
+  const out = { critical: 0, major: 0, minor: 0 };
+  for (const f of findings || []) out[f.severity]++;
+  return out;
+}
+
+// One line per finding, e.g.
+// "- [major] Operative Plan (domain 2): No recipient vessel named."
+// Panel findings carry the member's label, safety rule findings the rule id.
+export function formatFindings(findings) {
+  return (findings || []).map((f) => {
+    const where = [f.section, f.domain ? `domain ${f.domain}` : null].filter(Boolean);
+    const source = f.reviewer ? `${f.reviewer.label} ` : f.rule ? `Safety rule ${f.rule} ` : '';
+    const head = `${source}[${f.severity}]`;
+    return `- ${head}${where.length ? ` ${where[0]}${where[1] ? ` (${where[1]})` : ''}` : ''}: ${f.issue}`;
+  }).join('\n');
+}
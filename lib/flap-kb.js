@@ -0,0 +1,400 @@
+// lib/flap-kb.js — local knowledge base of reconstructive options.
+// Reviewer domain 5 asks whether the plan "did not mention therapeutic
+// options that do not exist"; without a reference that is one model checking
+// another. This table lists the options head and neck reconstruction draws
+// on, with their tissue components, pedicle, donor-site prerequisites and
+// typical indications. The pipeline names the options a draft chooses and
+// weighs against it (`options_done`, result `options`), and the reviewer
+// template gets the facts for those options and the names it could not
+// place (v2.3). Like the other checks this matches terms: an option missing
+// here is unrecognized, not fabricated.
+//
+// FLAP_KB_VERSION changes whenever an entry does, and is reported with every
+// check so a run can be traced to the reference it was held to.
+//
+// Entry: { id, name, aliases, transfer, tissues, pedicle, prerequisites, indications }
+//   aliases    names and abbreviations, matched case-insensitively as words
+//   transfer   'free' | 'pedicled' | 'free or pedicled' | 'local' | 'graft' | 'other'
+//   tissues    components the option can carry
+//   pedicle    { artery, veins?, length } or null
+
+import { parseSections, findSection, listBlocks } from './markdown.js';
+
+export const FLAP_KB_VERSION = '2026.10';
+
+export const FLAP_KB = [
+  /* ---------------- Free flaps: soft tissue ---------------- */
+  {
+    id: 'rfff', name: 'Radial forearm free flap',
+    aliases: ['radial forearm', 'rfff', 'radial forearm free flap', 'osteocutaneous radial forearm', 'chinese flap'],
+    transfer: 'free',
+    tissues: ['skin', 'fascia', 'bone (partial radius, optional)', 'tendon (palmaris longus, optional)', 'sensory nerve (lateral antebrachial cutaneous)'],
+    pedicle: { artery: 'radial artery', veins: 'venae comitantes and/or cephalic vein', length: 'up to 20 cm' },
+    prerequisites: ['Normal Allen test (hand perfused by the ulnar artery)', 'Usually the non-dominant arm, free of prior cannulation'],
+    indications: ['Thin, pliable lining: partial glossectomy, floor of mouth, buccal mucosa, palate', 'Tubed for partial pharyngeal defects'],
+  },
+  {
+    id: 'ulnar_forearm', name: 'Ulnar forearm free flap',
+    aliases: ['ulnar forearm', 'ulnar artery forearm'],
+    transfer: 'free',
+    tissues: ['skin', 'fascia'],
+    pedicle: { artery: 'ulnar artery', veins: 'venae comitantes and/or basilic vein', length: '10-15 cm' },
+    prerequisites: ['Normal reverse Allen test (hand perfused by the radial artery)'],
+    indications: ['Thin lining as for the radial forearm, with a less hairy donor site'],
+  },
+  {
+    id: 'alt', name: 'Anterolateral thigh flap',
+    aliases: ['anterolateral thigh', 'alt', 'altf', 'alt flap', 'vastus lateralis'],
+    transfer: 'free or pedicled',
+    tissues: ['skin', 'subcutaneous fat', 'fascia lata', 'vastus lateralis muscle (chimeric)', 'motor nerve to vastus lateralis'],
+    pedicle: { artery: 'descending branch of the lateral circumflex femoral artery', veins: 'venae comitantes', length: '8-16 cm' },
+    prerequisites: ['Perforator mapping (handheld Doppler or CT angiography)', 'Thigh thickness acceptable for the defect (may need thinning in obese patients)'],
+    indications: ['Bulky soft-tissue defects: subtotal or total glossectomy, through-and-through cheek, skull base, pharyngolaryngectomy'],
+  },
+  {
+    id: 'lateral_arm', name: 'Lateral arm flap',
+    aliases: ['lateral arm'],
+    transfer: 'free',
+    tissues: ['skin', 'fascia', 'bone (humerus, optional)', 'sensory nerve (posterior cutaneous nerve of the arm)'],
+    pedicle: { artery: 'posterior radial collateral artery', veins: 'venae comitantes', length: '6-8 cm' },
+    prerequisites: ['Arm girth acceptable for primary donor closure'],
+    indications: ['Thin to moderate lining when the forearm is unavailable'],
+  },
+  {
+    id: 'msap', name: 'Medial sural artery perforator flap',
+    aliases: ['medial sural', 'msap', 'medial sural artery perforator'],
+    transfer: 'free',
+    tissues: ['skin', 'fascia', 'gastrocnemius muscle (chimeric, optional)'],
+    pedicle: { artery: 'medial sural artery', veins: 'venae comitantes', length: '9-15 cm' },
+    prerequisites: ['Perforator mapping; perforator anatomy is variable'],
+    indications: ['Thin lining for oral cavity defects, as an alternative to the radial forearm'],
+  },
+  {
+    id: 'tdap', name: 'Thoracodorsal artery perforator flap',
+    aliases: ['thoracodorsal artery perforator', 'tdap'],
+    transfer: 'free or pedicled',
+    tissues: ['skin', 'subcutaneous fat'],
+    pedicle: { artery: 'thoracodorsal artery perforator', veins: 'venae comitantes', length: '14-18 cm' },
+    prerequisites: ['Perforator mapping', 'Lateral decubitus positioning or repositioning'],
+    indications: ['Large, thin to moderate skin defects sparing the latissimus muscle'],
+  },
+  {
+    id: 'latissimus', name: 'Latissimus dorsi flap',
+    aliases: ['latissimus', 'latissimus dorsi', 'ld flap'],
+    transfer: 'free or pedicled',
+    tissues: ['muscle', 'skin (optional)'],
+    pedicle: { artery: 'thoracodorsal artery', veins: 'thoracodorsal vein', length: '8-12 cm' },
+    prerequisites: ['Intact thoracodorsal pedicle (no prior axillary dissection dividing it)', 'Repositioning for harvest'],
+    indications: ['Very large defects: scalp, skull base, extensive neck or chest wall coverage'],
+  },
+  {
+    id: 'rectus', name: 'Rectus abdominis flap',
+    aliases: ['rectus abdominis', 'rectus', 'vram', 'tram', 'diep'],
+    transfer: 'free or pedicled',
+    tissues: ['muscle', 'skin and fat (optional)'],
+    pedicle: { artery: 'deep inferior epigastric artery', veins: 'venae comitantes', length: '8-10 cm' },
+    prerequisites: ['No prior abdominal surgery dividing the epigastric vessels', 'Abdominal wall closure (mesh if needed)'],
+    indications: ['Bulky volume: total glossectomy, orbitomaxillectomy, skull base'],
+  },
+  {
+    id: 'gracilis', name: 'Gracilis flap',
+    aliases: ['gracilis'],
+    transfer: 'free',
+    tissues: ['muscle', 'motor nerve (anterior branch of the obturator nerve)', 'skin (optional, unreliable)'],
+    pedicle: { artery: 'adductor branch of the medial circumflex femoral artery', veins: 'venae comitantes', length: '6-8 cm' },
+    prerequisites: ['A recipient motor nerve for functional transfer'],
+    indications: ['Dynamic facial reanimation', 'Small volume muscle fill'],
+  },
+  {
+    id: 'jejunum', name: 'Free jejunal flap',
+    aliases: ['jejunal', 'jejunum', 'free jejunal'],
+    transfer: 'free',
+    tissues: ['bowel (jejunal segment)', 'mesentery'],
+    pedicle: { artery: 'jejunal branch of the superior mesenteric artery', veins: 'jejunal vein', length: '4-6 cm' },
+    prerequisites: ['Fit for laparotomy or laparoscopy'],
+    indications: ['Circumferential pharyngoesophageal defects after total laryngopharyngectomy'],
+  },
+  {
+    id: 'gastro_omental', name: 'Gastro-omental flap',
+    aliases: ['gastro-omental', 'gastroomental', 'omental', 'omentum'],
+    transfer: 'free',
+    tissues: ['omentum', 'gastric wall (optional)'],
+    pedicle: { artery: 'right gastroepiploic artery', veins: 'right gastroepiploic vein', length: '10-15 cm' },
+    prerequisites: ['Fit for laparotomy or laparoscopy'],
+    indications: ['Pharyngeal defects with contour needs', 'Coverage of exposed vessels or skull base'],
+  },
+
+  /* ---------------- Free flaps: bone ---------------- */
+  {
+    id: 'fibula', name: 'Fibula free flap',
+    aliases: ['fibula', 'fibular', 'fibula free flap', 'osteocutaneous fibula', 'fff'],
+    transfer: 'free',
+    tissues: ['bone (up to 22-25 cm)', 'skin (septocutaneous perforators)', 'flexor hallucis longus or soleus muscle (optional)'],
+    pedicle: { artery: 'peroneal artery', veins: 'venae comitantes', length: '6-8 cm (longer with proximal bone discarded)' },
+    prerequisites: ['Lower-limb vascular assessment showing three-vessel runoff (no peronea arteria magna)', 'No significant peripheral vascular disease of the donor leg'],
+    indications: ['Segmental mandibular defects', 'Maxillary defects needing bone', 'Dental implant rehabilitation'],
+  },
+  {
+    id: 'dcia', name: 'Deep circumflex iliac artery (iliac crest) flap',
+    aliases: ['dcia', 'iliac crest', 'deep circumflex iliac', 'iliac'],
+    transfer: 'free',
+    tissues: ['bone (iliac crest)', 'internal oblique muscle (optional)', 'skin (optional, bulky)'],
+    pedicle: { artery: 'deep circumflex iliac artery', veins: 'deep circumflex iliac vein', length: '5-7 cm' },
+    prerequisites: ['No prior surgery at the donor iliac crest', 'Counselling on hernia and gait morbidity'],
+    indications: ['Mandibular defects needing bone height for implants', 'Maxillary reconstruction with internal oblique for the palate'],
+  },
+  {
+    id: 'scapula', name: 'Scapular / parascapular flap',
+    aliases: ['scapular', 'parascapular', 'scapula', 'lateral scapular border', 'subscapular system'],
+    transfer: 'free',
+    tissues: ['bone (lateral scapular border)', 'skin (scapular or parascapular paddle)', 'chimeric muscle (latissimus, serratus, teres major)'],
+    pedicle: { artery: 'circumflex scapular artery (subscapular system)', veins: 'venae comitantes', length: '4-6 cm, 10-14 cm with the subscapular trunk' },
+    prerequisites: ['Lateral decubitus positioning or repositioning'],
+    indications: ['Composite defects needing separate bone and soft-tissue components', 'Patients whose legs are unsuitable for a fibula'],
+  },
+  {
+    id: 'scapular_tip', name: 'Scapular tip flap',
+    aliases: ['scapular tip', 'angular branch', 'tip of scapula'],
+    transfer: 'free',
+    tissues: ['bone (scapular tip)', 'chimeric latissimus or serratus muscle'],
+    pedicle: { artery: 'angular branch of the thoracodorsal artery', veins: 'venae comitantes', length: 'up to 15 cm' },
+    prerequisites: ['Lateral decubitus positioning or repositioning'],
+    indications: ['Palatomaxillary defects', 'Older patients or peripheral vascular disease, where a fibula is unsuitable'],
+  },
+  {
+    id: 'serratus', name: 'Serratus anterior flap',
+    aliases: ['serratus', 'serratus anterior'],
+    transfer: 'free or pedicled',
+    tissues: ['muscle', 'rib (optional)'],
+    pedicle: { artery: 'serratus branch of the thoracodorsal artery', veins: 'venae comitantes', length: '10-15 cm' },
+    prerequisites: ['Preserve the upper slips to avoid scapular winging'],
+    indications: ['Thin muscle coverage', 'Chimeric component of subscapular system flaps'],
+  },
+
+  /* ---------------- Pedicled and local flaps ---------------- */
+  {
+    id: 'pectoralis', name: 'Pectoralis major flap',
+    aliases: ['pectoralis major', 'pectoralis', 'pmmc', 'pmm', 'pec major'],
+    transfer: 'pedicled',
+    tissues: ['muscle', 'skin (optional)'],
+    pedicle: { artery: 'pectoral branch of the thoracoacromial artery', length: 'reaches the oral cavity and lower face' },
+    prerequisites: ['Intact thoracoacromial pedicle'],
+    indications: ['Salvage and vessel-depleted necks', 'Carotid coverage', 'Patients unfit for free tissue transfer'],
+  },
+  {
+    id: 'supraclavicular', name: 'Supraclavicular artery island flap',
+    aliases: ['supraclavicular', 'sais', 'supraclavicular artery island'],
+    transfer: 'pedicled',
+    tissues: ['skin', 'fascia'],
+    pedicle: { artery: 'supraclavicular branch of the transverse cervical artery' },
+    prerequisites: ['Transverse cervical vessels intact (check after level V dissection)'],
+    indications: ['Neck, lower face, pharyngeal and parotid defects without microsurgery'],
+  },
+  {
+    id: 'submental', name: 'Submental island flap',
+    aliases: ['submental', 'submental island'],
+    transfer: 'pedicled',
+    tissues: ['skin', 'platysma', 'anterior digastric (optional)'],
+    pedicle: { artery: 'submental artery (facial artery branch)' },
+    prerequisites: ['Oncologic clearance of level I nodes', 'Facial artery intact'],
+    indications: ['Small to moderate oral cavity and lower face defects'],
+  },
+  {
+    id: 'deltopectoral', name: 'Deltopectoral flap',
+    aliases: ['deltopectoral', 'bakamjian'],
+    transfer: 'pedicled',
+    tissues: ['skin', 'fascia'],
+    pedicle: { artery: 'internal mammary artery perforators (2nd-4th)' },
+    prerequisites: ['Often staged, with delayed pedicle division'],
+    indications: ['Neck skin and pharyngocutaneous fistula coverage'],
+  },
+  {
+    id: 'temporalis', name: 'Temporalis flap',
+    aliases: ['temporalis', 'temporoparietal', 'tpf'],
+    transfer: 'pedicled',
+    tissues: ['muscle', 'fascia (temporoparietal, optional)'],
+    pedicle: { artery: 'deep temporal arteries (temporalis) / superficial temporal artery (temporoparietal fascia)' },
+    prerequisites: ['Temporal vessels intact'],
+    indications: ['Palatal and maxillary defects', 'Orbital and skull base coverage'],
+  },
+  {
+    id: 'trapezius', name: 'Lower trapezius flap',
+    aliases: ['trapezius', 'lower trapezius'],
+    transfer: 'pedicled',
+    tissues: ['muscle', 'skin (optional)'],
+    pedicle: { artery: 'dorsal scapular or transverse cervical artery' },
+    prerequisites: ['Transverse cervical or dorsal scapular vessels intact'],
+    indications: ['Posterior neck, occipital and posterior skull base defects'],
+  },
+  {
+    id: 'nasolabial', name: 'Nasolabial flap',
+    aliases: ['nasolabial'],
+    transfer: 'local',
+    tissues: ['skin', 'subcutaneous fat'],
+    pedicle: { artery: 'facial or angular artery perforators' },
+    prerequisites: ['Adequate nasolabial skin laxity'],
+    indications: ['Small anterior floor of mouth, lip and nasal defects'],
+  },
+  {
+    id: 'famm', name: 'Facial artery musculomucosal flap',
+    aliases: ['famm', 'facial artery musculomucosal'],
+    transfer: 'local',
+    tissues: ['mucosa', 'buccinator muscle'],
+    pedicle: { artery: 'facial artery' },
+    prerequisites: ['Facial artery intact (not ligated in neck dissection)'],
+    indications: ['Small palatal, floor of mouth, alveolar and lip defects'],
+  },
+  {
+    id: 'buccal_fat', name: 'Buccal fat pad flap',
+    aliases: ['buccal fat', 'buccal fat pad'],
+    transfer: 'local',
+    tissues: ['fat'],
+    pedicle: null,
+    prerequisites: [],
+    indications: ['Small posterior maxillary and palatal defects', 'Oroantral fistula closure'],
+  },
+  {
+    id: 'local_flap', name: 'Local skin flap',
+    aliases: ['advancement flap', 'rotation flap', 'transposition flap', 'rhomboid flap', 'bilobed flap', 'v-y advancement', 'cervicofacial', 'forehead flap', 'paramedian forehead', 'abbe', 'estlander', 'karapandzic'],
+    transfer: 'local',
+    tissues: ['skin', 'subcutaneous fat', 'muscle (lip switch flaps)'],
+    pedicle: null,
+    prerequisites: ['Adjacent tissue lax and outside the radiation field where possible'],
+    indications: ['Small cutaneous and lip defects'],
+  },
+
+  /* ---------------- Grafts, closure and prosthetics ---------------- */
+  {
+    id: 'primary_closure', name: 'Primary closure',
+    aliases: ['primary closure', 'closed primarily', 'primarily closed', 'primary repair'],
+    transfer: 'other',
+    tissues: [],
+    pedicle: null,
+    prerequisites: ['Closure without tethering (e.g. tongue mobility) or tension'],
+    indications: ['Small defects'],
+  },
+  {
+    id: 'secondary_intention', name: 'Healing by secondary intention',
+    aliases: ['secondary intention', 'heal secondarily', 'healing by secondary'],
+    transfer: 'other',
+    tissues: [],
+    pedicle: null,
+    prerequisites: [],
+    indications: ['Small, shallow mucosal or concave skin defects'],
+  },
+  {
+    id: 'skin_graft', name: 'Skin graft',
+    aliases: ['skin graft', 'stsg', 'ftsg', 'split-thickness skin graft', 'split thickness skin graft', 'full-thickness skin graft', 'full thickness skin graft', 'dermal substitute', 'integra'],
+    transfer: 'graft',
+    tissues: ['skin'],
+    pedicle: null,
+    prerequisites: ['Vascularized wound bed (not bare bone, cartilage or irradiated tissue without periosteum)'],
+    indications: ['Superficial mucosal and cutaneous defects'],
+  },
+  {
+    id: 'bone_graft', name: 'Non-vascularized bone graft',
+    aliases: ['non-vascularized bone graft', 'nonvascularized bone graft', 'bone graft', 'iliac crest bone graft'],
+    transfer: 'graft',
+    tissues: ['bone'],
+    pedicle: null,
+    prerequisites: ['Short gap (under about 6 cm), well-vascularized non-irradiated bed'],
+    indications: ['Short mandibular defects in non-irradiated fields'],
+  },
+  {
+    id: 'plate', name: 'Reconstruction plate',
+    aliases: ['reconstruction plate', 'bridging plate', 'recon plate', 'titanium plate'],
+    transfer: 'other',
+    tissues: ['hardware'],
+    pedicle: null,
+    prerequisites: ['Soft-tissue coverage of the plate (high exposure rate in anterior defects)'],
+    indications: ['Lateral segmental mandibular defects in patients unfit for bony free flaps', 'Fixation of bony flaps'],
+  },
+  {
+    id: 'obturator', name: 'Obturator prosthesis',
+    aliases: ['obturator', 'obturator prosthesis', 'prosthetic obturation', 'palatal prosthesis'],
+    transfer: 'other',
+    tissues: [],
+    pedicle: null,
+    prerequisites: ['Retention: remaining teeth or implants'],
+    indications: ['Maxillectomy and palatal defects, especially where surveillance of the cavity is wanted'],
+  },
+];
+
+// Option names are matched as words, with a hyphen and a space treated alike.
+const aliasRe = (a) => new RegExp(`(?<![\\w-])${a.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/[- ]/g, '[- ]')}(?![\\w-])`, 'gi');
+const ALIASES = FLAP_KB
+  .flatMap((e) => e.aliases.map((a) => ({ id: e.id, re: aliasRe(a) })));
+
+// KB entries named in `text`, in order of first mention. Where aliases
+// overlap the longest match wins ("scapular tip" over "scapular").
+export function findOptions(text) {
+  const s = String(text || '');
+  const spans = [];
+  for (const { id, re } of ALIASES) {
+    re.lastIndex = 0;
+    for (let m; (m = re.exec(s));) spans.push({ id, start: m.index, end: m.index + m[0].length });
+  }
+  const kept = [];
+  for (const sp of spans.sort((a, b) => (b.end - b.start) - (a.end - a.start))) {
+    if (!kept.some((k) => k.start < sp.end && sp.start < k.end)) kept.push(sp);
+  }
+  return [...new Set(kept.sort((a, b) => a.start - b.start).map((k) => k.id))]
+    .map((id) => FLAP_KB.find((e) => e.id === id));
+}
+
+// An entry that names a flap the KB does not know: the words right before
+// "flap", back to the first word that is not part of a name ("a", "free").
+const FLAP_WORD = /\bflaps?\b/i;
+const NOT_NAME = /^(the|a|an|this|that|its|their|free|pedicled|local|regional|any|no|one|second|backup|back-up|of|with|or|and|if|then|use|using|raise|raised|harvest|via|by|for|as|to|into|is|was|be|either|each)$/i;
+
+function unnamedFlap(item) {
+  const m = FLAP_WORD.exec(item);
+  if (!m) return null;
+  const before = item.slice(0, m.index).trim().split(/\s+/).filter(Boolean);
+  const name = [];
+  while (before.length && name.length < 4) {
+    const raw = before.pop();
+    const w = raw.replace(/^[^\w]+|[^\w-]+$/g, '');
+    if (!w || NOT_NAME.test(w) || /[.:;,]$/.test(raw)) break;
+    name.unshift(w);
+  }
+  return name.length ? `${name.join(' ')} flap` : null;
+}
+
+const OPTION_SECTIONS = ['Primary Reconstructive Plan', 'Alternatives Considered'];
+
+// Options a plan names where it chooses and weighs them. Returns
+//   { kb_version, named: [{ section, id, name }],
+//     unrecognized: [{ section, text }] }
+// An entry (list item, else sentence) that names no known option but does
+// name a flap is reported as unrecognized.
+export function checkOptions(planMd) {
+  const sections = parseSections(planMd, 1);
+  const named = [];
+  const unrecognized = [];
+  for (const title of OPTION_SECTIONS) {
+    const body = findSection(sections, title)?.body || '';
+    const items = listBlocks(body);
+    for (const item of items.length ? items : body.split(/\n+|(?<=\.)\s+/)) {
+      const found = findOptions(item);
+      for (const e of found) {
+        if (!named.some((n) => n.section === title && n.id === e.id)) named.push({ section: title, id: e.id, name: e.name });
+      }
+      const phrase = found.length ? null : unnamedFlap(item);
+      if (phrase) unrecognized.push({ section: title, text: phrase });
+    }
+  }
+  return { kb_version: FLAP_KB_VERSION, named, unrecognized };
+}
+
+// Reference lines for the reviewer, one per entry:
+// "- Fibula free flap (free): bone (up to 22-25 cm), ... Pedicle: ... Requires: ... Typical use: ..."
+export function referenceFacts(entries) {
+  return (entries || []).map((e) => {
+    const parts = [`- ${e.name} (${e.transfer})${e.tissues.length ? `: ${e.tissues.join(', ')}.` : '.'}`];
+    if (e.pedicle) parts.push(`Pedicle: ${e.pedicle.artery}${e.pedicle.veins ? `, ${e.pedicle.veins}` : ''}${e.pedicle.length ? `, ${e.pedicle.length}` : ''}.`);
+    if (e.prerequisites.length) parts.push(`Requires: ${e.prerequisites.join('; ')}.`);
+    if (e.indications.length) parts.push(`Typical use: ${e.indications.join('; ')}.`);
+    return parts.join(' ');
+  }).join('\n');
+}
@@ -0,0 +1,253 @@
+// lib/intake.js — structured case intake.
+// Reads the fields reconstruction planning turns on out of the free-text
+// case, without a model call, and flags the ones the case leaves out. The
+// pipeline runs it before the first draft (`intake_done`, result `intake`),
+// the planner template gets the fields and the gaps (v2.2), and /intake
+// returns it on its own so the UI can check a case before it is sent.
+//
+// Intake: { fields, missing: [{ field, label, why }], complete }
+// fields (null when the case does not say):
+//   age                  years
+//   sex                  'male' | 'female'
+//   site                 primary site, e.g. 'oral tongue'
+//   bone_involved        true when the defect involves bone
+//   malignant            true for a tumor case
+//   tnm                  { t, n, m, text }; m is null when the stage leaves it out
+//   depth_of_invasion_mm number
+//   nodal_status         'N1' etc. from the stage, else 'negative' | 'positive'
+//   prior_radiation      true | false
+//   prior_surgery        true | false
+//   comorbidities        ['diabetes', ...]; [] when the case says there are none
+//   vessels              the case's statement on recipient vessels
+//   allen_test           'normal' | 'abnormal' | 'not performed' | 'stated'
+//   leg_angiography      same values, for lower-limb vascular imaging
+
+// Clauses: sentences and list items, split again at semicolons, so a
+// negation only reaches the finding it was written about.
+const clauses = (text) => String(text || '')
+  .split(/(?<=[.!?])\s+|\n+|;\s*/)
+  .map((c) => c.replace(/^\s*[-*•]\s*/, '').trim())
+  .filter(Boolean);
+
+const NEGATED = /\b(no|not|never|without|denies|denied|negative for|naive)\b/i;
+const FUTURE = /\b(adjuvant|postoperative|post-operative|planned|will|candidate for)\b/i;
+const PRIOR = /\b(prior|previous(ly)?|history of|earlier|status post|s\/p|recurrent|multiple)\b/i;
+
+// Primary sites, most specific first; the earliest mention in the case wins.
+const SITES = [
+  ['tongue base', /\b(tongue base|base of (the )?tongue)\b/i],
+  ['oral tongue', /\b(oral |lateral |ventral )?tongue\b|\bglossectomy\b/i],
+  ['floor of mouth', /\bfloor of (the )?mouth\b/i],
+  ['buccal mucosa', /\bbuccal\b/i],
+  ['retromolar trigone', /\bretromolar\b/i],
+  ['lip', /\blips?\b/i],
+  ['palate', /\bpalat(e|al)\b/i],
+  ['gingiva / alveolus', /\b(gingiva|alveol(ar|us))\b/i],
+  ['mandible', /\bmandib(le|ular)\b/i],
+  ['maxilla', /\bmaxill(a|ary)\b/i],
+  ['oropharynx', /\b(oropharyn\w*|tonsil\w*)\b/i],
+  ['hypopharynx', /\b(hypopharyn\w*|pyriform|piriform|post-?cricoid)\b/i],
+  ['larynx', /\blaryn(x|geal)\b/i],
+  ['parotid', /\bparotid\b/i],
+  ['orbit', /\borbit(al)?\b/i],
+  ['nose', /\b(nose|nasal)\b/i],
+  ['scalp', /\bscalp\b/i],
+];
+// Only when no anatomic site is named ("cutaneous malignancy of the scalp").
+const SKIN = /\b(cutaneous|skin)\b/i;
+const ORAL_CAVITY = ['oral tongue', 'floor of mouth', 'buccal mucosa', 'retromolar trigone', 'lip', 'gingiva / alveolus'];
+
+// Erosion and segmental resection count only when they are of bone: "mucosal
+// erosion" or a segmental resection of the tongue is not.
+const BONE = /\b(cortical|medullary|bone invasion|mandibulectomy|maxillectomy|calvari\w*|outer[- ]table|osteoradionecrosis)\b|\b(mandib|maxill)\w*\b[^.]{0,40}\b(invasion|involvement|involved)\b|\b(bone|bony|mandibular|maxillary|calvarial) erosion\b|\b(erosion|erodes|eroding|eroded)\b[^.;,]{0,30}\b(bone|cortex|mandib\w*|maxill\w*|orbital|palat\w*|skull|calvari\w*)/i;
+const MALIGNANT = /\b(carcinoma|malignan\w*|cancer|tumou?r|scc|melanoma|sarcoma|neoplasm)\b/i;
+
+const COMORBIDITIES = [
+  ['smoking', /\bsmok(er|ing)\b|\bpack[- ]years?\b/i],
+  ['alcohol use', /\balcohol\b/i],
+  ['hypertension', /\bhypertensi(on|ve)\b/i],
+  ['diabetes', /\bdiabet(es|ic)\b/i],
+  ['coronary artery disease', /\b(coronary|cad|myocardial infarction|angina)\b/i],
+  ['atrial fibrillation', /\batrial fibrillation\b|\bafib\b/i],
+  ['anticoagulation', /\banticoagula\w*\b|\bwarfarin\b|\bapixaban\b|\brivaroxaban\b/i],
+  ['peripheral vascular disease', /\b(peripheral (arterial|vascular) disease|pvd|pad|claudication)\b/i],
+  ['COPD', /\b(copd|emphysema)\b/i],
+  ['renal disease', /\b(renal|kidney) (disease|failure|impairment)\b|\bckd\b|\bdialysis\b/i],
+  ['obesity', /\bobes(e|ity)\b|\bbmi\b/i],
+  ['malnutrition', /\bmalnourish\w*\b|\bmalnutrition\b|\bweight loss\b|\bcachexi\w*\b/i],
+  ['immunosuppression', /\bimmunosuppress\w*\b|\btransplant\b|\bsteroids?\b/i],
+];
+const NO_COMORBIDITY = /\b(no (significant |relevant |major )?(comorbid\w*|medical history)|otherwise (fit|healthy|well)|no past medical history)\b/i;
+
+const RADIATION = /\b(radiation|radiotherapy|irradiat\w*|chemoradi\w*|xrt|imrt)\b/i;
+const SURGERY = /\b(surgery|surgeries|resection|resections|resected|neck dissection|excision|operated|operation)\b/i;
+const VESSELS = /\b(vessel[- ]depleted|recipient vessels?|facial (artery|vein)|superior thyroid|transverse cervical|external jugular|internal jugular|neck vessels?|carotid)\b/i;
+const ALLEN = /\ballen'?s? test\b/i;
+const LEG_IMAGING = /\b(angiogra\w*|cta|ct angio\w*|mra|run-?off|doppler|duplex)\b/i;
+const LEG = /\b(legs?|lower[- ](limb|extremit\w*)|fibula\w*|peroneal|popliteal|pedal)\b/i;
+
+// Why each field matters, for the fields flagged when missing.
+const FIELDS = {
+  age: ['Age', 'Frames operative risk and the choice between free and regional flaps.'],
+  site: ['Primary site', 'Defines the defect and the tissues the reconstruction has to replace.'],
+  tnm: ['TNM stage', 'Sets the extent of resection and whether the neck is treated.'],
+  depth_of_invasion_mm: ['Depth of invasion', 'Drives resection depth, neck management and the bulk the flap must restore.'],
+  nodal_status: ['Nodal status', 'Decides neck dissection, which affects recipient vessel access.'],
+  prior_radiation: ['Prior radiation', 'Irradiated tissue and vessels change flap choice, recipient vessels and healing.'],
+  prior_surgery: ['Prior surgery', 'Earlier resections or neck dissections may have used or scarred the recipient vessels.'],
+  comorbidities: ['Comorbidities', 'Vascular risk factors and fitness bear on free-flap candidacy and donor choice.'],
+  vessels: ['Recipient vessel status', 'A free flap needs named, usable recipient vessels; a depleted neck changes the plan.'],
+  allen_test: ['Allen test', 'Confirms the hand survives on the ulnar artery before a radial forearm flap is raised.'],
+  leg_angiography: ['Lower-limb angiography', 'Confirms three-vessel runoff before a fibula flap is raised.'],
+};
+
+function firstMatch(text, table) {
+  let best = null;
+  for (const [name, re] of table) {
+    const m = re.exec(text);
+    if (m && (!best || m.index < best.index)) best = { name, index: m.index };
+  }
+  return best?.name || null;
+}
+
+// Whether a clause mentions `re` without a negation before it.
+const asserted = (list, re) => list.some((c) => {
+  const m = re.exec(c);
+  return m && !NEGATED.test(c.slice(0, m.index));
+});
+
+// true / false / null for a history item (radiation, surgery): true when any
+// clause states it, false when the case only denies it. Treatment planned
+// after this operation is not history.
+function history(list, term, needsPrior) {
+  let found = null;
+  for (const c of list) {
+    if (!term.test(c)) continue;
+    if (NEGATED.test(c.slice(0, c.search(term)))) { found = found ?? false; continue; }
+    if (FUTURE.test(c)) continue;
+    if (!needsPrior || PRIOR.test(c)) found = true;
+  }
+  return found;
+}
+
+// Result of a named test from the clause that mentions it.
+function testResult(c) {
+  if (!c) return null;
+  if (/\bnot (been )?(done|performed|assessed|obtained|available)\b|\bpending\b/i.test(c)) return 'not performed';
+  if (/\b(abnormal|absent|poor|delayed|occlu\w*|stenos\w*|single[- ]vessel|diseased)\b/i.test(c)) return 'abnormal';
+  if (/\b(normal|patent|intact|adequate|three[- ]vessel|triphasic|good)\b/i.test(c)) return 'normal';
+  return 'stated';
+}
+
+// "cT3 N1 M0", "T2N0", "pT4a, N2b": T and N, and M when given.
+function parseTnm(text) {
+  const m = String(text).match(/\b[cpyr]{0,2}T([0-4][a-d]?|is|x)\s*,?\s*[cp]?N([0-3][a-c]?|x)(?:\s*,?\s*[cp]?M([01x]))?\b/i);
+  if (!m) return null;
+  return { t: `T${m[1].toLowerCase()}`, n: `N${m[2].toLowerCase()}`, m: m[3] ? `M${m[3].toLowerCase()}` : null, text: m[0] };
+}
+
+// An N category on its own, or run on after a T category ("T2N0").
+const N_STAGE = /(?:\b|(?<=T(?:[0-4][a-d]?|is|x)))[cp]?N([0-3][a-c]?)\b/;
+
+function parseNodal(list, tnm) {
+  if (tnm) return tnm.n;
+  for (const c of list) {
+    const m = N_STAGE.exec(c);
+    if (m) return `N${m[1]}`;
+  }
+  for (const c of list) {
+    if (/\bnode[- ]negative\b|\bno (palpable |clinical |radiologic |cervical )*(or (radiologic|clinical) )?(nodal|lymph node)/i.test(c)) return 'negative';
+    if (/\b(nodal disease|lymph nodes?|nodes?|lymphadenopathy)\b/i.test(c) && !NEGATED.test(c)) return 'positive';
+  }
+  return null;
+}
+
+// The structured intake for a case text.
+export function parseIntake(caseText) {
+  const text = String(caseText || '');
+  const list = clauses(text);
+
+  const ageMatch = text.match(/\b(\d{1,3})[- ]?(?:years?|yrs?|y)[- ]?(?:old|\/o|o)\b/i) || text.match(/\b(\d{1,3})\s?(?:[MF]|y\/?o)\b/);
+  const age = ageMatch ? Number(ageMatch[1]) : null;
+  const sex = /\b(woman|female|lady|girl)\b/i.test(text) || /\b\d{1,3}\s?(y\/?o\s)?F\b/.test(text) ? 'female'
+    : /\b(man|male|gentleman|boy)\b/i.test(text) || /\b\d{1,3}\s?(y\/?o\s)?M\b/.test(text) ? 'male' : null;
+
+  const tnm = parseTnm(text);
+  // "depth of invasion 12 mm", "DOI: 1.2 cm", "depth 8 mm", "8 mm depth of invasion"
+  const doi = text.match(/\b(?:depth(?: of invasion)?|doi)\b[^.\d]{0,20}(\d+(?:\.\d+)?)\s*(mm|cm)\b/i)
+    || text.match(/\b(\d+(?:\.\d+)?)\s*(mm|cm)\s+(?:depth of invasion|doi)\b/i);
+
+  let comorbidities = null;
+  for (const c of list) {
+    if (NO_COMORBIDITY.test(c)) comorbidities = comorbidities || [];
+    for (const [name, re] of COMORBIDITIES) {
+      const m = re.exec(c);
+      if (!m) continue;
+      // "non-smoker", "never smoked", "no diabetes"
+      if (/\b(non-?|never[- ])$/i.test(c.slice(0, m.index)) || NEGATED.test(c.slice(Math.max(0, m.index - 20), m.index))) {
+        comorbidities = comorbidities || [];
+        continue;
+      }
+      comorbidities = [...new Set([...(comorbidities || []), name])];
+    }
+  }
+
+  const vesselClause = list.find((c) => VESSELS.test(c));
+  const allenClause = list.find((c) => ALLEN.test(c));
+  const legClause = list.find((c) => LEG_IMAGING.test(c) && LEG.test(c));
+
+  const fields = {
+    age: age > 0 && age < 120 ? age : null,
+    sex,
+    site: firstMatch(text, SITES) || (SKIN.test(text) ? 'skin' : null),
+    bone_involved: asserted(list, BONE),
+    malignant: MALIGNANT.test(text),
+    tnm,
+    depth_of_invasion_mm: doi ? Number(doi[1]) * (doi[2].toLowerCase() === 'cm' ? 10 : 1) : null,
+    nodal_status: parseNodal(list, tnm),
+    prior_radiation: /\b(previously |prior )?irradiated\b/i.test(text) && !/\bnon-?irradiated\b/i.test(text) ? true : history(list, RADIATION, false),
+    prior_surgery: history(list, SURGERY, true),
+    comorbidities,
+    vessels: vesselClause || null,
+    allen_test: testResult(allenClause),
+    leg_angiography: testResult(legClause),
+  };
+  const missing = missingFields(fields);
+  return { fields, missing, complete: !missing.length };
+}
+
+// Fields that matter for this case and are not stated. Staging applies to
+// tumor cases, depth of invasion to the oral cavity, and the donor-site test
+// to the likely donor: the fibula for a bony defect, else the radial forearm.
+function missingFields(f) {
+  const wanted = ['age', 'site', 'prior_radiation', 'prior_surgery', 'comorbidities', 'vessels'];
+  if (f.malignant) wanted.splice(2, 0, 'tnm', 'nodal_status');
+  if (f.malignant && ORAL_CAVITY.includes(f.site)) wanted.splice(3, 0, 'depth_of_invasion_mm');
+  wanted.push(f.bone_involved ? 'leg_angiography' : 'allen_test');
+  return wanted
+    .filter((k) => f[k] === null || f[k] === 'not performed')
+    .map((k) => ({ field: k, label: FIELDS[k][0], why: FIELDS[k][1] }));
+}
+
+// Plain-text summary for the planner prompt: { fields, missing } as lines.
+export function formatIntake(intake) {
+  const f = intake.fields;
+  const yesNo = (v) => (v === null ? null : v ? 'yes' : 'no');
+  const rows = [
+    ['Age / sex', [f.age !== null ? `${f.age} y` : null, f.sex].filter(Boolean).join(', ') || null],
+    ['Primary site', f.site && `${f.site}${f.bone_involved ? ' (bone involved)' : ''}`],
+    ['TNM stage', f.tnm && [f.tnm.t, f.tnm.n, f.tnm.m].filter(Boolean).join(' ')],
+    ['Depth of invasion', f.depth_of_invasion_mm !== null ? `${f.depth_of_invasion_mm} mm` : null],
+    ['Nodal status', f.nodal_status],
+    ['Prior radiation', yesNo(f.prior_radiation)],
+    ['Prior surgery', yesNo(f.prior_surgery)],
+    ['Comorbidities', f.comorbidities && (f.comorbidities.join(', ') || 'none stated as significant')],
+    ['Recipient vessels', f.vessels],
+    ['Allen test', f.allen_test],
+    ['Lower-limb angiography', f.leg_angiography],
+  ];
+  return {
+    fields: rows.filter(([, v]) => v).map(([k, v]) => `- ${k}: ${v}`).join('\n'),
+    missing: intake.missing.map((m) => `- ${m.label}: ${m.why}`).join('\n'),
+  };
+}
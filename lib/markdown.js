@@ -0,0 +1,59 @@
+// lib/markdown.js — small helpers for reading the pipeline's Markdown outputs.
+// Plans and notes follow fixed section contracts ("# Title" / "## Title"), so
+// a line-based parser is enough; nothing here tries to be a full Markdown
+// implementation.
+
+// Normalized form of a heading for comparisons: lowercase, punctuation and
+// extra whitespace removed ("Unknowns / Clarifications Needed" ->
+// "unknowns clarifications needed").
+export const normTitle = (t) => String(t || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+// Splits Markdown into sections at headings of exactly `level` '#'s. Text
+// before the first such heading is ignored. Returns [{ title, body }].
+export function parseSections(md, level = 1) {
+  const re = new RegExp(`^#{${level}}\\s+(.+?)\\s*#*\\s*$`);
+  const lines = String(md || '').replace(/\r\n/g, '\n').split('\n');
+  const sections = [];
+  let cur = null;
+  for (const line of lines) {
+    const m = re.exec(line.trim());
+    if (m) {
+      cur = { title: m[1].trim(), body: [] };
+      sections.push(cur);
+    } else if (cur) {
+      cur.body.push(line);
+    }
+  }
+  return sections.map((s) => ({ title: s.title, body: s.body.join('\n').trim() }));
+}
+
+// Finds a section by (normalized) title prefix, e.g. findSection(s, 'key contingenc').
+export function findSection(sections, prefix) {
+  const p = normTitle(prefix);
+  return sections.find((s) => normTitle(s.title).startsWith(p)) || null;
+}
+
+// List items (bulleted or numbered) of a section body, markers stripped.
+export function listItems(body) {
+  return String(body || '').split('\n')
+    .map((l) => l.trim())
+    .filter((l) => /^([-*+]|\d+[.)])\s+/.test(l))
+    .map((l) => l.replace(/^([-*+]|\d+[.)])\s+/, '').trim());
+}
+
+// Top-level list items with any nested sub-items or continuation lines folded
+// in, so "- Vessel status unknown\n  - Why it matters: ..." is one entry.
+export function listBlocks(body) {
+  const lines = String(body || '').split('\n').filter((l) => l.trim());
+  const marker = /^(\s*)([-*+]|\d+[.)])\s+/;
+  const indents = lines.map((l) => marker.exec(l)).filter(Boolean).map((m) => m[1].length);
+  if (!indents.length) return [];
+  const top = Math.min(...indents);
+  const blocks = [];
+  for (const l of lines) {
+    const m = marker.exec(l);
+    if (m && m[1].length === top) blocks.push(l.replace(marker, '').trim());
+    else if (blocks.length) blocks[blocks.length - 1] += ' ' + l.trim().replace(/^([-*+]|\d+[.)])\s+/, '');
+  }
+  return blocks;
+}
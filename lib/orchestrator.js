@@ -1,292 +1,356 @@
 // lib/orchestrator.js — shared Plan-Review-Synthesize logic.
 // Used by both the local Express server (server.js) and the Vercel
-// serverless function (api/generate.js). Pure logic: pass in an OpenAI client.
+// serverless function (api/generate.js). Pure logic: pass in a provider
+// adapter (lib/providers.js); vendor SDKs are only touched there.
+
+import { asProvider } from './providers.js';
+import { resolvePanel, resolveConsensus, aggregateConsensus } from './panel.js';
+import { resolvePolicy, decideRound, describePolicy, nextOnReject } from './policy.js';
+import { PLAN_JSON_TEMPLATE, parsePlanJson, validatePlan, planToMarkdown } from './plan-schema.js';
+import { PLANNER_CONTRACT, checkConformance } from './conformance.js';
+import { verifySynthesis } from './faithfulness.js';
+import { diffPlans } from './plan-diff.js';
+import { createMeter } from './usage.js';
+import { loadPrompts } from './prompts.js';
+import { parseFindings, worstSeverity, findingsAtLeast, countFindings, formatFindings, mergeFindings } from './findings.js';
+import { unknownsToQuestions, mergeAnswers } from './clarify.js';
+import { saveRun, loadRun, useRun } from './runs.js';
+import { approvalEntry, approvalCritique } from './approval.js';
+import { parseIntake, formatIntake } from './intake.js';
+import { createMasker, unmaskDeep, publicEntity, ENTITY_LABELS } from './deidentify.js';
+import { lintPlan } from './safety-rules.js';
+import { FLAP_KB, checkOptions, referenceFacts } from './flap-kb.js';
+import { resolveEnsemble, primaryStrategy, rankSamples, strategyAgreement } from './ensemble.js';
+import { scoreCoverage, referenceById } from './coverage.js';
 
 /* ---------------- Prompt builders ---------------- */
-// Carried over from the thesis planning protocol (Prompt 1, v2.0). On revision
-// rounds a reviewer-critique block is appended; the thesis workflow likewise
-// re-runs Prompt 1 when the board rejects. `verbosity` is kept for signature
-// compatibility but unused: v2.0 fixes its own style ("concise,
-// information-dense, and clinically executable").
-export const plannerPrompt = (caseText, verbosity, critique) => {
-  const critiqueBlock = critique ? `
-
-<Reviewer_Concerns_To_Address>
-${critique}
-
-You must explicitly fix every item above and reflect the changes in the plan sections.
-</Reviewer_Concerns_To_Address>` : '';
-
-  return `<Task>
-You are assisting with preoperative and intraoperative planning for a complex head and neck microsurgical reconstruction case.
-
-Using only the information provided in the case summary, generate a case-specific surgical plan focused on clinical applicability, completeness, and safety.
-
-<Case_Input>
-${caseText}
-</Case_Input>
-
-<Critical_Rules>
-- Use only the information explicitly provided in the case.
-- Do not invent imaging findings, laboratory values, vessel status, pathology details, prior treatment details, dentition, or operative findings.
-- If important information is missing, do not guess. State it under "Unknowns / Clarifications Needed" and explain why it matters.
-- Do not ask follow-up questions. Proceed using only the given case data.
-- Keep the response case-specific. Do not provide generic textbook discussion.
-- Include only sections relevant to the case.
-- Be concise, information-dense, and clinically executable.
-</Critical_Rules>
-
-<Decision_Requirements>
-When relevant to the case, explicitly address:
-- defect extent and involved tissues
-- anatomic, functional, and aesthetic objectives
-- the primary reconstructive strategy
-- why the primary strategy fits this case
-- reasonable alternatives and why they were not selected
-- airway implications
-- recipient vessel issues
-- donor-site considerations
-- bone, lining, skin, mucosa, nerve, and soft-tissue requirements
-- fixation or skeletal support issues
-- contamination, infection, prior radiation, or vessel-depleted neck considerations
-- staged versus definitive reconstruction
-- case-relevant intraoperative contingencies
-</Decision_Requirements>
-
-<Output_Contract>
-Return exactly these sections, in this order:
-
-# Patient Summary
-- One short paragraph summarizing the clinical problem.
-
-# Defect / Problem Definition
-- Site and extent
-- Tissues involved
-- Important modifiers affecting reconstruction
-
-# Reconstructive Objectives
-- Anatomic objectives
-- Functional objectives
-- Aesthetic objectives, if relevant
-
-# Primary Reconstructive Plan
-- Recommended strategy
-- Brief justification for why this is the best-fit option
-
-# Alternatives Considered
-For each reasonable alternative:
-- Option
-- Why it was considered
-- Why it was not chosen as the primary plan
-
-# Operative Plan
-Provide numbered, executable steps.
-Include only case-relevant steps.
-
-# Key Contingencies
-List only case-relevant contingencies in this format:
-- If [specific problem], then [specific response].
-
-# Unknowns / Clarifications Needed
-For each item:
-- What is unknown
-- Why it matters
-- How it could change the plan
-
-# Assumptions and Confidence
-- Explicit assumptions made
-- Which parts of the plan are high-confidence
-- Which parts are conditional
-</Output_Contract>
-
-<Definition_of_Done>
-The response is complete only if:
-- a primary plan is clearly stated,
-- reasonable alternatives are discussed,
-- major uncertainties are declared,
-- and contingencies are included when clinically relevant.
-</Definition_of_Done>${critiqueBlock}`;
+// The planner, reviewer, manager and synthesizer prompts are versioned
+// templates (prompts/<version>/, lib/prompts.js). Each builder takes the
+// prompt set to render from as its last argument, defaulting to
+// DEFAULT_PROMPT_VERSION; the re-ask prompts below are pipeline mechanics and
+// stay here.
+
+// Thesis planning protocol (Prompt 1). On revision rounds a reviewer-critique
+// block is appended; the thesis workflow likewise re-runs Prompt 1 when the
+// board rejects. `verbosity` is kept for signature compatibility but unused:
+// v2.0 fixes its own style ("concise, information-dense, and clinically
+// executable"). `format: 'json'` swaps the Markdown Output_Contract for the
+// same sections as one JSON object (lib/plan-schema.js). `intake` and
+// `intake_missing` are the case's structured intake (lib/intake.js), for
+// templates that show it (v2.2).
+export const plannerPrompt = (caseText, verbosity, critique, format, prompts = loadPrompts()) => {
+  const intake = formatIntake(parseIntake(caseText));
+  return prompts.render('planner', {
+    case: caseText,
+    critique,
+    json: format === 'json',
+    json_template: JSON.stringify(PLAN_JSON_TEMPLATE, null, 2),
+    intake: intake.fields || '- No fields recognized.',
+    intake_missing: intake.missing,
+  });
 };
 
-// Adapted from the thesis review protocol (Prompt 2, v2.0): same role framing,
-// audit criteria, five scoring domains, and acceptance standard, converted to a
-// single-line tagged output the pipeline can parse reliably.
-export const reviewerPrompt = (xml) => `You are a surgical review board of senior reconstructive microsurgeons reviewing the proposed plan for this case.
-
-Your task is to audit the planner output for appropriateness, completeness, safety, and clinical applicability.
-
-Plan to review:
-${xml}
-
-Critical rules:
-- Evaluate the plan only against the case information it reflects. Do not invent missing case facts.
-- Do not reject a plan solely because another reasonable option exists.
-- Distinguish clearly between critical safety issues, major flaws, and minor omissions.
-- Do NOT reject for formatting/tag/wording issues; treat those as minor omissions.
-- Do not rewrite the full plan.
-
-Domain scores. Score each from 1 (Strongly Disagree) to 5 (Strongly Agree):
-1. The plan correctly understood and captured the clinical issue.
-2. The plan stated the most appropriate reconstructive procedure.
-3. The plan identified appropriate alternative treatment options.
-4. The plan provided comprehensive information beyond treatment options.
-5. The plan did not mention therapeutic options that do not exist.
+// Structured mode only: re-asks for a JSON plan that failed validation,
+// listing the validator's errors verbatim.
+export const planRepairPrompt = (previous, errors) => `Your previous reply was meant to be a single JSON surgical plan following the Output_Contract, but it failed validation.
+
+<Validation_Errors>
+${errors.map((e) => `- ${e}`).join('\n')}
+</Validation_Errors>
+
+<Previous_Reply>
+${previous}
+</Previous_Reply>
+
+Return the corrected JSON object only, with every required key present. Fix only what the errors describe; do not change the clinical content.`;
+
+// Conformance re-ask: returns a Markdown plan that broke its Output_Contract
+// to the planner with the checker's findings (lib/conformance.js).
+export const conformanceReaskPrompt = (previous, findings) => `Your previous surgical plan did not follow the Output_Contract.
+
+<Contract_Violations>
+${findings.map((f) => `- ${f.message}`).join('\n')}
+</Contract_Violations>
+
+<Previous_Plan>
+${previous}
+</Previous_Plan>
+
+Return the full corrected plan as Markdown with exactly these sections, in this order: ${PLANNER_CONTRACT.sections.map((t) => `"# ${t}"`).join(', ')}.
+Write every contingency as "- If [specific problem], then [specific response]." and number the operative steps.
+Fix only the violations listed; keep the clinical content unchanged. No preamble.`;
+
+// Thesis review protocol (Prompt 2): same role framing, audit criteria, five
+// scoring domains, and acceptance standard, converted to a single-line tagged
+// output the pipeline can parse reliably. With a panel `reviewer`
+// (lib/panel.js) the role becomes one specialty member, who also flags
+// whether any critical safety issue is present. `reference` and
+// `unrecognized` ground domain 5 in the flap knowledge base (lib/flap-kb.js);
+// they are only looked up for templates that show them (v2.3).
+const KB_VARIABLES = ['kb_version', 'reference', 'unrecognized'];
+export const reviewerPrompt = (xml, reviewer, prompts = loadPrompts()) => {
+  const vars = {
+    plan: xml,
+    member: Boolean(reviewer),
+    member_label: reviewer?.label || '',
+    member_focus: reviewer?.focus || '',
+  };
+  if (KB_VARIABLES.some((v) => prompts.uses('reviewer', v))) {
+    const options = checkOptions(xml);
+    const known = [...new Set(options.named.map((n) => n.id))].map((id) => FLAP_KB.find((e) => e.id === id));
+    vars.kb_version = options.kb_version;
+    vars.reference = referenceFacts(known);
+    vars.unrecognized = options.unrecognized.map((u) => `- ${u.text} (${u.section})`).join('\n');
+  }
+  return prompts.render('reviewer', vars);
+};
 
-Acceptance standard:
-- ACCEPT if the plan is clinically acceptable overall, even if minor omissions remain.
-- REJECT only for a critical safety issue, a major domain mismatch, a major omission, or clearly unsupported certainty.
+export const managerPrompt = (reviewText, prompts = loadPrompts()) =>
+  prompts.render('manager', { review: reviewText });
 
-Return exactly ONE line with ALL THREE tags (no extra text):
-<SurgicalBoard_Verify>accept|reject</SurgicalBoard_Verify><Domain_Scores>n,n,n,n,n</Domain_Scores><Feedback_Comment>{Concise rationale; max 1200 chars}</Feedback_Comment>`;
+// Thesis synthesis protocol (Prompt 3). `verbosity` is kept for signature
+// compatibility but unused; `caseText` is optional (the thesis form includes
+// the case for context when available).
+export const synthPrompt = (acceptedPlan, verbosity, caseText, prompts = loadPrompts()) =>
+  prompts.render('synth', { plan: acceptedPlan, case: caseText || '' });
 
-export const managerPrompt = (reviewText) => `You are the Manager of the Review Board. Decide if the REJECTION reasons are major (safety/omission) or minor (format/wording/detail).
-If MINOR → <Manager_Override>accept</Manager_Override><Manager_Note>Concise reason</Manager_Note>
-If MAJOR → <Manager_Override>reject</Manager_Override><Manager_Note>Concise reason</Manager_Note>
+// Faithfulness regeneration: the same synthesis task, with the verifier's
+// findings about the previous note appended (lib/faithfulness.js).
+export const synthRetryPrompt = (acceptedPlan, verbosity, caseText, findings, prompts) => `${synthPrompt(acceptedPlan, verbosity, caseText, prompts)}
 
-Reviewer feedback:
-${reviewText}
+<Faithfulness_Issues>
+A previous version of this note was not faithful to the accepted plan:
+${findings.map((f) => `- ${f.message}`).join('\n')}
 
-Return only the two tags on one line.`;
+Remove anything not present in the accepted plan and restore every unknown it lists.
+</Faithfulness_Issues>`;
 
-// Carried over from the thesis synthesis protocol (Prompt 3, v2.0).
-// `verbosity` is kept for signature compatibility but unused; `caseText` is
-// optional (the thesis form includes the case for context when available).
-export const synthPrompt = (acceptedPlan, verbosity, caseText) => {
-  const caseBlock = caseText ? `
+// Ensemble merge: one plan from the independent drafts and the board's
+// scores for each (lib/ensemble.js). Pipeline mechanics, like the re-asks.
+export const ensembleMergePrompt = (caseText, samples) => `Several independent drafts of the surgical plan for this case were written, and the review board scored each one (five domains, 1-5 each).
 
-<Case_Input>
+<Case>
 ${caseText}
-</Case_Input>` : '';
-
-  return `<Task>
-You are preparing a final preoperative surgical planning note for briefing and documentation purposes.
-
-Transform the accepted plan into a concise, clinically natural note.${caseBlock}
-
-<Accepted_Plan>
-${acceptedPlan}
-</Accepted_Plan>
-
-<Critical_Rules>
-- This is a formatting and synthesis task only.
-- Do not introduce new clinical content.
-- Do not add new rationale, new assumptions, new contingencies, or new recommendations not already present in the accepted plan.
-- Preserve uncertainty if it exists.
-- Do not infer missing details.
-- Use natural clinical language.
-- Omit sections not relevant to the case.
-</Critical_Rules>
-
-<Output_Contract>
-Return exactly these sections, in this order:
-
-# Preoperative Surgical Plan
-
-## Patient Summary
-- Brief clinical summary and operative problem
-
-## Defect / Problem and Objectives
-- Defect summary
-- Anatomic objectives
-- Functional objectives
-- Aesthetic objectives, if relevant
-
-## Planned Reconstruction
-- Primary reconstructive strategy
-- Brief rationale carried over from the accepted plan
-- Backup strategy, if specified
-
-## Intraoperative Plan
-- Numbered operative steps only
-
-## Key Contingency Plans
-- Scenario: planned response
-
-## Unknowns / Clarifications Needed
-- List unresolved issues exactly as reflected in the accepted plan
-
-## Assumptions / Conditional Elements
-- List assumptions or conditional decisions exactly as reflected in the accepted plan
-</Output_Contract>
-
-<Definition_of_Done>
-The note is complete only if:
-- the accepted plan has been reformatted clearly,
-- no new clinical content has been added,
-- and all unresolved uncertainty has been preserved.
-</Definition_of_Done>`;
-};
-
-/* ---------------- Responses extractor + LLM wrapper ---------------- */
-const isResponsesModel = (m) => /^gpt-5|^o3/i.test(m || '');
-
-function extractFromResponses(resp) {
-  if (!resp) return '';
-  if (typeof resp.output_text === 'string' && resp.output_text.trim()) return resp.output_text;
-  let texts = [];
+</Case>
+
+${samples.map((s) => `<Draft n="${s.sample}" board_verdict="${s.verdict}" domain_scores="${(s.scores || []).join(',')}">
+${s.plan_markdown}
+<Board_Comment>${s.comment || 'None.'}</Board_Comment>
+</Draft>`).join('\n\n')}
+
+Write one plan from these drafts. Keep what the best-scored drafts agree on and the strongest specific content from each: operative steps, contingencies, unknowns. Where the drafts disagree on the primary reconstruction, choose the option the case supports best and list the others under Alternatives Considered. Do not add options that no draft proposed, and keep every unknown any draft declared.
+Return the full plan as Markdown with exactly these sections, in this order: ${PLANNER_CONTRACT.sections.map((t) => `"# ${t}"`).join(', ')}.
+Write every contingency as "- If [specific problem], then [specific response]." and number the operative steps. No preamble.`;
+
+/* ---------------- LLM wrapper ---------------- */
+// `client` is a provider adapter from lib/providers.js (a bare OpenAI SDK
+// client is still accepted and wrapped). Returns the completion text.
+// `stage`/`round` label the call for wrappers such as the cassette recorder;
+// vendor adapters ignore them. An aborted `signal` stops the call before it
+// starts and is passed on to cancel it in flight. With a `meter`
+// (lib/usage.js) the call's token usage is recorded, which may throw
+// `budget_exceeded`. A call is cut off after `timeoutMs` (`stage_timeout`,
+// retryable) or at the absolute `deadline` timestamp (`deadline_exceeded`),
+// whichever comes first. With `onDelta(text)` the call is streamed and ends
+// with `onDelta('', { done: true })`; if it fails after text was delivered,
+// `onDelta('', { reset: true })` tells the listener to discard it (the call
+// may be retried from the start). `temperature` overrides the adapter's 0.2.
+// Usage is recorded under the model the adapter reports having called,
+// falling back to the one requested.
+export async function runLLM({ system, user, stage, round }, { client, model, reasoningEffort, temperature, modelDefault, signal, meter, timeoutMs, deadline, onDelta }) {
+  if (signal?.aborted) throw cancelledError();
+  const untilDeadline = deadline ? deadline - Date.now() : Infinity;
+  if (untilDeadline <= 0) throw timeLimitError('deadline_exceeded', stage, round);
+  const limit = Math.min(timeoutMs > 0 ? timeoutMs : Infinity, untilDeadline);
+
+  const provider = asProvider(client);
+  const mdl = (model || modelDefault || provider.defaultModel || 'gpt-4o').trim();
+  let settled = false;
+  let streamed = false;
+  const relay = onDelta
+    ? (t) => { if (t && !settled) { streamed = true; onDelta(t); } }
+    : undefined;
+  let call;
   try {
-    const out = resp.output || resp.outputs || [];
-    for (const item of out) {
-      const cont = item?.content || [];
-      for (const c of cont) {
-        if (typeof c?.text === 'string') texts.push(c.text);
-        else if (typeof c?.text?.value === 'string') texts.push(c.text.value);
-        else if (Array.isArray(c?.text?.annotations)) texts.push(String(c?.text?.value || ''));
-        else if (typeof c?.content === 'string') texts.push(c.content);
-      }
-    }
-  } catch {}
-  return texts.join('\n').trim();
-}
-
-export async function runLLM({ system, user }, { client, model, reasoningEffort, modelDefault }) {
-  const mdl = (model || modelDefault || 'gpt-4o').trim();
-
-  if (isResponsesModel(mdl)) {
+    call = await callWithLimit();
+  } catch (e) {
+    if (streamed) onDelta('', { reset: true });
+    throw e;
+  } finally {
+    settled = true;
+  }
+  if (onDelta) onDelta('', { done: true });
+  if (meter) meter.record({ stage, round, model: call.model || mdl, usage: call.usage });
+  return call.text || '';
+
+  async function callWithLimit() {
+    const callOpts = { model: mdl, reasoningEffort, stage, round, signal, onDelta: relay, ...(temperature !== undefined ? { temperature } : {}) };
+    if (!Number.isFinite(limit)) return provider.complete({ system, user }, callOpts);
+    // Abort the request itself where the adapter supports it, and race it so
+    // an adapter that ignores the signal still cannot hold the run past the limit.
+    const ctl = new AbortController();
+    const onAbort = () => ctl.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+    let timer;
+    const timedOut = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        ctl.abort();
+        reject(timeLimitError(limit === untilDeadline ? 'deadline_exceeded' : 'stage_timeout', stage, round));
+      }, limit);
+    });
     try {
-      const payload = {
-        model: mdl,
-        temperature: 0.2,
-        input: [
-          { role: 'system', content: system },
-          { role: 'user', content: user },
-        ],
-        ...(reasoningEffort ? { reasoning: { effort: reasoningEffort } } : {})
-      };
-      const resp = await client.responses.create(payload);
-      const text = extractFromResponses(resp);
-      if (text && text.trim().length > 0) return text;
+      return await Promise.race([
+        provider.complete({ system, user }, { ...callOpts, signal: ctl.signal }),
+        timedOut,
+      ]);
     } catch (e) {
-      // fallthrough to chat
+      if (signal?.aborted) throw cancelledError();
+      throw e;
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
     }
   }
-
-  const chat = await client.chat.completions.create({
-    model: mdl.replace(/^gpt-5/i, 'gpt-4o'),
-    temperature: 0.2,
-    messages: [
-      { role: 'system', content: system },
-      { role: 'user', content: user },
-    ],
-  });
-  return chat?.choices?.[0]?.message?.content || '';
 }
 
-export async function runLLMRetry(fn, { tries = 3, baseDelay = 700 } = {}) {
+// How often streamed text is forwarded as a `delta` event.
+const DELTA_FLUSH_MS = 120;
+
+// Sampling temperature for ensemble drafts: high enough that independent
+// drafts can differ, where every other call runs at the adapter's 0.2.
+const ENSEMBLE_TEMPERATURE = 0.7;
+
+// Errors that end a run rather than a single call: never retried.
+const FINAL_ERRORS = new Set(['cancelled', 'budget_exceeded', 'deadline_exceeded']);
+
+// Retries transient failures (including a `stage_timeout`) with backoff. A
+// cancelled, over-budget or out-of-time run is never retried, and the
+// backoff sleep ends early when `signal` aborts.
+export async function runLLMRetry(fn, { tries = 3, baseDelay = 700, signal } = {}) {
   let lastErr;
   for (let i = 0; i < tries; i++) {
+    if (signal?.aborted) throw cancelledError();
     try { return await fn(); }
     catch (e) {
+      if (signal?.aborted) throw cancelledError();
+      if (FINAL_ERRORS.has(e?.code)) throw e;
       lastErr = e;
       const sleep = baseDelay * Math.pow(1.6, i) + Math.random() * 300;
-      await new Promise(r => setTimeout(r, sleep));
+      await new Promise((r) => {
+        const t = setTimeout(done, sleep);
+        function done() { clearTimeout(t); signal?.removeEventListener('abort', done); r(); }
+        signal?.addEventListener('abort', done, { once: true });
+      });
     }
   }
   throw lastErr;
 }
 
+// The error a cancelled run ends with; routes tell it apart by `code`.
+export function cancelledError() {
+  const err = new Error('cancelled');
+  err.code = 'cancelled';
+  return err;
+}
+
+// `stage_timeout` (one call ran too long) or `deadline_exceeded` (the run is
+// out of time).
+function timeLimitError(code, stage, round) {
+  const err = new Error(`${code}: ${stage || 'call'}${round ? ` round ${round}` : ''}`);
+  err.code = code;
+  err.stage = stage || null;
+  err.round = round ?? null;
+  return err;
+}
+
+/* ---------------- Review parsing ---------------- */
+// Parses one reviewer reply into { verdict, comment, scores, critical,
+// findings, structured, raw }. A reply without the verify/comment tags is
+// treated as a reject with a format-only comment (`structured: false`), so it
+// can never silently pass review. `findings` is the itemized list from the
+// <Findings> tag (lib/findings.js), or null when the reply has none.
+export function parseReview(reviewText) {
+  const raw = String(reviewText || '').trim();
+  const vMatch = raw.match(/<SurgicalBoard_Verify>(.*?)<\/SurgicalBoard_Verify>/i);
+  const cMatch = raw.match(/<Feedback_Comment>([\s\S]*?)<\/Feedback_Comment>/i);
+  let v = vMatch ? (vMatch[1] || '').trim() : '';
+  let c = cMatch ? (cMatch[1] || '').trim() : '';
+
+  // Optional five-domain Likert scores (thesis instrument). Missing or
+  // malformed scores never affect the verdict; they are display-only.
+  const sMatch = raw.match(/<Domain_Scores>([^<]*)<\/Domain_Scores>/i);
+  let scores = null;
+  if (sMatch) {
+    const nums = sMatch[1].split(/[,\s]+/)
+      .map((n) => parseInt(n, 10))
+      .filter((n) => Number.isInteger(n) && n >= 1 && n <= 5);
+    if (nums.length === 5) scores = nums;
+  }
+
+  const findings = parseFindings(raw);
+
+  // The tag is panel members only; a critical finding counts the same.
+  const critical = /yes/i.test((raw.match(/<Critical_Safety_Issue>(.*?)<\/Critical_Safety_Issue>/i) || [, ''])[1]) ||
+    worstSeverity(findings) === 'critical';
+
+  const noStructured = !vMatch || !cMatch || !c;
+  if (noStructured) {
+    v = 'reject';
+    c = c || 'Reviewer returned no structured feedback. Treat this as a formatting/format-only issue (minor).';
+  }
+
+  return { verdict: /accept/i.test(v) ? 'accept' : 'reject', comment: c, scores, critical, findings, structured: !noStructured, raw };
+}
+
 /* ---------------- Orchestrated generate ---------------- */
-// Returns { verdict, source, reason, comment, manager_note, plan_markdown, markdown?, raw_review, scores }.
+// Returns { verdict, source, reason, comment, manager_note, plan_markdown, markdown?, raw_review, scores, findings }.
+// `findings` is the last review's itemized concerns ({ severity, domain,
+// section, issue }, lib/findings.js), or null if the reviewer gave none.
+// Unless `safetyLint` is false every reviewed draft is also checked against
+// the safety rules (lib/safety-rules.js): their findings, tagged with a
+// `rule` id, are merged into `findings`, weighed by the policy's
+// `rejectOnLint`, and the final plan's are reported as `lint`.
+// The options each reviewed draft chooses and weighs are looked up in the
+// flap knowledge base (lib/flap-kb.js); the final plan's are reported as
+// `options: { kb_version, named, unrecognized }`.
+// With an `ensemble` of 2-5 (lib/ensemble.js) the first plan is drawn from
+// that many independent drafts at ENSEMBLE_TEMPERATURE, each scored by the
+// board; `ensembleMode` 'select' (default) reviews the best-ranked draft on,
+// 'merge' has the planner merge them into one (Markdown plans only; JSON
+// plans always select). The result adds `ensemble: { size, mode, selected,
+// agreement, samples }`, `agreement` being how many drafts chose the same
+// primary reconstruction. Plans redrafted with a critique (an approval sent
+// back) are not sampled again.
+// With a review `panel` (array or comma list of lib/panel.js reviewer ids) and
+// a `consensus` rule, it also carries { panel: { members, rule }, reviews }
+// where `reviews` holds each member's last-round verdict, scores and comment.
+// The acceptance `policy` (lib/policy.js preset name, JSON, or object) decides
+// each round; the result reports it as `policy` and each round's outcome in
+// `decisions: [{ round, accept, reason, next }]`.
+// With `planFormat: 'json'` the planner emits the Output_Contract as JSON,
+// which is schema-validated (and repaired up to `repairRounds` times); the
+// result then adds `plan_json` (the valid plan, else null) and
+// `plan_validation: { valid, errors, repairs }`. `plan_markdown` is always
+// the Markdown rendering the board reviewed.
+// `conformance` ('off' | 'report' | 'reask', default 'report') checks every
+// planner/revision/synth output against its Output_Contract
+// (lib/conformance.js) and reports `conformance: { plan, synth }` findings;
+// 'reask' also returns a non-conforming draft to the planner (up to
+// `reaskRounds` times) before it is reviewed.
+// `synthVerify` ('off' | 'report' | 'regenerate' | 'block', default 'report')
+// checks the final note against the accepted plan (lib/faithfulness.js) and
+// reports `synth_verification: { ok, findings, action }`; 'regenerate' re-runs
+// synthesis once with the findings, 'block' omits an unfaithful `markdown`.
+// Unless `audit` is false the result also keeps the full history:
+// `rounds: [{ round, draft, lint?, options, review, decision }]`, where `draft` is the plan
+// that round reviewed ({ stage, plan_markdown, plan_json?, validation?,
+// conformance?, started_at, finished_at }) and `review` is { verdict, comment,
+// scores, findings, raw, reviews?, consensus?, started_at, finished_at }; plus
+// `manager_trace: { input, output, override, note, started_at, finished_at }`
+// (null when the manager did not run). Timestamps are ISO strings.
+// Every revision is compared with the draft it replaced (lib/plan-diff.js):
+// `revisions: [{ round, changes, sections_changed, counts }]`, each change
+// linked to the reviewer concern it answers where one matches.
 //
 // Optional `onEvent(ev)` callback reports real pipeline progress as it happens,
 // so a caller (e.g. a streaming API route) can drive an honest UI instead of a
@@ -295,14 +359,294 @@ export async function runLLMRetry(fn, { tries = 3, baseDelay = 700 } = {}) {
 // pipeline. Never include API keys or raw request internals in emitted events.
 //
 // Event shapes emitted (rounds are 1-indexed for display):
-//   { type: 'planner_start' } / { type: 'planner_done' }
-//   { type: 'review_start', round } / { type: 'review_done', round, verdict, comment }
-//   { type: 'revision_start', round } / { type: 'revision_done', round }
-//   { type: 'manager_start' } / { type: 'manager_done', override, note }
-//   { type: 'synth_start' } / { type: 'synth_done' }
-export async function generatePlan({ client, caseText, model, reasoningEffort, verbosity, modelDefault, onEvent }) {
-  const opts = { client, model, reasoningEffort, modelDefault };
+//   { type: 'policy', policy, prompts }
+//   { type: 'deidentify_done', mode, entities, high_risk }
+//     (identifiers masked in the case before any prompt, lib/deidentify.js;
+//     the only event of a run refused as 'phi_blocked')
+//   { type: 'intake_done', intake }
+//     (structured case fields and missing ones, lib/intake.js; no model call)
+//   { type: 'planner_start' } / { type: 'planner_done', usage, validation?, conformance? }
+//     (with an ensemble, planner_start carries `ensemble: { size, mode }`,
+//     one `sample_done` follows per draft, and planner_done carries
+//     `ensemble: { selected, agreement }`)
+//   { type: 'sample_done', sample, strategy, verdict, scores, total }
+//   { type: 'review_start', round } / { type: 'review_done', round, verdict, comment, scores, findings, decision, usage }
+//   { type: 'lint_done', round, findings }
+//     (safety rule findings on the draft under review, between review_start
+//     and review_done; no model call. review_done `findings` include them)
+//   { type: 'options_done', round, kb_version, named, unrecognized }
+//     (the draft's options looked up in the flap knowledge base, after lint_done)
+//     (`verdict` is the board's own; `decision: { accept, reason, next }` is
+//     the policy outcome that actually drives the loop)
+//     (panel runs first emit one review_done per member with `reviewer` and
+//     `critical`, then the combined one with `consensus: { rule, reason }`)
+//   { type: 'revision_start', round } / { type: 'revision_done', round, diff, usage, validation?, conformance? }
+//   { type: 'manager_start' } / { type: 'manager_done', override, note, usage }
+//   { type: 'coverage_done', reference, recall, precision, steps, contingencies, extra }
+//     (with a `reference` plan, the final plan scored against it before
+//     synthesis; `extra` is a count here, the list is on the result)
+//   { type: 'synth_start' } / { type: 'synth_done', usage, conformance? }
+//     (`retry: true` on both when the note is regenerated for faithfulness)
+//   { type: 'synth_verify_done', ok, findings, action }
+//   { type: 'budget_exceeded', scope, limit_usd, spent_usd, stage, usage }
+//   { type: 'delta', stage, round?, text } / { type: 'delta', stage, round?, reset: true }
+//     (streamed planner/revision/conformance/synth text as it is written;
+//     `reset` discards the text so far for that call, which is being retried;
+//     `streamText: false` turns streaming off)
+//   { type: 'degraded', deadline_ms, elapsed_ms, skipped: [{ stage, round?, reason }] }
+//     (sent after the last stage whenever time pressure skipped anything)
+//   { type: 'clarification_needed', run_id, questions, expires_at }
+//     (last event of a `clarify` run paused after the first draft)
+//   { type: 'awaiting_approval', run_id, expires_at, plan_markdown }
+//     (last event of an `approval` run paused before synthesis)
+//   { type: 'approval', action, by, at }
+//     (first stage event of a run resumed with an approve or edit)
+//   { type: 'cancelled' }
+//     (last event when `signal` aborts; generatePlan then rejects with an
+//     error whose `code` is 'cancelled')
+//   (`usage` on the *_done events is { calls, input_tokens, output_tokens,
+//   cost_usd } for that stage's model calls)
+//
+// Optional `signal` (AbortSignal) cancels the run: no further model calls
+// are started and the in-flight one is aborted, so a closed tab stops
+// spending tokens.
+//
+// Token usage and estimated cost (lib/usage.js, `prices` overrides the price
+// table) are reported as `usage: { calls, input_tokens, output_tokens,
+// cost_usd, priced, by_stage, by_model }`. A `runBudget` / `dailyBudget` in USD stops
+// the run after the call that reaches it; generatePlan then resolves with
+// `source: 'budget_exceeded'`, a `budget` block, the usage so far and the
+// latest draft, instead of rejecting.
+//
+// `deadlineMs` bounds the whole run (the api/ routes derive it from their
+// `maxDuration`) and `stageTimeoutMs` bounds each model call. As time runs
+// short the pipeline degrades instead of being killed: re-asks and further
+// revision rounds are skipped (the rejection goes straight to the manager),
+// then the manager, then synthesis, each recorded in `degraded: {
+// deadline_ms, elapsed_ms, skipped }`. If the deadline still falls inside a
+// call, generatePlan resolves with `source: 'deadline_exceeded'` and the
+// latest draft.
+//
+// `clarify: true` makes the run interactive: if the first draft lists
+// Unknowns, generatePlan resolves at once with `verdict: 'pending'`,
+// `source: 'clarification_needed'`, the draft, `questions: [{ id, text,
+// why? }]` (lib/clarify.js) and a `run_id` valid until `expires_at`. Calling
+// generatePlan again with `resume: { runId, answers }` (answers keyed by
+// question id) runs the pipeline on the case with the answers appended, using
+// the first request's model and prompt settings, and adds `clarifications:
+// [{ id, question, answer }]` to its result. Run ids are sealed with
+// `runSecret` when given, so any instance can resume them; otherwise they are
+// held in this process's memory.
+//
+// `approval: true` puts the attending between acceptance and synthesis: an
+// accepted plan resolves with `verdict: 'pending'`, `source:
+// 'awaiting_approval'` and a `run_id`, and no operative note. Resuming with
+// `resume: { runId, approval }` (lib/approval.js) either writes the note for
+// the plan as approved or edited, with `approval: { action, by, at }` on the
+// result, or sends the plan back to the planner with the attending's critique
+// for another round of review under the same gate. `approvals` lists every
+// sign-off and send-back of the run. Usage covers the current request only,
+// and the audit trail (`rounds`, `manager_trace`, `reviews`, `revisions`)
+// is on the paused result, not the resumed one. A run id takes one reply.
+//
+// `promptVersion` picks the prompt templates (lib/prompts.js, default
+// DEFAULT_PROMPT_VERSION); an unknown version rejects with code
+// 'unknown_prompt_version' before any call. Every result, including early
+// stops, carries `prompts: { version, planner, reviewer, manager, synth }`
+// with each template's `id` and content `hash`.
+//
+// Before the first draft the case is read into a structured intake
+// (lib/intake.js): age and sex, site, stage, depth of invasion, nodes, prior
+// treatment, comorbidities, vessels and donor-site tests, plus the fields it
+// leaves out that matter for reconstruction. Results carry it as `intake`,
+// and v2.2 planner prompts show it.
+//
+// Identifiers in the case (names, record and ID numbers, dates, phone
+// numbers, addresses, hospitals) are masked before any prompt is built
+// (lib/deidentify.js); `deidentify: 'off'` sends the case as written.
+// Results carry `deidentification: { mode, entities, high_risk }` and show
+// the plan and note with the identifiers restored. With `deidentify:
+// 'strict'`, a case with any high-risk identifier is not sent at all:
+// generatePlan resolves with `source: 'phi_blocked'` before any call.
+//
+// `reference: { id, plan }` is the expert plan of a bundled case
+// (demo/cases.js, lib/coverage.js referenceFor). The final plan is scored
+// against it and the result carries `coverage`: the reference steps and
+// contingencies covered, missed or contradicted, the plan's extra steps, and
+// recall and precision. A pause saves the reference's case id; a resumed
+// run looks the plan up again in `references`, the cases the caller scores
+// against (the routes pass the bundled ones), and goes unscored without it.
+export async function generatePlan(options) {
+  if (options.resume) options = resumeOptions(options);
+  const emit = (ev) => { if (typeof options.onEvent === 'function') { try { options.onEvent(ev); } catch {} } };
+  const meter = createMeter({ prices: options.prices, runBudget: options.runBudget, dailyBudget: options.dailyBudget });
+  const startedAt = Date.now();
+  const deadline = options.deadlineMs > 0 ? startedAt + options.deadlineMs : null;
+  const prompts = loadPrompts(options.promptVersion);
+  const progress = { verdict: 'reject', plan_markdown: '', decisions: [], skipped: [], prompts: prompts.stamp() };
+
+  // Result for a run that stopped early: the latest draft and decisions so far.
+  const stopped = (source, reason, extra) => ({
+    verdict: progress.verdict, source, reason,
+    comment: '', manager_note: '', plan_markdown: progress.plan_markdown, raw_review: '', scores: null,
+    decisions: progress.decisions, prompts: progress.prompts,
+    ...(progress.intake ? { intake: progress.intake } : {}), ...extra, usage: meter.summary(),
+  });
+
+  // De-identification: the case, and any answers, edited plan or critique
+  // added on resume, are masked before the first prompt. The mapping stays
+  // on the server (and in saved runs); the plan, note and questions in the
+  // result are unmasked on the way out, while events and the audit trail
+  // keep the masked text the provider saw.
+  const masker = options.deidentify === 'off' ? null : createMasker(options.phiMapping);
+  let deidentification = null;
+  const reveal = (result) => {
+    if (!masker) return result;
+    for (const k of ['plan_markdown', 'markdown']) if (typeof result[k] === 'string') result[k] = masker.unmask(result[k]);
+    if (result.plan_json) result.plan_json = unmaskDeep(masker, result.plan_json);
+    if (result.questions) result.questions = unmaskDeep(masker, result.questions);
+    if (result.ensemble) result.ensemble = unmaskDeep(masker, result.ensemble);
+    if (result.coverage) result.coverage = unmaskDeep(masker, result.coverage);
+    return { ...result, deidentification };
+  };
+  if (masker) {
+    options = {
+      ...options,
+      caseText: masker.mask(options.caseText),
+      ...(options.initialCritique ? { initialCritique: masker.mask(options.initialCritique) } : {}),
+      ...(options.approved ? { approved: { ...options.approved, plan_markdown: masker.mask(options.approved.plan_markdown) } } : {}),
+      phiMapping: masker.mapping,
+    };
+    // Tokens and types only: the values never leave the server.
+    const entities = masker.entities().map(publicEntity);
+    const high = entities.filter((e) => e.risk === 'high');
+    deidentification = { mode: options.deidentify === 'strict' ? 'strict' : 'mask', entities, high_risk: high.length };
+    if (deidentification.mode === 'strict' && high.length) {
+      emit({ type: 'deidentify_done', ...deidentification });
+      const types = [...new Set(high.map((e) => ENTITY_LABELS[e.type]))].join(', ');
+      return reveal(stopped('phi_blocked',
+        `Not sent: the case contains ${high.length} high-risk identifier${high.length === 1 ? '' : 's'} (${types}). Remove them and try again.`));
+    }
+  }
+
+  try {
+    meter.preflight();
+    return reveal(await runPipeline({ ...options, prompts, meter, progress, startedAt, deadline, deidentification }));
+  } catch (e) {
+    if (options.signal?.aborted) {
+      emit({ type: 'cancelled' });
+      throw cancelledError();
+    }
+    if (e?.code === 'budget_exceeded') {
+      const { scope, limit_usd, spent_usd, stage } = e.budget;
+      emit({ type: 'budget_exceeded', ...e.budget, usage: meter.summary() });
+      return reveal(stopped('budget_exceeded',
+        `Stopped: the ${scope === 'run' ? 'per-run' : 'daily'} budget of $${limit_usd} was reached ($${spent_usd} spent)${stage ? ` during ${stage}` : ''}.`,
+        { budget: e.budget }));
+    }
+    if (e?.code === 'deadline_exceeded') {
+      progress.skipped.push({ stage: e.stage, ...(e.round ? { round: e.round } : {}), reason: 'run deadline reached during the call' });
+      const degraded = { deadline_ms: options.deadlineMs, elapsed_ms: Date.now() - startedAt, skipped: progress.skipped };
+      emit({ type: 'degraded', ...degraded });
+      return reveal(stopped('deadline_exceeded',
+        `Stopped: the ${Math.round(options.deadlineMs / 1000)}s run deadline was reached during ${e.stage || 'a model call'}.`,
+        { degraded }));
+    }
+    throw e;
+  }
+}
+
+// Options for a run resuming a pause, with the saved per-request settings.
+// A clarification pause goes on from the saved case with the clinician's
+// answers merged in; an approval pause from the saved result (approve, edit)
+// or the saved case plus the attending's critique (revise). An approval run
+// is single-use: once the reply is checked it is marked used, so the same
+// run id cannot be approved, edited or sent back twice. Throws
+// `unknown_run` / `run_expired` / `run_used` (lib/runs.js) or an approval_*
+// code (lib/approval.js).
+function resumeOptions({ resume, ...options }) {
+  const run = loadRun(resume.runId, { secret: options.runSecret });
+  const saved = Object.fromEntries(Object.entries(run.options || {}).filter(([, v]) => v !== undefined && v !== null));
+  // A run saves the id of its reference case; the caller's cases hold the plan.
+  if (saved.reference) saved.reference = referenceById(saved.reference, options.references);
+  if (run.kind === 'clarify') {
+    const { caseText, clarifications } = mergeAnswers(run.caseText, run.questions, resume.answers);
+    return { ...options, ...saved, caseText, clarify: false, clarifications, phiMapping: run.phi };
+  }
+
+  const entry = approvalEntry(resume.approval);
+  useRun(resume.runId);
+  const approvals = [...(run.approvals || []), entry];
+  const base = { ...options, ...saved, caseText: run.caseText, clarify: false, approvals, phiMapping: run.phi };
+  if (entry.action === 'revise') {
+    return { ...base, approval: true, initialCritique: approvalCritique(entry), clarifications: run.result.clarifications };
+  }
+  const plan_markdown = entry.action === 'edit' ? resume.approval.plan_markdown.trim() : run.result.plan_markdown;
+  return { ...base, approved: { result: run.result, plan_markdown, entry } };
+}
+
+async function runPipeline({
+  client, caseText, model, reasoningEffort, verbosity, modelDefault, onEvent, signal, meter, progress,
+  panel, consensus, policy, planFormat = 'markdown', repairRounds = 1,
+  conformance = 'report', reaskRounds = 1, synthVerify = 'report', audit = true,
+  startedAt, deadline, deadlineMs, stageTimeoutMs, streamText = true, prompts,
+  clarify = false, clarifications, runSecret, approval = false, approved, approvals, initialCritique,
+  deidentify, phiMapping, deidentification, safetyLint = true, ensemble, ensembleMode, reference,
+}) {
+  const opts = { client, model, reasoningEffort, modelDefault, signal, meter, timeoutMs: stageTimeoutMs, deadline };
+  const retryOpts = { signal };
+  const members = resolvePanel(panel);
+  const rule = resolveConsensus(consensus);
+  const acceptance = resolvePolicy(policy);
+  const sampling = resolveEnsemble(initialCritique ? 0 : ensemble, planFormat === 'json' ? 'select' : ensembleMode);
   const emit = (ev) => { if (typeof onEvent === 'function') { try { onEvent(ev); } catch {} } };
+  const now = () => new Date().toISOString();
+
+  // Stage bookkeeping: usage per stage for the *_done events, and wall time
+  // per stage for deadline planning. A stage only starts when it and the
+  // stages that must follow it fit in the time left at the pace so far;
+  // otherwise it is skipped and recorded in `progress.skipped`.
+  let mark = 0;
+  let stageStart = Date.now();
+  const stageMs = [];
+  const startStage = () => { mark = meter.mark(); stageStart = Date.now(); };
+  const endStage = () => {
+    const usage = meter.since(mark);
+    if (usage.calls) stageMs.push(Date.now() - stageStart);
+    return usage;
+  };
+  const fits = (stages) => !deadline || !stageMs.length ||
+    deadline - Date.now() > stages * (stageMs.reduce((a, b) => a + b, 0) / stageMs.length);
+  const skip = (stage, round, why) => progress.skipped.push({
+    stage, ...(round ? { round } : {}),
+    reason: `${Math.max(0, (deadline - Date.now()) / 1000).toFixed(1)}s left, not enough for ${why}`,
+  });
+
+  // Live text: planner, revision and synthesizer calls are streamed and
+  // forwarded as `delta` events, coalesced to one event per DELTA_FLUSH_MS.
+  const live = (stage, round) => {
+    if (!streamText || typeof onEvent !== 'function') return opts;
+    let buf = '';
+    let last = Date.now();
+    const flush = () => {
+      if (buf) emit({ type: 'delta', stage, ...(round ? { round } : {}), text: buf });
+      buf = '';
+      last = Date.now();
+    };
+    const onDelta = (text, info) => {
+      if (info?.reset) {
+        buf = '';
+        emit({ type: 'delta', stage, ...(round ? { round } : {}), reset: true });
+      } else {
+        buf += text;
+        if (info?.done || Date.now() - last >= DELTA_FLUSH_MS) flush();
+      }
+    };
+    return { ...opts, onDelta };
+  };
+
+  emit({ type: 'policy', policy: describePolicy(acceptance), prompts: progress.prompts });
+  if (deidentification) emit({ type: 'deidentify_done', ...deidentification });
 
   // Strip stray code fences some models wrap Markdown output in.
   const stripFences = (s) => String(s || '')
@@ -310,91 +654,474 @@ export async function generatePlan({ client, caseText, model, reasoningEffort, v
     .replace(/\n?\s*```\s*$/, '')
     .trim();
 
-  // 0) Initial plan (thesis Prompt 1 v2.0: Markdown sections, no XML)
-  emit({ type: 'planner_start' });
-  let planText = await runLLMRetry(() => runLLM({
-    system: 'Return only the surgical plan as Markdown, following the Output_Contract sections exactly. No preamble.',
-    user: plannerPrompt(caseText, verbosity)
-  }, opts));
-  emit({ type: 'planner_done' });
+  // Drafts (or revises) a plan. Markdown mode returns the planner's Markdown
+  // as-is. Structured mode asks for JSON, validates it against the schema,
+  // re-asks with the validation errors up to `repairRounds` times, and renders
+  // the plan to the same Markdown sections; `validation` reports the outcome.
+  // Markdown drafts are then checked against the Output_Contract and, with
+  // `conformance: 'reask'`, sent back up to `reaskRounds` times before review.
+  // A `sample` ({ temperature, signal }) marks an ensemble draft, which is
+  // sampled, not streamed, and stops when the ensemble's signal aborts.
+  const draftPlan = async (critique, stage, round, sample) => {
+    const scoped = (o) => (sample ? { ...o, signal: sample.signal } : o);
+    const callOpts = sample ? scoped({ ...opts, temperature: sample.temperature }) : opts;
+    const retry = scoped(retryOpts);
+    if (planFormat !== 'json') {
+      const text = await runLLMRetry(() => runLLM({
+        stage, round,
+        system: 'Return only the surgical plan as Markdown, following the Output_Contract sections exactly. No preamble.',
+        user: plannerPrompt(caseText, verbosity, critique, 'markdown', prompts)
+      }, sample ? callOpts : live(stage, round)), retry);
+      let md = stripFences(text);
+      if (conformance === 'off') return { md, json: null, validation: null, conformance: null };
+
+      let check = checkConformance(md, 'plan');
+      let reasks = 0;
+      while (conformance === 'reask' && check.findings.length && reasks < reaskRounds) {
+        if (!fits(3)) { skip('conformance', round, 'a re-ask, review and synthesis'); break; }
+        reasks++;
+        md = stripFences(await runLLMRetry(() => runLLM({
+          stage: 'conformance', round,
+          system: 'Return only the corrected surgical plan as Markdown. No preamble.',
+          user: conformanceReaskPrompt(md, check.findings)
+        }, scoped(live('conformance', round))), retry));
+        check = checkConformance(md, 'plan');
+      }
+      return { md, json: null, validation: null, conformance: { ...check, reasks } };
+    }
 
-  let planMd = stripFences(planText);
+    let text = await runLLMRetry(() => runLLM({
+      stage, round,
+      system: 'Return only the surgical plan as a single JSON object following the Output_Contract exactly. No preamble.',
+      user: plannerPrompt(caseText, verbosity, critique, 'json', prompts)
+    }, callOpts), retry);
+    let parsed = parsePlanJson(text);
+    let errors = parsed.error ? [parsed.error] : validatePlan(parsed.value);
+    let repairs = 0;
+    while (errors.length && repairs < repairRounds) {
+      if (!fits(3)) { skip('repair', round, 'a repair, review and synthesis'); break; }
+      repairs++;
+      text = await runLLMRetry(() => runLLM({
+        stage: 'repair', round,
+        system: 'Return only the corrected JSON object. No preamble.',
+        user: planRepairPrompt(text, errors)
+      }, scoped(opts)), retry);
+      parsed = parsePlanJson(text);
+      errors = parsed.error ? [parsed.error] : validatePlan(parsed.value);
+    }
 
-  // 1..3) Review + up to 2 revisions
+    const validation = { valid: !errors.length, errors, repairs };
+    // Unrepairable output still yields a best-effort rendering (or the raw
+    // reply) so review can go on; only a valid plan is exposed as plan_json.
+    const md = parsed.value ? planToMarkdown(parsed.value) : stripFences(text);
+    return {
+      md, json: errors.length ? null : parsed.value, validation,
+      conformance: conformance === 'off' ? null : { ...checkConformance(md, 'plan'), reasks: 0 },
+    };
+  };
+
+  // Runs `n` calls in parallel under one controller linked to the run's
+  // signal. The first call to fail aborts the others, so they stop instead
+  // of running on (and billing) for a result that is already lost.
+  const allOrNone = async (n, fn) => {
+    const ctl = new AbortController();
+    const stop = () => ctl.abort();
+    if (signal?.aborted) stop();
+    signal?.addEventListener('abort', stop, { once: true });
+    try {
+      return await Promise.all(Array.from({ length: n }, (_, i) => fn(i, ctl.signal).catch((e) => { stop(); throw e; })));
+    } finally {
+      signal?.removeEventListener('abort', stop);
+    }
+  };
+
+  // Ensemble: `sampling.size` drafts written and scored in parallel, then
+  // the best-ranked one or a merge of all of them goes on to review. Returns
+  // the draft and the `ensemble` report for the result.
+  const draftEnsemble = async () => {
+    const samples = await allOrNone(sampling.size, async (i, sampleSignal) => {
+      const d = await draftPlan(undefined, 'ensemble', i + 1, { temperature: ENSEMBLE_TEMPERATURE, signal: sampleSignal });
+      const review = parseReview(await runLLMRetry(() => runLLM({
+        stage: 'ensemble_review', round: i + 1,
+        system: 'Return only the single line of verify, domain-score, and feedback tags.',
+        user: reviewerPrompt(d.md, null, prompts)
+      }, { ...opts, signal: sampleSignal }), { ...retryOpts, signal: sampleSignal }));
+      const s = {
+        sample: i + 1, draft: d, plan_markdown: d.md, strategy: primaryStrategy(d.md),
+        verdict: review.verdict, scores: review.scores, comment: review.comment, findings: review.findings,
+        total: (review.scores || []).reduce((a, b) => a + b, 0),
+      };
+      emit({ type: 'sample_done', sample: s.sample, strategy: s.strategy, verdict: s.verdict, scores: s.scores, total: s.total });
+      return s;
+    });
+    const agreement = strategyAgreement(samples);
+    const best = rankSamples(samples)[0];
+    let chosen = best.draft;
+    if (sampling.mode === 'merge') {
+      const md = stripFences(await runLLMRetry(() => runLLM({
+        stage: 'merge',
+        system: 'Return only the merged surgical plan as Markdown, following the Output_Contract sections exactly. No preamble.',
+        user: ensembleMergePrompt(caseText, samples)
+      }, live('merge')), retryOpts));
+      chosen = { md, json: null, validation: null, conformance: conformance === 'off' ? null : { ...checkConformance(md, 'plan'), reasks: 0 } };
+    }
+    const report = {
+      size: sampling.size, mode: sampling.mode,
+      selected: sampling.mode === 'select' ? best.sample : null,
+      agreement,
+      samples: samples.map((s) => ({
+        sample: s.sample, strategy: s.strategy.label, verdict: s.verdict, scores: s.scores, total: s.total,
+        ...(audit !== false ? { plan_markdown: s.plan_markdown, findings: s.findings } : {}),
+      })),
+    };
+    return { draft: chosen, report };
+  };
+
+  // Operative note for an accepted plan, then its faithfulness check.
+  const synthesize = async (result, planMd) => {
+    if (!fits(1)) {
+      skip('synth', null, 'writing the operative note');
+      return;
+    }
+    emit({ type: 'synth_start' });
+    startStage();
+    result.markdown = stripFences(await runLLMRetry(() => runLLM({
+      stage: 'synth',
+      system: 'You write clean, professional preoperative planning notes in Markdown.',
+      user: synthPrompt(planMd, verbosity, caseText, prompts)
+    }, live('synth')), retryOpts));
+    const synthCheck = conformance === 'off' ? null : checkConformance(result.markdown, 'synth');
+    if (synthCheck) result.conformance.synth = synthCheck;
+    emit({ type: 'synth_done', usage: endStage(), ...(synthCheck ? { conformance: synthCheck } : {}) });
+
+    // Faithfulness: the note must not add clinical content to, or drop
+    // unknowns from, the accepted plan. 'regenerate' retries once with the
+    // findings; 'block' withholds an unfaithful note.
+    if (synthVerify !== 'off') {
+      let check = verifySynthesis(planMd, result.markdown);
+      let action = 'none';
+      if (!check.ok && synthVerify === 'regenerate' && !fits(1)) {
+        skip('synth', 2, 'regenerating the note');
+      } else if (!check.ok && synthVerify === 'regenerate') {
+        emit({ type: 'synth_start', retry: true });
+        startStage();
+        result.markdown = stripFences(await runLLMRetry(() => runLLM({
+          stage: 'synth', round: 2,
+          system: 'You write clean, professional preoperative planning notes in Markdown.',
+          user: synthRetryPrompt(planMd, verbosity, caseText, check.findings, prompts)
+        }, live('synth', 2)), retryOpts));
+        emit({ type: 'synth_done', retry: true, usage: endStage() });
+        check = verifySynthesis(planMd, result.markdown);
+        action = 'regenerated';
+      } else if (!check.ok && synthVerify === 'block') {
+        delete result.markdown;
+        action = 'blocked';
+      }
+      result.synth_verification = { ...check, action };
+      emit({ type: 'synth_verify_done', ok: check.ok, findings: check.findings, action });
+    }
+  };
+
+  // Deadline report and usage, last on every completed result.
+  const finish = (result) => {
+    if (progress.skipped.length) {
+      result.degraded = { deadline_ms: deadlineMs, elapsed_ms: Date.now() - startedAt, skipped: progress.skipped };
+      emit({ type: 'degraded', ...result.degraded });
+    }
+    result.usage = meter.summary();
+    return result;
+  };
+
+  // Approval gate: an accepted plan waits for the attending before the note
+  // is written. The saved run keeps the result without its audit trail
+  // (rounds, manager trace, panel reviews, revisions), which the paused
+  // response has already carried, so an approval only has synthesis left
+  // to do.
+  const awaitApproval = (result) => {
+    const kept = { ...result };
+    for (const k of ['rounds', 'manager_trace', 'reviews', 'revisions']) delete kept[k];
+    const { run_id, expires_at } = saveRun({
+      kind: 'approval', caseText, result: kept, approvals: approvals || [], phi: phiMapping,
+      options: { model, reasoningEffort, verbosity, promptVersion: prompts.version, deidentify, reference: reference?.id },
+    }, { secret: runSecret });
+    emit({ type: 'awaiting_approval', run_id, expires_at, plan_markdown: result.plan_markdown });
+    return finish({
+      ...result, verdict: 'pending', source: 'awaiting_approval',
+      reason: `${result.source === 'manager_override' ? 'Accepted on manager override' : 'Accepted by the board'}; awaiting the attending's approval before the operative note is written.`,
+      run_id, expires_at,
+    });
+  };
+
+  // Resumed with an approve or edit: the saved result, signed off, goes
+  // straight to synthesis. An edited plan replaces the accepted one, so its
+  // conformance, safety rules and named options are checked again (reported,
+  // not enforced: the attending has signed it off) and the structured plan
+  // no longer applies.
+  if (approved) {
+    const result = { ...approved.result, plan_markdown: approved.plan_markdown, approval: approved.entry, approvals };
+    if (approved.entry.action === 'edit') {
+      delete result.plan_json;
+      delete result.plan_validation;
+      if (conformance !== 'off') result.conformance = { plan: { ...checkConformance(result.plan_markdown, 'plan'), reasks: 0 } };
+      if (safetyLint !== false) result.lint = lintPlan(result.plan_markdown, { caseText, intake: result.intake });
+      result.options = checkOptions(result.plan_markdown);
+      if (reference) result.coverage = scoreCoverage(result.plan_markdown, reference);
+      else delete result.coverage;
+    }
+    progress.verdict = 'accept';
+    progress.plan_markdown = result.plan_markdown;
+    emit({ type: 'approval', ...approved.entry });
+    await synthesize(result, result.plan_markdown);
+    return finish(result);
+  }
+
+  // Structured intake, before any model call: the fields the case states and
+  // the ones missing that matter for reconstruction (lib/intake.js).
+  const intake = parseIntake(caseText);
+  progress.intake = intake;
+  emit({ type: 'intake_done', intake });
+
+  // 0) Initial plan (thesis Prompt 1 v2.0: Markdown sections, no XML); a plan
+  // sent back at approval is redrafted with the attending's critique.
+  // With an ensemble, the first plan is drawn from several scored drafts;
+  // without the time for them, from one.
+  let ensembleReport = null;
+  if (sampling.size && !fits(sampling.mode === 'merge' ? 6 : 5)) {
+    skip('ensemble', null, `${sampling.size} sampled drafts, their reviews, the review loop and synthesis`);
+    sampling.size = 0;
+  }
+  emit({ type: 'planner_start', ...(sampling.size ? { ensemble: { size: sampling.size, mode: sampling.mode } } : {}) });
+  startStage();
+  let draftStarted = now();
+  let draft;
+  if (sampling.size) {
+    ({ draft, report: ensembleReport } = await draftEnsemble());
+  } else {
+    draft = await draftPlan(initialCritique, 'planner');
+  }
+  // Audit record of the draft the next review round will see.
+  const draftRecord = (stage) => ({
+    stage,
+    plan_markdown: draft.md,
+    ...(planFormat === 'json' ? { plan_json: draft.json, validation: draft.validation } : {}),
+    ...(draft.conformance ? { conformance: draft.conformance } : {}),
+    started_at: draftStarted,
+    finished_at: now(),
+  });
+  let pendingDraft = draftRecord('planner');
+  emit({
+    type: 'planner_done', usage: endStage(),
+    ...(draft.validation ? { validation: draft.validation } : {}),
+    ...(draft.conformance ? { conformance: draft.conformance } : {}),
+    ...(ensembleReport ? { ensemble: { selected: ensembleReport.selected, agreement: ensembleReport.agreement } } : {})
+  });
+
+  let planMd = draft.md;
+  progress.plan_markdown = planMd;
+
+  // Clarification pause: the draft's Unknowns go to the clinician as
+  // questions and the run ends here, resumable by `run_id` (lib/runs.js).
+  // The resumed run drafts again from the case with the answers merged in.
+  const questions = clarify ? unknownsToQuestions(planMd, draft.json) : [];
+  if (questions.length) {
+    const { run_id, expires_at } = saveRun({
+      kind: 'clarify', caseText, questions, phi: phiMapping,
+      options: { model, reasoningEffort, verbosity, promptVersion: prompts.version, approval, deidentify, ensemble, ensembleMode, reference: reference?.id },
+    }, { secret: runSecret });
+    emit({ type: 'clarification_needed', run_id, questions, expires_at });
+    return {
+      verdict: 'pending', source: 'clarification_needed',
+      reason: `The planner listed ${questions.length} open question${questions.length === 1 ? '' : 's'}; answer them to continue.`,
+      comment: '', manager_note: '', plan_markdown: planMd, raw_review: '', scores: null, findings: null,
+      policy: describePolicy(acceptance), decisions: [], revisions: [], prompts: progress.prompts, intake,
+      ...(ensembleReport ? { ensemble: ensembleReport } : {}),
+      run_id, expires_at, questions, usage: meter.summary(),
+    };
+  }
+
+  // 1..N) Review rounds under the acceptance policy (default: 3 rounds,
+  // accept on the board's verdict); each rejection leads to a revision, the
+  // manager, or a final reject, as the policy dictates.
   let verdict = 'reject', comment = '';
   let source = 'review';
   let manager_note = '';
   let raw_review = '';
   let scores = null;
-
-  for (let round = 0; round < 3; round++) {
-    const roundNum = round + 1;
+  let reviews = null;
+  let findings = null;
+  let lint = null;
+  let optionCheck = null;
+  let structured = true;
+  let failures = [];
+  let critique = '';
+  let next = 'manager';
+  const decisions = progress.decisions;
+  const rounds = [];
+  const revisions = [];
+  let manager_trace = null;
+
+  for (let roundNum = 1; roundNum <= acceptance.maxRounds; roundNum++) {
     emit({ type: 'review_start', round: roundNum });
-    const reviewText = await runLLMRetry(() => runLLM({
-      system: 'Return only the single line of verify, domain-score, and feedback tags.',
-      user: reviewerPrompt(planMd)
-    }, opts));
-    raw_review = (reviewText || '').trim();
-
-    const vMatch = reviewText.match(/<SurgicalBoard_Verify>(.*?)<\/SurgicalBoard_Verify>/i);
-    const cMatch = reviewText.match(/<Feedback_Comment>([\s\S]*?)<\/Feedback_Comment>/i);
-    let v = vMatch ? (vMatch[1] || '').trim() : '';
-    let c = cMatch ? (cMatch[1] || '').trim() : '';
-
-    // Optional five-domain Likert scores (thesis instrument). Missing or
-    // malformed scores never affect the verdict; they are display-only.
-    const sMatch = reviewText.match(/<Domain_Scores>([^<]*)<\/Domain_Scores>/i);
-    scores = null;
-    if (sMatch) {
-      const nums = sMatch[1].split(/[,\s]+/)
-        .map((n) => parseInt(n, 10))
-        .filter((n) => Number.isInteger(n) && n >= 1 && n <= 5);
-      if (nums.length === 5) scores = nums;
+    startStage();
+    const reviewStarted = now();
+    // Safety rules first: deterministic, so they cost nothing to run on
+    // every draft and are reported before the board's slower verdict.
+    lint = safetyLint !== false ? lintPlan(planMd, { caseText, intake }) : null;
+    if (lint) emit({ type: 'lint_done', round: roundNum, findings: lint });
+    optionCheck = checkOptions(planMd);
+    emit({ type: 'options_done', round: roundNum, ...optionCheck });
+    let review;
+    if (members.length) {
+      // Panel: every member reviews the same draft in parallel, each reported
+      // as its own review_done, then combined by the consensus rule. A
+      // member that fails stops the others.
+      reviews = await allOrNone(members.length, async (i, memberSignal) => {
+        const reviewer = members[i];
+        const text = await runLLMRetry(() => runLLM({
+          stage: 'review', round: roundNum,
+          system: 'Return only the single line of verify, domain-score, critical-issue, and feedback tags.',
+          user: reviewerPrompt(planMd, reviewer, prompts)
+        }, { ...opts, signal: memberSignal }), { ...retryOpts, signal: memberSignal });
+        const r = { reviewer: { id: reviewer.id, label: reviewer.label }, ...parseReview(text) };
+        emit({ type: 'review_done', round: roundNum, reviewer: r.reviewer, verdict: r.verdict, comment: r.comment, scores: r.scores, critical: r.critical, findings: r.findings });
+        return r;
+      });
+      const agg = aggregateConsensus(reviews, rule);
+      review = { ...agg, raw: reviews.map((r) => `[${r.reviewer.id}] ${r.raw}`).join('\n') };
+    } else {
+      review = parseReview(await runLLMRetry(() => runLLM({
+        stage: 'review', round: roundNum,
+        system: 'Return only the single line of verify, domain-score, and feedback tags.',
+        user: reviewerPrompt(planMd, null, prompts)
+      }, opts), retryOpts));
     }
 
-    const noStructured = !vMatch || !cMatch || !c;
-    if (noStructured) {
-      v = 'reject';
-      c = c || 'Reviewer returned no structured feedback. Treat this as a formatting/format-only issue (minor).';
+    if (lint?.length) review.findings = mergeFindings(review.findings, lint);
+    raw_review = review.raw;
+    comment = review.comment;
+    scores = review.scores;
+    findings = review.findings;
+    structured = review.structured;
+    const decision = decideRound(acceptance, roundNum, review);
+    failures = decision.failures;
+    decisions.push({ round: roundNum, accept: decision.accept, reason: decision.reason, next: decision.next });
+    verdict = decision.accept ? 'accept' : 'reject';
+    next = decision.next;
+    rounds.push({
+      round: roundNum,
+      draft: pendingDraft,
+      ...(lint ? { lint } : {}),
+      options: optionCheck,
+      review: {
+        verdict: review.verdict, comment, scores, findings, raw: raw_review,
+        ...(members.length ? { reviews, consensus: { rule, reason: review.reason } } : {}),
+        started_at: reviewStarted,
+        finished_at: now(),
+      },
+      decision: { accept: decision.accept, reason: decision.reason, failures: decision.failures, next },
+    });
+    emit({
+      type: 'review_done', round: roundNum, verdict: review.verdict, comment, scores, findings,
+      decision: { accept: decision.accept, reason: decision.reason, next },
+      usage: endStage(),
+      ...(members.length ? { consensus: { rule, reason: review.reason } } : {})
+    });
+
+    if (decision.accept) break;
+
+    // Policy failures beyond the board's own rejection (e.g. a domain below
+    // its minimum) are passed on so the planner knows what to fix.
+    // Itemized findings go with them, so each one can be addressed.
+    const policyFailures = decision.failures.filter((f) => !/^board verdict/.test(f));
+    const boardFindings = (findings || []).filter((f) => !f.rule);
+    const ruleFindings = (findings || []).filter((f) => f.rule);
+    critique = [
+      comment,
+      boardFindings.length ? `Reviewer findings:\n${formatFindings(boardFindings)}` : '',
+      ruleFindings.length ? `Safety rule findings:\n${formatFindings(ruleFindings)}` : '',
+      policyFailures.length ? `Acceptance policy not met: ${policyFailures.join('; ')}.` : '',
+    ].filter(Boolean).join('\n\n');
+
+    if (next !== 'revise') break;
+    // Out of time for another round: the rejection goes on as if this were
+    // the last round, escalation included.
+    if (!fits(3)) {
+      skip('revision', roundNum, 'a revision, another review and synthesis');
+      next = nextOnReject(acceptance, Math.max(roundNum, acceptance.maxRounds));
+      break;
     }
 
-    verdict = /accept/i.test(v) ? 'accept' : 'reject';
-    comment = c;
-    emit({ type: 'review_done', round: roundNum, verdict, comment, scores });
-
-    if (verdict === 'accept') break;
-
     emit({ type: 'revision_start', round: roundNum });
-    const revised = await runLLMRetry(() => runLLM({
-      system: 'Return only the surgical plan as Markdown, following the Output_Contract sections exactly. No preamble.',
-      user: plannerPrompt(caseText, verbosity, c)
-    }, opts));
-
-    planMd = stripFences(revised);
-    emit({ type: 'revision_done', round: roundNum });
+    startStage();
+    draftStarted = now();
+    draft = await draftPlan(critique, 'revision', roundNum);
+    const diff = diffPlans(planMd, draft.md, { comment, findings, failures: policyFailures });
+    revisions.push({ round: roundNum, ...diff });
+    planMd = draft.md;
+    progress.plan_markdown = planMd;
+    pendingDraft = draftRecord('revision');
+    emit({
+      type: 'revision_done', round: roundNum, diff, usage: endStage(),
+      ...(draft.validation ? { validation: draft.validation } : {}),
+      ...(draft.conformance ? { conformance: draft.conformance } : {})
+    });
   }
 
-  // 4) Manager override if still rejected but looks minor
-  if (verdict !== 'accept') {
+  // Manager stage, if still rejected (unless the policy ended the loop with
+  // a final reject). It decides on the structured findings:
+  //   - a critical finding (reviewer or safety rule): never overridden
+  //   - reviewer output missing / unparseable: format-only, overridden
+  //   - the reviewer's own findings all minor, and no other policy failure:
+  //     overridden (safety rule findings never count towards this; they
+  //     reject only through the policy's rejectOnLint)
+  //   - otherwise (major findings, policy failures, or a reviewer that gave
+  //     no findings): the manager model decides
+  const worst = worstSeverity(findings);
+  const boardFindings = (findings || []).filter((f) => !f.rule);
+  const onlyMinor = boardFindings.length > 0 && worstSeverity(boardFindings) === 'minor' &&
+    failures.every((f) => /^board verdict/.test(f));
+  const ruled = !structured || worst === 'critical' || onlyMinor;
+  if (verdict !== 'accept' && next === 'manager' && !ruled && !fits(2)) {
+    skip('manager', null, 'the manager and synthesis');
+  } else if (verdict !== 'accept' && next === 'manager') {
     emit({ type: 'manager_start' });
-    const looksMinor =
-      /format|tag|layout|xml|structure|style|no structured feedback/i.test(comment || '') || !comment;
-
-    if (looksMinor) {
-      verdict = 'accept';
-      source = 'manager_override';
-      manager_note = 'Override: reviewer output missing/format-only; treating as minor.';
-      emit({ type: 'manager_done', override: true, note: manager_note });
+    startStage();
+    const managerStarted = now();
+    const settle = (override, note) => {
+      manager_note = note;
+      if (override) { verdict = 'accept'; source = 'manager_override'; }
+      manager_trace = { input: critique, output: null, override, note, started_at: managerStarted, finished_at: now() };
+      emit({ type: 'manager_done', override, note, usage: endStage() });
+    };
+
+    if (worst === 'critical') {
+      const n = countFindings(findings).critical;
+      const byRules = countFindings(findings.filter((f) => f.rule)).critical;
+      const who = byRules === n ? 'the safety rules' : byRules ? 'the board and the safety rules' : 'the board';
+      settle(false, `Not overridden: ${who} raised ${n} critical finding${n === 1 ? '' : 's'}.`);
+    } else if (!structured) {
+      settle(true, 'Override: reviewer output missing/format-only; treating as minor.');
+    } else if (onlyMinor) {
+      settle(true, `Override: the board raised only minor findings (${boardFindings.length}); treating as minor.`);
     } else {
+      // Major findings are listed first so the manager weighs them, not the
+      // prose around them.
+      const blocking = findingsAtLeast(findings, 'major');
+      const mgrInput = [
+        blocking.length ? `Findings marked major by the reviewer${blocking.some((f) => f.rule) ? ' and the safety rules' : ''}:\n${formatFindings(blocking)}` : '',
+        critique || 'No reviewer comment.',
+      ].filter(Boolean).join('\n\n');
       const mgrText = await runLLMRetry(() => runLLM({
+        stage: 'manager',
         system: 'Decide acceptance override for minor vs major reasons.',
-        user: managerPrompt(comment || 'No reviewer comment.')
-      }, opts));
+        user: managerPrompt(mgrInput, prompts)
+      }, opts), retryOpts);
       const over = (mgrText.match(/<Manager_Override>(.*?)<\/Manager_Override>/i) || [, 'reject'])[1].trim();
       manager_note = (mgrText.match(/<Manager_Note>([\s\S]*?)<\/Manager_Note>/i) || [, ''])[1].trim();
       const overrideAccepted = /accept/i.test(over);
       if (overrideAccepted) { verdict = 'accept'; source = 'manager_override'; }
-      emit({ type: 'manager_done', override: overrideAccepted, note: manager_note });
+      manager_trace = { input: mgrInput, output: mgrText, override: overrideAccepted, note: manager_note, started_at: managerStarted, finished_at: now() };
+      emit({ type: 'manager_done', override: overrideAccepted, note: manager_note, usage: endStage() });
     }
   }
 
@@ -403,16 +1130,39 @@ export async function generatePlan({ client, caseText, model, reasoningEffort, v
       ? (comment ? `${comment}\n\nManager override: ${manager_note}` : `Manager override: ${manager_note}`)
       : (comment || '');
 
-  const result = { verdict, source, reason, comment, manager_note, plan_markdown: planMd, raw_review, scores };
-
-  if (verdict === 'accept') {
-    emit({ type: 'synth_start' });
-    result.markdown = stripFences(await runLLMRetry(() => runLLM({
-      system: 'You write clean, professional preoperative planning notes in Markdown.',
-      user: synthPrompt(planMd, verbosity, caseText)
-    }, opts)));
-    emit({ type: 'synth_done' });
+  const result = {
+    verdict, source, reason, comment, manager_note, plan_markdown: planMd, raw_review, scores, findings,
+    policy: describePolicy(acceptance), decisions, revisions, prompts: progress.prompts, intake,
+    ...(clarifications ? { clarifications } : {}),
+    ...(approvals?.length ? { approvals } : {}),
+  };
+  if (planFormat === 'json') {
+    result.plan_json = draft.json;
+    result.plan_validation = draft.validation;
+  }
+  if (conformance !== 'off') result.conformance = { plan: draft.conformance };
+  if (lint) result.lint = lint;
+  result.options = optionCheck;
+  if (ensembleReport) result.ensemble = ensembleReport;
+  if (reference) {
+    const coverage = scoreCoverage(planMd, reference);
+    result.coverage = coverage;
+    emit({
+      type: 'coverage_done', reference: coverage.reference, recall: coverage.recall, precision: coverage.precision,
+      steps: coverage.steps, contingencies: coverage.contingencies, extra: coverage.extra.length,
+    });
+  }
+  if (members.length) {
+    result.panel = { members: members.map((m) => m.id), rule };
+    result.reviews = reviews;
+  }
+  if (audit !== false) {
+    result.rounds = rounds;
+    result.manager_trace = manager_trace;
   }
 
-  return result;
+  progress.verdict = verdict;
+  if (verdict === 'accept' && approval) return awaitApproval(result);
+  if (verdict === 'accept') await synthesize(result, planMd);
+  return finish(result);
 }
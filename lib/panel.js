@@ -0,0 +1,102 @@
+// lib/panel.js — multi-specialty review panel and consensus aggregation.
+// By default the review stage is a single "surgical review board" call. A
+// deployment can instead convene a panel of specialty reviewers who each
+// review the same draft in parallel; their verdicts are then combined by a
+// consensus rule. Pure data + logic; the calls themselves live in
+// lib/orchestrator.js.
+
+import { SEVERITIES } from './findings.js';
+
+// Specialty personas. `focus` is inserted into the reviewer prompt; every
+// member still scores all five thesis domains.
+export const REVIEWERS = {
+  oncologic: {
+    id: 'oncologic',
+    label: 'Oncologic surgeon',
+    focus: 'resection extent and margins, nodal management, staging-appropriate treatment, and oncologic safety of the reconstruction choice',
+  },
+  microsurgery: {
+    id: 'microsurgery',
+    label: 'Reconstructive microsurgeon',
+    focus: 'flap selection, tissue components, pedicle and recipient-vessel planning, donor-site prerequisites, inset, and flap-salvage contingencies',
+  },
+  airway: {
+    id: 'airway',
+    label: 'Anesthesia / airway',
+    focus: 'airway securing strategy, tracheostomy decisions, anesthetic fitness for prolonged microsurgery, perioperative hemodynamics, and postoperative monitoring',
+  },
+  radiology: {
+    id: 'radiology',
+    label: 'Head and neck radiologist',
+    focus: 'whether the plan is consistent with the stated imaging findings (extent, depth, bone and nodal involvement, vessels) and whether imaging gaps are declared rather than assumed',
+  },
+};
+
+export const CONSENSUS_RULES = ['unanimous', 'majority', 'any-critical-veto'];
+
+// Accepts an array or a comma-separated list of reviewer ids ("all" selects
+// every persona). Unknown ids are ignored; returns [] for no panel.
+export function resolvePanel(spec) {
+  if (!spec) return [];
+  const ids = Array.isArray(spec) ? spec : String(spec).split(',');
+  const wanted = ids.map((s) => String(s).trim().toLowerCase()).filter(Boolean);
+  if (wanted.includes('all')) return Object.values(REVIEWERS);
+  return [...new Set(wanted)].map((id) => REVIEWERS[id]).filter(Boolean);
+}
+
+export function resolveConsensus(rule) {
+  const r = String(rule || '').trim().toLowerCase();
+  return CONSENSUS_RULES.includes(r) ? r : 'majority';
+}
+
+// Per-domain mean across members that returned well-formed scores, rounded
+// to whole Likert points so the aggregate has the same shape as one review.
+function meanScores(reviews) {
+  const valid = reviews.map((r) => r.scores).filter((s) => Array.isArray(s) && s.length === 5);
+  if (!valid.length) return null;
+  return [0, 1, 2, 3, 4].map((d) => Math.round(valid.reduce((a, s) => a + s[d], 0) / valid.length));
+}
+
+// Combines member reviews ({ reviewer, verdict, comment, scores, critical,
+// findings, structured }) into one board decision with the same { verdict,
+// comment, scores, findings, structured } shape a single review produces,
+// plus a human-readable `reason` for the rule. `findings` pools every
+// member's items (each tagged with its `reviewer`), accepting members
+// included, so a critical item is never lost to a majority; it is null only
+// when no member returned findings.
+//   unanimous          accept only if every member accepts
+//   majority           accept if more than half accept (ties reject)
+//   any-critical-veto  majority, but any member flagging a critical safety
+//                      issue rejects outright
+export function aggregateConsensus(reviews, rule) {
+  const n = reviews.length;
+  const accepts = reviews.filter((r) => r.verdict === 'accept').length;
+  const critical = reviews.filter((r) => r.critical);
+  let accept;
+  let reason;
+  if (rule === 'unanimous') {
+    accept = accepts === n;
+    reason = `${accepts} of ${n} accepted; unanimity ${accept ? 'reached' : 'not reached'}`;
+  } else if (rule === 'any-critical-veto' && critical.length) {
+    accept = false;
+    reason = `critical safety issue raised by ${critical.map((r) => r.reviewer.label).join(', ')}`;
+  } else {
+    accept = accepts * 2 > n;
+    reason = `${accepts} of ${n} accepted; majority ${accept ? 'reached' : 'not reached'}`;
+  }
+
+  // Carry forward the concerns that drove the outcome: objections on a
+  // reject, any remaining notes on an accept.
+  const relevant = reviews.filter((r) => (accept ? r.comment : r.verdict !== 'accept'));
+  const comment = relevant.map((r) => `${r.reviewer.label}: ${r.comment}`).join('\n\n');
+
+  const withFindings = reviews.filter((r) => Array.isArray(r.findings));
+  const findings = withFindings.length
+    ? withFindings.flatMap((r) => r.findings.map((f) => ({ ...f, reviewer: r.reviewer })))
+      .sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity))
+    : null;
+  // Format-only unless a member who objected gave structured output.
+  const structured = reviews.some((r) => r.structured && (accept || r.verdict !== 'accept'));
+
+  return { verdict: accept ? 'accept' : 'reject', comment, scores: meanScores(reviews), findings, structured, rule, reason };
+}
@@ -0,0 +1,112 @@
+// lib/plan-diff.js — what a revision actually changed.
+// Compares two consecutive plan drafts (planner Output_Contract Markdown)
+// section by section: contingencies and unknowns as list entries, operative
+// steps as ordered items. Each added, removed or reworded entry is linked to
+// the reviewer concern it most plausibly answers, so a reader can follow
+// critique -> change. Deterministic; similarity is content-word overlap
+// (lib/text.js), not clinical equivalence.
+//
+// Change: { section: 'contingencies' | 'steps' | 'unknowns',
+//           kind: 'added' | 'removed' | 'changed', text, from?, concern? }
+//   `from` is the previous wording of a changed entry; `concern` is
+//   { text, score } when a critique sentence matches the change.
+
+import { normTitle, parseSections, findSection, listItems, listBlocks } from './markdown.js';
+import { bestMatch } from './text.js';
+import { formatFindings } from './findings.js';
+
+// Entries at least this similar are the same entry reworded, not a
+// removal plus an addition.
+const CHANGED_MIN = 0.5;
+// Minimum overlap for a critique sentence to count as the reason for a change.
+const CONCERN_MIN = 0.15;
+
+const LISTS = [
+  { key: 'contingencies', prefix: 'Key Contingencies', read: listBlocks },
+  { key: 'steps', prefix: 'Operative Plan', read: listItems },
+  { key: 'unknowns', prefix: 'Unknowns', read: listBlocks },
+];
+
+const norm = (s) => String(s || '').toLowerCase().replace(/\s+/g, ' ').replace(/[.;\s]+$/, '').trim();
+
+// Section headers the pipeline puts into a critique; never a concern.
+const HEADERS = /^(acceptance policy not met|reviewer findings|safety rule findings):?$/i;
+
+const sentences = (text) => String(text || '').split(/\n+|(?<=[.!?])\s+(?=[A-Z])/)
+  .map((s) => s.trim().replace(/^-\s+/, ''))
+  .filter((s) => s.length > 8);
+
+// Reviewer critique split into individual concerns. Structured, as
+// { comment, findings, failures }, it is one concern per finding (in the
+// wording the revision saw) and per policy failure, plus the comment's
+// sentences. A plain critique string is split per line or sentence with the
+// headers dropped. Panel "Label:" prefixes are kept either way, so the
+// concern still says who raised it.
+function splitConcerns(critique) {
+  if (critique && typeof critique === 'object') {
+    return [
+      ...sentences(critique.comment),
+      ...(critique.findings || []).map((f) => formatFindings([f]).replace(/^-\s+/, '')),
+      ...(critique.failures || []),
+    ];
+  }
+  return sentences(critique).filter((s) => !HEADERS.test(s));
+}
+
+// Pairs entries of two lists: identical ones are skipped, close ones become
+// 'changed', the rest 'added' / 'removed'.
+function diffList(prev, next) {
+  const used = new Set();
+  const out = [];
+  const pending = [];
+  for (const n of next) {
+    const i = prev.findIndex((p, j) => !used.has(j) && norm(p) === norm(n));
+    if (i !== -1) used.add(i);
+    else pending.push(n);
+  }
+  for (const n of pending) {
+    const { index, score } = bestMatch(n, prev.map((p, j) => (used.has(j) ? '' : p)));
+    if (index !== -1 && score >= CHANGED_MIN) {
+      used.add(index);
+      out.push({ kind: 'changed', text: n, from: prev[index] });
+    } else {
+      out.push({ kind: 'added', text: n });
+    }
+  }
+  prev.forEach((p, j) => { if (!used.has(j)) out.push({ kind: 'removed', text: p }); });
+  return out;
+}
+
+// `critique` is the string or { comment, findings, failures } the revision
+// answered. Returns { changes, sections_changed, counts: { added, removed,
+// changed } }.
+// `sections_changed` lists every Output_Contract section whose text differs,
+// including ones not itemized above (e.g. the primary plan).
+export function diffPlans(prevMd, nextMd, critique) {
+  const prevSecs = parseSections(prevMd, 1);
+  const nextSecs = parseSections(nextMd, 1);
+  const concerns = splitConcerns(critique);
+
+  const changes = [];
+  for (const { key, prefix, read } of LISTS) {
+    const prev = read(findSection(prevSecs, prefix)?.body);
+    const next = read(findSection(nextSecs, prefix)?.body);
+    for (const c of diffList(prev, next)) {
+      const probe = c.kind === 'changed' ? `${c.text} ${c.from}` : c.text;
+      const m = bestMatch(probe, concerns);
+      changes.push({
+        section: key,
+        ...c,
+        ...(m.index !== -1 && m.score >= CONCERN_MIN ? { concern: { text: concerns[m.index], score: Number(m.score.toFixed(2)) } } : {}),
+      });
+    }
+  }
+
+  const bodyOf = (secs, t) => norm(secs.find((s) => normTitle(s.title) === normTitle(t))?.body);
+  const titles = [...new Set([...prevSecs, ...nextSecs].map((s) => s.title))];
+  const sections_changed = titles.filter((t) => bodyOf(prevSecs, t) !== bodyOf(nextSecs, t));
+
+  const counts = { added: 0, removed: 0, changed: 0 };
+  for (const c of changes) counts[c.kind]++;
+  return { changes, sections_changed, counts };
+}
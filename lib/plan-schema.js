@@ -0,0 +1,162 @@
+// lib/plan-schema.js — structured (JSON) planner output.
+// In structured mode the planner returns the Output_Contract as one JSON
+// object instead of free Markdown. This module holds the schema, a small
+// dependency-free validator for it, and the renderer that turns a valid plan
+// back into the exact Markdown sections the reviewer, synthesizer and
+// front-end already consume, so `plan_markdown` keeps its meaning.
+
+const str = { type: 'string', minLength: 1 };
+const strList = { type: 'array', items: str };
+
+// JSON-Schema-like subset: object (properties), array (items, minItems),
+// string (minLength). Every listed object property is required.
+export const PLAN_SCHEMA = {
+  type: 'object',
+  properties: {
+    summary: str,
+    defect: {
+      type: 'object',
+      properties: { site_and_extent: str, tissues_involved: strList, modifiers: strList },
+    },
+    objectives: {
+      type: 'object',
+      properties: { anatomic: strList, functional: strList, aesthetic: strList },
+    },
+    primary_plan: {
+      type: 'object',
+      properties: { strategy: str, justification: str },
+    },
+    alternatives: {
+      type: 'array',
+      minItems: 1,
+      items: { type: 'object', properties: { option: str, why_considered: str, why_not_chosen: str } },
+    },
+    steps: { type: 'array', minItems: 1, items: str },
+    contingencies: {
+      type: 'array',
+      items: { type: 'object', properties: { if: str, then: str } },
+    },
+    unknowns: {
+      type: 'array',
+      items: { type: 'object', properties: { item: str, why_it_matters: str, impact: str } },
+    },
+    assumptions: {
+      type: 'object',
+      properties: { assumptions: strList, high_confidence: strList, conditional: strList },
+    },
+  },
+};
+
+// Skeleton shown to the model in the JSON Output_Contract.
+export const PLAN_JSON_TEMPLATE = {
+  summary: 'One short paragraph summarizing the clinical problem.',
+  defect: { site_and_extent: '...', tissues_involved: ['...'], modifiers: ['Important modifiers affecting reconstruction'] },
+  objectives: { anatomic: ['...'], functional: ['...'], aesthetic: ['Only if relevant; otherwise []'] },
+  primary_plan: { strategy: 'Recommended strategy', justification: 'Why this is the best-fit option' },
+  alternatives: [{ option: '...', why_considered: '...', why_not_chosen: '...' }],
+  steps: ['Numbered, executable, case-relevant operative steps in order (no numbers in the text)'],
+  contingencies: [{ if: 'specific problem', then: 'specific response' }],
+  unknowns: [{ item: 'What is unknown', why_it_matters: '...', impact: 'How it could change the plan' }],
+  assumptions: { assumptions: ['...'], high_confidence: ['...'], conditional: ['...'] },
+};
+
+function check(schema, value, path, errors) {
+  if (schema.type === 'string') {
+    if (typeof value !== 'string') errors.push(`${path}: expected a string`);
+    else if (schema.minLength && value.trim().length < schema.minLength) errors.push(`${path}: must not be empty`);
+    return;
+  }
+  if (schema.type === 'array') {
+    if (!Array.isArray(value)) { errors.push(`${path}: expected an array`); return; }
+    if (schema.minItems && value.length < schema.minItems) errors.push(`${path}: needs at least ${schema.minItems} item(s)`);
+    value.forEach((v, i) => check(schema.items, v, `${path}[${i}]`, errors));
+    return;
+  }
+  if (schema.type === 'object') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) { errors.push(`${path}: expected an object`); return; }
+    for (const [k, sub] of Object.entries(schema.properties)) {
+      if (!(k in value)) errors.push(`${path}.${k}: missing`);
+      else check(sub, value[k], `${path}.${k}`, errors);
+    }
+  }
+}
+
+// Returns a list of human-readable errors; [] means valid.
+export function validatePlan(plan) {
+  const errors = [];
+  check(PLAN_SCHEMA, plan, '$', errors);
+  return errors;
+}
+
+// Extracts the JSON object from a model reply (tolerating code fences or a
+// stray preamble). Returns { value } or { error }.
+export function parsePlanJson(text) {
+  const s = String(text || '').replace(/^\s*```(?:json)?\s*\n?/i, '').replace(/\n?\s*```\s*$/, '').trim();
+  const start = s.indexOf('{');
+  const end = s.lastIndexOf('}');
+  if (start === -1 || end <= start) return { error: 'no JSON object found in the reply' };
+  try {
+    return { value: JSON.parse(s.slice(start, end + 1)) };
+  } catch (e) {
+    return { error: `invalid JSON: ${e.message}` };
+  }
+}
+
+// Renders a plan object as the Output_Contract Markdown sections. Tolerant of
+// missing fields so a best-effort rendering is possible even when validation
+// failed.
+export function planToMarkdown(plan) {
+  const p = plan || {};
+  const list = (a) => (Array.isArray(a) ? a : []).filter((x) => typeof x === 'string' && x.trim());
+  const bare = (x) => String(x || 'not stated').replace(/[.,;\s]+$/, '');
+  const out = [];
+
+  out.push(`# Patient Summary\n${p.summary || ''}`);
+
+  const d = p.defect || {};
+  out.push([
+    '# Defect / Problem Definition',
+    d.site_and_extent ? `- Site and extent: ${d.site_and_extent}` : '',
+    list(d.tissues_involved).length ? `- Tissues involved: ${list(d.tissues_involved).join('; ')}` : '',
+    list(d.modifiers).length ? `- Important modifiers: ${list(d.modifiers).join('; ')}` : '',
+  ].filter(Boolean).join('\n'));
+
+  const o = p.objectives || {};
+  out.push([
+    '# Reconstructive Objectives',
+    list(o.anatomic).length ? `- Anatomic: ${list(o.anatomic).join('; ')}` : '',
+    list(o.functional).length ? `- Functional: ${list(o.functional).join('; ')}` : '',
+    list(o.aesthetic).length ? `- Aesthetic: ${list(o.aesthetic).join('; ')}` : '',
+  ].filter(Boolean).join('\n'));
+
+  const pp = p.primary_plan || {};
+  out.push([
+    '# Primary Reconstructive Plan',
+    pp.strategy ? `- Recommended strategy: ${pp.strategy}` : '',
+    pp.justification ? `- Justification: ${pp.justification}` : '',
+  ].filter(Boolean).join('\n'));
+
+  const alts = (Array.isArray(p.alternatives) ? p.alternatives : []).filter((a) => a && a.option);
+  out.push(['# Alternatives Considered', ...alts.map((a) =>
+    `- ${bare(a.option)}: considered because ${bare(a.why_considered)}; not chosen because ${bare(a.why_not_chosen)}.`)].join('\n'));
+
+  out.push(['# Operative Plan', ...list(p.steps).map((st, i) => `${i + 1}. ${st}`)].join('\n'));
+
+  const cons = (Array.isArray(p.contingencies) ? p.contingencies : []).filter((c) => c && c.if && c.then);
+  out.push(['# Key Contingencies', ...cons.map((c) =>
+    `- If ${bare(c.if)}, then ${bare(c.then)}.`)].join('\n'));
+
+  const unk = (Array.isArray(p.unknowns) ? p.unknowns : []).filter((u) => u && u.item);
+  out.push(['# Unknowns / Clarifications Needed', ...unk.map((u) =>
+    `- ${bare(u.item)}. Why it matters: ${bare(u.why_it_matters)}. Impact: ${bare(u.impact)}.`)].join('\n'));
+
+  const a = p.assumptions || {};
+  out.push([
+    '# Assumptions and Confidence',
+    ...list(a.assumptions).map((x) => `- Assumption: ${x}`),
+    ...list(a.high_confidence).map((x) => `- High confidence: ${x}`),
+    ...list(a.conditional).map((x) => `- Conditional: ${x}`),
+  ].join('\n'));
+
+  return out.join('\n\n');
+}
@@ -0,0 +1,170 @@
+// lib/policy.js — acceptance policy for the review loop.
+// A policy decides, round by round, whether a reviewed draft is accepted and
+// what happens next when it is not. The default preset reproduces the
+// original loop: up to 3 rounds, accept purely on the board's verdict tag,
+// domain scores display-only.
+//
+// Policy shape (all fields optional except id):
+//   {
+//     id,                   // name reported with every result
+//     maxRounds,            // review rounds before the manager decides (1-6)
+//     requireVerdict,       // board must say accept (default true)
+//     minDomainScore,       // every domain score must be >= n
+//     domainMinimums,       // per-domain minimums, 1-indexed: { 5: 5 }
+//     rejectOnSeverity,     // 'critical' | 'major': a reviewer finding this
+//                           // severe or worse rejects (lib/findings.js)
+//     rejectOnLint,         // 'critical' | 'major' | 'minor' | null: a safety
+//                           // rule finding this severe or worse rejects
+//                           // (lib/safety-rules.js; default null: advisory)
+//     managerOverride,      // allow the manager stage after final rejection (default true)
+//     escalation: [         // per-round overrides, applied from `round` onward
+//       { round, minDomainScore?, domainMinimums?, requireVerdict?,
+//         rejectOnSeverity?, rejectOnLint?, then?: 'revise' | 'manager' | 'stop' }
+//     ]
+//   }
+//
+// `then` says what a rejection at that round leads to: another revision
+// (default), straight to the manager, or a final rejection with no override.
+
+import { SEVERITIES, findingsAtLeast, countFindings } from './findings.js';
+
+export const DOMAIN_NAMES = [
+  'Clinical issue captured',
+  'Procedure choice',
+  'Alternatives',
+  'Comprehensiveness',
+  'No fabricated options',
+];
+
+export const POLICY_PRESETS = {
+  verdict: { id: 'verdict', maxRounds: 3, requireVerdict: true, managerOverride: true },
+  strict: {
+    id: 'strict',
+    maxRounds: 3,
+    requireVerdict: true,
+    minDomainScore: 3,
+    domainMinimums: { 5: 5 },
+    rejectOnSeverity: 'critical',
+    rejectOnLint: 'major',
+    managerOverride: true,
+    // A draft still failing any rule at the last round is rejected outright:
+    // the manager is not asked, so a fabricated option, a critical finding
+    // or a low score is never waved through.
+    escalation: [{ round: 3, then: 'stop' }],
+  },
+};
+
+const clampRounds = (n) => Math.min(6, Math.max(1, parseInt(n, 10) || 3));
+
+// Accepts a preset name, a JSON string, or a policy object; anything
+// unrecognized falls back to the `verdict` preset.
+export function resolvePolicy(spec) {
+  let p = spec;
+  if (typeof p === 'string') {
+    const s = p.trim();
+    if (POLICY_PRESETS[s]) return POLICY_PRESETS[s];
+    try { p = JSON.parse(s); } catch { p = null; }
+  }
+  if (!p || typeof p !== 'object') return POLICY_PRESETS.verdict;
+  const base = POLICY_PRESETS[p.extends] || POLICY_PRESETS.verdict;
+  return {
+    ...base,
+    ...p,
+    id: String(p.id || 'custom'),
+    maxRounds: clampRounds(p.maxRounds ?? base.maxRounds),
+    escalation: Array.isArray(p.escalation) ? p.escalation : (base.escalation || []),
+  };
+}
+
+// The rules in force at a given (1-indexed) round.
+function rulesAt(policy, round) {
+  const out = {
+    requireVerdict: policy.requireVerdict !== false,
+    minDomainScore: policy.minDomainScore ?? null,
+    domainMinimums: { ...(policy.domainMinimums || {}) },
+    rejectOnSeverity: policy.rejectOnSeverity || null,
+    rejectOnLint: policy.rejectOnLint || null,
+    then: 'revise',
+  };
+  for (const e of policy.escalation || []) {
+    if (!(round >= (e.round || 1))) continue;
+    if (e.requireVerdict !== undefined) out.requireVerdict = e.requireVerdict !== false;
+    if (e.minDomainScore !== undefined) out.minDomainScore = e.minDomainScore;
+    if (e.domainMinimums) Object.assign(out.domainMinimums, e.domainMinimums);
+    if (e.rejectOnSeverity !== undefined) out.rejectOnSeverity = e.rejectOnSeverity || null;
+    if (e.rejectOnLint !== undefined) out.rejectOnLint = e.rejectOnLint || null;
+    if (e.then) out.then = e.then;
+  }
+  return out;
+}
+
+// Decides one round. `review` is { verdict, scores, findings? }, where
+// findings carrying a `rule` come from the safety rules rather than the
+// reviewer. Returns
+// { accept, reason, failures, next } where `next` is what a rejection leads
+// to: 'revise', 'manager' or 'stop' ('accept' when accepted).
+export function decideRound(policy, round, review) {
+  const rules = rulesAt(policy, round);
+  const failures = [];
+
+  if (rules.requireVerdict && review.verdict !== 'accept') failures.push('board verdict was reject');
+
+  const mins = DOMAIN_NAMES.map((_, i) => Math.max(rules.minDomainScore || 0, rules.domainMinimums[i + 1] || 0));
+  if (mins.some((m) => m > 0)) {
+    if (!Array.isArray(review.scores) || review.scores.length !== 5) {
+      failures.push('domain scores missing or malformed');
+    } else {
+      mins.forEach((m, i) => {
+        if (m && review.scores[i] < m) failures.push(`domain ${i + 1} (${DOMAIN_NAMES[i]}) scored ${review.scores[i]}, minimum ${m}`);
+      });
+    }
+  }
+
+  // Reviews without structured findings (prompt v2.0) are not held to this.
+  const tally = (list, severity) => {
+    const counts = countFindings(findingsAtLeast(list, severity));
+    return SEVERITIES.filter((sv) => counts[sv]).map((sv) => `${counts[sv]} ${sv}`).join(', ');
+  };
+  const all = Array.isArray(review.findings) ? review.findings : [];
+  if (rules.rejectOnSeverity && Array.isArray(review.findings)) {
+    const n = tally(all.filter((f) => !f.rule), rules.rejectOnSeverity);
+    if (n) failures.push(`reviewer findings: ${n}`);
+  }
+  if (rules.rejectOnLint) {
+    const n = tally(all.filter((f) => f.rule), rules.rejectOnLint);
+    if (n) failures.push(`safety rules: ${n}`);
+  }
+
+  if (!failures.length) {
+    const why = rules.requireVerdict ? 'board accepted' : `board verdict ${review.verdict}`;
+    return { accept: true, reason: mins.some((m) => m > 0) ? `${why}; domain thresholds met` : why, failures, next: 'accept' };
+  }
+
+  return { accept: false, reason: failures.join('; '), failures, next: nextOnReject(policy, round) };
+}
+
+// What a rejection at `round` leads to under the policy: 'revise', 'manager'
+// or 'stop'. The pipeline also asks this when the run deadline leaves no time
+// for another round, passing the last round.
+export function nextOnReject(policy, round) {
+  let next = rulesAt(policy, round).then;
+  if (next === 'revise' && round >= policy.maxRounds) next = 'manager';
+  if (next === 'manager' && policy.managerOverride === false) next = 'stop';
+  return next;
+}
+
+// Compact description of the policy for results and events.
+export function describePolicy(policy) {
+  const { id, maxRounds, requireVerdict, minDomainScore, domainMinimums, rejectOnSeverity, rejectOnLint, managerOverride, escalation } = policy;
+  return {
+    id,
+    maxRounds,
+    requireVerdict: requireVerdict !== false,
+    minDomainScore: minDomainScore ?? null,
+    domainMinimums: domainMinimums || {},
+    rejectOnSeverity: rejectOnSeverity || null,
+    rejectOnLint: rejectOnLint || null,
+    managerOverride: managerOverride !== false,
+    escalation: escalation || [],
+  };
+}
@@ -0,0 +1,112 @@
+// lib/prompts.js — versioned prompt registry.
+// The thesis protocol prompts (planner, reviewer, manager, synthesizer) are
+// plain-text templates under prompts/<version>/<name>.txt, so a protocol
+// revision is a new directory rather than a code change. A deployment picks
+// the version with PROMPT_VERSION and a request with `promptVersion`; each
+// result is stamped with the id and content hash of every template used, so
+// a run can be reproduced and compared across protocol versions.
+//
+// Template syntax (a small Mustache subset):
+//   {{name}}               the value of `name`, inserted verbatim
+//   {{#name}}...{{/name}}  kept only when `name` is truthy
+//   {{^name}}...{{/name}}  kept only when `name` is falsy
+//
+// A version directory holds only the templates it changes; the others come
+// from the nearest earlier version that has them, down to BASE_PROMPT_VERSION
+// (the thesis protocol), and the stamp names the version actually used.
+// v2.1 changes only the reviewer, which itemizes its concerns as
+// severity-tagged findings (lib/findings.js). v2.2 gives the planner the
+// structured intake and its missing fields (lib/intake.js). v2.3 keeps that
+// planner (stamped planner@v2.2) and gives the reviewer reference facts for
+// the options the plan names, from the flap knowledge base (lib/flap-kb.js).
+// The default stays at v2.1 until a protocol
+// revision is adopted; later versions are opt-in with PROMPT_VERSION.
+
+import { createHash } from 'node:crypto';
+import { existsSync, readFileSync, readdirSync } from 'node:fs';
+
+export const BASE_PROMPT_VERSION = 'v2.0';
+export const DEFAULT_PROMPT_VERSION = 'v2.1';
+export const PROMPT_NAMES = ['planner', 'reviewer', 'manager', 'synth'];
+
+const PROMPTS_DIR = new URL('../prompts/', import.meta.url);
+const VERSION_RE = /^[\w.-]+$/;
+
+// Version directories present on disk, oldest first, e.g. ['v2.0', 'v2.1'].
+export function promptVersions() {
+  return readdirSync(PROMPTS_DIR, { withFileTypes: true })
+    .filter((d) => d.isDirectory() && VERSION_RE.test(d.name))
+    .map((d) => d.name)
+    .sort((a, b) => a.localeCompare(b, 'en', { numeric: true }));
+}
+
+function unknownVersion(version) {
+  const err = new Error(`unknown_prompt_version: ${version}`);
+  err.code = 'unknown_prompt_version';
+  return err;
+}
+
+function readTemplate(version, name) {
+  const file = new URL(`${version}/${name}.txt`, PROMPTS_DIR);
+  if (!existsSync(file)) return null;
+  const raw = readFileSync(file, 'utf8');
+  return {
+    id: `${name}@${version}`,
+    version,
+    hash: createHash('sha256').update(raw).digest('hex').slice(0, 16),
+    // Editors add a final newline; the prompt itself does not end with one.
+    text: raw.replace(/\r\n/g, '\n').replace(/\n$/, ''),
+  };
+}
+
+// Sections first (innermost pairs resolve on later passes), then variables
+// in a single pass, so inserted case text is never read as template syntax.
+function render(tpl, vars) {
+  let text = tpl.text;
+  const section = /\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}/g;
+  for (let prev = null; prev !== text;) {
+    prev = text;
+    text = text.replace(section, (_, kind, name, body) => ((kind === '#') === Boolean(vars[name]) ? body : ''));
+  }
+  return text.replace(/\{\{(\w+)\}\}/g, (_, name) => {
+    if (vars[name] === undefined || vars[name] === null) throw new Error(`prompt_variable_missing: ${name} in ${tpl.id}`);
+    return String(vars[name]);
+  });
+}
+
+const cache = new Map();
+
+// The prompt set for `version` (default DEFAULT_PROMPT_VERSION):
+//   { version, render(name, vars), uses(name, variable), stamp() }
+// uses() says whether template `name` shows `variable` at all, so a caller
+// can skip computing what the version ignores. stamp() is { version, <name>: { id, hash } } for the result. Throws
+// `unknown_prompt_version` for a version with no directory.
+export function loadPrompts(version) {
+  const v = String(version || DEFAULT_PROMPT_VERSION).trim();
+  if (cache.has(v)) return cache.get(v);
+  const versions = promptVersions();
+  if (!VERSION_RE.test(v) || !versions.includes(v)) throw unknownVersion(v);
+
+  // `v` and the versions before it, newest first.
+  const chain = versions.slice(0, versions.indexOf(v) + 1).reverse();
+  const templates = {};
+  for (const name of PROMPT_NAMES) {
+    let tpl = null;
+    for (const from of chain) if (!tpl) tpl = readTemplate(from, name);
+    tpl ||= readTemplate(BASE_PROMPT_VERSION, name);
+    if (!tpl) throw new Error(`prompt_template_missing: ${name}@${v}`);
+    templates[name] = tpl;
+  }
+
+  const set = {
+    version: v,
+    render: (name, vars = {}) => render(templates[name], vars),
+    uses: (name, variable) => new RegExp(`\\{\\{[#^]?${variable}\\}\\}`).test(templates[name].text),
+    stamp: () => Object.fromEntries([
+      ['version', v],
+      ...PROMPT_NAMES.map((n) => [n, { id: templates[n].id, hash: templates[n].hash }]),
+    ]),
+  };
+  cache.set(v, set);
+  return set;
+}
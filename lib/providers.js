@@ -0,0 +1,339 @@
+// lib/providers.js — LLM provider adapters behind runLLM.
+// The orchestrator never talks to a vendor SDK directly; it calls an adapter
+// with one small interface:
+//
+//   { name, defaultModel, complete({ system, user }, { model, reasoningEffort, temperature, stage, round, signal, onDelta }) }
+//     -> Promise<{ text, usage, model }>
+//
+// `temperature` defaults to 0.2; ensemble drafts (lib/ensemble.js) ask for more.
+//
+// `signal` is an optional AbortSignal; adapters hand it to the underlying
+// request so a cancelled run stops the in-flight call, not just the next one.
+// With `onDelta(text)` the adapter streams the completion and reports each
+// text increment as it arrives; it still resolves with the full text.
+// `usage` is normalized to { input_tokens, output_tokens } (or null when the
+// backend does not report it). `model` is the model the adapter actually
+// called, which is not always the one asked for: the OpenAI adapter falls
+// back from a gpt-5 request to gpt-4o on Chat Completions, and the usage is
+// priced as that (lib/usage.js). Adapters are created from a registry keyed by
+// provider name, selected by env (LLM_PROVIDER) or explicit config, so the
+// routes and server.js never construct an SDK client themselves.
+
+import OpenAI, { AzureOpenAI } from 'openai';
+import { loadCassette, recordingProvider, replayProvider } from './cassette.js';
+
+/* ---------------- Usage normalization ---------------- */
+// Responses API: { input_tokens, output_tokens }; Chat Completions:
+// { prompt_tokens, completion_tokens }; Anthropic: { input_tokens, output_tokens }.
+function normalizeUsage(u) {
+  if (!u || typeof u !== 'object') return null;
+  const input = u.input_tokens ?? u.prompt_tokens;
+  const output = u.output_tokens ?? u.completion_tokens;
+  if (!Number.isFinite(input) && !Number.isFinite(output)) return null;
+  return { input_tokens: Number(input) || 0, output_tokens: Number(output) || 0 };
+}
+
+/* ---------------- OpenAI family (OpenAI, Azure, compatible servers) ---------------- */
+const isResponsesModel = (m) => /^gpt-5|^o3/i.test(m || '');
+
+function extractFromResponses(resp) {
+  if (!resp) return '';
+  if (typeof resp.output_text === 'string' && resp.output_text.trim()) return resp.output_text;
+  let texts = [];
+  try {
+    const out = resp.output || resp.outputs || [];
+    for (const item of out) {
+      const cont = item?.content || [];
+      for (const c of cont) {
+        if (typeof c?.text === 'string') texts.push(c.text);
+        else if (typeof c?.text?.value === 'string') texts.push(c.text.value);
+        else if (Array.isArray(c?.text?.annotations)) texts.push(String(c?.text?.value || ''));
+        else if (typeof c?.content === 'string') texts.push(c.content);
+      }
+    }
+  } catch {}
+  return texts.join('\n').trim();
+}
+
+// Streamed Responses API call: collects output_text deltas and the final
+// usage from the response.completed event.
+async function streamResponses(sdk, payload, reqOpts, onDelta) {
+  const stream = await sdk.responses.create({ ...payload, stream: true }, reqOpts);
+  let text = '';
+  let usage = null;
+  for await (const ev of stream) {
+    if (ev?.type === 'response.output_text.delta' && ev.delta) {
+      text += ev.delta;
+      onDelta(ev.delta);
+    } else if (ev?.type === 'response.completed') {
+      usage = ev.response?.usage || null;
+      if (!text) text = extractFromResponses(ev.response);
+    }
+  }
+  return { text, usage };
+}
+
+// Streamed Chat Completions call. Usage arrives on the last chunk when the
+// backend honours stream_options.include_usage.
+async function streamChat(sdk, payload, reqOpts, onDelta, streamUsage) {
+  const stream = await sdk.chat.completions.create({
+    ...payload,
+    stream: true,
+    ...(streamUsage ? { stream_options: { include_usage: true } } : {}),
+  }, reqOpts);
+  let text = '';
+  let usage = null;
+  for await (const chunk of stream) {
+    const delta = chunk?.choices?.[0]?.delta?.content;
+    if (delta) {
+      text += delta;
+      onDelta(delta);
+    }
+    if (chunk?.usage) usage = chunk.usage;
+  }
+  return { text, usage };
+}
+
+// Wraps an OpenAI SDK client (or anything with the same surface). Reasoning
+// models go through the Responses API first and fall back to Chat Completions;
+// `responses: false` skips straight to chat for backends that lack it
+// (Azure deployments, llama.cpp, vLLM). `streamUsage: false` leaves out
+// stream_options for servers that reject it.
+export function openaiAdapter(sdk, { name = 'openai', responses = true, defaultModel = 'gpt-4o', streamUsage = true } = {}) {
+  return {
+    name,
+    defaultModel,
+    async complete({ system, user }, { model, reasoningEffort, temperature = 0.2, signal, onDelta } = {}) {
+      const mdl = (model || defaultModel).trim();
+      const reqOpts = signal ? { signal } : undefined;
+      let streamed = false;
+      const relay = onDelta ? (t) => { streamed = true; onDelta(t); } : null;
+
+      if (responses && isResponsesModel(mdl)) {
+        try {
+          const payload = {
+            model: mdl,
+            temperature,
+            input: [
+              { role: 'system', content: system },
+              { role: 'user', content: user },
+            ],
+            ...(reasoningEffort ? { reasoning: { effort: reasoningEffort } } : {})
+          };
+          if (relay) {
+            const out = await streamResponses(sdk, payload, reqOpts, relay);
+            if (out.text && out.text.trim().length > 0) return { text: out.text, usage: normalizeUsage(out.usage), model: mdl };
+          } else {
+            const resp = await sdk.responses.create(payload, reqOpts);
+            const text = extractFromResponses(resp);
+            if (text && text.trim().length > 0) return { text, usage: normalizeUsage(resp?.usage), model: mdl };
+          }
+        } catch (e) {
+          // A stream that already produced text cannot silently restart on
+          // another API; let the caller retry the whole call instead.
+          if (signal?.aborted || streamed) throw e;
+          // fallthrough to chat
+        }
+      }
+
+      const chatPayload = {
+        model: responses ? mdl.replace(/^gpt-5/i, 'gpt-4o') : mdl,
+        temperature,
+        messages: [
+          { role: 'system', content: system },
+          { role: 'user', content: user },
+        ],
+      };
+      if (relay) {
+        const out = await streamChat(sdk, chatPayload, reqOpts, relay, streamUsage);
+        return { text: out.text, usage: normalizeUsage(out.usage), model: chatPayload.model };
+      }
+      const chat = await sdk.chat.completions.create(chatPayload, reqOpts);
+      return { text: chat?.choices?.[0]?.message?.content || '', usage: normalizeUsage(chat?.usage), model: chatPayload.model };
+    }
+  };
+}
+
+/* ---------------- Anthropic Messages API ---------------- */
+// Plain fetch against /v1/messages, so no extra SDK dependency is needed.
+export function anthropicAdapter({ apiKey, baseURL = 'https://api.anthropic.com', version = '2023-06-01',
+  maxTokens = 4096, defaultModel = 'claude-sonnet-4-5' } = {}) {
+  const url = `${baseURL.replace(/\/+$/, '')}/v1/messages`;
+  return {
+    name: 'anthropic',
+    defaultModel,
+    async complete({ system, user }, { model, temperature = 0.2, signal, onDelta } = {}) {
+      const mdl = (model || defaultModel).trim();
+      const res = await fetch(url, {
+        method: 'POST',
+        signal,
+        headers: {
+          'content-type': 'application/json',
+          'x-api-key': apiKey,
+          'anthropic-version': version,
+        },
+        body: JSON.stringify({
+          model: mdl,
+          max_tokens: maxTokens,
+          temperature,
+          system,
+          messages: [{ role: 'user', content: user }],
+          ...(onDelta ? { stream: true } : {}),
+        }),
+      });
+      if (!res.ok) {
+        const err = new Error(`anthropic_http_${res.status}`);
+        err.status = res.status;
+        throw err;
+      }
+      if (onDelta) return { ...(await readAnthropicStream(res, onDelta)), model: mdl };
+      const data = await res.json();
+      const text = (data?.content || [])
+        .filter((c) => c?.type === 'text' && typeof c.text === 'string')
+        .map((c) => c.text)
+        .join('\n')
+        .trim();
+      return { text, usage: normalizeUsage(data?.usage), model: mdl };
+    }
+  };
+}
+
+// Server-sent events from a streamed /v1/messages call: text arrives in
+// content_block_delta events, input tokens on message_start and output
+// tokens on message_delta.
+async function readAnthropicStream(res, onDelta) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let text = '';
+  const usage = {};
+  const handle = (block) => {
+    const data = block.split('\n').filter((l) => l.startsWith('data:')).map((l) => l.slice(5).trim()).join('');
+    if (!data) return;
+    let ev;
+    try { ev = JSON.parse(data); } catch { return; }
+    if (ev.type === 'content_block_delta' && ev.delta?.type === 'text_delta' && ev.delta.text) {
+      text += ev.delta.text;
+      onDelta(ev.delta.text);
+    } else if (ev.type === 'message_start') {
+      Object.assign(usage, ev.message?.usage || {});
+    } else if (ev.type === 'message_delta') {
+      Object.assign(usage, ev.usage || {});
+    } else if (ev.type === 'error') {
+      throw new Error(`anthropic_stream_${ev.error?.type || 'error'}`);
+    }
+  };
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const blocks = buffer.split(/\r?\n\r?\n/);
+    buffer = blocks.pop();
+    blocks.forEach(handle);
+  }
+  if (buffer.trim()) handle(buffer);
+  return { text: text.trim(), usage: normalizeUsage(usage) };
+}
+
+/* ---------------- Registry ---------------- */
+export const PROVIDERS = {
+  openai: ({ apiKey, baseURL, defaultModel } = {}) =>
+    openaiAdapter(new OpenAI({ apiKey, ...(baseURL ? { baseURL } : {}) }), { name: 'openai', defaultModel }),
+
+  // Azure routes by deployment: the `model` passed to complete() is the
+  // deployment name, so no gpt-5 -> gpt-4o rewriting applies.
+  azure: ({ apiKey, endpoint, apiVersion, defaultModel } = {}) =>
+    openaiAdapter(new AzureOpenAI({ apiKey, endpoint, apiVersion }), { name: 'azure', responses: false, defaultModel }),
+
+  anthropic: (opts = {}) => anthropicAdapter(opts),
+
+  // llama.cpp, vLLM, Ollama and similar servers expose /v1/chat/completions;
+  // most ignore the key, but the SDK requires a non-empty one.
+  'openai-compatible': ({ apiKey, baseURL, defaultModel } = {}) =>
+    openaiAdapter(new OpenAI({ apiKey: apiKey || 'not-needed', baseURL }),
+      { name: 'openai-compatible', responses: false, defaultModel, streamUsage: false }),
+};
+
+export function createProvider(name, options = {}) {
+  const factory = PROVIDERS[name];
+  if (!factory) throw new Error(`unknown_provider: ${name}`);
+  return factory(options);
+}
+
+// Accepts either an adapter or a bare OpenAI SDK client (older callers passed
+// `new OpenAI(...)` straight into generatePlan).
+export function asProvider(client) {
+  if (client && typeof client.complete === 'function') return client;
+  if (client?.chat?.completions) return openaiAdapter(client);
+  throw new Error('invalid_provider');
+}
+
+/* ---------------- Env-driven selection ---------------- */
+// Resolves LLM_PROVIDER and its settings without constructing anything, so a
+// route can answer "is live generation configured?" cheaply.
+//
+//   openai             OPENAI_API_KEY, optional OPENAI_BASE_URL
+//   azure              AZURE_OPENAI_API_KEY, AZURE_OPENAI_ENDPOINT, optional AZURE_OPENAI_API_VERSION
+//   anthropic          ANTHROPIC_API_KEY, optional ANTHROPIC_BASE_URL
+//   openai-compatible  LLM_BASE_URL, optional LLM_API_KEY
+//
+// LLM_CASSETTE_MODE=record|replay with LLM_CASSETTE_PATH wraps the selected
+// provider in a cassette (lib/cassette.js). Replay needs no provider settings
+// at all; LLM_CASSETTE_STRICT=1 disables the same-stage fallback match.
+export function providerConfig(env = process.env) {
+  const name = (env.LLM_PROVIDER || 'openai').trim().toLowerCase();
+  const val = (k) => (env[k] || '').trim();
+  const mode = val('LLM_CASSETTE_MODE').toLowerCase();
+  const cassette = (mode === 'record' || mode === 'replay') && val('LLM_CASSETTE_PATH')
+    ? { mode, path: val('LLM_CASSETTE_PATH'), strict: /^(1|true|yes)$/i.test(val('LLM_CASSETTE_STRICT')) }
+    : null;
+  const vendor = vendorConfig(name, val);
+  return { ...vendor, cassette, configured: vendor.configured || cassette?.mode === 'replay' };
+}
+
+function vendorConfig(name, val) {
+  switch (name) {
+    case 'azure':
+      return {
+        name,
+        configured: !!(val('AZURE_OPENAI_API_KEY') && val('AZURE_OPENAI_ENDPOINT')),
+        options: {
+          apiKey: val('AZURE_OPENAI_API_KEY'),
+          endpoint: val('AZURE_OPENAI_ENDPOINT'),
+          apiVersion: val('AZURE_OPENAI_API_VERSION') || '2024-10-21',
+        },
+      };
+    case 'anthropic':
+      return {
+        name,
+        configured: !!val('ANTHROPIC_API_KEY'),
+        options: { apiKey: val('ANTHROPIC_API_KEY'), ...(val('ANTHROPIC_BASE_URL') ? { baseURL: val('ANTHROPIC_BASE_URL') } : {}) },
+      };
+    case 'openai-compatible':
+      return {
+        name,
+        configured: !!val('LLM_BASE_URL'),
+        options: { baseURL: val('LLM_BASE_URL'), apiKey: val('LLM_API_KEY') },
+      };
+    case 'openai':
+      return {
+        name,
+        configured: !!val('OPENAI_API_KEY'),
+        options: { apiKey: val('OPENAI_API_KEY'), baseURL: val('OPENAI_BASE_URL') },
+      };
+    default:
+      return { name, configured: false, options: {} };
+  }
+}
+
+// Returns a ready adapter, or null when the selected provider is not configured.
+export function providerFromEnv(env = process.env) {
+  const cfg = providerConfig(env);
+  if (!cfg.configured) return null;
+  if (cfg.cassette?.mode === 'replay') {
+    return replayProvider(loadCassette(cfg.cassette.path), { strict: cfg.cassette.strict });
+  }
+  if (!PROVIDERS[cfg.name]) return null;
+  const provider = createProvider(cfg.name, cfg.options);
+  return cfg.cassette?.mode === 'record' ? recordingProvider(provider, { path: cfg.cassette.path }) : provider;
+}
@@ -0,0 +1,92 @@
+// lib/runs.js — suspended runs that a later request resumes.
+// A run that pauses for the clinician (generatePlan `clarify`) is saved here
+// and identified by a run id the client sends back with its reply. With a
+// secret (RUN_SECRET) the id is the saved state itself, sealed with
+// AES-256-GCM, so whichever instance receives the reply can resume it; this
+// is what the serverless routes need. Without one, runs are kept in this
+// process's memory, which suits the single Express server.
+//
+// State is a plain JSON object; `kind` says what the run is waiting for.
+// A single-use run (an approval) is marked used once resumed. Sealed ids
+// carry no server state, so that mark is held by the instance that resumed
+// the run, until the run would have expired.
+
+import { createCipheriv, createDecipheriv, createHash, randomBytes } from 'node:crypto';
+
+export const RUN_TTL_MS = 30 * 60 * 1000;
+// Oldest in-memory runs are dropped beyond this many.
+const MAX_MEMORY_RUNS = 200;
+
+const SEALED = 's1.';
+const MEMORY = 'run_';
+const memory = new Map();
+// Run id -> expiry time, for used single-use runs.
+const used = new Map();
+
+function runError(code) {
+  const err = new Error(code);
+  err.code = code;
+  return err;
+}
+
+const keyOf = (secret) => createHash('sha256').update(String(secret)).digest();
+
+function seal(payload, secret) {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv('aes-256-gcm', keyOf(secret), iv);
+  const body = Buffer.concat([cipher.update(JSON.stringify(payload), 'utf8'), cipher.final()]);
+  return SEALED + Buffer.concat([iv, cipher.getAuthTag(), body]).toString('base64url');
+}
+
+function unseal(token, secret) {
+  try {
+    const raw = Buffer.from(token.slice(SEALED.length), 'base64url');
+    const decipher = createDecipheriv('aes-256-gcm', keyOf(secret), raw.subarray(0, 12));
+    decipher.setAuthTag(raw.subarray(12, 28));
+    return JSON.parse(Buffer.concat([decipher.update(raw.subarray(28)), decipher.final()]).toString('utf8'));
+  } catch {
+    return null; // tampered, truncated, or sealed with another secret
+  }
+}
+
+// Saves `state` and returns { run_id, expires_at } (ISO string).
+export function saveRun(state, { secret, ttlMs = RUN_TTL_MS } = {}) {
+  const expires = Date.now() + ttlMs;
+  const payload = { ...state, expires };
+  const expires_at = new Date(expires).toISOString();
+  if (secret) return { run_id: seal(payload, secret), expires_at };
+
+  for (const [id, run] of memory) if (run.expires <= Date.now()) memory.delete(id);
+  while (memory.size >= MAX_MEMORY_RUNS) memory.delete(memory.keys().next().value);
+  const id = MEMORY + randomBytes(12).toString('base64url');
+  memory.set(id, payload);
+  return { run_id: id, expires_at };
+}
+
+// The saved state for `runId`. Throws an error with code `unknown_run` (never
+// saved, from another instance, or of a different `kind`), `run_expired` or
+// `run_used` (marked by useRun). Until then a run can be loaded more than
+// once, so a failed resume can be retried.
+export function loadRun(runId, { secret, kind } = {}) {
+  const id = String(runId || '');
+  if (used.has(id)) throw runError('run_used');
+  let payload = null;
+  if (id.startsWith(SEALED) && secret) payload = unseal(id, secret);
+  else if (id.startsWith(MEMORY)) payload = memory.get(id) || null;
+  if (!payload || (kind && payload.kind !== kind)) throw runError('unknown_run');
+  if (payload.expires <= Date.now()) {
+    memory.delete(id);
+    throw runError('run_expired');
+  }
+  const { expires, ...state } = payload;
+  return state;
+}
+
+// Marks a run as used, so loading it again throws `run_used`; a memory run is
+// dropped. Call once the resume has been checked and is going ahead.
+export function useRun(runId) {
+  const id = String(runId || '');
+  for (const [key, expires] of used) if (expires <= Date.now()) used.delete(key);
+  used.set(id, memory.get(id)?.expires ?? Date.now() + RUN_TTL_MS);
+  memory.delete(id);
+}
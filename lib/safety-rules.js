@@ -0,0 +1,152 @@
+// lib/safety-rules.js — deterministic safety rules run alongside the reviewer.
+// The review board is a model and can miss what a checklist would not: a
+// fibula flap with no lower-limb vascular assessment, an irradiated neck with
+// no recipient-vessel fallback. Each rule below ties a condition on the plan
+// and the case (lib/intake.js) to something the plan must then address. The
+// pipeline runs them on every draft it reviews (`lint_done`); their findings
+// join the reviewer's as advisory ones. No rule is critical, and a finding
+// rejects a draft only under a policy that opts in with `rejectOnLint`
+// (lib/policy.js). Like lib/faithfulness.js this matches terms, it does not
+// judge clinical equivalence: a rule is satisfied by the plan mentioning the
+// assessment or contingency, not by it being adequate.
+//
+// Rule: { id, severity, domain, section, when, unless?, issue }
+//   when    conditions that must all hold for the rule to apply
+//   unless  conditions any one of which satisfies it
+//   conditions:
+//     chosen  RegExp on the chosen reconstruction: the Primary Reconstructive
+//             Plan and Operative Plan sections (alternatives do not count)
+//     plan    RegExp on the whole plan
+//     case    RegExp on the case text
+//     intake  (fields) => boolean, on the structured intake fields
+//
+// Finding: the lib/findings.js shape plus the rule that raised it,
+//   { severity, domain, section, issue, rule }
+
+import { parseSections, findSection } from './markdown.js';
+import { SEVERITIES } from './findings.js';
+
+const FIBULA = /\b(fibula|fibular|osteocutaneous fibula)\b/i;
+const RADIAL_FOREARM = /\b(radial forearm|rfff|radial artery forearm)\b/i;
+const FREE_FLAP = /\bfree (flap|tissue transfer|fibula\w*|radial|anterolateral|alt|scapul\w*|jejun\w*)|\bmicrovascular\b|\banastomos\w*|\b(fibula\w*|radial forearm|rfff|anterolateral thigh|alt flap|dcia|scapular tip)\b/i;
+
+const LEG_ASSESSMENT = /\b(angiogra\w*|cta|ct angio\w*|mra|run-?off|doppler|duplex|pedal pulses?|lower[- ](limb|extremity) (vascular|vessel|perfusion|imaging))\b/i;
+const HAND_ASSESSMENT = /\b(allen'?s? test|hand perfusion|palmar arch|ulnar (artery )?(dominance|supply|circulation|flow)|barbeau|pulse oximetry)\b/i;
+const VESSEL_FALLBACK = /\b(vein grafts?|interposition|transverse cervical|contralateral neck|cephalic (vein )?(transposition|turnover)|internal mammary|thoracoacromial|vessel[- ]depleted|alternative recipient|back-?up recipient|recipient vessels? (are |is )?(unusable|inadequate|unavailable|absent))\b/i;
+const MONITORING = /\b(monitor\w*|flap checks?|doppler|implantable|capillary refill)\b/i;
+const AIRWAY = /\b(airway|tracheostomy|tracheotomy|intubat\w*)\b/i;
+const ANTICOAGULATION = /\b(anticoagula\w*|warfarin|apixaban|rivaroxaban|heparin|bridg\w*|inr)\b/i;
+const BONY_RECONSTRUCTION = /\b(fibula\w*|scapula\w*|iliac|dcia|osteocutaneous|osseous|bone graft|bony|reconstruction plate|bridging plate)\b/i;
+
+const SEGMENTAL = /\b(segmental (mandibulectomy|maxillectomy|resection)|through-and-through|composite resection)\b/i;
+const DEPLETED = /\b(depleted|unavailable|ligated|sacrificed|no usable)\b/i;
+// Sites where swelling of the reconstruction threatens the airway.
+const AIRWAY_SITES = ['oral tongue', 'tongue base', 'floor of mouth', 'retromolar trigone', 'mandible', 'oropharynx', 'hypopharynx'];
+
+export const SAFETY_RULES = [
+  {
+    id: 'fibula-leg-vascular',
+    severity: 'major', domain: 4, section: 'Operative Plan',
+    when: { chosen: FIBULA },
+    // An abnormal result is the next rule's concern.
+    unless: { plan: LEG_ASSESSMENT, intake: (f) => ['normal', 'abnormal'].includes(f.leg_angiography) },
+    issue: 'A fibula flap is planned without a lower-limb vascular assessment; confirm three-vessel runoff (e.g. CT angiography) before harvest.',
+  },
+  {
+    id: 'fibula-abnormal-runoff',
+    severity: 'major', domain: 2, section: 'Primary Reconstructive Plan',
+    when: { chosen: FIBULA, intake: (f) => f.leg_angiography === 'abnormal' },
+    unless: { plan: /\b(abnormal|inadequate|single[- ]vessel|peronea (arteria )?magna|contralateral (leg|fibula))\b/i },
+    issue: 'The case reports abnormal lower-limb vascular imaging, yet a fibula flap is planned without addressing it; harvest could leave the foot ischemic.',
+  },
+  {
+    id: 'radial-forearm-allen',
+    severity: 'major', domain: 4, section: 'Operative Plan',
+    when: { chosen: RADIAL_FOREARM },
+    unless: { plan: HAND_ASSESSMENT, intake: (f) => ['normal', 'abnormal'].includes(f.allen_test) },
+    issue: 'A radial forearm flap is planned without an Allen test or other check that the hand is perfused by the ulnar artery.',
+  },
+  {
+    id: 'radial-forearm-abnormal-allen',
+    severity: 'major', domain: 2, section: 'Primary Reconstructive Plan',
+    when: { chosen: RADIAL_FOREARM, intake: (f) => f.allen_test === 'abnormal' },
+    unless: { plan: /\b(abnormal allen|contralateral (arm|forearm)|radial artery (reconstruction|graft))\b/i },
+    issue: 'The case reports an abnormal Allen test, yet a radial forearm flap is planned on it without addressing hand perfusion.',
+  },
+  {
+    id: 'irradiated-recipient-vessels',
+    severity: 'major', domain: 4, section: 'Key Contingencies',
+    when: { chosen: FREE_FLAP, intake: (f) => f.prior_radiation === true },
+    unless: { plan: VESSEL_FALLBACK },
+    issue: 'Free flap into an irradiated neck with no recipient-vessel contingency; name the fallback (vein grafts, transverse cervical, contralateral neck or cephalic vein).',
+  },
+  {
+    id: 'depleted-neck-recipient',
+    severity: 'major', domain: 2, section: 'Primary Reconstructive Plan',
+    when: { chosen: FREE_FLAP, intake: (f) => !!f.vessels && DEPLETED.test(f.vessels) },
+    unless: { plan: VESSEL_FALLBACK },
+    issue: 'The case describes depleted recipient vessels, yet the free flap plan names no alternative recipient vessels or vein grafts.',
+  },
+  {
+    id: 'segmental-bony-reconstruction',
+    severity: 'major', domain: 2, section: 'Primary Reconstructive Plan',
+    when: { case: SEGMENTAL, intake: (f) => f.bone_involved === true },
+    unless: { chosen: BONY_RECONSTRUCTION },
+    issue: 'A segmental bony resection is planned for, but the chosen reconstruction restores no bone and names no plate.',
+  },
+  {
+    id: 'anticoagulation-plan',
+    severity: 'major', domain: 4, section: 'Operative Plan',
+    when: { intake: (f) => (f.comorbidities || []).includes('anticoagulation') },
+    unless: { plan: ANTICOAGULATION },
+    issue: 'The patient is anticoagulated and the plan does not say how anticoagulation is held, bridged or restarted around surgery.',
+  },
+  {
+    id: 'airway-plan',
+    severity: 'major', domain: 4, section: 'Operative Plan',
+    when: { chosen: FREE_FLAP, intake: (f) => AIRWAY_SITES.includes(f.site) },
+    unless: { plan: AIRWAY },
+    issue: 'Free flap reconstruction of the oral cavity or pharynx with no airway plan (tracheostomy or planned intubation).',
+  },
+  {
+    id: 'free-flap-monitoring',
+    severity: 'minor', domain: 4, section: 'Operative Plan',
+    when: { chosen: FREE_FLAP },
+    unless: { plan: MONITORING },
+    issue: 'No postoperative flap monitoring is planned for the free flap.',
+  },
+];
+
+const rank = (s) => SEVERITIES.indexOf(s);
+
+// The chosen reconstruction: the plan as decided, without the alternatives
+// weighed against it. A plan that lacks both sections is read whole.
+function chosenText(planMd) {
+  const sections = parseSections(planMd, 1);
+  const parts = ['Primary Reconstructive Plan', 'Operative Plan']
+    .map((t) => findSection(sections, t)?.body)
+    .filter(Boolean);
+  return parts.length ? parts.join('\n') : String(planMd || '');
+}
+
+function holds(cond, ctx, key) {
+  switch (key) {
+    case 'chosen': return cond.test(ctx.chosen);
+    case 'plan': return cond.test(ctx.plan);
+    case 'case': return cond.test(ctx.caseText);
+    case 'intake': return !!ctx.fields && !!cond(ctx.fields);
+    default: return false;
+  }
+}
+
+// Findings for a plan Markdown against its case, most severe first. `intake`
+// is the lib/intake.js result for `caseText`; rules conditioned on intake
+// fields do not apply without it.
+export function lintPlan(planMd, { caseText = '', intake = null } = {}, rules = SAFETY_RULES) {
+  const ctx = { chosen: chosenText(planMd), plan: String(planMd || ''), caseText: String(caseText || ''), fields: intake?.fields || null };
+  return rules
+    .filter((r) => Object.entries(r.when).every(([k, c]) => holds(c, ctx, k)))
+    .filter((r) => !Object.entries(r.unless || {}).some(([k, c]) => holds(c, ctx, k)))
+    .map((r) => ({ severity: r.severity, domain: r.domain ?? null, section: r.section ?? null, issue: r.issue, rule: r.id }))
+    .sort((a, b) => rank(a.severity) - rank(b.severity));
+}
@@ -0,0 +1,40 @@
+// lib/text.js — tiny text-similarity helpers for the deterministic checks.
+// Clinical phrasing varies between drafts and notes, so comparisons use
+// content-word overlap rather than exact matching.
+
+const STOPWORDS = new Set((
+  'a an the and or of to in on at for with without by from into onto as is are be been being was were ' +
+  'if then than that this these those it its any all each per via using use used under over after before ' +
+  'during within between may might should would will can could not no only also there their when where which ' +
+  'who whom what why how so such more most less least very case plan patient'
+).split(' '));
+
+// Lowercased content words (length >= 3, stopwords removed), light plural stripping.
+export function contentTokens(text) {
+  return String(text || '').toLowerCase()
+    .replace(/[^a-z0-9\s-]/g, ' ')
+    .split(/[\s-]+/)
+    .filter((w) => w.length >= 3 && !STOPWORDS.has(w))
+    .map((w) => (w.length > 4 && w.endsWith('s') && !w.endsWith('ss') ? w.slice(0, -1) : w));
+}
+
+// Dice coefficient over content-token sets, 0..1.
+export function similarity(a, b) {
+  const A = new Set(contentTokens(a));
+  const B = new Set(contentTokens(b));
+  if (!A.size || !B.size) return 0;
+  let inter = 0;
+  for (const t of A) if (B.has(t)) inter++;
+  return (2 * inter) / (A.size + B.size);
+}
+
+// Best match for `text` among `candidates`: { index, score } (index -1 if none).
+export function bestMatch(text, candidates) {
+  let index = -1;
+  let score = 0;
+  (candidates || []).forEach((c, i) => {
+    const s = similarity(text, c);
+    if (s > score) { score = s; index = i; }
+  });
+  return { index, score };
+}
@@ -0,0 +1,144 @@
+// lib/usage.js — token and cost accounting for a pipeline run.
+// Every model call reports normalized usage ({ input_tokens, output_tokens },
+// see lib/providers.js); a meter collects it per stage, prices it from a
+// table of USD per million tokens, and enforces the optional per-run and
+// per-day budgets. Costs are estimates from list prices, not a bill.
+//
+// Price table: { "<model prefix>": { input, output } }, matched on the
+// longest prefix of the model name. LLM_PRICES (JSON, same shape) adds to or
+// overrides the defaults below. Models with no price count tokens only.
+
+export const DEFAULT_PRICES = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-5-mini': { input: 0.25, output: 2 },
+  'gpt-5': { input: 1.25, output: 10 },
+  'o3': { input: 2, output: 8 },
+  'claude-haiku-4-5': { input: 1, output: 5 },
+  'claude-sonnet-4-5': { input: 3, output: 15 },
+  'claude-opus-4-1': { input: 15, output: 75 },
+};
+
+// Accepts a JSON string or an object of overrides; invalid entries are ignored.
+export function resolvePrices(spec) {
+  let p = spec;
+  if (typeof p === 'string') {
+    try { p = JSON.parse(p); } catch { p = null; }
+  }
+  const out = { ...DEFAULT_PRICES };
+  if (p && typeof p === 'object') {
+    for (const [model, v] of Object.entries(p)) {
+      if (v && Number.isFinite(Number(v.input)) && Number.isFinite(Number(v.output))) {
+        out[model] = { input: Number(v.input), output: Number(v.output) };
+      }
+    }
+  }
+  return out;
+}
+
+function priceFor(prices, model) {
+  const m = String(model || '').trim().toLowerCase();
+  const key = Object.keys(prices)
+    .filter((k) => m.startsWith(k.toLowerCase()))
+    .sort((a, b) => b.length - a.length)[0];
+  return key ? prices[key] : null;
+}
+
+const round6 = (n) => Math.round(n * 1e6) / 1e6;
+
+// USD for one call, or null when the model has no price.
+export function costOf(usage, model, prices = DEFAULT_PRICES) {
+  const p = priceFor(prices, model);
+  if (!p || !usage) return null;
+  return round6(((usage.input_tokens || 0) * p.input + (usage.output_tokens || 0) * p.output) / 1e6);
+}
+
+// Spend for the current UTC day, per process. On serverless this is per warm
+// instance, so DAILY_BUDGET_USD is a best-effort guard like the rate limit,
+// not a hard account-wide cap.
+const daily = { day: '', spent: 0 };
+const today = () => new Date().toISOString().slice(0, 10);
+
+export function dailySpent() {
+  if (daily.day !== today()) { daily.day = today(); daily.spent = 0; }
+  return daily.spent;
+}
+
+function addDaily(usd) {
+  dailySpent();
+  daily.spent = round6(daily.spent + usd);
+}
+
+// The error that stops a run over budget; generatePlan turns it into a
+// `budget_exceeded` outcome rather than a failure.
+export function budgetError(scope, limit, spent, stage) {
+  const err = new Error(`budget_exceeded: ${scope} limit $${limit}, spent $${spent}`);
+  err.code = 'budget_exceeded';
+  err.budget = { scope, limit_usd: limit, spent_usd: spent, stage: stage || null };
+  return err;
+}
+
+function sum(entries) {
+  const out = { calls: entries.length, input_tokens: 0, output_tokens: 0, cost_usd: 0, priced: true };
+  for (const e of entries) {
+    out.input_tokens += e.input_tokens;
+    out.output_tokens += e.output_tokens;
+    if (e.cost_usd === null) out.priced = false;
+    else out.cost_usd = round6(out.cost_usd + e.cost_usd);
+  }
+  return out;
+}
+
+// One meter per run. record() is called after every model call and throws
+// budgetError once the run (runBudget) or the day (dailyBudget) is over its
+// limit; the call that crossed the line is still counted. Budgets are USD;
+// null or 0 disables them.
+export function createMeter({ prices, runBudget = null, dailyBudget = null } = {}) {
+  const table = resolvePrices(prices);
+  const entries = [];
+
+  const check = (stage) => {
+    const run = sum(entries).cost_usd;
+    if (runBudget > 0 && run >= runBudget) throw budgetError('run', runBudget, run, stage);
+    if (dailyBudget > 0 && dailySpent() >= dailyBudget) throw budgetError('day', dailyBudget, dailySpent(), stage);
+  };
+
+  return {
+    // Throws if the day's budget is already spent, before any call is made.
+    preflight() {
+      if (dailyBudget > 0 && dailySpent() >= dailyBudget) throw budgetError('day', dailyBudget, dailySpent(), null);
+    },
+    record({ stage, round, model, usage }) {
+      const cost = costOf(usage, model, table);
+      entries.push({
+        stage: stage || null,
+        round: round ?? null,
+        model: model || null,
+        input_tokens: usage?.input_tokens || 0,
+        output_tokens: usage?.output_tokens || 0,
+        cost_usd: cost,
+      });
+      if (cost) addDaily(cost);
+      check(stage);
+    },
+    // Position marker; since(mark) totals the calls made after it.
+    mark: () => entries.length,
+    since: (mark) => { const s = sum(entries.slice(mark)); delete s.priced; return s; },
+    // { calls, input_tokens, output_tokens, cost_usd, priced, by_stage,
+    // by_model }; by_model is keyed by the model each call actually ran on.
+    summary() {
+      const by = (keyOf) => {
+        const out = {};
+        for (const key of [...new Set(entries.map(keyOf))]) {
+          const s = sum(entries.filter((e) => keyOf(e) === key));
+          delete s.priced;
+          out[key] = s;
+        }
+        return out;
+      };
+      return { ...sum(entries), by_stage: by((e) => e.stage || 'other'), by_model: by((e) => e.model || 'unknown') };
+    },
+  };
+}
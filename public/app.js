@@ -15,6 +15,10 @@
     generateBtn: document.getElementById('generate'),
     offlineBtn: document.getElementById('offline-demo'),
     passcode: document.getElementById('passcode'),
+    clarifyFirst: document.getElementById('clarify-first'),
+    approvalGate: document.getElementById('approval-gate'),
+    phiStrict: document.getElementById('phi-strict'),
+    ensembleDrafts: document.getElementById('ensemble-drafts'),
     liveNote: document.getElementById('live-note'),
     caseText: document.getElementById('case-text'),
     caseHint: document.getElementById('case-hint'),
@@ -24,11 +28,13 @@
     stepperTitle: document.getElementById('stepper-title'),
     liveBadge: document.getElementById('live-badge'),
     workingPulse: document.getElementById('working-pulse'),
+    cancelBtn: document.getElementById('cancel-run'),
     stepper: document.getElementById('stepper'),
     results: document.getElementById('results'),
     planList: document.getElementById('plan-list'),
     verdictBadge: document.getElementById('verdict-badge'),
     reviewComment: document.getElementById('review-comment'),
+    reviewFindings: document.getElementById('review-findings'),
     opnote: document.getElementById('opnote')
   };
 
@@ -195,6 +201,24 @@
     return sections;
   }
 
+  function contingencyBox(cond, response) {
+    return '<div class="plan-branch"><div class="branch-cond"><span class="branch-tag">IF</span>' +
+      '<span class="cond-text">' + escapeHtml(cond) + '</span></div>' +
+      '<div class="branch-step"><p class="step-desc">' + escapeHtml(response) + '</p></div></div>';
+  }
+
+  // Structured (JSON) plans carry contingencies as { if, then } pairs, so no
+  // text parsing is needed. Returns '' when there is nothing usable.
+  function renderContingencyList(list) {
+    var boxes = '';
+    var arr = Array.isArray(list) ? list : [];
+    for (var i = 0; i < arr.length; i++) {
+      var c = arr[i] || {};
+      if (c['if'] && c.then) boxes += contingencyBox(c['if'], c.then);
+    }
+    return boxes;
+  }
+
   // Renders "- If X, then Y." contingency bullets as the IF-branch boxes the
   // bundled cases use; lines that do not match render as plain markdown.
   function renderContingencies(text) {
@@ -205,10 +229,7 @@
       var t = lines[i].trim();
       var m = /^[-*]\s*If\s+(.+?),\s*then\s+(.+?)\.?\s*$/i.exec(t);
       if (m) {
-        boxes +=
-          '<div class="plan-branch"><div class="branch-cond"><span class="branch-tag">IF</span>' +
-          '<span class="cond-text">' + escapeHtml(m[1]) + '</span></div>' +
-          '<div class="branch-step"><p class="step-desc">' + escapeHtml(m[2]) + '</p></div></div>';
+        boxes += contingencyBox(m[1], m[2]);
       } else if (t) {
         rest.push(lines[i]);
       }
@@ -218,8 +239,9 @@
     return boxes + (restMd ? renderMarkdown(restMd) : '');
   }
 
-  function renderPlanV2(md) {
+  function renderPlanV2(md, json) {
     var sections = parsePlanSections(md);
+    var jsonBoxes = json ? renderContingencyList(json.contingencies) : '';
     var html = '';
     if (!sections.length) {
       html = renderMarkdown(md);
@@ -228,7 +250,8 @@
         var s = sections[i];
         var body = s.body.join('\n');
         html += '<h3 class="plan-sec-title">' + escapeHtml(s.title) + '</h3>';
-        html += /^key contingenc/i.test(s.title) ? renderContingencies(body) : renderMarkdown(body);
+        if (/^key contingenc/i.test(s.title)) html += jsonBoxes || renderContingencies(body);
+        else html += renderMarkdown(body);
       }
     }
     els.planList.innerHTML = '<li class="plan-md">' + html + '</li>';
@@ -265,26 +288,91 @@
     return frag;
   }
 
+  // Faithfulness findings under the operative note (live runs only). A
+  // blocked note has no markdown, so this is then the only content shown.
+  function renderVerification(v) {
+    if (!v || v.ok) return '';
+    var items = '';
+    var f = Array.isArray(v.findings) ? v.findings : [];
+    for (var i = 0; i < f.length; i++) items += '<li>' + escapeHtml(f[i].message) + '</li>';
+    var head = v.action === 'blocked'
+      ? 'The operative note was withheld because it was not faithful to the accepted plan:'
+      : 'Faithfulness check: the note may differ from the accepted plan:';
+    return '<div class="verify-note"><p>' + escapeHtml(head) + '</p><ul>' + items + '</ul></div>';
+  }
+
+  // Reviewer findings (live runs, prompt v2.1+) as a concern list grouped by
+  // severity, most severe first. Null when there are none to show.
+  var SEVERITY_LABELS = { critical: 'Critical', major: 'Major', minor: 'Minor' };
+  function buildFindingList(findings) {
+    if (!Array.isArray(findings) || !findings.length) return null;
+    var wrap = document.createElement('div');
+    wrap.className = 'finding-list';
+    Object.keys(SEVERITY_LABELS).forEach(function (sev) {
+      var items = findings.filter(function (f) { return f.severity === sev; });
+      if (!items.length) return;
+      var group = document.createElement('div');
+      group.className = 'finding-group sev-' + sev;
+      var head = document.createElement('span');
+      head.className = 'finding-sev';
+      head.textContent = SEVERITY_LABELS[sev] + ' (' + items.length + ')';
+      var ul = document.createElement('ul');
+      items.forEach(function (f) {
+        var li = document.createElement('li');
+        var where = [f.reviewer && f.reviewer.label, f.rule ? 'Safety rule' : null, f.section, f.domain ? 'Domain ' + f.domain : null]
+          .filter(Boolean).join(' · ');
+        if (where) {
+          var w = document.createElement('span');
+          w.className = 'finding-where';
+          w.textContent = where;
+          li.appendChild(w);
+        }
+        li.appendChild(document.createTextNode(f.issue));
+        ul.appendChild(li);
+      });
+      group.appendChild(head);
+      group.appendChild(ul);
+      wrap.appendChild(group);
+    });
+    return wrap;
+  }
+
+  // Badges for runs the pipeline ended early (budget or deadline).
+  var STOPPED_LABELS = { budget_exceeded: 'STOPPED — BUDGET', deadline_exceeded: 'STOPPED — TIME LIMIT', phi_blocked: 'NOT SENT — IDENTIFIERS' };
+  // Drafts sampled when "Draft several plans" is ticked (lib/ensemble.js).
+  var ENSEMBLE_DRAFTS = 3;
+  // Stepper lines for the attending's reply at the approval gate.
+  var APPROVAL_LABELS = { approve: 'Approved', edit: 'Edited and approved', revise: 'Sent back to the planner' };
+
   function renderResults(data) {
     if (data.plan_markdown) {
-      // Live v2.0 plan: Markdown sections from the thesis planning protocol.
-      renderPlanV2(data.plan_markdown);
+      // Live v2.0 plan: Markdown sections from the thesis planning protocol,
+      // plus the validated JSON plan when structured output was used.
+      renderPlanV2(data.plan_markdown, data.plan_json);
     } else {
       // Bundled cases (and any legacy result) carry a structured plan array.
       var plan = (Array.isArray(data.plan) && data.plan.length) ? data.plan : xmlToPlan(data.xml);
       renderPlan(plan);
     }
     var accepted = !data.verdict || /accept/i.test(data.verdict);
-    els.verdictBadge.textContent = accepted ? 'APPROVED ✓' : 'NEEDS REVISION';
-    els.verdictBadge.className = 'verdict-badge ' + (accepted ? 'verdict-approved' : 'verdict-flagged');
+    var stopped = STOPPED_LABELS[data.source];
+    var awaiting = data.source === 'awaiting_approval';
+    els.verdictBadge.textContent = stopped || (awaiting ? 'AWAITING YOUR APPROVAL' : accepted ? 'APPROVED ✓' : 'NEEDS REVISION');
+    els.verdictBadge.className = 'verdict-badge ' + (accepted && !stopped ? 'verdict-approved' : 'verdict-flagged');
     if (els.reviewScores) {
       els.reviewScores.innerHTML = '';
       var chips = buildScoreChips(data.scores);
       if (chips) { els.reviewScores.appendChild(chips); els.reviewScores.hidden = false; }
       else { els.reviewScores.hidden = true; }
     }
-    els.reviewComment.textContent = data.comment || data.reason || '';
-    els.opnote.innerHTML = renderMarkdown(data.markdown || '');
+    els.reviewComment.textContent = (stopped || awaiting ? data.reason : data.comment || data.reason) || '';
+    if (els.reviewFindings) {
+      els.reviewFindings.innerHTML = '';
+      var list = buildFindingList(data.findings);
+      if (list) els.reviewFindings.appendChild(list);
+      els.reviewFindings.hidden = !list;
+    }
+    els.opnote.innerHTML = renderMarkdown(data.markdown || '') + renderVerification(data.synth_verification);
     els.results.hidden = false;
   }
 
@@ -328,7 +416,7 @@
     li.className = 'subline';
     var tick = document.createElement('span');
     tick.className = 'tick';
-    tick.textContent = kind === 'check' ? '✓' : (kind === 'work' ? '›' : '•');
+    tick.textContent = kind === 'check' ? '✓' : (kind === 'work' ? '›' : (kind === 'flag' ? '⚑' : '•'));
     var span = document.createElement('span');
     span.textContent = text;
     li.appendChild(tick);
@@ -359,6 +447,130 @@
     stage.body.appendChild(d);
   }
 
+  // One line per review-panel member (live panel runs only), with the
+  // member's own concern shown when they reject.
+  function addMemberReview(stage, ev) {
+    var accepted = /accept/i.test(ev.verdict || '');
+    var label = (ev.reviewer && ev.reviewer.label) || 'Board member';
+    var text = label + ' — ' + (accepted ? 'accepts' : (ev.critical ? 'rejects (critical safety issue)' : 'rejects'));
+    addSubline(stage, text, accepted ? 'check' : 'flag');
+    if (!accepted && ev.comment) addBlock(stage, 'concern-text', label, ev.comment);
+  }
+
+  // Output_Contract conformance summary for a drafting stage (live runs with
+  // conformance checks enabled). Silent when the draft conformed.
+  function addConformanceLine(stage, c) {
+    if (!stage || !c || !Array.isArray(c.findings) || !c.findings.length) {
+      if (stage && c && c.reasks) addSubline(stage, 'Output format corrected before review', 'check');
+      return;
+    }
+    var n = c.findings.length;
+    addSubline(stage, 'Output format: ' + n + ' contract issue' + (n === 1 ? '' : 's') +
+      (c.reasks ? ' remaining after re-ask' : '') + ' — ' + c.findings[0].message, 'flag');
+  }
+
+  // Identifiers masked before the case was sent (lib/deidentify.js): a count,
+  // then each token the model saw, with its risk. The values themselves are
+  // never sent back.
+  function addDeidentifyLines(stage, ev) {
+    var entities = ev.entities || [];
+    addSubline(stage, 'Masked ' + entities.length + ' identifier' + (entities.length === 1 ? '' : 's') + ' before sending', 'check');
+    entities.forEach(function (e) {
+      addSubline(stage, e.token + ' (' + e.risk + ' risk)', e.risk === 'high' ? 'flag' : null);
+    });
+  }
+
+  // Safety rules (lib/safety-rules.js) on the draft under review: a pass
+  // line, or one flag per rule the plan does not satisfy. The findings are
+  // listed again, with the board's, when the review is done.
+  function addLintLines(stage, findings) {
+    if (!stage || !Array.isArray(findings)) return;
+    if (!findings.length) { addSubline(stage, 'Safety rules: no issues', 'check'); return; }
+    findings.forEach(function (f) {
+      addSubline(stage, 'Safety rule (' + f.severity + '): ' + f.issue, 'flag');
+    });
+  }
+
+  // The draft's options looked up in the flap knowledge base (lib/flap-kb.js):
+  // the ones it knows on one line, then one flag per name it does not.
+  function addOptionLines(stage, ev) {
+    if (!stage) return;
+    var names = [];
+    (ev.named || []).forEach(function (n) { if (names.indexOf(n.name) === -1) names.push(n.name); });
+    if (names.length) addSubline(stage, 'Options checked against the flap reference: ' + names.join(', '), 'check');
+    (ev.unrecognized || []).forEach(function (u) {
+      addSubline(stage, 'Not in the flap reference: ' + u.text + ' (' + u.section + ')', 'flag');
+    });
+  }
+
+  // How the ensemble's drafts agreed on the primary reconstruction, and
+  // which plan goes on to review.
+  function addEnsembleLines(stage, e) {
+    if (!stage || !e || !e.agreement) return;
+    var a = e.agreement;
+    addSubline(stage, 'Primary reconstruction agreed in ' + a.count + ' of ' + a.size + ' drafts (' + a.level + '): ' + a.strategy,
+      a.level === 'low' ? 'flag' : 'check');
+    addSubline(stage, e.selected ? 'Draft ' + e.selected + ' goes on to review' : 'Drafts merged into one plan for review', 'check');
+  }
+
+  // The final plan against a bundled case's reference plan (lib/coverage.js):
+  // steps and contingencies covered, then recall, precision and extras.
+  function addCoverageLines(stage, ev) {
+    if (!stage) return;
+    [['Steps', ev.steps], ['Contingencies', ev.contingencies]].forEach(function (pair) {
+      var c = pair[1];
+      if (!c || !c.total) return;
+      var text = pair[0] + ': ' + c.covered + ' of ' + c.total + ' covered';
+      if (c.missed) text += ', ' + c.missed + ' missed';
+      if (c.contradicted) text += ', ' + c.contradicted + ' contradicted';
+      addSubline(stage, text, c.missed || c.contradicted ? 'flag' : 'check');
+    });
+    addSubline(stage, 'Recall ' + ev.recall + ', precision ' + ev.precision +
+      (ev.extra ? ' (' + ev.extra + ' step' + (ev.extra === 1 ? '' : 's') + ' not in the reference)' : ''), 'check');
+  }
+
+  // Structured intake (lib/intake.js): one line with what was read from the
+  // case, then one flag per missing field that matters for reconstruction.
+  function addIntakeLines(stage, intake) {
+    if (!intake || !intake.fields) return;
+    var f = intake.fields;
+    var read = [
+      f.age ? f.age + ' y' + (f.sex ? ' ' + f.sex : '') : f.sex,
+      f.site,
+      f.tnm ? [f.tnm.t, f.tnm.n, f.tnm.m].filter(Boolean).join(' ') : null,
+      f.depth_of_invasion_mm !== null && f.depth_of_invasion_mm !== undefined ? 'DOI ' + f.depth_of_invasion_mm + ' mm' : null
+    ].filter(Boolean);
+    addSubline(stage, read.length ? 'Read from the case: ' + read.join(' · ') : 'No structured fields recognized in the case', read.length ? 'check' : 'flag');
+    (intake.missing || []).forEach(function (m) {
+      addSubline(stage, 'Not stated: ' + m.label + ' — ' + m.why, 'flag');
+    });
+  }
+
+  // What a revision changed (lib/plan-diff.js), most concrete changes first,
+  // each with the reviewer concern it answers when one was matched.
+  var DIFF_LABELS = { contingencies: 'contingency', steps: 'step', unknowns: 'unknown' };
+  var DIFF_MAX_LINES = 4;
+  function addDiffLines(stage, diff) {
+    if (!stage || !diff || !Array.isArray(diff.changes)) return;
+    var changes = diff.changes;
+    if (!changes.length) {
+      var touched = diff.sections_changed || [];
+      if (touched.length) addSubline(stage, 'Revised: ' + touched.join(', '), 'check');
+      else addSubline(stage, 'No substantive change from the previous draft', 'flag');
+      return;
+    }
+    var clip = function (t) { t = String(t || ''); return t.length > 90 ? t.slice(0, 87) + '…' : t; };
+    changes.slice(0, DIFF_MAX_LINES).forEach(function (c) {
+      var verb = c.kind === 'added' ? 'Added' : (c.kind === 'removed' ? 'Removed' : 'Reworded');
+      var line = verb + ' ' + (DIFF_LABELS[c.section] || c.section) + ': ' + clip(c.text);
+      if (c.concern) line += ' — re: ' + clip(c.concern.text);
+      addSubline(stage, line, 'check');
+    });
+    if (changes.length > DIFF_MAX_LINES) {
+      addSubline(stage, '+' + (changes.length - DIFF_MAX_LINES) + ' more change' + (changes.length - DIFF_MAX_LINES === 1 ? '' : 's'), 'info');
+    }
+  }
+
   function scrollStepper() {
     try { els.stepperCard.scrollIntoView({ behavior: 'smooth', block: 'nearest' }); } catch (e) {}
   }
@@ -530,6 +742,10 @@
     manager: ['Weighing whether the concern is safety-critical or a formatting note…'],
     synth: ['Composing the formal operative note…']
   };
+  var SKIP_LABELS = {
+    planner: 'planning', review: 'review', revision: 'a revision round', manager: 'the manager review',
+    synth: 'the operative note', conformance: 'a format re-ask', repair: 'a JSON repair'
+  };
   var MIN_DWELL_MS = 650;
   var MAX_DWELL_MS = 900;
   function dwellMs() { return MIN_DWELL_MS + Math.random() * (MAX_DWELL_MS - MIN_DWELL_MS); }
@@ -566,18 +782,23 @@
   // 'final' line, or {ok:false, reason} on any guard failure, mid-stream
   // 'error' line, missing 'final' line, or network/parse trouble. Always
   // closes the queue before returning (even on throw), so the stepper loop
-  // never hangs waiting for more events.
-  async function streamLiveGenerate(caseText, queue) {
+  // never hangs waiting for more events. Aborting `signal` (the Cancel
+  // button) drops the connection, which stops the run on the server, and
+  // returns {ok:false, reason:'cancelled'}. `request` is the body without
+  // the passcode: { caseText, clarify?, approval?, deidentify?, ensemble? } or, to
+  // resume, { runId, answers } or { runId, approval }.
+  async function streamLiveGenerate(request, queue, signal) {
     try {
       var res;
       try {
         res = await fetch('/api/generate-stream', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ caseText: caseText, passcode: (els.passcode && els.passcode.value) || '' })
+          body: JSON.stringify(Object.assign({}, request, { passcode: (els.passcode && els.passcode.value) || '' })),
+          signal: signal
         });
       } catch (e) {
-        return { ok: false, reason: 'network' };
+        return { ok: false, reason: signal && signal.aborted ? 'cancelled' : 'network' };
       }
 
       if (!res.ok) {
@@ -595,6 +816,7 @@
       var buffer = '';
       var finalResult = null;
       var streamError = false;
+      var cancelled = false;
 
       function handleLine(line) {
         line = (line || '').trim();
@@ -604,7 +826,10 @@
         if (!obj || typeof obj !== 'object') return;
         if (obj.type === 'final') finalResult = obj.result || null;
         else if (obj.type === 'error') streamError = true;
-        else queue.push(obj);
+        else {
+          if (obj.type === 'cancelled') cancelled = true;
+          queue.push(obj);
+        }
       }
 
       try {
@@ -618,9 +843,10 @@
         }
         if (buffer) handleLine(buffer);
       } catch (e) {
-        return { ok: false, reason: 'network' };
+        return { ok: false, reason: signal && signal.aborted ? 'cancelled' : 'network' };
       }
 
+      if (cancelled) return { ok: false, reason: 'cancelled' };
       if (streamError) return { ok: false, reason: 'generate_failed' };
       if (!finalResult) return { ok: false, reason: 'stream_incomplete' };
       return { ok: true, data: finalResult };
@@ -645,6 +871,36 @@
     var revisionStages = {};
     var managerStage = null;
     var neutralTimer = null;
+    var policyId = null;
+    var textStage = null; // stage whose model output is being streamed
+    var liveBox = null;
+    var liveKey = null;
+
+    // Streamed text (delta events) is written into a scrolling box under the
+    // stage that is producing it; a new call, or a reset, starts it afresh.
+    function appendLiveText(ev) {
+      if (!textStage) return;
+      var key = ev.stage + ':' + (ev.round || '');
+      if (!liveBox) {
+        liveBox = document.createElement('div');
+        liveBox.className = 'live-text';
+        liveBox.setAttribute('aria-live', 'off');
+        textStage.body.appendChild(liveBox);
+      }
+      if (key !== liveKey || ev.reset) liveBox.textContent = '';
+      liveKey = key;
+      if (ev.text) {
+        stopNeutral();
+        liveBox.textContent += ev.text;
+        liveBox.scrollTop = liveBox.scrollHeight;
+      }
+    }
+    function closeLiveText() {
+      if (liveBox) liveBox.classList.add('is-done');
+      textStage = null;
+      liveBox = null;
+      liveKey = null;
+    }
 
     function stopNeutral() {
       if (neutralTimer) { clearInterval(neutralTimer); neutralTimer = null; }
@@ -669,16 +925,55 @@
         var startedAt = Date.now();
 
         switch (ev.type) {
+          case 'policy': {
+            policyId = (ev.policy && ev.policy.id) || null;
+            continue; // bookkeeping only; nothing to show or pace
+          }
+          case 'deidentify_done': {
+            if (!ev.entities || !ev.entities.length) continue; // nothing masked, nothing to show
+            var sd = createStage('De-identification', null);
+            addDeidentifyLines(sd, ev);
+            if (ev.mode === 'strict' && ev.high_risk) {
+              setStageState(sd, 'flagged');
+              els.stepperTitle.textContent = 'Not sent — the case contains patient identifiers';
+              els.workingPulse.classList.add('is-idle');
+            } else {
+              setStageState(sd, 'done');
+            }
+            break;
+          }
+          case 'intake_done': {
+            var si = createStage('Intake', null);
+            addIntakeLines(si, ev.intake);
+            setStageState(si, 'done');
+            break;
+          }
           case 'planner_start': {
-            els.stepperTitle.textContent = 'Operating surgeon — drafting the plan';
-            var s1 = createStage('Operating Surgeon', null);
+            els.stepperTitle.textContent = ev.ensemble
+              ? 'Operating surgeon — drafting ' + ev.ensemble.size + ' independent plans'
+              : 'Operating surgeon — drafting the plan';
+            var s1 = createStage('Operating Surgeon', ev.ensemble ? ev.ensemble.size + ' drafts' : null);
             setStageState(s1, 'active');
             reviewStages.__planner = s1;
+            textStage = s1;
             startNeutral(s1, NEUTRAL_LINES.planner);
             break;
           }
+          case 'delta': {
+            appendLiveText(ev);
+            continue; // streamed text is shown as it arrives, never paced
+          }
+          case 'sample_done': {
+            addSubline(reviewStages.__planner, 'Draft ' + ev.sample + ': ' + ev.strategy.label + ' — board ' +
+              (ev.verdict === 'accept' ? 'accepted' : 'rejected') + (ev.scores ? ', ' + ev.total + '/25' : ''),
+              ev.verdict === 'accept' ? 'check' : 'flag');
+            break;
+          }
           case 'planner_done': {
             stopNeutral();
+            closeLiveText();
+            addEnsembleLines(reviewStages.__planner, ev.ensemble);
+            addConformanceLine(reviewStages.__planner, ev.conformance);
             if (reviewStages.__planner) setStageState(reviewStages.__planner, 'done');
             break;
           }
@@ -691,11 +986,29 @@
             startNeutral(rs, NEUTRAL_LINES.review);
             break;
           }
+          case 'lint_done': {
+            addLintLines(reviewStages[ev.round], ev.findings);
+            break;
+          }
+          case 'options_done': {
+            addOptionLines(reviewStages[ev.round], ev);
+            break;
+          }
           case 'review_done': {
             stopNeutral();
             var rstage = reviewStages[ev.round];
-            if (rstage) {
-              var accepted = /accept/i.test(ev.verdict || '');
+            if (rstage && ev.reviewer) {
+              addMemberReview(rstage, ev);
+            } else if (rstage) {
+              if (ev.consensus) {
+                addSubline(rstage, 'Consensus (' + ev.consensus.rule + '): ' + (ev.consensus.reason || ''), 'check');
+              }
+              // The acceptance policy's decision (when reported) is what drives
+              // the loop; it can differ from the board's own verdict.
+              var accepted = ev.decision ? !!ev.decision.accept : /accept/i.test(ev.verdict || '');
+              if (ev.decision && policyId && policyId !== 'verdict') {
+                addSubline(rstage, 'Acceptance policy (' + policyId + '): ' + ev.decision.reason, accepted ? 'check' : 'flag');
+              }
               var chips = buildScoreChips(ev.scores);
               if (chips) {
                 var strip = document.createElement('div');
@@ -703,13 +1016,20 @@
                 strip.appendChild(chips);
                 rstage.body.appendChild(strip);
               }
+              var findingList = buildFindingList(ev.findings);
               if (accepted) {
                 addVerdict(rstage, 'approved', ev.round === 1 ? 'Approved on first review' : 'Approved ✓');
+                if (findingList) rstage.body.appendChild(findingList);
                 setStageState(rstage, 'done');
               } else {
                 addVerdict(rstage, 'flagged', 'Flagged — concern raised');
                 addBlock(rstage, 'concern-text', 'Board concern', ev.comment || 'A concern was raised.');
+                if (findingList) rstage.body.appendChild(findingList);
                 setStageState(rstage, 'flagged');
+                if (ev.decision && ev.decision.next === 'stop') {
+                  els.stepperTitle.textContent = 'Review complete — plan requires revision';
+                  els.workingPulse.classList.add('is-idle');
+                }
               }
             }
             break;
@@ -719,12 +1039,16 @@
             var rvs = createStage('Revision', 'Round ' + ev.round);
             setStageState(rvs, 'active');
             revisionStages[ev.round] = rvs;
+            textStage = rvs;
             startNeutral(rvs, NEUTRAL_LINES.revision);
             break;
           }
           case 'revision_done': {
             stopNeutral();
+            closeLiveText();
             var rvstage = revisionStages[ev.round];
+            addDiffLines(rvstage, ev.diff);
+            addConformanceLine(rvstage, ev.conformance);
             if (rvstage) setStageState(rvstage, 'done');
             break;
           }
@@ -753,21 +1077,84 @@
             }
             break;
           }
+          case 'coverage_done': {
+            var sc = createStage('Reference plan', ev.reference);
+            addCoverageLines(sc, ev);
+            setStageState(sc, 'done');
+            break;
+          }
           case 'synth_start': {
             els.stepperTitle.textContent = 'Chief resident — writing the operative note';
-            var s4 = createStage('Chief Resident', null);
+            var s4 = createStage('Chief Resident', ev.retry ? 'Faithfulness retry' : null);
             setStageState(s4, 'active');
             reviewStages.__synth = s4;
+            textStage = s4;
             startNeutral(s4, NEUTRAL_LINES.synth);
             break;
           }
           case 'synth_done': {
             stopNeutral();
+            closeLiveText();
             if (reviewStages.__synth) setStageState(reviewStages.__synth, 'done');
             els.stepperTitle.textContent = 'Review complete — plan approved';
             els.workingPulse.classList.add('is-idle');
             break;
           }
+          case 'synth_verify_done': {
+            var vstage = reviewStages.__synth;
+            if (vstage) {
+              var nf = (ev.findings || []).length;
+              if (ev.ok) {
+                addSubline(vstage, 'Faithfulness check: note matches the accepted plan' + (nf ? ' (' + nf + ' minor note' + (nf === 1 ? '' : 's') + ')' : ''), 'check');
+              } else {
+                addSubline(vstage, 'Faithfulness check: ' + nf + ' issue' + (nf === 1 ? '' : 's') + ' — ' + ev.findings[0].message, 'flag');
+              }
+            }
+            if (ev.action === 'blocked') {
+              els.stepperTitle.textContent = 'Operative note withheld — not faithful to the accepted plan';
+            }
+            break;
+          }
+          case 'clarification_needed': {
+            stopNeutral();
+            els.stepperTitle.textContent = 'Operating surgeon — questions before review';
+            els.workingPulse.classList.add('is-idle');
+            break;
+          }
+          case 'awaiting_approval': {
+            stopNeutral();
+            els.stepperTitle.textContent = 'Plan accepted — awaiting the attending’s approval';
+            els.workingPulse.classList.add('is-idle');
+            break;
+          }
+          case 'approval': {
+            var sa = createStage('Attending', null);
+            addVerdict(sa, 'approved', (APPROVAL_LABELS[ev.action] || 'Approved') + ' by ' + ev.by);
+            setStageState(sa, 'done');
+            break;
+          }
+          case 'cancelled': {
+            stopNeutral();
+            showCancelled();
+            continue;
+          }
+          case 'budget_exceeded': {
+            stopNeutral();
+            els.stepperTitle.textContent = 'Stopped — ' + (ev.scope === 'day' ? 'daily' : 'per-run') + ' budget reached';
+            els.workingPulse.classList.add('is-idle');
+            continue;
+          }
+          case 'degraded': {
+            // Time pressure: list what the pipeline skipped to finish in time.
+            stopNeutral();
+            var dstage = createStage('Time limit', null);
+            setStageState(dstage, 'flagged');
+            (ev.skipped || []).forEach(function (sk) {
+              addSubline(dstage, 'Skipped ' + (SKIP_LABELS[sk.stage] || sk.stage) +
+                (sk.round ? ' (round ' + sk.round + ')' : '') + ' — ' + sk.reason, 'flag');
+            });
+            break;
+          }
           default:
             break;
         }
@@ -782,6 +1169,215 @@
     }
   }
 
+  // " Estimated cost $0.0123 (12,345 tokens)." for the live note, when known.
+  function usageNote(u) {
+    if (!u || !u.calls) return '';
+    var tokens = (u.input_tokens || 0) + (u.output_tokens || 0);
+    var t = tokens.toLocaleString() + ' tokens';
+    return u.priced ? ' Estimated cost $' + u.cost_usd.toFixed(4) + ' (' + t + ').' : ' ' + t + '.';
+  }
+
+  // " Approved by Dr X." — the attending's sign-off at the approval gate.
+  function approvalNote(a) {
+    return a && a.by ? ' ' + (APPROVAL_LABELS[a.action] || 'Approved') + ' by ' + a.by + '.' : '';
+  }
+
+  // " Primary reconstruction agreed in 2 of 3 drafts." — ensemble confidence.
+  function ensembleNote(e) {
+    return e && e.agreement ? ' Primary reconstruction agreed in ' + e.agreement.count + ' of ' + e.agreement.size + ' drafts.' : '';
+  }
+
+  // " Covers 12 of 15 reference items." — a bundled case's reference plan.
+  function coverageNote(c) {
+    if (!c || !c.items) return '';
+    var covered = c.items.filter(function (i) { return i.status === 'covered'; }).length;
+    return ' Covers ' + covered + ' of ' + c.items.length + ' reference items.';
+  }
+
+  // " Prompts v2.0." — the prompt template version the run used.
+  function promptsNote(p) {
+    return p && p.version ? ' Prompts ' + p.version + '.' : '';
+  }
+
+  // Shows the planner's open questions as a form under the live trace and
+  // resolves with { questionId: answer } once the clinician continues. Blank
+  // answers are left out; the planner then keeps those items as unknowns.
+  function askClarifications(questions) {
+    return new Promise(function (resolve) {
+      if (!questions.length) { resolve({}); return; }
+      var stage = createStage('Clarification', questions.length + ' question' + (questions.length === 1 ? '' : 's'));
+      setStageState(stage, 'active');
+      var form = document.createElement('form');
+      form.className = 'clarify-form';
+      var inputs = {};
+      questions.forEach(function (q) {
+        var label = document.createElement('label');
+        label.className = 'clarify-q';
+        var text = document.createElement('span');
+        text.textContent = q.text;
+        var input = document.createElement('textarea');
+        input.rows = 2;
+        input.maxLength = 1000;
+        label.appendChild(text);
+        label.appendChild(input);
+        form.appendChild(label);
+        inputs[q.id] = input;
+      });
+      var actions = document.createElement('div');
+      actions.className = 'clarify-actions';
+      var go = document.createElement('button');
+      go.type = 'submit';
+      go.className = 'btn btn-primary btn-sm';
+      go.textContent = 'Continue with answers';
+      var skip = document.createElement('button');
+      skip.type = 'button';
+      skip.className = 'btn btn-ghost btn-sm';
+      skip.textContent = 'Continue without answers';
+      actions.appendChild(go);
+      actions.appendChild(skip);
+      form.appendChild(actions);
+
+      function finish(withAnswers) {
+        var answers = {};
+        if (withAnswers) {
+          Object.keys(inputs).forEach(function (id) {
+            var v = inputs[id].value.trim();
+            if (v) answers[id] = v;
+          });
+        }
+        go.disabled = true;
+        skip.disabled = true;
+        setStageState(stage, 'done');
+        resolve(answers);
+      }
+      form.addEventListener('submit', function (e) { e.preventDefault(); finish(true); });
+      skip.addEventListener('click', function () { finish(false); });
+
+      stage.body.appendChild(form);
+      scrollStepper();
+      try { inputs[questions[0].id].focus(); } catch (e) {}
+    });
+  }
+
+  // Shows the attending's options for an accepted plan under the live trace
+  // and resolves with the approval to resume the run with: { action:
+  // 'approve' | 'edit' | 'revise', by, plan_markdown?, critique? }.
+  function askApproval(data) {
+    return new Promise(function (resolve) {
+      var stage = createStage('Attending', 'Approval');
+      setStageState(stage, 'active');
+      var form = document.createElement('form');
+      form.className = 'clarify-form approval-form';
+      var mode = 'approve';
+
+      function field(labelText, input) {
+        var label = document.createElement('label');
+        label.className = 'clarify-q';
+        var text = document.createElement('span');
+        text.textContent = labelText;
+        label.appendChild(text);
+        label.appendChild(input);
+        form.appendChild(label);
+        return label;
+      }
+      var by = document.createElement('input');
+      by.type = 'text';
+      by.required = true;
+      by.maxLength = 120;
+      by.placeholder = 'e.g. Dr. A. Surgeon';
+      field('Your name (recorded with the sign-off)', by);
+      var plan = document.createElement('textarea');
+      plan.rows = 14;
+      plan.className = 'approval-plan';
+      plan.value = data.plan_markdown || '';
+      var planField = field('Edited plan', plan);
+      planField.hidden = true;
+      var critique = document.createElement('textarea');
+      critique.rows = 3;
+      critique.maxLength = 4000;
+      var critiqueField = field('What should the planner change?', critique);
+      critiqueField.hidden = true;
+
+      var actions = document.createElement('div');
+      actions.className = 'clarify-actions';
+      var go = document.createElement('button');
+      go.type = 'submit';
+      go.className = 'btn btn-primary btn-sm';
+      go.textContent = 'Approve plan';
+      var edit = document.createElement('button');
+      edit.type = 'button';
+      edit.className = 'btn btn-ghost btn-sm';
+      edit.textContent = 'Edit plan';
+      var back = document.createElement('button');
+      back.type = 'button';
+      back.className = 'btn btn-ghost btn-sm';
+      back.textContent = 'Send back';
+      actions.appendChild(go);
+      actions.appendChild(edit);
+      actions.appendChild(back);
+      form.appendChild(actions);
+
+      function setMode(next) {
+        mode = next;
+        planField.hidden = mode !== 'edit';
+        critiqueField.hidden = mode !== 'revise';
+        critique.required = mode === 'revise';
+        go.textContent = mode === 'edit' ? 'Approve edited plan' : mode === 'revise' ? 'Send back to the planner' : 'Approve plan';
+        scrollStepper();
+      }
+      edit.addEventListener('click', function () { setMode(mode === 'edit' ? 'approve' : 'edit'); });
+      back.addEventListener('click', function () { setMode(mode === 'revise' ? 'approve' : 'revise'); });
+      form.addEventListener('submit', function (e) {
+        e.preventDefault();
+        var approval = { action: mode, by: by.value.trim() };
+        if (!approval.by) { by.focus(); return; }
+        if (mode === 'edit') {
+          // An unchanged plan is a plain approval.
+          if (plan.value.trim() === String(data.plan_markdown || '').trim()) approval.action = 'approve';
+          else approval.plan_markdown = plan.value;
+        }
+        if (mode === 'revise') approval.critique = critique.value.trim();
+        go.disabled = true;
+        edit.disabled = true;
+        back.disabled = true;
+        setStageState(stage, 'done');
+        resolve(approval);
+      });
+
+      stage.body.appendChild(form);
+      scrollStepper();
+      try { by.focus(); } catch (e) {}
+    });
+  }
+
+  // One streamed live run: drives the stepper from its events, with the
+  // Cancel button wired to abort it. Returns streamLiveGenerate's outcome.
+  async function runLiveStream(request) {
+    var queue = createEventQueue();
+    var controller = typeof window.AbortController === 'function' ? new AbortController() : null;
+    var onCancel = function () { if (controller) controller.abort(); els.cancelBtn.disabled = true; };
+    if (controller && els.cancelBtn) {
+      els.cancelBtn.disabled = false;
+      els.cancelBtn.hidden = false;
+      els.cancelBtn.addEventListener('click', onCancel);
+    }
+    var streamPromise = streamLiveGenerate(request, queue, controller && controller.signal);
+    var stepperPromise = runLiveStepper(queue);
+    var stream = await streamPromise;
+    if (els.cancelBtn) {
+      els.cancelBtn.hidden = true;
+      els.cancelBtn.removeEventListener('click', onCancel);
+    }
+    try { await stepperPromise; } catch (e) {}
+    return stream;
+  }
+
+  // Final stepper state for a run stopped by the user or a dropped connection.
+  function showCancelled() {
+    els.stepperTitle.textContent = 'Run cancelled — no further model calls were made';
+    els.workingPulse.classList.add('is-idle');
+  }
+
   // Fallback path when the real-event stream is unavailable or fails for any
   // reason: replays the existing scripted animation while the buffered
   // /api/generate call runs, exactly as before this feature existed. If that
@@ -796,7 +1392,8 @@
         var d = live.data;
         d.plan = (Array.isArray(d.plan) && d.plan.length) ? d.plan : xmlToPlan(d.xml);
         renderResults(d);
-        setNote('Generated live by the model.', 'live');
+        if (STOPPED_LABELS[d.source]) setNote(d.reason, 'offline');
+        else setNote('Generated live by the model.' + usageNote(d.usage) + promptsNote(d.prompts), 'live');
       } catch (e) {
         renderOfflineFallback('render');
       }
@@ -834,18 +1431,50 @@
     var streamSupported = typeof window.fetch === 'function' && typeof window.ReadableStream === 'function';
 
     if (streamSupported) {
-      var queue = createEventQueue();
-      var streamPromise = streamLiveGenerate(caseText, queue);
-      var stepperPromise = runLiveStepper(queue);
-      var stream = await streamPromise;
-      try { await stepperPromise; } catch (e) {}
+      var request = {
+        caseText: caseText,
+        clarify: !!(els.clarifyFirst && els.clarifyFirst.checked),
+        approval: !!(els.approvalGate && els.approvalGate.checked)
+      };
+      if (els.phiStrict && els.phiStrict.checked) request.deidentify = 'strict';
+      if (els.ensembleDrafts && els.ensembleDrafts.checked) request.ensemble = ENSEMBLE_DRAFTS;
+      var stream = await runLiveStream(request);
+      // Paused on the planner's open questions: collect the answers and
+      // resume the same run, which drafts again with them. Paused at the
+      // approval gate: show the accepted plan and resume with the sign-off,
+      // the edited plan, or the critique it is sent back with.
+      while (stream && stream.ok && (stream.data.source === 'clarification_needed' || stream.data.source === 'awaiting_approval')) {
+        if (stream.data.source === 'clarification_needed') {
+          setNote('The planner has questions about this case. Answer what you can, then continue.', 'live');
+          var answers = await askClarifications(stream.data.questions || []);
+          setNote('Resuming with your answers…', 'live');
+          stream = await runLiveStream({ runId: stream.data.run_id, answers: answers });
+        } else {
+          try { renderResults(stream.data); } catch (e) {}
+          setNote('The plan was accepted. Approve it, edit it, or send it back before the operative note is written.', 'live');
+          var approval = await askApproval(stream.data);
+          els.results.hidden = true;
+          setNote(approval.action === 'revise' ? 'Sending the plan back to the planner…' : 'Writing the operative note for the approved plan…', 'live');
+          stream = await runLiveStream({ runId: stream.data.run_id, approval: approval });
+        }
+      }
+
+      if (stream && stream.reason === 'cancelled') {
+        // Cancelled on purpose: no fallback run, nothing to render.
+        showCancelled();
+        setNote('Live generation cancelled.', 'offline');
+        els.generateBtn.disabled = false;
+        els.offlineBtn.disabled = false;
+        return;
+      }
 
       if (stream && stream.ok) {
         try {
           var d = stream.data;
           d.plan = (Array.isArray(d.plan) && d.plan.length) ? d.plan : xmlToPlan(d.xml);
           renderResults(d);
-          setNote('Generated live. The review trace above is the actual pipeline output.', 'live');
+          if (STOPPED_LABELS[d.source]) setNote(d.reason, 'offline');
+          else setNote('Generated live. The review trace above is the actual pipeline output.' + approvalNote(d.approval) + ensembleNote(d.ensemble) + coverageNote(d.coverage) + usageNote(d.usage) + promptsNote(d.prompts), 'live');
         } catch (e) {
           // Rendering the live result failed; do not rerun the whole pipeline,
           // fall straight back to a bundled result instead.
@@ -864,20 +1493,47 @@
     els.offlineBtn.disabled = false;
   }
 
+  // Plays the events of a replayed run (cases.json `replay`, built by
+  // scripts/build-cases.mjs) onto `queue` at a readable pace, then closes it.
+  async function playReplay(events, queue) {
+    for (var i = 0; i < events.length; i++) {
+      if (events[i].type !== 'delta') await sleep(450);
+      queue.push(events[i]);
+    }
+    queue.close();
+  }
+
   // Explicit offline demo: always renders a bundled synthetic case, never calls
-  // the network. Guaranteed to work anywhere.
+  // the network. Guaranteed to work anywhere. A case with a recorded replay
+  // shows the real pipeline's trace and result for its synthetic cassette;
+  // the others show their scripted walkthrough.
   async function onOfflineDemo() {
     els.generateBtn.disabled = true;
     els.offlineBtn.disabled = true;
     els.results.hidden = true;
 
-    var data = (currentCase && Array.isArray(currentCase.plan) && currentCase.plan.length) ? currentCase : await fetchCase(null);
+    var data = (currentCase && Array.isArray(currentCase.plan) && currentCase.plan.length) ? currentCase : null;
+    if (!data) {
+      // With no case loaded, start from one that has a replay.
+      try { await libraryReady; } catch (e) {}
+      data = CASE_LIBRARY.filter(function (c) { return c.replay && c.replay.result; })[0] || await fetchCase(null);
+    }
     currentCase = data;
     loadCase(data);
-    setNote('Offline demo: a pre-prepared review sequence on a bundled synthetic case.', 'offline');
 
-    try { await runStepper(data.process, { completionTitle: 'Walkthrough complete — bundled synthetic case' }); } catch (e) {}
-    try { renderResults(data); } catch (e) { try { renderResults(FALLBACK); } catch (e2) {} }
+    if (data.replay && data.replay.result) {
+      setNote('Offline demo: the pipeline replayed on a synthetic recording of this case. The model answers are scripted; the parsing, review and override logic are the real ones.', 'offline');
+      var queue = createEventQueue();
+      var stepperPromise = runLiveStepper(queue);
+      if (els.liveBadge) els.liveBadge.hidden = true; // a replay, not a live run
+      await playReplay(data.replay.events || [], queue);
+      try { await stepperPromise; } catch (e) {}
+      try { renderResults(data.replay.result); } catch (e) { try { renderResults(data); } catch (e2) {} }
+    } else {
+      setNote('Offline demo: a pre-prepared review sequence on a bundled synthetic case.', 'offline');
+      try { await runStepper(data.process, { completionTitle: 'Walkthrough complete — bundled synthetic case' }); } catch (e) {}
+      try { renderResults(data); } catch (e) { try { renderResults(FALLBACK); } catch (e2) {} }
+    }
     try { els.results.scrollIntoView({ behavior: 'smooth', block: 'start' }); } catch (e) {}
 
     els.generateBtn.disabled = false;
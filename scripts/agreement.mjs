@@ -0,0 +1,107 @@
+// Inter-rater agreement between the AI review board and surgeons' ratings of
+// the plans from a batch evaluation (scripts/eval-batch.mjs).
+//
+//   node scripts/agreement.mjs --runs eval/<name> --ratings ratings.csv [--out dir]
+//
+// The ratings CSV has one row per rater and plan: a `rater` column, the plan
+// as `key` (the run key from runs.csv) or as `case_id` with `model` and `rep`
+// as needed to pick out one run, and the five domain scores `d1`..`d5` (1-5;
+// leave a cell blank for a domain not rated). The board's scores are the
+// final scores of each run. Writes to --out (default <runs>/agreement):
+//   agreement.json   per-domain pairs and group ICCs (lib/agreement.js)
+//   agreement.csv    one row per domain and comparison
+//   agreement.md     the same as tables, for reading
+import fs from 'node:fs';
+import path from 'node:path';
+import { parseCsv, parseRecords, toCsv, DOMAIN_KEYS } from '../lib/eval.js';
+import { agreementReport, AI_RATER } from '../lib/agreement.js';
+
+const USAGE = 'usage: node scripts/agreement.mjs --runs <eval dir> --ratings <ratings.csv> [--out dir]';
+
+const args = {};
+for (let i = 2; i < process.argv.length; i += 2) {
+  const m = /^--([a-z]+)$/.exec(process.argv[i]);
+  if (!m || process.argv[i + 1] === undefined) {
+    console.error(USAGE);
+    process.exit(2);
+  }
+  args[m[1]] = process.argv[i + 1];
+}
+if (!args.runs || !args.ratings) {
+  console.error(USAGE);
+  process.exit(2);
+}
+
+const runsFile = path.join(args.runs, 'runs.jsonl');
+if (!fs.existsSync(runsFile)) {
+  console.error(`No runs.jsonl in ${args.runs}`);
+  process.exit(2);
+}
+const records = [...parseRecords(fs.readFileSync(runsFile, 'utf8')).values()].filter((r) => r.status === 'ok');
+const rows = parseCsv(fs.readFileSync(args.ratings, 'utf8'));
+const outDir = args.out || path.join(args.runs, 'agreement');
+
+// The run a rating row refers to, or why it matches none.
+function matchRun(row) {
+  if (row.key) return records.find((r) => r.key === row.key) || 'not found';
+  const hits = records.filter((r) => r.case_id === row.case_id &&
+    (!row.model || r.model === row.model) && (!row.rep || String(r.rep) === row.rep));
+  return hits.length === 1 ? hits[0] : hits.length ? 'ambiguous (add model and rep)' : 'not found';
+}
+
+const ratings = new Map();
+const skipped = [];
+rows.forEach((row, i) => {
+  const line = i + 2;
+  if (!row.rater) return skipped.push(`line ${line}: no rater`);
+  if (row.rater === AI_RATER) return skipped.push(`line ${line}: rater name ${AI_RATER} is reserved for the board`);
+  const run = matchRun(row);
+  if (typeof run === 'string') return skipped.push(`line ${line}: ${row.key || row.case_id || 'no key or case_id'} ${run}`);
+  const id = `${run.key}\u0000${row.rater}`;
+  if (ratings.has(id)) skipped.push(`line ${line}: ${row.rater} rated ${run.key} again; the later row is used`);
+  ratings.set(id, { subject: run.key, rater: row.rater, scores: DOMAIN_KEYS.map((k) => (row[k] === '' || row[k] === undefined ? null : Number(row[k]))) });
+});
+for (const s of skipped) console.error(s);
+
+const rated = new Set([...ratings.values()].map((r) => r.subject));
+const board = records.filter((r) => rated.has(r.key)).map((r) => ({ subject: r.key, rater: AI_RATER, scores: DOMAIN_KEYS.map((k) => r[k]) }));
+if (!board.length) {
+  console.error('No rating matched a completed run.');
+  process.exit(1);
+}
+const report = agreementReport([...board, ...ratings.values()]);
+
+fs.mkdirSync(outDir, { recursive: true });
+fs.writeFileSync(path.join(outDir, 'agreement.json'), JSON.stringify({
+  generated_at: new Date().toISOString(), runs: args.runs, ratings: args.ratings, skipped, ...report,
+}, null, 2));
+
+const csvRows = report.domains.flatMap((d) => [
+  ...d.pairs.map((p) => ({ domain: d.domain, name: d.name, comparison: 'pair', ...p })),
+  ...[['humans', d.humans], ['all', d.all]].map(([g, v]) => ({ domain: d.domain, name: d.name, comparison: g, a: '', b: '', n: v.n, icc: v.icc })),
+]);
+fs.writeFileSync(path.join(outDir, 'agreement.csv'), toCsv(csvRows, [
+  'domain', 'name', 'comparison', 'a', 'b', 'n', 'kappa', 'weighted_kappa', 'icc', 'mean_diff', 'sd_diff', 'loa_low', 'loa_high',
+]));
+
+const fmt = (v) => (v === null || v === undefined ? '–' : String(v));
+const md = [
+  '# Inter-rater agreement',
+  '',
+  `${report.subjects} plans from \`${args.runs}\`; raters: ${report.raters.join(', ')}.`,
+  'κ is Cohen\'s kappa, κw quadratic-weighted; ICC is ICC(2,1). Differences are the first rater minus the second, with 95% limits of agreement.',
+  ...report.domains.flatMap((d) => [
+    '',
+    `## D${d.domain}. ${d.name}`,
+    '',
+    '| Comparison | n | κ | κw | ICC | Mean diff | 95% LoA |',
+    '|---|---|---|---|---|---|---|',
+    ...d.pairs.map((p) => `| ${p.a} vs ${p.b} | ${p.n} | ${fmt(p.kappa)} | ${fmt(p.weighted_kappa)} | ${fmt(p.icc)} | ${fmt(p.mean_diff)} | ${p.loa_low === null ? '–' : `${p.loa_low} to ${p.loa_high}`} |`),
+    '',
+    `Surgeons together: ICC ${fmt(d.humans.icc)} (${d.humans.raters} raters, n = ${d.humans.n}); with the board: ICC ${fmt(d.all.icc)} (n = ${d.all.n}).`,
+  ]),
+  ...(skipped.length ? ['', '## Skipped rows', '', ...skipped.map((s) => `- ${s}`)] : []),
+  '',
+].join('\n');
+fs.writeFileSync(path.join(outDir, 'agreement.md'), md);
+console.error(`${ratings.size} ratings of ${report.subjects} plans by ${report.raters.length - 1} raters; report in ${outDir}`);
@@ -1,8 +1,37 @@
 // Build a static case library for the browser (offline fallback + example loader).
 // Reads the same bundled synthetic cases the server uses and writes public/cases.json.
-import { writeFileSync } from 'node:fs';
+// A case with a synthetic cassette (demo/synthetic-cassettes/<id>.json, see
+// scripts/record-fixture.mjs) also gets `replay: { events, result }`: the
+// pipeline run on that cassette here, so the offline demo shows what the real
+// parsing, review and override logic make of it rather than the hand-written
+// `process` narrative.
+import { existsSync, writeFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
 import { cases } from '../demo/cases.js';
+import { generatePlan } from '../lib/orchestrator.js';
+import { loadCassette, replayProvider } from '../lib/cassette.js';
+import { referenceFor } from '../lib/coverage.js';
+
+const library = [];
+for (const c of cases) {
+  const path = fileURLToPath(new URL(`../demo/synthetic-cassettes/${c.id}.json`, import.meta.url));
+  if (!existsSync(path)) { library.push(c); continue; }
+  const events = [];
+  try {
+    const result = await generatePlan({
+      client: replayProvider(loadCassette(path), { strict: true }),
+      caseText: c.caseText,
+      reference: referenceFor(c.caseText, cases),
+      onEvent: (ev) => events.push(ev),
+    });
+    library.push({ ...c, replay: { events, result } });
+  } catch (e) {
+    // A stale cassette leaves the case on its scripted walkthrough.
+    console.warn(`No replay for ${c.id} (${e.code || e.message}); re-record it with node scripts/record-fixture.mjs`);
+    library.push(c);
+  }
+}
 
 const out = new URL('../public/cases.json', import.meta.url);
-writeFileSync(out, JSON.stringify(cases));
-console.log(`Wrote ${cases.length} cases to public/cases.json`);
+writeFileSync(out, JSON.stringify(library));
+console.log(`Wrote ${library.length} cases (${library.filter((c) => c.replay).length} with a replay) to public/cases.json`);
@@ -0,0 +1,148 @@
+// Run the full pipeline over a case set, for every model and repetition, and
+// write per-run records and summary reports for statistical analysis.
+//
+//   node scripts/eval-batch.mjs [--cases cases.json] [--models gpt-4o,gpt-5]
+//     [--repeats 3] [--concurrency 2] [--out eval/<name>]
+//
+// Cases default to the bundled library (demo/cases.js); a case file is a JSON
+// array of { id, caseText } (or .jsonl, one case per line). A case with a
+// reference `plan` in the bundled shape is scored against it (lib/coverage.js).
+// The provider and pipeline settings come from the same env as the server
+// (lib/providers.js, lib/config.js); --models defaults to MODEL_DEFAULT. Runs
+// never pause for clarifying questions or sign-off.
+//
+// Output directory:
+//   runs.jsonl                 one record per finished run (lib/eval.js), appended
+//                              as runs finish; rerunning the same command skips
+//                              completed runs and retries errored ones
+//   results/<case>__<model>__<rep>.json   the full generatePlan result
+//   summary.json               measures overall, per model, per model and case
+//   runs.csv, summary_by_model.csv, summary_by_model_case.csv
+import fs from 'node:fs';
+import path from 'node:path';
+import { cases as bundled } from '../demo/cases.js';
+import { generatePlan } from '../lib/orchestrator.js';
+import { providerFromEnv } from '../lib/providers.js';
+import { pipelineConfig } from '../lib/config.js';
+import { RECORD_COLUMNS, parseRecords, runKey, runRecord, summarizeBatch, summaryRows, toCsv } from '../lib/eval.js';
+
+const USAGE = 'usage: node scripts/eval-batch.mjs [--cases cases.json] [--models a,b] [--repeats N] [--concurrency N] [--out dir]';
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const m = /^--([a-z-]+)(?:=(.*))?$/.exec(argv[i]);
+    if (!m) return null;
+    args[m[1]] = m[2] !== undefined ? m[2] : argv[++i];
+    if (args[m[1]] === undefined) return null;
+  }
+  return args;
+}
+
+function loadCases(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const list = file.endsWith('.jsonl')
+    ? text.split('\n').filter((l) => l.trim()).map((l) => JSON.parse(l))
+    : JSON.parse(text);
+  const arr = Array.isArray(list) ? list : list.cases;
+  if (!Array.isArray(arr) || !arr.every((c) => c && c.id && typeof c.caseText === 'string')) {
+    throw new Error(`${file}: expected an array of { id, caseText }`);
+  }
+  return arr;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const int = (v, d) => (parseInt(v, 10) > 0 ? parseInt(v, 10) : d);
+if (!args || args.help !== undefined) {
+  console.error(USAGE);
+  process.exit(2);
+}
+
+let caseSet;
+try {
+  caseSet = args.cases ? loadCases(args.cases) : bundled;
+} catch (e) {
+  console.error(e.message);
+  process.exit(2);
+}
+const client = providerFromEnv();
+if (!client) {
+  console.error('No provider configured: set OPENAI_API_KEY (or LLM_PROVIDER and its key), or LLM_CASSETTE_MODE=replay.');
+  process.exit(2);
+}
+
+const modelDefault = (process.env.MODEL_DEFAULT || 'gpt-4o').trim();
+const models = (args.models || modelDefault).split(',').map((m) => m.trim()).filter(Boolean);
+const repeats = int(args.repeats, 1);
+const concurrency = int(args.concurrency, 1);
+const outDir = args.out || path.join('eval', new Date().toISOString().slice(0, 10));
+const runsFile = path.join(outDir, 'runs.jsonl');
+const PIPELINE = pipelineConfig();
+
+fs.mkdirSync(path.join(outDir, 'results'), { recursive: true });
+
+// A run is done once its latest record is 'ok'.
+const records = fs.existsSync(runsFile) ? parseRecords(fs.readFileSync(runsFile, 'utf8')) : new Map();
+const queue = [];
+for (let rep = 1; rep <= repeats; rep++) {
+  for (const model of models) {
+    for (const c of caseSet) {
+      if (records.get(runKey(c.id, model, rep))?.status !== 'ok') queue.push({ c, model, rep });
+    }
+  }
+}
+const total = queue.length;
+const done = [...records.values()].filter((r) => r.status === 'ok').length;
+console.error(`${caseSet.length} cases × ${models.length} models × ${repeats} repeats: ${total} to run, ${done} already done`);
+
+const controller = new AbortController();
+process.on('SIGINT', () => {
+  if (controller.signal.aborted) process.exit(130);
+  console.error('Interrupted: cancelling runs in progress; rerun the same command to resume.');
+  controller.abort();
+});
+
+const fileName = (c, model, rep) => `${[c.id, model, rep].join('__').replace(/[^\w.-]+/g, '_')}.json`;
+let started = 0;
+
+async function runOne({ c, model, rep }) {
+  const n = ++started;
+  const startedAt = Date.now();
+  let result = null;
+  let error = null;
+  try {
+    result = await generatePlan({
+      client, caseText: c.caseText, model, modelDefault, ...PIPELINE,
+      ...(Array.isArray(c.plan) ? { reference: { id: c.id, plan: c.plan } } : {}),
+      clarify: false, approval: false, signal: controller.signal,
+    });
+  } catch (e) {
+    if (e?.code === 'cancelled' || controller.signal.aborted) return;
+    error = e;
+  }
+  const record = runRecord({ caseId: c.id, model, rep, startedAt, latencyMs: Date.now() - startedAt, result, error });
+  if (result) fs.writeFileSync(path.join(outDir, 'results', fileName(c, model, rep)), JSON.stringify(result, null, 2));
+  fs.appendFileSync(runsFile, JSON.stringify(record) + '\n');
+  records.set(record.key, record);
+  const cost = record.cost_usd !== null && record.cost_usd !== undefined ? ` $${record.cost_usd.toFixed(4)}` : '';
+  console.error(`[${n}/${total}] ${c.id} ${model} #${rep}: ${record.status === 'ok' ? `${record.verdict} (${record.source})` : `error ${record.error}`} ${(record.latency_ms / 1000).toFixed(1)}s${cost}`);
+}
+
+async function worker() {
+  while (queue.length && !controller.signal.aborted) await runOne(queue.shift());
+}
+await Promise.all(Array.from({ length: Math.min(concurrency, total) }, worker));
+
+// Reports cover every recorded run in the directory, including earlier sessions.
+const all = [...records.values()];
+const summary = summarizeBatch(all);
+fs.writeFileSync(path.join(outDir, 'summary.json'), JSON.stringify({
+  generated_at: new Date().toISOString(), models, repeats, cases: caseSet.map((c) => c.id), ...summary,
+}, null, 2));
+fs.writeFileSync(path.join(outDir, 'runs.csv'), toCsv(all, RECORD_COLUMNS));
+fs.writeFileSync(path.join(outDir, 'summary_by_model.csv'), toCsv(summaryRows(summary.by_model, ['model'])));
+fs.writeFileSync(path.join(outDir, 'summary_by_model_case.csv'), toCsv(summaryRows(summary.by_model_case, ['model', 'case_id'])));
+
+const o = summary.overall;
+console.error(`${o.completed}/${o.runs} runs completed, acceptance ${o.acceptance_rate ?? '-'}, manager overrides ${o.manager_override_rate ?? '-'}; reports in ${outDir}`);
+if (controller.signal.aborted) process.exit(130);
@@ -0,0 +1,91 @@
+// Record the synthetic cassette of the first bundled case, which the offline
+// demo (scripts/build-cases.mjs) and the replay tests (test/cassette.test.js)
+// run on. It is synthetic: the prompts are the pipeline's real ones, but the
+// answers are the scripted plan, review and note below, not a model's. It
+// needs no key or network. Re-record after a change to the prompts, the
+// intake or the pipeline alters what the provider is sent, or the strict
+// replay will miss; then rebuild the demo with `npm run build`.
+//
+//   node scripts/record-fixture.mjs
+import { rmSync } from 'node:fs';
+import { cases } from '../demo/cases.js';
+import { generatePlan } from '../lib/orchestrator.js';
+import { recordingProvider } from '../lib/cassette.js';
+
+const PATH = new URL(`../demo/synthetic-cassettes/${cases[0].id}.json`, import.meta.url).pathname;
+
+const PLAN = `# Patient Summary
+62M, right lateral oral tongue SCC cT3 N1 M0, depth of invasion 15 mm; Allen test patent.
+
+# Defect / Problem Definition
+- Right hemiglossectomy with anterior floor-of-mouth defect.
+
+# Reconstructive Objectives
+- Restore tongue volume and mobility; seal the floor of mouth.
+
+# Primary Reconstructive Plan
+- Radial forearm free flap from the non-dominant forearm to the facial artery and common facial vein.
+
+# Alternatives Considered
+- Anterolateral thigh flap: more bulk; reserved for a larger defect.
+
+# Operative Plan
+1. Elective tracheostomy under general anesthesia.
+2. Right hemiglossectomy with floor-of-mouth resection, 1 cm margins including the deep margin.
+3. Frozen section of mucosal and deep margins before reconstruction.
+4. Right selective neck dissection levels I-IV.
+5. Prepare the facial artery and common facial vein as recipient vessels.
+6. Harvest the radial forearm free flap.
+7. Microvascular anastomosis to the facial artery and common facial vein.
+8. Inset the flap; nasogastric tube.
+9. Close the donor site with a split-thickness skin graft.
+10. Hourly Doppler flap monitoring for 72 hours.
+
+# Key Contingencies
+- If a frozen section margin is positive, then re-resect the involved margin.
+- If venous congestion, then revise the anastomosis.
+
+# Unknowns / Clarifications Needed
+- None.
+
+# Assumptions and Confidence
+- High confidence.`;
+
+const REVIEW = '<SurgicalBoard_Verify>accept</SurgicalBoard_Verify><Domain_Scores>5,4,4,4,5</Domain_Scores><Findings>[]</Findings><Feedback_Comment>Sound plan with contingencies for margins and the anastomosis.</Feedback_Comment>';
+
+const NOTE = `# Preoperative Surgical Plan
+
+## Patient Summary
+- 62M, right lateral oral tongue SCC cT3 N1 M0.
+
+## Planned Reconstruction
+- Radial forearm free flap.
+
+## Intraoperative Plan
+1. Elective tracheostomy.
+2. Right hemiglossectomy with floor-of-mouth resection.
+3. Right selective neck dissection levels I-IV.
+
+## Key Contingency Plans
+- Positive margin: re-resect the involved margin.
+
+## Unknowns / Clarifications Needed
+- None.`;
+
+const scripted = {
+  name: 'scripted',
+  defaultModel: 'gpt-4o',
+  async complete(msg, opts = {}) {
+    const text = opts.stage === 'review' ? REVIEW : opts.stage === 'synth' ? NOTE : PLAN;
+    if (opts.onDelta) opts.onDelta(text);
+    return { text, usage: { input_tokens: 1200, output_tokens: 400 } };
+  },
+};
+
+rmSync(PATH, { force: true });
+const result = await generatePlan({
+  client: recordingProvider(scripted, { path: PATH }),
+  caseText: cases[0].caseText,
+  promptVersion: process.env.PROMPT_VERSION || undefined,
+});
+console.log(`Recorded ${cases[0].id}: ${result.verdict} (${result.source}), ${result.usage.calls} calls, to ${PATH}`);
@@ -0,0 +1,34 @@
+// Run the full pipeline for one bundled case against a recorded cassette, with
+// no network. Prints the generatePlan result as JSON.
+//
+//   node scripts/replay.mjs <cassette.json> [case-id]
+//
+// Record a cassette first with a live key, e.g.
+//   LLM_CASSETTE_MODE=record LLM_CASSETTE_PATH=cassettes/tongue.json npm start
+// Cassette entries are keyed on the exact prompt text, so replay with the
+// PROMPT_VERSION the cassette was recorded with.
+import { cases } from '../demo/cases.js';
+import { generatePlan } from '../lib/orchestrator.js';
+import { loadCassette, replayProvider } from '../lib/cassette.js';
+
+const [path, id] = process.argv.slice(2);
+if (!path) {
+  console.error('usage: node scripts/replay.mjs <cassette.json> [case-id]');
+  process.exit(2);
+}
+
+const picked = id ? cases.find((c) => c.id === id) : cases[0];
+if (!picked) {
+  console.error(`Unknown case id: ${id}`);
+  process.exit(2);
+}
+
+const strict = /^(1|true|yes)$/i.test(process.env.LLM_CASSETTE_STRICT || '');
+const client = replayProvider(loadCassette(path), { strict });
+const result = await generatePlan({
+  client,
+  caseText: picked.caseText,
+  promptVersion: process.env.PROMPT_VERSION || undefined,
+  onEvent: (ev) => console.error(JSON.stringify(ev)),
+});
+console.log(JSON.stringify(result, null, 2));
@@ -5,41 +5,68 @@
 import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
-import OpenAI from 'openai';
 import { demoCase, cases } from './demo/cases.js';
 import {
   plannerPrompt, reviewerPrompt, synthPrompt,
   runLLM, runLLMRetry, generatePlan,
 } from './lib/orchestrator.js';
+import { providerConfig, providerFromEnv, createProvider } from './lib/providers.js';
+import { pipelineConfig } from './lib/config.js';
+import { promptVersions } from './lib/prompts.js';
+import { loadRun } from './lib/runs.js';
+import { checkApproval } from './lib/approval.js';
+import { parseIntake } from './lib/intake.js';
+import { createMasker, publicEntity } from './lib/deidentify.js';
+import { referenceFor } from './lib/coverage.js';
 
 const app = express();
 app.use(cors());
 app.use(express.json({ limit: '1mb' }));
 app.use(express.static('public'));
 
-// Boot fully offline with a placeholder key; live endpoints still require a
-// real OPENAI_API_KEY at call time.
-const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY || 'sk-offline-demo-no-key' });
+// Provider selected by LLM_PROVIDER (see lib/providers.js). Boot fully offline
+// with a placeholder key; live endpoints still require the selected provider
+// to be configured at call time.
+const PROVIDER = providerConfig();
+const client = providerFromEnv() || createProvider('openai', { apiKey: 'sk-offline-demo-no-key' });
+// A replay provider hands out each cassette entry once, so every request
+// gets its own: replaying the same case twice then serves the same entries.
+const clientFor = () => (PROVIDER.cassette?.mode === 'replay' ? providerFromEnv() : client);
 const MODEL_DEFAULT = (process.env.MODEL_DEFAULT || 'gpt-4o').trim();
 const VERSION = '2.0.0';
+const PIPELINE = pipelineConfig();
 
 const llmOpts = (body = {}) => ({
-  client,
+  client: clientFor(),
   model: body.model,
   reasoningEffort: body.reasoningEffort,
   modelDefault: MODEL_DEFAULT,
 });
 
+// Atomic endpoints mask identifiers in their input the way generatePlan does
+// (lib/deidentify.js, DEIDENTIFY) and restore them in the reply. `blocked`
+// lists the high-risk identifiers when strict mode refuses the input.
+function maskInput(text) {
+  if (PIPELINE.deidentify === 'off') return { text, unmask: (t) => t, blocked: null };
+  const masker = createMasker();
+  const masked = masker.mask(text);
+  const high = masker.entities().filter((e) => e.risk === 'high');
+  return { text: masked, unmask: masker.unmask, blocked: PIPELINE.deidentify === 'strict' && high.length ? high.map(publicEntity) : null };
+}
+
 /* ---------------- Atomic endpoints ---------------- */
 app.post('/plan', async (req, res) => {
   try {
     const { caseText, verbosity } = req.body || {};
     if (!caseText || !caseText.trim()) return res.status(400).json({ error: 'Missing caseText' });
+    const input = maskInput(caseText);
+    if (input.blocked) return res.status(422).json({ error: 'phi_blocked', entities: input.blocked });
     const content = await runLLM({
+      stage: 'planner',
       system: 'Return only the surgical plan as Markdown, following the Output_Contract sections exactly. No preamble.',
-      user: plannerPrompt(caseText, verbosity)
+      user: plannerPrompt(input.text, verbosity)
     }, llmOpts(req.body));
-    res.json({ plan_markdown: content });
+    res.json({ plan_markdown: input.unmask(content) });
   } catch (e) { console.error(e); res.status(500).json({ error: 'planner_failed' }); }
 });
 
@@ -47,10 +74,13 @@ app.post('/review', async (req, res) => {
   try {
     const { plannerXml } = req.body || {};
     if (!plannerXml) return res.status(400).json({ error: 'Missing plannerXml' });
-    const content = await runLLM({
+    const input = maskInput(plannerXml);
+    if (input.blocked) return res.status(422).json({ error: 'phi_blocked', entities: input.blocked });
+    const content = input.unmask(await runLLM({
+      stage: 'review',
       system: 'Return only the verify & feedback tags on one line.',
-      user: reviewerPrompt(plannerXml)
-    }, llmOpts(req.body));
+      user: reviewerPrompt(input.text)
+    }, llmOpts(req.body)));
     const v = (content.match(/<SurgicalBoard_Verify>(.*?)<\/SurgicalBoard_Verify>/i) || [, 'reject'])[1];
     const c = (content.match(/<Feedback_Comment>([\s\S]*?)<\/Feedback_Comment>/i) || [, ''])[1].trim();
     const sRaw = (content.match(/<Domain_Scores>([^<]*)<\/Domain_Scores>/i) || [, ''])[1];
@@ -63,25 +93,66 @@ app.post('/synthesize', async (req, res) => {
   try {
     const { approvedPlannerXml, verbosity } = req.body || {};
     if (!approvedPlannerXml) return res.status(400).json({ error: 'Missing approvedPlannerXml' });
+    const input = maskInput(approvedPlannerXml);
+    if (input.blocked) return res.status(422).json({ error: 'phi_blocked', entities: input.blocked });
     const content = await runLLM({
+      stage: 'synth',
       system: 'You write clean, professional operative plans in Markdown.',
-      user: synthPrompt(approvedPlannerXml, verbosity)
+      user: synthPrompt(input.text, verbosity)
     }, llmOpts(req.body));
-    res.json({ markdown: content });
+    res.json({ markdown: input.unmask(content) });
   } catch (e) { console.error(e); res.status(500).json({ error: 'synth_failed' }); }
 });
 
 /* ---------------- Orchestrated /generate (+ /api/generate alias) ---------------- */
+// Either a new case (`caseText`, optionally `clarify: true` and `approval:
+// true`) or the reply to a paused run: `runId` plus `answers` by question id
+// for a clarification, or plus `approval` (lib/approval.js) for a sign-off.
+function resumeError(runId, approval) {
+  let run;
+  try {
+    run = loadRun(runId, { secret: PIPELINE.runSecret });
+  } catch (e) {
+    return { status: e.code === 'run_expired' ? 410 : e.code === 'run_used' ? 409 : 404, code: e.code || 'unknown_run' };
+  }
+  const bad = run.kind === 'approval' ? checkApproval(approval) : null;
+  return bad ? { status: bad === 'approval_too_long' ? 413 : 400, code: bad } : null;
+}
+
+const runInput = (caseText, runId, answers, approval) => (runId
+  ? { resume: { runId: String(runId), answers: answers && typeof answers === 'object' ? answers : {}, approval }, references: cases }
+  : { caseText, reference: referenceFor(caseText, cases) });
+
 async function handleGenerate(req, res) {
   try {
-    const { caseText, model, reasoningEffort, verbosity } = req.body || {};
-    if (!caseText || !caseText.trim()) return res.status(400).json({ error: 'Missing caseText' });
-    if (!process.env.OPENAI_API_KEY) return res.status(503).json({ error: 'live_unavailable' });
+    const { caseText, model, reasoningEffort, verbosity, audit, promptVersion, clarify, approval, deidentify, ensemble, runId, answers } = req.body || {};
+    if (runId) {
+      const err = resumeError(runId, approval);
+      if (err) return res.status(err.status).json({ error: err.code });
+    } else if (!caseText || !caseText.trim()) {
+      return res.status(400).json({ error: 'Missing caseText' });
+    }
+    if (promptVersion && !promptVersions().includes(String(promptVersion))) {
+      return res.status(400).json({ error: 'unknown_prompt_version' });
+    }
+    if (!PROVIDER.configured) return res.status(503).json({ error: 'live_unavailable' });
+    // Stop the pipeline if the caller goes away before the response is sent.
+    const controller = new AbortController();
+    res.on('close', () => { if (!res.writableEnded) controller.abort(); });
     const result = await generatePlan({
-      client, caseText, model, reasoningEffort, verbosity, modelDefault: MODEL_DEFAULT,
+      client: clientFor(), model, reasoningEffort, verbosity, modelDefault: MODEL_DEFAULT, ...PIPELINE,
+      ...runInput(caseText, runId, answers, approval),
+      ...(audit === false ? { audit: false } : {}),
+      ...(promptVersion ? { promptVersion: String(promptVersion) } : {}),
+      ...(clarify === true ? { clarify: true } : {}),
+      ...(approval === true ? { approval: true } : {}),
+      ...(deidentify === 'strict' ? { deidentify: 'strict' } : {}),
+      ...(Number.isInteger(ensemble) && ensemble > 1 ? { ensemble } : {}),
+      signal: controller.signal,
     });
     res.json(result);
   } catch (e) {
+    if (e?.code === 'cancelled') return;
     console.error(e);
     res.status(500).json({ error: 'generate_failed' });
   }
@@ -95,37 +166,67 @@ app.post('/api/generate', handleGenerate);
 // shape /generate returns. On a mid-pipeline error it writes a final
 // { type: 'error', error: 'generate_failed' } line and ends. Guard failures
 // (missing caseText, no key) respond as plain JSON, matching /generate.
+// If the client disconnects (or a write fails) the run is aborted and the
+// stream ends with a { type: 'cancelled' } line instead.
 async function handleGenerateStream(req, res) {
   try {
-    const { caseText, model, reasoningEffort, verbosity } = req.body || {};
-    if (!caseText || !caseText.trim()) return res.status(400).json({ error: 'Missing caseText' });
-    if (!process.env.OPENAI_API_KEY) return res.status(503).json({ error: 'live_unavailable' });
+    const { caseText, model, reasoningEffort, verbosity, audit, promptVersion, clarify, approval, deidentify, ensemble, runId, answers } = req.body || {};
+    if (runId) {
+      const err = resumeError(runId, approval);
+      if (err) return res.status(err.status).json({ error: err.code });
+    } else if (!caseText || !caseText.trim()) {
+      return res.status(400).json({ error: 'Missing caseText' });
+    }
+    if (promptVersion && !promptVersions().includes(String(promptVersion))) {
+      return res.status(400).json({ error: 'unknown_prompt_version' });
+    }
+    if (!PROVIDER.configured) return res.status(503).json({ error: 'live_unavailable' });
 
     res.status(200);
     res.setHeader('Content-Type', 'application/x-ndjson');
     res.setHeader('Cache-Control', 'no-cache');
     if (typeof res.flushHeaders === 'function') res.flushHeaders();
 
+    const controller = new AbortController();
+    res.on('close', () => { if (!res.writableEnded) controller.abort(); });
+
+    // Returns false when the line could not be written; the reader is gone,
+    // so the run is aborted rather than left spending tokens.
     const writeLine = (obj) => {
+      if (res.destroyed || res.writableEnded) { controller.abort(); return false; }
       try {
         res.write(JSON.stringify(obj) + '\n');
         if (typeof res.flush === 'function') res.flush();
-      } catch {
-        // Best-effort; if the connection dropped there is nothing more to do.
+        return true;
+      } catch (e) {
+        console.error('stream_write_failed', e?.message || e);
+        controller.abort();
+        return false;
       }
     };
 
     try {
       const result = await generatePlan({
-        client, caseText, model, reasoningEffort, verbosity, modelDefault: MODEL_DEFAULT,
+        client: clientFor(), model, reasoningEffort, verbosity, modelDefault: MODEL_DEFAULT, ...PIPELINE,
+        ...runInput(caseText, runId, answers, approval),
+        ...(audit === false ? { audit: false } : {}),
+        ...(promptVersion ? { promptVersion: String(promptVersion) } : {}),
+        ...(clarify === true ? { clarify: true } : {}),
+        ...(approval === true ? { approval: true } : {}),
+        ...(deidentify === 'strict' ? { deidentify: 'strict' } : {}),
+        ...(Number.isInteger(ensemble) && ensemble > 1 ? { ensemble } : {}),
+        signal: controller.signal,
         onEvent: writeLine,
       });
       writeLine({ type: 'final', result });
       res.end();
     } catch (e) {
-      console.error(e);
-      writeLine({ type: 'error', error: 'generate_failed' });
-      res.end();
+      // A cancelled run has already emitted its 'cancelled' line.
+      if (e?.code !== 'cancelled') {
+        console.error(e);
+        writeLine({ type: 'error', error: 'generate_failed' });
+      }
+      if (!res.writableEnded) res.end();
     }
   } catch (e) {
     console.error(e);
@@ -135,6 +236,17 @@ async function handleGenerateStream(req, res) {
 app.post('/generate-stream', handleGenerateStream);
 app.post('/api/generate-stream', handleGenerateStream);
 
+/* ---------------- Case intake (no model call) ---------------- */
+// The structured intake the pipeline would start from (lib/intake.js), so a
+// case can be checked for missing fields before it is sent for a plan.
+function handleIntake(req, res) {
+  const { caseText } = req.body || {};
+  if (!caseText || !String(caseText).trim()) return res.status(400).json({ error: 'Missing caseText' });
+  res.json(parseIntake(String(caseText)));
+}
+app.post('/intake', handleIntake);
+app.post('/api/intake', handleIntake);
+
 /* ---------------- Bundled offline demo (synthetic case library) ---------------- */
 app.get('/api/cases', (_req, res) => {
   res.json((cases || [demoCase]).map((c) => ({ id: c.id, title: c.title })));
@@ -155,8 +267,9 @@ app.get('/health', (_req, res) => {
     ok: true,
     service: 'PRS Co-Pilot API',
     version: VERSION,
-    liveConfigured: !!process.env.OPENAI_API_KEY,
-    features: { generate: true, managerOverride: true, reason: true, structureExample: true, responsesFallback: true, demoGenerate: true }
+    liveConfigured: PROVIDER.configured,
+    provider: PROVIDER.name,
+    features: { generate: true, managerOverride: true, reason: true, structureExample: true, responsesFallback: true, demoGenerate: true, intake: true }
   });
 });
 
@@ -0,0 +1,58 @@
+// Inter-rater agreement (lib/agreement.js), checked against published examples.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { AI_RATER, agreementReport, blandAltman, cohenKappa, icc } from '../lib/agreement.js';
+
+const near = (actual, expected, eps = 1e-4) => assert.ok(Math.abs(actual - expected) < eps, `${actual} ≉ ${expected}`);
+const repeat = (pairs) => pairs.flatMap(([n, a, b]) => Array.from({ length: n }, () => [a, b]));
+
+test("Cohen's kappa on the textbook 2×2 example is 0.4", () => {
+  // 50 items: both yes 20, a yes b no 5, a no b yes 10, both no 15.
+  const rows = repeat([[20, 1, 1], [5, 1, 2], [10, 2, 1], [15, 2, 2]]);
+  near(cohenKappa(rows.map((r) => r[0]), rows.map((r) => r[1]), { scale: [1, 2] }), 0.4);
+});
+
+test('weighted kappa credits near misses; undefined cases are null', () => {
+  const a = [1, 2, 3, 4, 5, 5];
+  const b = [2, 3, 4, 5, 5, 4];
+  assert.ok(cohenKappa(a, b, { weights: 'quadratic' }) > cohenKappa(a, b, { weights: 'linear' }));
+  assert.ok(cohenKappa(a, b, { weights: 'linear' }) > cohenKappa(a, b));
+  assert.equal(cohenKappa([3, 3, 3], [3, 3, 3]), null);
+  assert.equal(cohenKappa([3], [3]), null);
+  assert.equal(cohenKappa([3, 6], [3, 4]), null);
+});
+
+test('ICC(2,1) on the Shrout & Fleiss data is 0.29', () => {
+  const rows = [[9, 2, 5, 8], [6, 1, 3, 2], [8, 4, 6, 8], [7, 1, 2, 6], [10, 5, 6, 9], [6, 2, 4, 7]];
+  near(icc(rows), 0.2898, 1e-3);
+  assert.equal(icc([[1, 2]]), null);
+  assert.equal(icc([[3, 3], [3, 3]]), null);
+});
+
+test('Bland–Altman limits of agreement', () => {
+  const ba = blandAltman([5, 4, 3, 4], [4, 4, 2, 3]);
+  near(ba.mean_diff, 0.75);
+  near(ba.sd_diff, 0.5);
+  near(ba.loa_low, 0.75 - 1.96 * 0.5);
+  near(ba.loa_high, 0.75 + 1.96 * 0.5);
+});
+
+test('report pairs the board with each surgeon, then the surgeons', () => {
+  const ratings = [];
+  const plans = [[5, 4, 4, 4, 5], [3, 3, 2, 3, 4], [4, 4, 3, 4, 5], [2, 3, 3, 2, 3]];
+  plans.forEach((scores, i) => {
+    ratings.push({ subject: `p${i}`, rater: AI_RATER, scores });
+    ratings.push({ subject: `p${i}`, rater: 'dr_a', scores });
+    ratings.push({ subject: `p${i}`, rater: 'dr_b', scores: scores.map((s, d) => (d === 0 && i === 3 ? null : Math.max(1, s - 1))) });
+  });
+  const report = agreementReport(ratings);
+  assert.deepEqual(report.raters, [AI_RATER, 'dr_a', 'dr_b']);
+  assert.equal(report.subjects, 4);
+  assert.equal(report.domains.length, 5);
+  const d1 = report.domains[0];
+  assert.deepEqual(d1.pairs.map((p) => [p.a, p.b, p.n]), [[AI_RATER, 'dr_a', 4], [AI_RATER, 'dr_b', 3], ['dr_a', 'dr_b', 3]]);
+  assert.equal(d1.pairs[0].kappa, 1);
+  assert.equal(d1.pairs[0].icc, 1);
+  assert.equal(d1.pairs[1].mean_diff, 1);
+  assert.deepEqual([d1.humans.raters, d1.humans.n, d1.all.raters, d1.all.n], [2, 3, 3, 3]);
+});
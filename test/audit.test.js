@@ -0,0 +1,78 @@
+// Per-round audit trail in the generatePlan result.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { cases } from '../demo/cases.js';
+import { generatePlan } from '../lib/orchestrator.js';
+
+const ISO = /^\d{4}-\d\d-\d\dT\d\d:\d\d:\d\d\.\d{3}Z$/;
+const reject = (n) => `<SurgicalBoard_Verify>reject</SurgicalBoard_Verify><Domain_Scores>4,3,4,4,5</Domain_Scores>` +
+  `<Feedback_Comment>Round ${n}: name the recipient vessel.</Feedback_Comment>` +
+  `<Findings>[{"severity":"major","domain":2,"section":"Operative Plan","issue":"No recipient vessel named (round ${n})."}]</Findings>`;
+
+// Rejects every round, so the run ends with the manager; the manager accepts.
+const client = () => {
+  let drafts = 0;
+  let reviews = 0;
+  return {
+    name: 'scripted',
+    async complete(msg, opts = {}) {
+      if (opts.stage === 'planner' || opts.stage === 'revision') return { text: `# Primary Reconstructive Plan\n- Draft ${++drafts}.`, usage: {} };
+      if (opts.stage === 'review') return { text: reject(++reviews), usage: {} };
+      if (opts.stage === 'manager') return { text: '<Manager_Override>accept</Manager_Override><Manager_Note>Minor in context.</Manager_Note>', usage: {} };
+      return { text: 'Operative note.', usage: {} };
+    },
+  };
+};
+
+test('every round keeps its draft, review and decision', async () => {
+  const result = await generatePlan({ client: client(), caseText: cases[0].caseText, safetyLint: false });
+  assert.equal(result.source, 'manager_override');
+  assert.deepEqual(result.rounds.map((r) => [r.round, r.draft.stage, r.draft.plan_markdown]), [
+    [1, 'planner', '# Primary Reconstructive Plan\n- Draft 1.'],
+    [2, 'revision', '# Primary Reconstructive Plan\n- Draft 2.'],
+    [3, 'revision', '# Primary Reconstructive Plan\n- Draft 3.'],
+  ]);
+  const [first, , last] = result.rounds;
+  assert.equal(first.review.raw, reject(1));
+  assert.equal(first.review.verdict, 'reject');
+  assert.deepEqual(first.review.scores, [4, 3, 4, 4, 5]);
+  assert.equal(first.review.findings[0].issue, 'No recipient vessel named (round 1).');
+  assert.deepEqual(first.decision, { accept: false, reason: 'board verdict was reject', failures: ['board verdict was reject'], next: 'revise' });
+  assert.equal(last.decision.next, 'manager');
+  for (const r of result.rounds) {
+    assert.match(r.draft.started_at, ISO);
+    assert.match(r.review.finished_at, ISO);
+    assert.ok(r.review.started_at <= r.review.finished_at);
+  }
+});
+
+test('the manager trace records what the manager saw and said', async () => {
+  const { manager_trace: trace } = await generatePlan({ client: client(), caseText: cases[0].caseText, safetyLint: false });
+  assert.match(trace.input, /Findings marked major by the reviewer:\n- \[major\] Operative Plan \(domain 2\): No recipient vessel named \(round 3\)\./);
+  assert.match(trace.input, /Round 3: name the recipient vessel\./);
+  assert.match(trace.output, /<Manager_Override>accept<\/Manager_Override>/);
+  assert.equal(trace.override, true);
+  assert.equal(trace.note, 'Minor in context.');
+  assert.match(trace.finished_at, ISO);
+});
+
+test('audit: false leaves the history out', async () => {
+  const result = await generatePlan({ client: client(), caseText: cases[0].caseText, safetyLint: false, audit: false });
+  assert.equal(result.source, 'manager_override');
+  assert.ok(!('rounds' in result));
+  assert.ok(!('manager_trace' in result));
+  assert.equal(result.decisions.length, 3);
+});
+
+test('the manager trace is null when the board accepts', async () => {
+  const accepting = {
+    name: 'scripted',
+    async complete(msg, opts = {}) {
+      if (opts.stage === 'review') return { text: '<SurgicalBoard_Verify>accept</SurgicalBoard_Verify><Feedback_Comment>Fine.</Feedback_Comment>', usage: {} };
+      return { text: '# Primary Reconstructive Plan\n- Draft.', usage: {} };
+    },
+  };
+  const result = await generatePlan({ client: accepting, caseText: cases[0].caseText, safetyLint: false });
+  assert.equal(result.rounds.length, 1);
+  assert.equal(result.manager_trace, null);
+});
@@ -0,0 +1,60 @@
+// Cancelling a run through its AbortSignal.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { cases } from '../demo/cases.js';
+import { generatePlan, runLLMRetry } from '../lib/orchestrator.js';
+
+test('aborting mid-call rejects with cancelled and starts no further calls', async () => {
+  const ctl = new AbortController();
+  const calls = [];
+  const events = [];
+  const client = {
+    name: 'scripted',
+    async complete(msg, opts = {}) {
+      calls.push(opts.stage);
+      if (opts.stage !== 'review') return { text: '# Primary Reconstructive Plan\n- Radial forearm free flap.', usage: {} };
+      // The tab closes while the board is reviewing.
+      setTimeout(() => ctl.abort(), 20);
+      await new Promise((_, reject) => opts.signal.addEventListener('abort', () => reject(new Error('request aborted')), { once: true }));
+    },
+  };
+  await assert.rejects(
+    generatePlan({ client, caseText: cases[0].caseText, signal: ctl.signal, onEvent: (e) => events.push(e) }),
+    { code: 'cancelled', message: 'cancelled' },
+  );
+  assert.deepEqual(calls, ['planner', 'review']);
+  assert.equal(events.at(-1).type, 'cancelled');
+  assert.ok(!events.some((e) => e.type === 'review_done'));
+});
+
+test('an adapter that ignores the signal still ends the run as cancelled', async () => {
+  const ctl = new AbortController();
+  const calls = [];
+  const client = {
+    name: 'scripted',
+    async complete(msg, opts = {}) {
+      calls.push(opts.stage);
+      ctl.abort();
+      return { text: '# Primary Reconstructive Plan\n- Radial forearm free flap.', usage: {} };
+    },
+  };
+  await assert.rejects(generatePlan({ client, caseText: cases[0].caseText, signal: ctl.signal }), { code: 'cancelled' });
+  assert.deepEqual(calls, ['planner']);
+});
+
+test('an already aborted signal makes no calls', async () => {
+  const calls = [];
+  const client = { name: 'scripted', async complete(msg, opts) { calls.push(opts.stage); return { text: '', usage: {} }; } };
+  await assert.rejects(generatePlan({ client, caseText: cases[0].caseText, signal: AbortSignal.abort() }), { code: 'cancelled' });
+  assert.deepEqual(calls, []);
+});
+
+test('a retry backoff ends as soon as the run is cancelled', async () => {
+  const ctl = new AbortController();
+  let tries = 0;
+  const started = Date.now();
+  setTimeout(() => ctl.abort(), 50);
+  await assert.rejects(runLLMRetry(async () => { tries++; throw new Error('upstream 500'); }, { baseDelay: 5000, signal: ctl.signal }), { code: 'cancelled' });
+  assert.equal(tries, 1);
+  assert.ok(Date.now() - started < 2000);
+});
@@ -0,0 +1,57 @@
+// Offline replay of a recorded run (lib/cassette.js, scripts/replay.mjs).
+// The cassette is the synthetic one scripts/record-fixture.mjs records
+// (scripted answers, real prompts); replays are strict, so a prompt change
+// that it was not re-recorded for fails here.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { cases } from '../demo/cases.js';
+import { generatePlan } from '../lib/orchestrator.js';
+import { loadCassette, replayProvider } from '../lib/cassette.js';
+import { providerFromEnv } from '../lib/providers.js';
+
+const root = fileURLToPath(new URL('..', import.meta.url));
+const FIXTURE = fileURLToPath(new URL(`../demo/synthetic-cassettes/${cases[0].id}.json`, import.meta.url));
+
+const replay = (client) => generatePlan({ client, caseText: cases[0].caseText });
+
+test('npm run replay runs the recorded case offline', () => {
+  const env = { ...process.env, LLM_CASSETTE_STRICT: '1' };
+  delete env.PROMPT_VERSION;
+  delete env.OPENAI_API_KEY;
+  const out = execFileSync(process.execPath, ['scripts/replay.mjs', FIXTURE, cases[0].id], {
+    cwd: root, env, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'], timeout: 60000,
+  });
+  const result = JSON.parse(out);
+  assert.equal(result.verdict, 'accept');
+  assert.equal(result.source, 'review');
+  assert.equal(result.usage.calls, 3);
+  assert.match(result.markdown, /Radial forearm free flap/);
+});
+
+test('a replay provider serves each entry once', async () => {
+  const shared = replayProvider(loadCassette(FIXTURE), { strict: true });
+  assert.equal((await replay(shared)).verdict, 'accept');
+  await assert.rejects(replay(shared), { code: 'cassette_miss' });
+});
+
+test('providerFromEnv builds a fresh replay provider on every call', async () => {
+  const env = { LLM_CASSETTE_MODE: 'replay', LLM_CASSETTE_PATH: FIXTURE, LLM_CASSETTE_STRICT: '1' };
+  const first = await replay(providerFromEnv(env));
+  const second = await replay(providerFromEnv(env));
+  assert.equal(first.verdict, 'accept');
+  assert.equal(second.plan_markdown, first.plan_markdown);
+  assert.equal(second.markdown, first.markdown);
+});
+
+test('the offline demo carries the current replay of the synthetic cassette', async () => {
+  const built = JSON.parse(readFileSync(new URL('../public/cases.json', import.meta.url), 'utf8'));
+  const demo = built.find((c) => c.id === cases[0].id).replay;
+  const fresh = await replay(replayProvider(loadCassette(FIXTURE), { strict: true }));
+  assert.equal(demo.result.plan_markdown, fresh.plan_markdown);
+  assert.equal(demo.result.markdown, fresh.markdown);
+  assert.equal(demo.result.verdict, 'accept');
+  assert.ok(demo.events.some((ev) => ev.type === 'review_done'));
+});
@@ -0,0 +1,75 @@
+// Clarification pauses (lib/clarify.js) and resuming them with answers.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { cases } from '../demo/cases.js';
+import { mergeAnswers, unknownsToQuestions } from '../lib/clarify.js';
+import { generatePlan } from '../lib/orchestrator.js';
+
+const SECRET = 'test-secret';
+
+const DRAFT = `# Primary Reconstructive Plan
+- Radial forearm free flap.
+
+# Unknowns / Clarifications Needed
+- Depth of invasion on MRI.
+- Prior neck irradiation.`;
+
+test('each Unknowns entry becomes a question; "none" entries do not', () => {
+  assert.deepEqual(unknownsToQuestions(DRAFT), [
+    { id: 'q1', text: 'Depth of invasion on MRI.' },
+    { id: 'q2', text: 'Prior neck irradiation.' },
+  ]);
+  assert.deepEqual(unknownsToQuestions('# Unknowns / Clarifications Needed\n- None.'), []);
+  assert.deepEqual(unknownsToQuestions('# Operative Plan\n1. Tracheostomy.'), []);
+});
+
+test('a structured plan\'s unknowns carry why they matter; long lists are capped', () => {
+  const json = { unknowns: [{ item: 'Allen test', why_it_matters: 'Hand perfusion.' }, { item: '' }] };
+  assert.deepEqual(unknownsToQuestions('', json), [{ id: 'q1', text: 'Allen test', why: 'Hand perfusion.' }]);
+  const many = `# Unknowns\n${Array.from({ length: 12 }, (_, i) => `- Item ${i}.`).join('\n')}`;
+  assert.equal(unknownsToQuestions(many).length, 8);
+  assert.equal(unknownsToQuestions(`# Unknowns\n- ${'x'.repeat(500)}`)[0].text.length, 400);
+});
+
+test('answers are appended to the case; blank ones are left out', () => {
+  const questions = unknownsToQuestions(DRAFT);
+  const out = mergeAnswers('Tongue SCC.', questions, { q1: ' 8 mm ', q2: '  ' });
+  assert.deepEqual(out.clarifications, [{ id: 'q1', question: 'Depth of invasion on MRI.', answer: '8 mm' }]);
+  assert.equal(out.caseText, "Tongue SCC.\n\nClinician clarifications (answers to the planner's open questions):\n- Q: Depth of invasion on MRI.\n  A: 8 mm");
+  assert.deepEqual(mergeAnswers('Tongue SCC.', questions, {}), { caseText: 'Tongue SCC.', clarifications: [] });
+});
+
+test('a clarify run pauses after the first draft and resumes with the answers', async () => {
+  const plannerCases = [];
+  const events = [];
+  const client = {
+    name: 'scripted',
+    async complete(msg, opts = {}) {
+      if (opts.stage === 'planner') { plannerCases.push(msg.user); return { text: DRAFT, usage: {} }; }
+      if (opts.stage === 'review') return { text: '<SurgicalBoard_Verify>accept</SurgicalBoard_Verify><Feedback_Comment>Fine.</Feedback_Comment>', usage: {} };
+      return { text: 'Operative note.', usage: {} };
+    },
+  };
+  const paused = await generatePlan({
+    client, caseText: cases[0].caseText, clarify: true, runSecret: SECRET, model: 'gpt-4.1',
+    deidentify: 'off', safetyLint: false, onEvent: (e) => events.push(e),
+  });
+  assert.equal(paused.verdict, 'pending');
+  assert.equal(paused.source, 'clarification_needed');
+  assert.equal(paused.questions.length, 2);
+  assert.match(paused.run_id, /^s1\./);
+  assert.equal(events.at(-1).type, 'clarification_needed');
+  assert.equal(plannerCases.length, 1);
+
+  const done = await generatePlan({ client, runSecret: SECRET, safetyLint: false, resume: { runId: paused.run_id, answers: { q2: 'No prior radiotherapy.' } } });
+  assert.equal(done.verdict, 'accept');
+  assert.deepEqual(done.clarifications, [{ id: 'q2', question: 'Prior neck irradiation.', answer: 'No prior radiotherapy.' }]);
+  assert.match(plannerCases[1], /- Q: Prior neck irradiation\.\n {2}A: No prior radiotherapy\./);
+  assert.equal(done.usage.by_model['gpt-4.1'].calls, 3);
+});
+
+test('a sealed run cannot be resumed without its secret', async () => {
+  const client = { name: 'scripted', async complete() { return { text: DRAFT, usage: {} }; } };
+  const paused = await generatePlan({ client, caseText: cases[0].caseText, clarify: true, runSecret: SECRET });
+  await assert.rejects(generatePlan({ client, runSecret: 'other', resume: { runId: paused.run_id, answers: {} } }), { code: 'unknown_run' });
+});
@@ -0,0 +1,79 @@
+// Output_Contract conformance (lib/conformance.js) and the re-ask loop.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { cases } from '../demo/cases.js';
+import { PLANNER_CONTRACT, checkConformance } from '../lib/conformance.js';
+import { generatePlan } from '../lib/orchestrator.js';
+
+const body = {
+  'Alternatives Considered': '- Anterolateral thigh flap: bulkier than needed.',
+  'Operative Plan': '1. Tracheostomy.\n2. Harvest the radial forearm flap.',
+  'Key Contingencies': '- If the flap congests, then return to theatre.',
+};
+const planMd = (titles = PLANNER_CONTRACT.sections) =>
+  titles.map((t) => `# ${t}\n${body[t] || '- Stated.'}`).join('\n\n');
+const codes = (md, kind) => checkConformance(md, kind).findings.map((f) => `${f.code}:${f.section || ''}`);
+
+test('a plan with every section in order conforms', () => {
+  assert.deepEqual(checkConformance(planMd(), 'plan'), { ok: true, findings: [] });
+});
+
+test('a missing required section is an error, other problems warnings', () => {
+  const titles = PLANNER_CONTRACT.sections.filter((t) => t !== 'Operative Plan' && t !== 'Patient Summary');
+  const out = checkConformance(planMd(titles), 'plan');
+  assert.equal(out.ok, false);
+  assert.deepEqual(out.findings.map((f) => [f.code, f.severity, f.section]), [
+    ['missing_section', 'warning', 'Patient Summary'],
+    ['missing_section', 'error', 'Operative Plan'],
+  ]);
+
+  const swapped = [...PLANNER_CONTRACT.sections];
+  [swapped[0], swapped[1]] = [swapped[1], swapped[0]];
+  assert.deepEqual(codes(planMd(swapped) + '\n\n# Notes\n- extra'), ['extra_section:Notes', 'misordered_section:Patient Summary']);
+});
+
+test('plan content rules: alternatives, contingency form, numbered steps', () => {
+  const md = planMd()
+    .replace(body['Alternatives Considered'], 'None.')
+    .replace(body['Key Contingencies'], '- Return to theatre for congestion.')
+    .replace(body['Operative Plan'], '- Tracheostomy.');
+  assert.deepEqual(codes(md, 'plan'), [
+    'empty_alternatives:Alternatives Considered',
+    'contingency_format:Key Contingencies',
+    'steps_not_numbered:Operative Plan',
+  ]);
+});
+
+test('the synthesis may omit optional sections but needs the title and required ones', () => {
+  const note = '## Planned Reconstruction\n- Radial forearm free flap.\n\n## Intraoperative Plan\n1. Tracheostomy.\n\n## Key Contingency Plans\n- Venous congestion: return to theatre.';
+  assert.deepEqual(codes(`# Preoperative Surgical Plan\n\n${note}`, 'synth'), []);
+  assert.deepEqual(codes(note.replace('- Venous congestion: return', '- Return'), 'synth'), ['missing_title:', 'contingency_format:Key Contingency Plans']);
+  assert.equal(checkConformance('# Preoperative Surgical Plan\n\n## Planned Reconstruction\n- Flap.', 'synth').ok, false);
+});
+
+test('with conformance: reask a non-conforming draft is sent back with its violations', async () => {
+  const asked = [];
+  const client = {
+    name: 'scripted',
+    async complete(msg, opts = {}) {
+      asked.push(opts.stage);
+      if (opts.stage === 'planner') return { text: '# Primary Reconstructive Plan\n- Radial forearm free flap.', usage: {} };
+      if (opts.stage === 'conformance') {
+        assert.match(msg.user, /- Missing section "Operative Plan"\./);
+        return { text: planMd(), usage: {} };
+      }
+      if (opts.stage === 'review') return { text: '<SurgicalBoard_Verify>accept</SurgicalBoard_Verify><Feedback_Comment>Fine.</Feedback_Comment>', usage: {} };
+      return { text: '# Preoperative Surgical Plan\n\n## Planned Reconstruction\n- Flap.\n\n## Intraoperative Plan\n1. Tracheostomy.', usage: {} };
+    },
+  };
+  const result = await generatePlan({ client, caseText: cases[0].caseText, conformance: 'reask', safetyLint: false });
+  assert.deepEqual(asked.slice(0, 3), ['planner', 'conformance', 'review']);
+  assert.deepEqual(result.conformance.plan, { ok: true, findings: [], reasks: 1 });
+  assert.equal(result.conformance.synth.ok, true);
+
+  asked.length = 0;
+  const reported = await generatePlan({ client, caseText: cases[0].caseText, safetyLint: false });
+  assert.ok(!asked.includes('conformance'));
+  assert.equal(reported.conformance.plan.ok, false);
+  assert.equal(reported.conformance.plan.reasks, 0);
+});
@@ -0,0 +1,110 @@
+// Reference plan coverage (lib/coverage.js) on the bundled oral tongue case.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { cases } from '../demo/cases.js';
+import { referenceFor, scoreCoverage } from '../lib/coverage.js';
+import { generatePlan } from '../lib/orchestrator.js';
+import { loadRun } from '../lib/runs.js';
+
+const reference = referenceFor(cases[0].caseText, cases);
+
+const STEPS = [
+  'Elective tracheostomy under general anesthesia.',
+  'Right hemiglossectomy with floor-of-mouth resection, 1 cm margins including the deep margin.',
+  'Frozen section of mucosal and deep margins before reconstruction.',
+  'Right selective neck dissection levels I-IV.',
+  'Prepare the facial artery and common facial vein as recipient vessels.',
+  'Harvest the radial forearm free flap.',
+  'Microvascular anastomosis to the facial artery and common facial vein.',
+  'Inset the flap; nasogastric tube.',
+  'Close the donor site with a split-thickness skin graft.',
+  'Hourly Doppler flap monitoring for 72 hours.',
+];
+
+const plan = ({ flap = 'Radial forearm free flap to the facial vessels.', steps = STEPS } = {}) => `# Primary Reconstructive Plan
+- ${flap}
+
+# Operative Plan
+${steps.map((s, i) => `${i + 1}. ${s}`).join('\n')}
+
+# Key Contingencies
+- If a frozen section margin is positive, then re-resect the involved margin.
+- If venous congestion, then revise the anastomosis.`;
+
+const status = (coverage, name) => coverage.items.find((i) => i.name.startsWith(name)).status;
+const replace = (i, step) => STEPS.map((s, j) => (j === i ? step : s));
+
+test('the bundled case is its own reference; an edited case has none', () => {
+  assert.equal(reference.id, cases[0].id);
+  assert.equal(referenceFor(`  ${cases[0].caseText.replace(/\n/g, '\n\n')} `, cases).id, cases[0].id);
+  assert.equal(referenceFor(`${cases[0].caseText} Also diabetic.`, cases), null);
+});
+
+test('a plan following the reference covers most of it', () => {
+  const c = scoreCoverage(plan(), reference);
+  assert.equal(c.reference, cases[0].id);
+  assert.ok(c.recall >= 0.7, `recall ${c.recall}`);
+  assert.equal(c.steps.contradicted, 0);
+  assert.equal(status(c, 'Right Selective Neck Dissection'), 'covered');
+  assert.equal(c.contingencies.covered, 2);
+});
+
+test('a negation that does not govern the procedure contradicts nothing', () => {
+  const c = scoreCoverage(plan({ steps: [...STEPS, 'Do not delay the neck dissection waiting for frozen sections.'] }), reference);
+  assert.equal(c.steps.contradicted, 0);
+  assert.equal(status(c, 'Right Selective Neck Dissection'), 'covered');
+  assert.equal(status(c, 'Recipient Vessel Preparation'), 'covered');
+});
+
+test('a negation in another entry does not contradict the matched one', () => {
+  const c = scoreCoverage(plan({ steps: [...STEPS, 'No contralateral neck dissection.'] }), reference);
+  assert.equal(status(c, 'Right Selective Neck Dissection'), 'covered');
+});
+
+test('a plan entry ruling out the procedure contradicts the step', () => {
+  for (const step of ['No neck dissection; observe the neck with ultrasound.', 'Omit the elective neck dissection.', 'Neck dissection is deferred to a second stage.']) {
+    const c = scoreCoverage(plan({ steps: replace(3, step) }), reference);
+    assert.equal(status(c, 'Right Selective Neck Dissection'), 'contradicted', step);
+    assert.equal(status(c, 'Recipient Vessel Preparation'), 'covered', step);
+  }
+  const airway = scoreCoverage(plan({ steps: replace(0, 'Tracheostomy is not required; extubate in the unit.') }), reference);
+  assert.equal(status(airway, 'Airway Management'), 'contradicted');
+});
+
+test('a different flap contradicts the harvest step', () => {
+  const c = scoreCoverage(plan({ flap: 'Anterolateral thigh free flap.', steps: replace(5, 'Harvest the anterolateral thigh flap.') }), reference);
+  const harvest = c.items.find((i) => i.name === 'Radial Forearm Free Flap Harvest');
+  assert.equal(harvest.status, 'contradicted');
+  assert.match(harvest.reason, /instead of/);
+});
+
+test('extra steps lower precision', () => {
+  const base = scoreCoverage(plan(), reference);
+  const more = scoreCoverage(plan({ steps: [...STEPS, 'Arrange speech therapy review.', 'Extract the carious lower molars.'] }), reference);
+  assert.equal(more.extra.length, base.extra.length + 2);
+  assert.ok(more.precision < base.precision);
+});
+
+test('a paused run saves the reference id and scores the resumed plan', async () => {
+  const md = plan();
+  const client = {
+    name: 'scripted',
+    async complete(msg, opts = {}) {
+      const text = opts.stage === 'review'
+        ? '<SurgicalBoard_Verify>accept</SurgicalBoard_Verify><Domain_Scores>5,4,4,4,5</Domain_Scores><Findings>[]</Findings><Feedback_Comment>Sound.</Feedback_Comment>'
+        : opts.stage === 'synth' ? '# Preoperative Surgical Plan' : md;
+      return { text, usage: {} };
+    },
+  };
+  const paused = await generatePlan({ client, caseText: cases[0].caseText, reference, approval: true });
+  assert.equal(paused.source, 'awaiting_approval');
+  assert.equal(loadRun(paused.run_id).options.reference, cases[0].id);
+  const done = await generatePlan({ client, references: cases, resume: { runId: paused.run_id, approval: { action: 'edit', by: 'Dr. A', plan_markdown: md } } });
+  assert.equal(done.coverage.reference, cases[0].id);
+  assert.equal(done.coverage.recall, paused.coverage.recall);
+
+  // Without the caller's cases an edited plan goes unscored.
+  const again = await generatePlan({ client, caseText: cases[0].caseText, reference, approval: true });
+  const unscored = await generatePlan({ client, resume: { runId: again.run_id, approval: { action: 'edit', by: 'Dr. A', plan_markdown: md } } });
+  assert.equal(unscored.coverage, undefined);
+});
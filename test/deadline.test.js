@@ -0,0 +1,88 @@
+// Run deadlines (lib/orchestrator.js `deadlineMs`): stages that no longer fit
+// are skipped and reported under `degraded`.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { cases } from '../demo/cases.js';
+import { generatePlan } from '../lib/orchestrator.js';
+
+const PLAN = `# Primary Reconstructive Plan
+- Radial forearm free flap.
+
+# Operative Plan
+1. Tracheostomy.
+2. Allen test normal; harvest the radial forearm flap.
+3. Hourly Doppler monitoring.`;
+
+const REJECT = '<SurgicalBoard_Verify>reject</SurgicalBoard_Verify><Findings>[{"severity":"major","domain":2,"section":"Primary Reconstructive Plan","issue":"Too little bulk."}]</Findings><Feedback_Comment>Needs more bulk.</Feedback_Comment>';
+
+// Drafts return at once and reviews take `reviewMs`, so after the first
+// review the average stage leaves no room for another round.
+const slowReviews = (reviewMs) => {
+  const stages = [];
+  return {
+    stages,
+    name: 'scripted',
+    async complete(msg, opts = {}) {
+      stages.push(opts.stage);
+      if (opts.stage === 'review') await new Promise((r) => setTimeout(r, reviewMs));
+      const text = opts.stage === 'review' ? REJECT
+        : opts.stage === 'manager' ? '<Manager_Override>reject</Manager_Override><Manager_Note>Major.</Manager_Note>'
+          : opts.stage === 'synth' ? '# Preoperative Surgical Plan' : PLAN;
+      return { text, usage: {} };
+    },
+  };
+};
+
+test('a rejection with no time for another round goes to the manager', async () => {
+  const client = slowReviews(600);
+  const result = await generatePlan({ client, caseText: cases[0].caseText, deadlineMs: 1400 });
+  assert.equal(client.stages.filter((s) => s === 'review').length, 1);
+  assert.equal(result.degraded.skipped[0].stage, 'revision');
+  assert.ok(client.stages.includes('manager'));
+});
+
+test('a degraded last round follows the policy escalation', async () => {
+  const client = slowReviews(600);
+  const result = await generatePlan({ client, caseText: cases[0].caseText, deadlineMs: 1400, policy: 'strict' });
+  assert.equal(client.stages.filter((s) => s === 'review').length, 1);
+  assert.deepEqual(result.degraded.skipped.map((s) => s.stage), ['revision']);
+  assert.ok(!client.stages.includes('manager'));
+  assert.equal(result.verdict, 'reject');
+  assert.notEqual(result.source, 'manager_override');
+});
+
+// Replies at once except for the listed stages, which never answer on their own.
+const hanging = (stall) => {
+  const stages = [];
+  return {
+    stages,
+    name: 'scripted',
+    async complete(msg, opts = {}) {
+      stages.push(opts.stage);
+      if (stall(opts.stage, stages)) await new Promise((_, reject) => opts.signal.addEventListener('abort', () => reject(new Error('aborted')), { once: true }));
+      const text = opts.stage === 'review' ? '<SurgicalBoard_Verify>accept</SurgicalBoard_Verify><Feedback_Comment>Fine.</Feedback_Comment>'
+        : opts.stage === 'synth' ? '# Preoperative Surgical Plan' : PLAN;
+      return { text, usage: {} };
+    },
+  };
+};
+
+test('a call over the stage timeout is cut off and retried', async () => {
+  const client = hanging((stage, stages) => stage === 'planner' && stages.length === 1);
+  const result = await generatePlan({ client, caseText: cases[0].caseText, stageTimeoutMs: 100 });
+  assert.deepEqual(client.stages.slice(0, 3), ['planner', 'planner', 'review']);
+  assert.equal(result.verdict, 'accept');
+  assert.equal(result.degraded, undefined);
+});
+
+test('the deadline passing during a call ends the run with the draft so far', async () => {
+  const client = hanging((stage) => stage === 'review');
+  const events = [];
+  const result = await generatePlan({ client, caseText: cases[0].caseText, deadlineMs: 1000, onEvent: (e) => events.push(e) });
+  assert.equal(result.source, 'deadline_exceeded');
+  assert.deepEqual(client.stages, ['planner', 'review']);
+  assert.equal(result.plan_markdown, PLAN);
+  assert.deepEqual(result.degraded.skipped, [{ stage: 'review', round: 1, reason: 'run deadline reached during the call' }]);
+  assert.equal(result.reason, 'Stopped: the 1s run deadline was reached during review.');
+  assert.equal(events.at(-1).type, 'degraded');
+});
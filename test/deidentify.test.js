@@ -0,0 +1,76 @@
+// PHI masking (lib/deidentify.js).
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createMasker, unmaskDeep } from '../lib/deidentify.js';
+import { generatePlan } from '../lib/orchestrator.js';
+
+const masked = (text) => {
+  const masker = createMasker();
+  return { text: masker.mask(text), entities: masker.entities() };
+};
+const types = (text) => masked(text).entities.map((e) => `${e.type}:${e.text}`);
+
+test('labelled and titled names', () => {
+  assert.equal(masked('Patient: John Smith, 62M.').text, 'Patient: [NAME_1], 62M.');
+  assert.deepEqual(types('patient name: Robert Brown'), ['name:Robert Brown']);
+  assert.deepEqual(types('Name: Jane Doe Female'), ['name:Jane Doe']);
+});
+
+test('clinicians after a title are their own low-risk class', () => {
+  const masker = createMasker();
+  const text = masker.mask('Mr Smith was seen by Dr. Okafor and Prof Ada Lovelace.');
+  assert.equal(text, 'Mr [NAME_1] was seen by Dr. [CLINICIAN_1] and Prof [CLINICIAN_2].');
+  assert.deepEqual(masker.entities().map((e) => `${e.type}:${e.risk}`), ['name:high', 'clinician:low', 'clinician:low']);
+  assert.equal(masker.unmask(text), 'Mr Smith was seen by Dr. Okafor and Prof Ada Lovelace.');
+});
+
+test('results and events report tokens, never the masked values', async () => {
+  const seen = [];
+  const client = { name: 'scripted', async complete() { return { text: '# Primary Reconstructive Plan\n- Radial forearm free flap.', usage: {} }; } };
+  const result = await generatePlan({
+    client, caseText: 'Patient: John Smith. MRN: 12345678. Dr. Okafor refers tongue SCC.', deidentify: 'strict',
+    onEvent: (ev) => { if (ev.type === 'deidentify_done') seen.push(ev); },
+  });
+  assert.equal(result.source, 'phi_blocked');
+  assert.deepEqual(result.deidentification.entities, [
+    { token: '[NAME_1]', type: 'name', risk: 'high' },
+    { token: '[MRN_1]', type: 'mrn', risk: 'high' },
+    { token: '[CLINICIAN_1]', type: 'clinician', risk: 'low' },
+  ]);
+  assert.equal(result.deidentification.high_risk, 2);
+  assert.doesNotMatch(JSON.stringify([result.deidentification, seen]), /Smith|12345678|Okafor/);
+
+  const referred = await generatePlan({ client, caseText: 'Dr. Okafor refers tongue SCC.', deidentify: 'strict' });
+  assert.notEqual(referred.source, 'phi_blocked');
+});
+
+test('sex and clinical terms after a label are not names', () => {
+  assert.deepEqual(types('Patient: male, 62, tongue SCC.'), []);
+  assert.deepEqual(types('Patient: Female, 58'), []);
+  assert.deepEqual(types('Pt: Smoker, 40 pack-years'), []);
+  assert.deepEqual(types('patient: smoker with tongue SCC'), []);
+});
+
+test('hospitals but not departments', () => {
+  assert.deepEqual(types('Referred from St. Mary Hospital.'), ['hospital:St. Mary Hospital']);
+  assert.deepEqual(types('Massachusetts Eye and Ear Infirmary'), ['hospital:Massachusetts Eye and Ear Infirmary']);
+  assert.deepEqual(types('Seen in the Head and Neck Clinic.'), []);
+  assert.deepEqual(types('Plastic Surgery Clinic follow-up'), []);
+});
+
+test('numbers, dates and contact details', () => {
+  assert.deepEqual(types('MRN: 12345678; DOB 03/04/1961; phone 555-123-4567; a.b@example.org'),
+    ['mrn:12345678', 'date:03/04/1961', 'phone:555-123-4567', 'email:a.b@example.org']);
+  assert.deepEqual(masked('SSN 123-45-6789').entities.map((e) => e.risk), ['high']);
+  assert.deepEqual(masked('Seen 2024-01-05').entities.map((e) => e.risk), ['moderate']);
+});
+
+test('one token per value, reused across texts and unmasked on the way out', () => {
+  const masker = createMasker();
+  const caseText = masker.mask('Patient: John Smith. Mr Smith has tongue SCC.');
+  assert.equal(caseText, 'Patient: [NAME_1]. Mr [NAME_2] has tongue SCC.');
+  assert.equal(masker.mask('Smith agrees to the plan.'), '[NAME_2] agrees to the plan.');
+  assert.equal(masker.unmask('Plan for [NAME_1].'), 'Plan for John Smith.');
+  assert.deepEqual(unmaskDeep(masker, { steps: ['Consent [NAME_2]'] }), { steps: ['Consent Smith'] });
+  assert.equal(createMasker(masker.mapping).unmask('[NAME_1]'), 'John Smith');
+});
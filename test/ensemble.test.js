@@ -0,0 +1,103 @@
+// Ensemble drafting (lib/orchestrator.js `ensemble`, lib/ensemble.js).
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { cases } from '../demo/cases.js';
+import { MAX_ENSEMBLE, primaryStrategy, rankSamples, resolveEnsemble, strategyAgreement } from '../lib/ensemble.js';
+import { generatePlan } from '../lib/orchestrator.js';
+
+test('a failed sample aborts the others', async () => {
+  let sibling = null;
+  const client = {
+    name: 'scripted',
+    async complete(msg, opts = {}) {
+      if (opts.stage === 'ensemble' && opts.round === 1) throw new Error('upstream 500');
+      if (opts.stage === 'ensemble' && opts.round === 2) {
+        sibling = 'running';
+        // Holds until aborted (or gives up after 10s, failing the test).
+        await new Promise((r) => {
+          const t = setTimeout(r, 10000);
+          opts.signal.addEventListener('abort', () => { clearTimeout(t); sibling = 'aborted'; r(); }, { once: true });
+        });
+      }
+      return { text: '# Primary Reconstructive Plan\n- Radial forearm free flap.', usage: {} };
+    },
+  };
+  const started = Date.now();
+  await assert.rejects(generatePlan({ client, caseText: cases[0].caseText, ensemble: 2 }), /upstream 500/);
+  assert.equal(sibling, 'aborted');
+  assert.ok(Date.now() - started < 8000);
+});
+
+const draft = (primary) => `# Primary Reconstructive Plan\n- ${primary}\n\n# Operative Plan\n1. Tracheostomy.`;
+const sample = (n, key, extra = {}) => ({ sample: n, strategy: { key, label: key }, verdict: 'reject', total: 20, findings: null, ...extra });
+
+test('ensemble sizes below two are off and large ones capped', () => {
+  assert.deepEqual(resolveEnsemble('1'), { size: 0, mode: 'select' });
+  assert.deepEqual(resolveEnsemble(3, 'merge'), { size: 3, mode: 'merge' });
+  assert.deepEqual(resolveEnsemble(50, 'vote'), { size: MAX_ENSEMBLE, mode: 'select' });
+});
+
+test('the primary strategy is keyed by the options a draft names', () => {
+  assert.deepEqual(primaryStrategy(draft('Fibula free flap with an anterolateral thigh flap for the skin.')), { key: 'alt+fibula', label: 'Fibula free flap + Anterolateral thigh flap' });
+  assert.equal(primaryStrategy(draft('Anterolateral thigh flap over a fibula free flap.')).key, 'alt+fibula');
+  assert.equal(primaryStrategy(draft('Observation only, for now.')).key, 'text:observation only for now');
+  assert.equal(primaryStrategy('# Operative Plan\n1. X.').label, 'not stated');
+});
+
+test('samples rank by verdict, worst finding, total, then order', () => {
+  const ranked = rankSamples([
+    sample(1, 'a', { total: 25, findings: [{ severity: 'critical' }] }),
+    sample(2, 'a', { total: 18, findings: [{ severity: 'minor' }] }),
+    sample(3, 'a', { total: 22 }),
+    sample(4, 'a', { verdict: 'accept', total: 10 }),
+    sample(5, 'a', { total: 22 }),
+  ]);
+  assert.deepEqual(ranked.map((s) => s.sample), [4, 3, 5, 2, 1]);
+});
+
+test('agreement is the modal strategy\'s share; a tie goes to the best-ranked draft', () => {
+  assert.deepEqual(strategyAgreement([sample(1, 'rfff'), sample(2, 'alt', { verdict: 'accept' }), sample(3, 'rfff')]),
+    { strategy: 'rfff', count: 2, size: 3, share: 0.67, level: 'moderate' });
+  assert.equal(strategyAgreement([sample(1, 'rfff'), sample(2, 'alt', { verdict: 'accept' })]).strategy, 'alt');
+  assert.equal(strategyAgreement([sample(1, 'x'), sample(2, 'x')]).level, 'high');
+  assert.equal(strategyAgreement([sample(1, 'x'), sample(2, 'y'), sample(3, 'z')]).level, 'low');
+});
+
+// Sample n proposes the nth primary; sample 2 is the one the board accepts.
+const sampling = (primaries, calls) => ({
+  name: 'scripted',
+  async complete(msg, opts = {}) {
+    calls.push({ stage: opts.stage, round: opts.round, temperature: opts.temperature, user: msg.user });
+    if (opts.stage === 'ensemble') return { text: draft(primaries[opts.round - 1]), usage: {} };
+    if (opts.stage === 'ensemble_review') {
+      const verdict = opts.round === 2 ? 'accept' : 'reject';
+      return { text: `<SurgicalBoard_Verify>${verdict}</SurgicalBoard_Verify><Domain_Scores>4,4,4,4,4</Domain_Scores><Feedback_Comment>Draft ${opts.round}.</Feedback_Comment>`, usage: {} };
+    }
+    if (opts.stage === 'merge') return { text: draft('Merged: radial forearm free flap.'), usage: {} };
+    if (opts.stage === 'review') return { text: '<SurgicalBoard_Verify>accept</SurgicalBoard_Verify><Feedback_Comment>Fine.</Feedback_Comment>', usage: {} };
+    return { text: 'Operative note.', usage: {} };
+  },
+});
+
+test('select mode takes the best-ranked sample into review', async () => {
+  const calls = [];
+  const primaries = ['Radial forearm free flap.', 'Anterolateral thigh flap.', 'Radial forearm free flap.'];
+  const result = await generatePlan({ client: sampling(primaries, calls), caseText: cases[0].caseText, ensemble: 3, safetyLint: false });
+  assert.equal(result.ensemble.selected, 2);
+  assert.equal(result.plan_markdown, draft('Anterolateral thigh flap.'));
+  assert.deepEqual(result.ensemble.agreement, { strategy: 'Radial forearm free flap', count: 2, size: 3, share: 0.67, level: 'moderate' });
+  assert.deepEqual(calls.filter((c) => c.stage === 'ensemble').map((c) => c.temperature), [0.7, 0.7, 0.7]);
+  assert.ok(!calls.some((c) => c.stage === 'planner' || c.stage === 'merge'));
+});
+
+test('merge mode writes one plan from every sample', async () => {
+  const calls = [];
+  const primaries = ['Radial forearm free flap.', 'Anterolateral thigh flap.'];
+  const result = await generatePlan({ client: sampling(primaries, calls), caseText: cases[0].caseText, ensemble: 2, ensembleMode: 'merge', safetyLint: false, audit: false });
+  const merge = calls.find((c) => c.stage === 'merge');
+  assert.match(merge.user, /<Draft n="1" board_verdict="reject" domain_scores="4,4,4,4,4">/);
+  assert.match(merge.user, /<Draft n="2" board_verdict="accept"[^>]*>\n# Primary Reconstructive Plan\n- Anterolateral thigh flap\./);
+  assert.equal(result.plan_markdown, draft('Merged: radial forearm free flap.'));
+  assert.equal(result.ensemble.selected, null);
+  assert.deepEqual(result.ensemble.samples.map((s) => Object.keys(s)), Array(2).fill(['sample', 'strategy', 'verdict', 'scores', 'total']));
+});
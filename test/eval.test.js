@@ -0,0 +1,88 @@
+// Batch evaluation records and summaries (lib/eval.js).
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { RECORD_COLUMNS, parseCsv, parseRecords, runKey, runRecord, summarize, summarizeBatch, summaryRows, toCsv } from '../lib/eval.js';
+
+const result = (over = {}) => ({
+  verdict: 'accept', source: 'review', scores: [5, 4, 4, 4, 5],
+  findings: [{ severity: 'minor', issue: 'x' }],
+  decisions: [{ round: 1, accept: false }, { round: 2, accept: true }],
+  usage: { calls: 5, input_tokens: 1000, output_tokens: 300, cost_usd: 0.02, priced: true },
+  prompts: { version: 'v2.1' }, policy: { id: 'verdict' },
+  ...over,
+});
+const record = (caseId, model, rep, over, latencyMs = 1000) =>
+  runRecord({ caseId, model, rep, startedAt: 0, latencyMs, result: result(over) });
+
+test('a run reduces to one flat record', () => {
+  const r = record('c1', 'gpt-4o', 1);
+  assert.equal(r.key, runKey('c1', 'gpt-4o', 1));
+  assert.equal(r.status, 'ok');
+  assert.equal(r.board_accepted, true);
+  assert.equal(r.manager_override, false);
+  assert.equal(r.rounds, 2);
+  assert.equal(r.accepted_round, 2);
+  assert.deepEqual([r.d1, r.d5], [5, 5]);
+  assert.deepEqual([r.findings_critical, r.findings_major, r.findings_minor], [0, 0, 1]);
+  assert.equal(r.cost_usd, 0.02);
+  assert.equal(r.coverage_recall, null);
+  for (const k of Object.keys(r)) assert.ok(RECORD_COLUMNS.includes(k), k);
+});
+
+test('errors, unpriced runs and coverage', () => {
+  const err = runRecord({ caseId: 'c1', model: 'm', rep: 1, startedAt: 0, latencyMs: 5, error: Object.assign(new Error('x'), { code: 'budget_exceeded' }) });
+  assert.deepEqual([err.status, err.error], ['error', 'budget_exceeded']);
+  assert.equal(record('c1', 'm', 1, { usage: { calls: 2, cost_usd: 0.01, priced: false } }).cost_usd, null);
+  const coverage = { recall: 0.8, precision: 0.9, steps: { contradicted: 1 }, contingencies: { contradicted: 0 } };
+  const r = record('c1', 'm', 1, { coverage });
+  assert.deepEqual([r.coverage_recall, r.coverage_precision, r.coverage_contradicted], [0.8, 0.9, 1]);
+});
+
+test('the latest record per run wins; a cut-off line is skipped', () => {
+  const first = { ...record('c1', 'm', 1), status: 'error' };
+  const second = record('c1', 'm', 1);
+  const text = [JSON.stringify(first), JSON.stringify(second), '{"key":"c2|m|1","sta'].join('\n');
+  const byKey = parseRecords(text);
+  assert.equal(byKey.size, 1);
+  assert.equal(byKey.get('c1|m|1').status, 'ok');
+});
+
+test('summaries per model and per model and case', () => {
+  const records = [
+    record('c1', 'a', 1, {}, 1000),
+    record('c1', 'a', 2, { verdict: 'accept', source: 'manager_override', decisions: [{ round: 1, accept: false }] }, 3000),
+    record('c2', 'a', 1, { verdict: 'reject', source: 'review', decisions: [{ round: 1, accept: false }] }, 2000),
+    runRecord({ caseId: 'c1', model: 'b', rep: 1, startedAt: 0, latencyMs: 1, error: new Error('boom') }),
+  ];
+  const s = summarize(records.slice(0, 3));
+  assert.equal(s.completed, 3);
+  assert.equal(s.acceptance_rate, 0.6667);
+  assert.equal(s.board_acceptance_rate, 0.3333);
+  assert.equal(s.manager_override_rate, 0.3333);
+  assert.equal(s.override_of_rejections, 0.5);
+  assert.deepEqual(s.rounds_to_acceptance, { mean: 2, median: 2, n: 1 });
+  assert.deepEqual(s.latency_ms, { mean: 2000, median: 2000, p90: 2800 });
+  assert.equal(s.cost_usd.total, 0.06);
+
+  const batch = summarizeBatch(records);
+  assert.deepEqual(Object.keys(batch.by_model), ['a', 'b']);
+  assert.equal(batch.by_model.b.errors, 1);
+  assert.deepEqual(Object.keys(batch.by_model_case.a), ['c1', 'c2']);
+  const rows = summaryRows(batch.by_model_case, ['model', 'case_id']);
+  assert.deepEqual(rows.map((r) => [r.model, r.case_id, r.runs]), [['a', 'c1', 2], ['a', 'c2', 1], ['b', 'c1', 1]]);
+  assert.deepEqual(summaryRows(batch.by_model, ['model']).map((r) => r.model), ['a', 'b']);
+});
+
+test('key parts containing the separator stay in their own columns', () => {
+  const batch = summarizeBatch([record('head|neck-01', 'ft:gpt-4o|v2', 1), record('c2', 'ft:gpt-4o|v2', 1)]);
+  const rows = summaryRows(batch.by_model_case, ['model', 'case_id']);
+  assert.deepEqual(rows.map((r) => [r.model, r.case_id]), [['ft:gpt-4o|v2', 'head|neck-01'], ['ft:gpt-4o|v2', 'c2']]);
+});
+
+test('CSV round trip with quotes, commas and newlines', () => {
+  const rows = [{ id: 'a', note: 'plain' }, { id: 'b', note: 'has "quotes", commas\nand a newline' }, { id: 'c', note: null }];
+  const csv = toCsv(rows);
+  assert.equal(csv.split('\n')[0], 'id,note');
+  assert.deepEqual(parseCsv(csv), [{ id: 'a', note: 'plain' }, { id: 'b', note: 'has "quotes", commas\nand a newline' }, { id: 'c', note: '' }]);
+  assert.deepEqual(parseCsv('\uFEFFrater,d1\r\ndr_a,4\r\n'), [{ rater: 'dr_a', d1: '4' }]);
+});
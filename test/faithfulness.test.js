@@ -0,0 +1,83 @@
+// Faithfulness of the operative note to the accepted plan (lib/faithfulness.js).
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { cases } from '../demo/cases.js';
+import { verifySynthesis } from '../lib/faithfulness.js';
+import { generatePlan } from '../lib/orchestrator.js';
+
+const plan = [
+  '# Primary Reconstructive Plan',
+  '- Hemiglossectomy and radial forearm free flap to the facial artery and common facial vein.',
+  '# Key Contingencies',
+  '- If the flap shows venous congestion, then return to theatre for anastomotic revision.',
+  '# Unknowns / Clarifications Needed',
+  '- Depth of invasion on MRI is not reported.',
+].join('\n');
+
+const note = (extra = '') => [
+  '# Preoperative Surgical Plan',
+  '## Planned Reconstruction',
+  `- Hemiglossectomy; radial forearm free flap to the facial artery and facial vein.${extra}`,
+  '## Key Contingency Plans',
+  '- Venous congestion of the flap: return to theatre for anastomotic revision.',
+  '## Unknowns / Clarifications Needed',
+  '- Depth of invasion on MRI is not reported.',
+].join('\n');
+
+const codes = (md) => verifySynthesis(plan, md).findings.map((f) => `${f.code}:${f.term || ''}`);
+
+test('a note restating the plan is faithful', () => {
+  assert.deepEqual(verifySynthesis(plan, note()), { ok: true, findings: [] });
+});
+
+test('added procedures, vessels, flaps and values are flagged', () => {
+  assert.deepEqual(codes(note(' Tracheostomy, anterolateral thigh backup on the superior thyroid artery, 2 cm margin.')), [
+    'new_procedure:tracheostomy',
+    'new_vessel:superior thyroid artery',
+    'new_flap:anterolateral thigh',
+    'new_numeric:2 cm',
+  ]);
+  const values = verifySynthesis(plan, note(' Monitor hourly for 48 hours.'));
+  assert.equal(values.ok, true);
+  assert.deepEqual(values.findings.map((f) => f.severity), ['warning']);
+});
+
+test('an invented contingency and a dropped unknown are errors', () => {
+  const md = note()
+    .replace('Venous congestion of the flap: return to theatre for anastomotic revision.', 'Chyle leak: pressure dressing and diet change.')
+    .replace('- Depth of invasion on MRI is not reported.', '- None.');
+  assert.deepEqual(codes(md), ['new_contingency:', 'dropped_unknown:']);
+});
+
+const scripted = (notes, stages) => ({
+  name: 'scripted',
+  async complete(msg, opts = {}) {
+    stages.push(opts.stage);
+    if (opts.stage === 'synth') return { text: notes.shift(), usage: {} };
+    if (opts.stage === 'review') return { text: '<SurgicalBoard_Verify>accept</SurgicalBoard_Verify><Feedback_Comment>Fine.</Feedback_Comment>', usage: {} };
+    return { text: plan, usage: {} };
+  },
+});
+
+test('regenerate retries the note once with the findings', async () => {
+  const stages = [];
+  const events = [];
+  const result = await generatePlan({
+    client: scripted([note(' Tracheostomy.'), note()], stages), caseText: cases[0].caseText,
+    synthVerify: 'regenerate', safetyLint: false, onEvent: (e) => events.push(e),
+  });
+  assert.deepEqual(stages.filter((s) => s === 'synth').length, 2);
+  assert.deepEqual(result.synth_verification, { ok: true, findings: [], action: 'regenerated' });
+  assert.equal(result.markdown, note());
+  assert.ok(events.some((e) => e.type === 'synth_start' && e.retry));
+});
+
+test('block withholds an unfaithful note; report keeps it', async () => {
+  const blocked = await generatePlan({ client: scripted([note(' Tracheostomy.')], []), caseText: cases[0].caseText, synthVerify: 'block', safetyLint: false });
+  assert.equal(blocked.markdown, undefined);
+  assert.equal(blocked.synth_verification.action, 'blocked');
+  const reported = await generatePlan({ client: scripted([note(' Tracheostomy.')], []), caseText: cases[0].caseText, safetyLint: false });
+  assert.equal(reported.markdown, note(' Tracheostomy.'));
+  assert.equal(reported.synth_verification.action, 'none');
+  assert.equal(reported.synth_verification.ok, false);
+});
@@ -0,0 +1,84 @@
+// Structured reviewer findings (lib/findings.js) and how they gate the manager.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { cases } from '../demo/cases.js';
+import { countFindings, findingsAtLeast, formatFindings, mergeFindings, parseFindings, worstSeverity } from '../lib/findings.js';
+import { generatePlan } from '../lib/orchestrator.js';
+
+const tag = (list) => `<Feedback_Comment>x</Feedback_Comment><Findings>${JSON.stringify(list)}</Findings>`;
+
+test('findings are normalized and sorted most severe first', () => {
+  const out = parseFindings(tag([
+    { severity: 'minor', domain: 4, section: ' Key Contingencies ', issue: 'Vague timing.' },
+    { severity: 'Critical', domain: '2', issue: 'No recipient vessel.' },
+    { severity: 'urgent', domain: 9, section: '', issue: 'Made-up severity.' },
+    { severity: 'major', issue: '   ' },
+    'not an object',
+  ]));
+  assert.deepEqual(out, [
+    { severity: 'critical', domain: 2, section: null, issue: 'No recipient vessel.' },
+    { severity: 'major', domain: null, section: null, issue: 'Made-up severity.' },
+    { severity: 'minor', domain: 4, section: 'Key Contingencies', issue: 'Vague timing.' },
+  ]);
+});
+
+test('no tag or unreadable content is "no findings given", an empty list is "no concerns"', () => {
+  assert.equal(parseFindings('<SurgicalBoard_Verify>accept</SurgicalBoard_Verify>'), null);
+  assert.equal(parseFindings('<Findings>[{"severity":</Findings>'), null);
+  assert.equal(parseFindings('<Findings>{"issue":"x"}</Findings>'), null);
+  assert.deepEqual(parseFindings('<Findings> </Findings>'), []);
+  assert.equal(parseFindings(tag(Array.from({ length: 30 }, (_, i) => ({ severity: 'minor', issue: `#${i}` })))).length, 20);
+});
+
+test('severity helpers', () => {
+  const list = [{ severity: 'minor' }, { severity: 'major' }, { severity: 'minor' }];
+  assert.equal(worstSeverity(list), 'major');
+  assert.equal(worstSeverity([]), null);
+  assert.equal(worstSeverity(null), null);
+  assert.equal(findingsAtLeast(list, 'major').length, 1);
+  assert.equal(findingsAtLeast(list, 'minor').length, 3);
+  assert.deepEqual(findingsAtLeast(null, 'minor'), []);
+  assert.deepEqual(countFindings(list), { critical: 0, major: 1, minor: 2 });
+});
+
+test('merging keeps "none given" apart from "none found"', () => {
+  assert.equal(mergeFindings(null, undefined), null);
+  assert.deepEqual(mergeFindings(null, []), []);
+  assert.deepEqual(mergeFindings([{ severity: 'minor' }], null, [{ severity: 'critical', rule: 'r' }]).map((f) => f.severity), ['critical', 'minor']);
+});
+
+test('each finding formats as one line with its source', () => {
+  assert.equal(formatFindings([
+    { severity: 'major', domain: 2, section: 'Operative Plan', issue: 'No recipient vessel named.' },
+    { severity: 'minor', domain: 4, section: null, issue: 'Vague.' },
+    { severity: 'critical', section: 'Key Contingencies', issue: 'No salvage.', rule: 'flap-salvage' },
+    { severity: 'minor', issue: 'Tidy up.', reviewer: { id: 'airway', label: 'Anesthesia / airway' } },
+  ]), [
+    '- [major] Operative Plan (domain 2): No recipient vessel named.',
+    '- [minor] domain 4: Vague.',
+    '- Safety rule flap-salvage [critical] Key Contingencies: No salvage.',
+    '- Anesthesia / airway [minor]: Tidy up.',
+  ].join('\n'));
+  assert.equal(formatFindings(null), '');
+});
+
+test('a critical finding is never overridden and the manager model is not asked', async () => {
+  const stages = [];
+  const client = {
+    name: 'scripted',
+    async complete(msg, opts = {}) {
+      stages.push(opts.stage);
+      if (opts.stage === 'review') {
+        return { text: '<SurgicalBoard_Verify>reject</SurgicalBoard_Verify>' + tag([{ severity: 'critical', domain: 2, issue: 'Flap on an irradiated vessel with no alternative.' }]), usage: {} };
+      }
+      if (opts.stage === 'manager') return { text: '<Manager_Override>accept</Manager_Override><Manager_Note>Fine.</Manager_Note>', usage: {} };
+      return { text: '# Primary Reconstructive Plan\n- Radial forearm free flap.', usage: {} };
+    },
+  };
+  const result = await generatePlan({ client, caseText: cases[0].caseText, safetyLint: false });
+  assert.ok(!stages.includes('manager'));
+  assert.equal(result.verdict, 'reject');
+  assert.equal(result.source, 'review');
+  assert.equal(result.manager_note, 'Not overridden: the board raised 1 critical finding.');
+  assert.equal(result.manager_trace.output, null);
+});
@@ -0,0 +1,57 @@
+// Structured case intake (lib/intake.js).
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseIntake, formatIntake } from '../lib/intake.js';
+import { cases } from '../demo/cases.js';
+
+const fields = (text) => parseIntake(text).fields;
+
+test('TNM with or without M', () => {
+  assert.deepEqual(fields('Oral tongue SCC, cT3 N1 M0.').tnm, { t: 'T3', n: 'N1', m: 'M0', text: 'cT3 N1 M0' });
+  assert.deepEqual(fields('Tongue SCC T2N0.').tnm, { t: 'T2', n: 'N0', m: null, text: 'T2N0' });
+  assert.deepEqual(fields('Tongue SCC, cT2 N1.').tnm, { t: 'T2', n: 'N1', m: null, text: 'cT2 N1' });
+  assert.deepEqual(fields('Mandible SCC pT4a, N2b, M0.').tnm, { t: 'T4a', n: 'N2b', m: 'M0', text: 'pT4a, N2b, M0' });
+  assert.equal(fields('Tongue ulcer, staging pending.').tnm, null);
+});
+
+test('nodal status from the stage or the neck findings', () => {
+  assert.equal(fields('Tongue SCC T2N0.').nodal_status, 'N0');
+  assert.equal(fields('Tongue SCC. Neck: cN2b.').nodal_status, 'N2b');
+  assert.equal(fields('Tongue SCC. No palpable or radiologic nodal disease.').nodal_status, 'negative');
+  assert.equal(fields('Tongue SCC. Enlarged level II lymph node on CT.').nodal_status, 'positive');
+  assert.equal(fields('Tongue SCC.').nodal_status, null);
+});
+
+test('depth of invasion in its usual phrasings', () => {
+  assert.equal(fields('MRI depth of invasion 15 mm.').depth_of_invasion_mm, 15);
+  assert.equal(fields('DOI: 1.2 cm.').depth_of_invasion_mm, 12);
+  assert.equal(fields('Tongue SCC, depth 8 mm.').depth_of_invasion_mm, 8);
+  assert.equal(fields('Tongue SCC with 6 mm depth of invasion.').depth_of_invasion_mm, 6);
+  assert.equal(fields('Elective neck management indicated by primary depth and site.').depth_of_invasion_mm, null);
+});
+
+test('history, comorbidities and donor-site tests', () => {
+  const f = fields('62-year-old man. Prior radiation to the neck. Non-smoker; type 2 diabetes. Allen test normal.');
+  assert.equal(f.age, 62);
+  assert.equal(f.sex, 'male');
+  assert.equal(f.prior_radiation, true);
+  assert.deepEqual(f.comorbidities, ['diabetes']);
+  assert.equal(f.allen_test, 'normal');
+  assert.equal(fields('No prior radiation. Adjuvant radiotherapy planned.').prior_radiation, false);
+});
+
+test('missing fields for an oral cavity tumor', () => {
+  const { missing, complete } = parseIntake('58F with SCC of the lateral tongue.');
+  assert.equal(complete, false);
+  const names = missing.map((m) => m.field);
+  for (const k of ['tnm', 'nodal_status', 'depth_of_invasion_mm', 'allen_test']) assert.ok(names.includes(k), k);
+  assert.ok(!names.includes('leg_angiography'));
+});
+
+test('the bundled oral tongue case', () => {
+  const intake = parseIntake(cases[0].caseText);
+  assert.equal(intake.fields.site, 'oral tongue');
+  assert.equal(intake.fields.depth_of_invasion_mm, 15);
+  assert.equal(intake.fields.nodal_status, 'N1');
+  assert.match(formatIntake(intake).fields, /- TNM stage: T3 N1 M0/);
+});
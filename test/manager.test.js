@@ -0,0 +1,51 @@
+// The manager stage's override rules (lib/orchestrator.js): what it settles
+// without a model call and what it leaves to the manager.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { cases } from '../demo/cases.js';
+import { generatePlan } from '../lib/orchestrator.js';
+
+// No flap monitoring, so the minor free-flap-monitoring rule fires.
+const PLAN = `# Primary Reconstructive Plan
+- Radial forearm free flap to the facial vessels.
+
+# Operative Plan
+1. Elective tracheostomy.
+2. Right hemiglossectomy and selective neck dissection levels I-IV.
+3. Allen test confirmed normal; harvest the left radial forearm free flap.
+4. Microvascular anastomosis to the facial artery and common facial vein.
+
+# Key Contingencies
+- If venous congestion, then revise the anastomosis.`;
+
+const scripted = (review) => {
+  const stages = [];
+  return {
+    stages,
+    name: 'scripted',
+    async complete(msg, opts = {}) {
+      stages.push(opts.stage);
+      const text = opts.stage === 'review' ? review
+        : opts.stage === 'manager' ? '<Manager_Override>reject</Manager_Override><Manager_Note>The board objects to the flap choice.</Manager_Note>'
+          : opts.stage === 'synth' ? '# Preoperative Surgical Plan' : PLAN;
+      return { text, usage: {} };
+    },
+  };
+};
+
+test('a minor rule finding does not auto-override a prose board rejection', async () => {
+  const client = scripted('<SurgicalBoard_Verify>reject</SurgicalBoard_Verify><Feedback_Comment>An anterolateral thigh flap suits this defect better.</Feedback_Comment>');
+  const result = await generatePlan({ client, caseText: cases[0].caseText, promptVersion: 'v2.1' });
+  assert.ok(result.lint.some((f) => f.rule === 'free-flap-monitoring'));
+  assert.ok(client.stages.includes('manager'));
+  assert.notEqual(result.source, 'manager_override');
+  assert.doesNotMatch(result.manager_note, /only minor/);
+});
+
+test('only minor findings from the board are overridden without the manager', async () => {
+  const client = scripted('<SurgicalBoard_Verify>reject</SurgicalBoard_Verify><Findings>[{"severity":"minor","domain":5,"section":"Operative Plan","issue":"State the drain plan."}]</Findings><Feedback_Comment>Minor wording.</Feedback_Comment>');
+  const result = await generatePlan({ client, caseText: cases[0].caseText });
+  assert.ok(!client.stages.includes('manager'));
+  assert.equal(result.source, 'manager_override');
+  assert.match(result.manager_note, /only minor findings \(1\)/);
+});
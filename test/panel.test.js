@@ -0,0 +1,102 @@
+// Review panels (lib/panel.js) and how the pipeline runs them.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { cases } from '../demo/cases.js';
+import { generatePlan } from '../lib/orchestrator.js';
+import { REVIEWERS, aggregateConsensus, resolveConsensus, resolvePanel } from '../lib/panel.js';
+
+test('a member that fails stops the rest of the panel', async () => {
+  const held = [];
+  const client = {
+    name: 'scripted',
+    async complete(msg, opts = {}) {
+      if (opts.stage !== 'review') return { text: '# Primary Reconstructive Plan\n- Radial forearm free flap.', usage: {} };
+      if (msg.user.includes('You are the Anesthesia / airway')) throw new Error('upstream 500');
+      // Other members hold until aborted (or give up after 10s).
+      await new Promise((r) => {
+        const t = setTimeout(r, 10000);
+        opts.signal.addEventListener('abort', () => { clearTimeout(t); held.push('aborted'); r(); }, { once: true });
+      });
+      return { text: '<SurgicalBoard_Verify>accept</SurgicalBoard_Verify><Feedback_Comment>Fine.</Feedback_Comment>', usage: {} };
+    },
+  };
+  const started = Date.now();
+  await assert.rejects(generatePlan({ client, caseText: cases[0].caseText, panel: 'oncologic,microsurgery,airway' }), /upstream 500/);
+  assert.deepEqual(held, ['aborted', 'aborted']);
+  assert.ok(Date.now() - started < 8000);
+});
+
+const onc = { id: 'oncologic', label: 'Oncologic surgeon' };
+const micro = { id: 'microsurgery', label: 'Reconstructive microsurgeon' };
+const air = { id: 'airway', label: 'Anesthesia / airway' };
+const member = (reviewer, verdict, extra = {}) => ({ reviewer, verdict, comment: `${reviewer.id} says ${verdict}`, scores: [4, 4, 4, 4, 4], critical: false, findings: null, structured: true, ...extra });
+
+test('panel and consensus specs resolve to known values', () => {
+  assert.deepEqual(resolvePanel(' Airway, oncologic,airway,unknown').map((r) => r.id), ['airway', 'oncologic']);
+  assert.equal(resolvePanel('all').length, Object.keys(REVIEWERS).length);
+  assert.deepEqual(resolvePanel(''), []);
+  assert.equal(resolveConsensus('UNANIMOUS'), 'unanimous');
+  assert.equal(resolveConsensus('plurality'), 'majority');
+});
+
+test('majority accepts on more than half and rejects a tie', () => {
+  const two = aggregateConsensus([member(onc, 'accept'), member(micro, 'accept'), member(air, 'reject')], 'majority');
+  assert.equal(two.verdict, 'accept');
+  assert.equal(two.reason, '2 of 3 accepted; majority reached');
+  const tie = aggregateConsensus([member(onc, 'accept'), member(micro, 'reject')], 'majority');
+  assert.equal(tie.verdict, 'reject');
+  assert.equal(tie.comment, 'Reconstructive microsurgeon: microsurgery says reject');
+});
+
+test('unanimous rejects on a single objection', () => {
+  const out = aggregateConsensus([member(onc, 'accept'), member(micro, 'accept'), member(air, 'reject')], 'unanimous');
+  assert.equal(out.verdict, 'reject');
+  assert.equal(out.reason, '2 of 3 accepted; unanimity not reached');
+});
+
+test('any-critical-veto rejects a majority when one member flags a critical issue', () => {
+  const reviews = [member(onc, 'accept'), member(micro, 'accept'), member(air, 'accept', { critical: true })];
+  assert.equal(aggregateConsensus(reviews, 'majority').verdict, 'accept');
+  const out = aggregateConsensus(reviews, 'any-critical-veto');
+  assert.equal(out.verdict, 'reject');
+  assert.equal(out.reason, 'critical safety issue raised by Anesthesia / airway');
+});
+
+test('findings are pooled from every member, worst first, and scores averaged', () => {
+  const out = aggregateConsensus([
+    member(onc, 'accept', { findings: [{ severity: 'minor', text: 'Name the margin' }], scores: [5, 4, 4, 4, 3] }),
+    member(micro, 'accept', { findings: [{ severity: 'critical', text: 'No recipient vessel' }], scores: [4, 4, 3, 4, 3] }),
+    member(air, 'reject', { scores: [1, 2] }),
+  ], 'majority');
+  assert.equal(out.verdict, 'accept');
+  assert.deepEqual(out.findings.map((f) => [f.severity, f.reviewer.id]), [['critical', 'microsurgery'], ['minor', 'oncologic']]);
+  assert.deepEqual(out.scores, [5, 4, 4, 4, 3]);
+  assert.equal(aggregateConsensus([member(onc, 'accept')], 'majority').findings, null);
+});
+
+test('a reject is format-only unless an objecting member gave structured output', () => {
+  const out = aggregateConsensus([member(onc, 'accept'), member(micro, 'reject', { structured: false })], 'majority');
+  assert.equal(out.structured, false);
+});
+
+test('the pipeline reports each member and the combined consensus', async () => {
+  const events = [];
+  const client = {
+    name: 'scripted',
+    async complete(msg, opts = {}) {
+      if (opts.stage !== 'review') return { text: '# Primary Reconstructive Plan\n- Radial forearm free flap.', usage: {} };
+      const critical = msg.user.includes('You are the Anesthesia / airway') ? 'yes' : 'no';
+      return { text: `<SurgicalBoard_Verify>accept</SurgicalBoard_Verify><Critical_Safety_Issue>${critical}</Critical_Safety_Issue><Feedback_Comment>Noted.</Feedback_Comment>`, usage: {} };
+    },
+  };
+  const result = await generatePlan({
+    client, caseText: cases[0].caseText, panel: 'oncologic,airway', consensus: 'any-critical-veto',
+    safetyLint: false, onEvent: (e) => events.push(e),
+  });
+  assert.deepEqual(result.panel, { members: ['oncologic', 'airway'], rule: 'any-critical-veto' });
+  assert.deepEqual(result.reviews.map((r) => [r.reviewer.id, r.critical]), [['oncologic', false], ['airway', true]]);
+  const reviewEvents = events.filter((e) => e.type === 'review_done' && e.round === 1);
+  assert.equal(reviewEvents.filter((e) => e.reviewer).length, 2);
+  assert.equal(reviewEvents.at(-1).verdict, 'reject');
+  assert.equal(reviewEvents.at(-1).consensus.reason, 'critical safety issue raised by Anesthesia / airway');
+});
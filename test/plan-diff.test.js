@@ -0,0 +1,75 @@
+// What a revision changed and which concern it answers (lib/plan-diff.js).
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { cases } from '../demo/cases.js';
+import { generatePlan } from '../lib/orchestrator.js';
+import { diffPlans } from '../lib/plan-diff.js';
+
+const plan = (contingencies, steps = ['Tracheostomy.', 'Harvest the radial forearm flap.']) => `# Primary Reconstructive Plan
+- Radial forearm free flap.
+
+# Operative Plan
+${steps.map((s, i) => `${i + 1}. ${s}`).join('\n')}
+
+# Key Contingencies
+${contingencies.map((c) => `- ${c}`).join('\n')}`;
+
+const before = plan(['If venous congestion, then revise the anastomosis.']);
+const after = plan([
+  'If venous congestion, then revise the anastomosis with a vein graft.',
+  'If the facial vessels are unusable, then use the transverse cervical vessels.',
+]);
+
+test('added, removed and reworded entries', () => {
+  const d = diffPlans(before, plan(['If arterial thrombosis, then re-explore.'], ['Tracheostomy.', 'Harvest the radial forearm flap.', 'Doppler monitoring.']), '');
+  assert.deepEqual(d.counts, { added: 2, removed: 1, changed: 0 });
+  assert.deepEqual(d.sections_changed, ['Operative Plan', 'Key Contingencies']);
+  const reworded = diffPlans(before, after, '').changes.find((c) => c.kind === 'changed');
+  assert.equal(reworded.from, 'If venous congestion, then revise the anastomosis.');
+});
+
+test('a section header in the critique is never the concern', () => {
+  const critique = 'Safety rule findings:\n- Safety rule irradiated-recipient-vessels [major] Key Contingencies (domain 4): No fallback if the facial recipient vessels are unusable.';
+  const d = diffPlans(before, after, critique);
+  assert.match(d.changes.find((c) => c.kind === 'added').concern.text, /facial recipient vessels/);
+  const escalated = diffPlans(before, plan(['If venous congestion, then revise the anastomosis.', 'If safety findings persist, then escalate to the attending.']), critique);
+  assert.equal(escalated.changes[0].concern, undefined);
+});
+
+test('structured critique: one concern per finding and policy failure', () => {
+  const d = diffPlans(before, after, {
+    comment: 'Venous congestion handling is thin.',
+    findings: [{ severity: 'major', domain: 4, section: 'Key Contingencies', issue: 'No fallback if the facial recipient vessels are unusable.', rule: 'irradiated-recipient-vessels' }],
+    failures: ['domain 4 (Comprehensiveness) scored 2, minimum 3'],
+  });
+  const added = d.changes.find((c) => c.kind === 'added');
+  assert.equal(added.concern.text, 'Safety rule irradiated-recipient-vessels [major] Key Contingencies (domain 4): No fallback if the facial recipient vessels are unusable.');
+  const changed = d.changes.find((c) => c.kind === 'changed');
+  assert.equal(changed.concern.text, 'Venous congestion handling is thin.');
+});
+
+test('the pipeline records each revision against the draft it replaced', async () => {
+  const events = [];
+  let reviews = 0;
+  const client = {
+    name: 'scripted',
+    async complete(msg, opts = {}) {
+      if (opts.stage === 'planner') return { text: before, usage: {} };
+      if (opts.stage === 'revision') return { text: after, usage: {} };
+      if (opts.stage === 'review') {
+        return ++reviews === 1
+          ? { text: '<SurgicalBoard_Verify>reject</SurgicalBoard_Verify><Feedback_Comment>Thin contingencies.</Feedback_Comment><Findings>[{"severity":"major","domain":4,"section":"Key Contingencies","issue":"No fallback if the facial recipient vessels are unusable."}]</Findings>', usage: {} }
+          : { text: '<SurgicalBoard_Verify>accept</SurgicalBoard_Verify><Feedback_Comment>Fine.</Feedback_Comment><Findings>[]</Findings>', usage: {} };
+      }
+      return { text: 'Operative note.', usage: {} };
+    },
+  };
+  const result = await generatePlan({ client, caseText: cases[0].caseText, safetyLint: false, onEvent: (e) => events.push(e) });
+  assert.equal(result.revisions.length, 1);
+  const [rev] = result.revisions;
+  assert.equal(rev.round, 1);
+  assert.deepEqual(rev.counts, { added: 1, removed: 0, changed: 1 });
+  const added = rev.changes.find((c) => c.kind === 'added');
+  assert.match(added.concern.text, /facial recipient vessels are unusable/);
+  assert.deepEqual(events.find((e) => e.type === 'revision_done').diff, { changes: rev.changes, sections_changed: rev.sections_changed, counts: rev.counts });
+});
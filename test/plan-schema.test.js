@@ -0,0 +1,84 @@
+// Structured planner output (lib/plan-schema.js) and the repair loop.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { cases } from '../demo/cases.js';
+import { generatePlan } from '../lib/orchestrator.js';
+import { PLAN_JSON_TEMPLATE, parsePlanJson, planToMarkdown, validatePlan } from '../lib/plan-schema.js';
+
+const plan = () => structuredClone(PLAN_JSON_TEMPLATE);
+
+test('the template shown to the model is itself a valid plan', () => {
+  assert.deepEqual(validatePlan(plan()), []);
+});
+
+test('validation names each missing, empty or mistyped field by path', () => {
+  const p = plan();
+  delete p.summary;
+  p.steps = [];
+  p.alternatives[0].why_not_chosen = '  ';
+  p.defect.tissues_involved = 'mucosa';
+  assert.deepEqual(validatePlan(p), [
+    '$.summary: missing',
+    '$.defect.tissues_involved: expected an array',
+    '$.alternatives[0].why_not_chosen: must not be empty',
+    '$.steps: needs at least 1 item(s)',
+  ]);
+  assert.deepEqual(validatePlan([]), ['$: expected an object']);
+});
+
+test('the JSON object is pulled out of fences and preambles', () => {
+  assert.deepEqual(parsePlanJson('```json\n{"a": 1}\n```').value, { a: 1 });
+  assert.deepEqual(parsePlanJson('Here is the plan: {"a": {"b": 2}} Thanks.').value, { a: { b: 2 } });
+  assert.equal(parsePlanJson('no plan').error, 'no JSON object found in the reply');
+  assert.match(parsePlanJson('{"a": }').error, /^invalid JSON: /);
+});
+
+test('a plan renders to the Output_Contract sections', () => {
+  const p = plan();
+  p.steps = ['Tracheostomy', 'Harvest the radial forearm flap'];
+  p.contingencies = [{ if: 'venous congestion.', then: 'return to theatre' }];
+  const md = planToMarkdown(p);
+  assert.match(md, /^# Patient Summary\n/);
+  assert.match(md, /# Operative Plan\n1\. Tracheostomy\n2\. Harvest the radial forearm flap/);
+  assert.match(md, /# Key Contingencies\n- If venous congestion, then return to theatre\./);
+  assert.match(planToMarkdown(null), /# Alternatives Considered\n\n# Operative Plan/);
+});
+
+test('an invalid JSON draft is repaired with its errors before review', async () => {
+  const broken = plan();
+  delete broken.steps;
+  const fixed = plan();
+  fixed.steps = ['Harvest the radial forearm flap'];
+  const prompts = {};
+  const client = {
+    name: 'scripted',
+    async complete(msg, opts = {}) {
+      prompts[opts.stage] = msg.user;
+      if (opts.stage === 'planner') return { text: JSON.stringify(broken), usage: {} };
+      if (opts.stage === 'repair') return { text: '```json\n' + JSON.stringify(fixed) + '\n```', usage: {} };
+      if (opts.stage === 'review') return { text: '<SurgicalBoard_Verify>accept</SurgicalBoard_Verify><Feedback_Comment>Fine.</Feedback_Comment>', usage: {} };
+      return { text: 'Operative note.', usage: {} };
+    },
+  };
+  const result = await generatePlan({ client, caseText: cases[0].caseText, planFormat: 'json', safetyLint: false });
+  assert.match(prompts.repair, /\$\.steps: missing/);
+  assert.deepEqual(result.plan_validation, { valid: true, errors: [], repairs: 1 });
+  assert.deepEqual(result.plan_json, fixed);
+  assert.match(result.plan_markdown, /# Operative Plan\n1\. Harvest the radial forearm flap/);
+});
+
+test('a draft still invalid after the last repair is reviewed but not exposed as JSON', async () => {
+  const client = {
+    name: 'scripted',
+    async complete(msg, opts = {}) {
+      if (opts.stage === 'planner' || opts.stage === 'repair') return { text: '{"summary": "Tongue SCC."}', usage: {} };
+      if (opts.stage === 'review') return { text: '<SurgicalBoard_Verify>accept</SurgicalBoard_Verify><Feedback_Comment>Fine.</Feedback_Comment>', usage: {} };
+      return { text: 'Operative note.', usage: {} };
+    },
+  };
+  const result = await generatePlan({ client, caseText: cases[0].caseText, planFormat: 'json', repairRounds: 2, safetyLint: false });
+  assert.equal(result.plan_json, null);
+  assert.equal(result.plan_validation.valid, false);
+  assert.equal(result.plan_validation.repairs, 2);
+  assert.match(result.plan_markdown, /^# Patient Summary\nTongue SCC\./);
+});
@@ -0,0 +1,98 @@
+// Acceptance policies (lib/policy.js).
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { cases } from '../demo/cases.js';
+import { generatePlan } from '../lib/orchestrator.js';
+import { POLICY_PRESETS, decideRound, describePolicy, nextOnReject, resolvePolicy } from '../lib/policy.js';
+
+const accept = (scores = [5, 5, 5, 5, 5], findings) => ({ verdict: 'accept', scores, findings });
+
+test('policies resolve from a preset name, JSON or an object', () => {
+  assert.equal(resolvePolicy('strict'), POLICY_PRESETS.strict);
+  assert.equal(resolvePolicy(undefined), POLICY_PRESETS.verdict);
+  assert.equal(resolvePolicy('{not json'), POLICY_PRESETS.verdict);
+  const p = resolvePolicy('{"extends":"strict","maxRounds":9,"minDomainScore":4}');
+  assert.equal(p.id, 'custom');
+  assert.equal(p.maxRounds, 6);
+  assert.equal(p.minDomainScore, 4);
+  assert.deepEqual(p.domainMinimums, { 5: 5 });
+  assert.deepEqual(p.escalation, POLICY_PRESETS.strict.escalation);
+  assert.equal(resolvePolicy({ id: 'one', maxRounds: 0 }).maxRounds, 3);
+});
+
+test('the verdict preset follows the board verdict alone', () => {
+  const p = resolvePolicy('verdict');
+  assert.deepEqual(decideRound(p, 1, accept([1, 1, 1, 1, 1])), { accept: true, reason: 'board accepted', failures: [], next: 'accept' });
+  const r = decideRound(p, 1, { verdict: 'reject', scores: null });
+  assert.equal(r.accept, false);
+  assert.equal(r.next, 'revise');
+  assert.equal(decideRound(p, 3, { verdict: 'reject' }).next, 'manager');
+});
+
+test('domain minimums reject an accepted draft and name the domain', () => {
+  const p = resolvePolicy('strict');
+  const r = decideRound(p, 1, accept([5, 5, 2, 5, 4]));
+  assert.equal(r.accept, false);
+  assert.deepEqual(r.failures, [
+    'domain 3 (Alternatives) scored 2, minimum 3',
+    'domain 5 (No fabricated options) scored 4, minimum 5',
+  ]);
+  assert.equal(decideRound(p, 1, accept(null)).reason, 'domain scores missing or malformed');
+  assert.equal(decideRound(p, 1, accept()).reason, 'board accepted; domain thresholds met');
+});
+
+test('severity thresholds count reviewer findings and safety-rule findings separately', () => {
+  const p = resolvePolicy('strict');
+  const findings = [
+    { severity: 'critical', text: 'No recipient vessel' },
+    { severity: 'major', text: 'No flap monitoring', rule: 'flap-monitoring' },
+    { severity: 'minor', text: 'Vague timing', rule: 'timing' },
+  ];
+  assert.deepEqual(decideRound(p, 1, accept(undefined, findings)).failures, ['reviewer findings: 1 critical', 'safety rules: 1 major']);
+  // Reviews without structured findings are not held to rejectOnSeverity.
+  assert.equal(decideRound(resolvePolicy({ rejectOnSeverity: 'minor' }), 1, accept()).accept, true);
+});
+
+test('escalation changes the rules from its round onward', () => {
+  const p = resolvePolicy({ maxRounds: 4, escalation: [{ round: 2, minDomainScore: 4 }, { round: 3, then: 'manager' }] });
+  assert.equal(decideRound(p, 1, accept([3, 3, 3, 3, 3])).accept, true);
+  assert.equal(decideRound(p, 2, accept([3, 3, 3, 3, 3])).accept, false);
+  assert.equal(decideRound(p, 2, { verdict: 'reject' }).next, 'revise');
+  assert.equal(decideRound(p, 3, { verdict: 'reject' }).next, 'manager');
+});
+
+test('a rejection at the strict preset\'s last round stops without the manager', () => {
+  const p = resolvePolicy('strict');
+  assert.equal(nextOnReject(p, 2), 'revise');
+  assert.equal(nextOnReject(p, 3), 'stop');
+  assert.equal(nextOnReject(resolvePolicy({ managerOverride: false }), 3), 'stop');
+  assert.equal(nextOnReject(resolvePolicy({ maxRounds: 1 }), 1), 'manager');
+});
+
+test('describePolicy fills every field with its default', () => {
+  assert.deepEqual(describePolicy(resolvePolicy('verdict')), {
+    id: 'verdict', maxRounds: 3, requireVerdict: true, minDomainScore: null, domainMinimums: {},
+    rejectOnSeverity: null, rejectOnLint: null, managerOverride: true, escalation: [],
+  });
+});
+
+test('the pipeline revises a draft the board accepted but the policy did not', async () => {
+  const stages = [];
+  let reviews = 0;
+  const client = {
+    name: 'scripted',
+    async complete(msg, opts = {}) {
+      stages.push(opts.stage);
+      if (opts.stage !== 'review') return { text: '# Primary Reconstructive Plan\n- Radial forearm free flap.', usage: {} };
+      const scores = ++reviews === 1 ? '4,4,2,4,4' : '4,4,4,4,4';
+      return { text: `<SurgicalBoard_Verify>accept</SurgicalBoard_Verify><Domain_Scores>${scores}</Domain_Scores><Feedback_Comment>Fine.</Feedback_Comment>`, usage: {} };
+    },
+  };
+  const result = await generatePlan({ client, caseText: cases[0].caseText, policy: { id: 'alts', minDomainScore: 3 }, safetyLint: false });
+  assert.equal(result.verdict, 'accept');
+  assert.equal(result.source, 'review');
+  assert.equal(result.policy.id, 'alts');
+  assert.deepEqual(result.decisions.map((d) => [d.round, d.accept, d.next]), [[1, false, 'revise'], [2, true, 'accept']]);
+  assert.equal(result.decisions[0].reason, 'domain 3 (Alternatives) scored 2, minimum 3');
+  assert.ok(!stages.includes('manager'));
+});
@@ -0,0 +1,71 @@
+// Versioned prompt templates (lib/prompts.js) and what each version shows.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { cases } from '../demo/cases.js';
+import { loadPrompts, promptVersions, DEFAULT_PROMPT_VERSION } from '../lib/prompts.js';
+import { generatePlan, reviewerPrompt } from '../lib/orchestrator.js';
+
+const PLAN = `# Primary Reconstructive Plan
+- Radial forearm free flap.
+
+# Alternatives Considered
+- Moonbeam flap.`;
+
+test('a version inherits the templates it does not change', () => {
+  const stamp = loadPrompts('v2.3').stamp();
+  assert.equal(stamp.planner.id, 'planner@v2.2');
+  assert.equal(stamp.reviewer.id, 'reviewer@v2.3');
+  assert.equal(stamp.manager.id, 'manager@v2.0');
+  assert.equal(loadPrompts().version, DEFAULT_PROMPT_VERSION);
+  assert.throws(() => loadPrompts('v9.9'), { code: 'unknown_prompt_version' });
+});
+
+test('only the v2.3 reviewer shows knowledge-base facts', () => {
+  assert.equal(loadPrompts('v2.1').uses('reviewer', 'reference'), false);
+  assert.equal(loadPrompts('v2.3').uses('reviewer', 'reference'), true);
+  assert.equal(loadPrompts('v2.3').uses('reviewer', 'member_focus'), true);
+
+  const grounded = reviewerPrompt(PLAN, null, loadPrompts('v2.3'));
+  assert.match(grounded, /Reference facts/);
+  assert.match(grounded, /Moonbeam flap/);
+  const plain = reviewerPrompt(PLAN, null, loadPrompts('v2.1'));
+  assert.doesNotMatch(plain, /Reference facts|knowledge base/);
+});
+
+test('sections are kept or dropped by their variable; inserted text is never read as syntax', () => {
+  const set = loadPrompts('v2.0');
+  const first = set.render('planner', { case: 'Case {{critique}} text.', json: false, json_template: '' });
+  assert.match(first, /Case \{\{critique\}\} text\./);
+  assert.doesNotMatch(first, /Reviewer_Concerns_To_Address/);
+  const revision = set.render('planner', { case: 'Case.', critique: 'Name the vessel.', json: false, json_template: '' });
+  assert.match(revision, /<Reviewer_Concerns_To_Address>\nName the vessel\./);
+  assert.doesNotMatch(revision, /\{\{/);
+});
+
+test('a variable the template shows but the caller left out throws', () => {
+  assert.throws(() => loadPrompts('v2.0').render('manager', {}), /^Error: prompt_variable_missing: review in manager@v2\.0$/);
+});
+
+test('the stamp names each template with the hash of its file', () => {
+  assert.deepEqual(promptVersions().slice(0, 2), ['v2.0', 'v2.1']);
+  const stamp = loadPrompts('v2.1').stamp();
+  const raw = readFileSync(new URL('../prompts/v2.1/reviewer.txt', import.meta.url), 'utf8');
+  assert.equal(stamp.reviewer.hash, createHash('sha256').update(raw).digest('hex').slice(0, 16));
+  assert.equal(stamp.planner.id, 'planner@v2.0');
+  assert.equal(stamp.version, 'v2.1');
+});
+
+test('a run is stamped with the prompt version it used', async () => {
+  const client = {
+    name: 'scripted',
+    async complete(msg, opts = {}) {
+      if (opts.stage === 'review') return { text: '<SurgicalBoard_Verify>accept</SurgicalBoard_Verify><Feedback_Comment>Fine.</Feedback_Comment>', usage: {} };
+      return { text: '# Primary Reconstructive Plan\n- Radial forearm free flap.', usage: {} };
+    },
+  };
+  const result = await generatePlan({ client, caseText: cases[0].caseText, promptVersion: 'v2.2', safetyLint: false });
+  assert.deepEqual(result.prompts, loadPrompts('v2.2').stamp());
+  await assert.rejects(generatePlan({ client, caseText: cases[0].caseText, promptVersion: '../v2.0' }), { code: 'unknown_prompt_version' });
+});
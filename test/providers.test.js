@@ -0,0 +1,89 @@
+// Provider adapters behind runLLM (lib/providers.js).
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { anthropicAdapter, asProvider, createProvider, openaiAdapter, providerConfig, providerFromEnv } from '../lib/providers.js';
+
+// An OpenAI SDK stand-in that records each request and answers both APIs.
+const fakeSdk = (calls, { responsesText = 'from responses' } = {}) => ({
+  responses: {
+    async create(payload) {
+      calls.push({ api: 'responses', ...payload });
+      return { output_text: responsesText, usage: { input_tokens: 10, output_tokens: 5 } };
+    },
+  },
+  chat: {
+    completions: {
+      async create(payload) {
+        calls.push({ api: 'chat', ...payload });
+        return { choices: [{ message: { content: 'from chat' } }], usage: { prompt_tokens: 7, completion_tokens: 3 } };
+      },
+    },
+  },
+});
+
+test('reasoning models use the Responses API, others Chat Completions', async () => {
+  const calls = [];
+  const client = openaiAdapter(fakeSdk(calls));
+  const five = await client.complete({ system: 's', user: 'u' }, { model: 'gpt-5', reasoningEffort: 'low' });
+  assert.deepEqual(five, { text: 'from responses', usage: { input_tokens: 10, output_tokens: 5 }, model: 'gpt-5' });
+  assert.deepEqual(calls[0].reasoning, { effort: 'low' });
+  const four = await client.complete({ system: 's', user: 'u' }, { model: 'gpt-4o' });
+  assert.deepEqual(four, { text: 'from chat', usage: { input_tokens: 7, output_tokens: 3 }, model: 'gpt-4o' });
+  assert.deepEqual(calls.map((c) => c.api), ['responses', 'chat']);
+  assert.equal(calls[1].temperature, 0.2);
+});
+
+test('an empty Responses reply falls back to chat; responses: false goes straight there', async () => {
+  const calls = [];
+  const out = await openaiAdapter(fakeSdk(calls, { responsesText: ' ' })).complete({ system: 's', user: 'u' }, { model: 'gpt-5' });
+  assert.equal(out.text, 'from chat');
+  assert.deepEqual(calls.map((c) => `${c.api}:${c.model}`), ['responses:gpt-5', 'chat:gpt-4o']);
+
+  const azure = [];
+  await openaiAdapter(fakeSdk(azure), { responses: false }).complete({ system: 's', user: 'u' }, { model: 'gpt-5-deployment' });
+  assert.deepEqual(azure.map((c) => `${c.api}:${c.model}`), ['chat:gpt-5-deployment']);
+});
+
+test('a bare SDK client is wrapped; anything else is refused', async () => {
+  const calls = [];
+  const sdk = fakeSdk(calls);
+  const provider = asProvider(sdk);
+  assert.equal(provider.name, 'openai');
+  assert.equal((await provider.complete({ system: 's', user: 'u' }, {})).text, 'from chat');
+  const adapter = { name: 'x', complete: async () => ({ text: '' }) };
+  assert.equal(asProvider(adapter), adapter);
+  assert.throws(() => asProvider({}), /invalid_provider/);
+  assert.throws(() => createProvider('nope'), /unknown_provider/);
+});
+
+test('the Anthropic adapter sends a Messages request and normalizes usage', async (t) => {
+  const sent = [];
+  t.mock.method(globalThis, 'fetch', async (url, init) => {
+    sent.push({ url, init });
+    return new Response(JSON.stringify({ content: [{ type: 'text', text: 'plan' }], usage: { input_tokens: 12, output_tokens: 4 } }));
+  });
+  const out = await anthropicAdapter({ apiKey: 'k', baseURL: 'https://example.test/' }).complete({ system: 's', user: 'u' }, {});
+  assert.deepEqual(out, { text: 'plan', usage: { input_tokens: 12, output_tokens: 4 }, model: 'claude-sonnet-4-5' });
+  assert.equal(sent[0].url, 'https://example.test/v1/messages');
+  const body = JSON.parse(sent[0].init.body);
+  assert.equal(body.system, 's');
+  assert.deepEqual(body.messages, [{ role: 'user', content: 'u' }]);
+  assert.equal(sent[0].init.headers['x-api-key'], 'k');
+});
+
+test('the Anthropic adapter fails with the HTTP status', async (t) => {
+  t.mock.method(globalThis, 'fetch', async () => new Response('{}', { status: 529 }));
+  await assert.rejects(anthropicAdapter({ apiKey: 'k' }).complete({ system: 's', user: 'u' }, {}), { message: 'anthropic_http_529', status: 529 });
+});
+
+test('provider selection from the environment', () => {
+  assert.equal(providerConfig({}).name, 'openai');
+  assert.equal(providerConfig({}).configured, false);
+  assert.equal(providerFromEnv({}), null);
+  assert.equal(providerConfig({ LLM_PROVIDER: 'Anthropic', ANTHROPIC_API_KEY: 'k' }).configured, true);
+  assert.equal(providerConfig({ LLM_PROVIDER: 'azure', AZURE_OPENAI_API_KEY: 'k' }).configured, false);
+  assert.equal(providerConfig({ LLM_PROVIDER: 'azure', AZURE_OPENAI_API_KEY: 'k', AZURE_OPENAI_ENDPOINT: 'https://x' }).options.apiVersion, '2024-10-21');
+  assert.equal(providerFromEnv({ LLM_PROVIDER: 'openai-compatible', LLM_BASE_URL: 'http://localhost:8080/v1' }).name, 'openai-compatible');
+  assert.equal(providerFromEnv({ LLM_PROVIDER: 'anthropic', ANTHROPIC_API_KEY: 'k' }).name, 'anthropic');
+  assert.equal(providerConfig({ LLM_PROVIDER: 'mystery', OPENAI_API_KEY: 'k' }).configured, false);
+});
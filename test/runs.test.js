@@ -0,0 +1,42 @@
+// Saved runs (lib/runs.js): memory and sealed ids, expiry and single use.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { saveRun, loadRun, useRun } from '../lib/runs.js';
+
+const SECRET = 'test-secret';
+
+test('a memory run loads until it expires', () => {
+  const { run_id } = saveRun({ kind: 'clarify', caseText: 'x' });
+  assert.match(run_id, /^run_/);
+  assert.equal(loadRun(run_id).caseText, 'x');
+  assert.equal(loadRun(run_id).caseText, 'x');
+  const stale = saveRun({ kind: 'clarify' }, { ttlMs: -1 }).run_id;
+  assert.throws(() => loadRun(stale), { code: 'run_expired' });
+});
+
+test('a sealed run needs the same secret and the right kind', () => {
+  const { run_id } = saveRun({ kind: 'approval', caseText: 'y' }, { secret: SECRET });
+  assert.match(run_id, /^s1\./);
+  assert.equal(loadRun(run_id, { secret: SECRET, kind: 'approval' }).caseText, 'y');
+  assert.throws(() => loadRun(run_id, { secret: 'other' }), { code: 'unknown_run' });
+  assert.throws(() => loadRun(run_id, { secret: SECRET, kind: 'clarify' }), { code: 'unknown_run' });
+});
+
+test('a used run cannot be loaded again', () => {
+  const memory = saveRun({ kind: 'approval' }).run_id;
+  const sealed = saveRun({ kind: 'approval' }, { secret: SECRET }).run_id;
+  useRun(memory);
+  useRun(sealed);
+  assert.throws(() => loadRun(memory), { code: 'run_used' });
+  assert.throws(() => loadRun(sealed, { secret: SECRET }), { code: 'run_used' });
+});
+
+test('a sealed run expires and a tampered one is unknown', () => {
+  const stale = saveRun({ kind: 'clarify' }, { secret: SECRET, ttlMs: -1 }).run_id;
+  assert.throws(() => loadRun(stale, { secret: SECRET }), { code: 'run_expired' });
+  const { run_id, expires_at } = saveRun({ kind: 'clarify' }, { secret: SECRET, ttlMs: 60000 });
+  assert.ok(Math.abs(Date.parse(expires_at) - Date.now() - 60000) < 5000);
+  const flipped = run_id.slice(0, -2) + (run_id.at(-2) === 'A' ? 'B' : 'A') + run_id.at(-1);
+  assert.throws(() => loadRun(flipped, { secret: SECRET }), { code: 'unknown_run' });
+  assert.throws(() => loadRun(run_id), { code: 'unknown_run' });
+});
@@ -0,0 +1,89 @@
+// Deterministic safety rules (lib/safety-rules.js) and how the acceptance
+// policy weighs their findings (lib/policy.js).
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { lintPlan, SAFETY_RULES } from '../lib/safety-rules.js';
+import { parseIntake } from '../lib/intake.js';
+import { POLICY_PRESETS, decideRound } from '../lib/policy.js';
+
+const plan = (primary, operative, extra = '') => `# Primary Reconstructive Plan
+- ${primary}
+
+# Alternatives Considered
+- Anterolateral thigh flap.
+
+# Operative Plan
+${operative.map((s, i) => `${i + 1}. ${s}`).join('\n')}
+${extra}`;
+
+const rules = (planMd, caseText = '') => lintPlan(planMd, { caseText, intake: parseIntake(caseText) }).map((f) => f.rule);
+
+test('a fibula flap needs a lower-limb vascular assessment', () => {
+  const caseText = 'Segmental mandibulectomy for floor of mouth SCC invading the mandible.';
+  const bare = plan('Fibula free flap.', ['Segmental mandibulectomy.', 'Harvest the fibula.', 'Tracheostomy; hourly flap checks.']);
+  assert.ok(rules(bare, caseText).includes('fibula-leg-vascular'));
+  const assessed = plan('Fibula free flap.', ['CT angiography of both legs.', 'Segmental mandibulectomy.', 'Tracheostomy; hourly flap checks.']);
+  assert.ok(!rules(assessed, caseText).includes('fibula-leg-vascular'));
+  assert.ok(!rules(assessed, caseText).includes('segmental-bony-reconstruction'));
+});
+
+test('abnormal runoff in the case is flagged when the plan ignores it', () => {
+  const caseText = 'Mandible SCC with bone invasion. CT angiography of the legs shows single-vessel runoff on the right.';
+  const findings = lintPlan(plan('Right fibula free flap.', ['Tracheostomy.', 'Harvest the right fibula.', 'Flap monitoring.']),
+    { caseText, intake: parseIntake(caseText) });
+  assert.equal(findings[0].rule, 'fibula-abnormal-runoff');
+  assert.equal(findings[0].severity, 'major');
+});
+
+test('alternatives do not trigger rules for the chosen flap', () => {
+  const md = plan('Pectoralis major pedicled flap.', ['Raise the pectoralis major flap.'], '\n# Key Contingencies\n- Radial forearm free flap if needed.');
+  assert.deepEqual(rules(md, 'Oral tongue defect.'), []);
+});
+
+test('irradiated neck needs a recipient-vessel fallback', () => {
+  const caseText = 'Recurrent tongue SCC; prior radiation to the neck 2 years ago.';
+  const md = plan('Radial forearm free flap.', ['Allen test confirmed.', 'Tracheostomy.', 'Anastomose to the facial artery.', 'Doppler monitoring.']);
+  assert.deepEqual(rules(md, caseText), ['irradiated-recipient-vessels']);
+  assert.deepEqual(rules(`${md}\n# Key Contingencies\n- If the facial vessels are unusable, use vein grafts to the transverse cervical vessels.`, caseText), []);
+});
+
+test('airway, anticoagulation and monitoring rules', () => {
+  const caseText = 'Oral tongue SCC. On warfarin for atrial fibrillation.';
+  const md = plan('Radial forearm free flap.', ['Allen test normal.', 'Microvascular anastomosis.']);
+  assert.deepEqual(new Set(rules(md, caseText)), new Set(['airway-plan', 'anticoagulation-plan', 'free-flap-monitoring']));
+  const findings = lintPlan(md, { caseText, intake: parseIntake(caseText) });
+  assert.equal(findings.at(-1).severity, 'minor');
+});
+
+test('strict rejects on a major rule finding and stops at the last round', () => {
+  const review = { verdict: 'accept', scores: [5, 5, 5, 5, 5], findings: [{ severity: 'major', issue: 'x', rule: 'airway-plan' }] };
+  const early = decideRound(POLICY_PRESETS.strict, 1, review);
+  assert.equal(early.accept, false);
+  assert.equal(early.next, 'revise');
+  assert.equal(decideRound(POLICY_PRESETS.strict, 3, review).next, 'stop');
+  assert.equal(decideRound(POLICY_PRESETS.verdict, 3, review).accept, true);
+});
+
+test('no rule is critical and rule findings are advisory unless the policy opts in', () => {
+  assert.ok(SAFETY_RULES.every((r) => r.severity !== 'critical'));
+  const review = { verdict: 'accept', scores: [5, 5, 5, 5, 5], findings: [{ severity: 'major', issue: 'x', rule: 'segmental-bony-reconstruction' }] };
+  assert.equal(decideRound(POLICY_PRESETS.verdict, 1, review).accept, true);
+  assert.equal(decideRound({ id: 'custom', maxRounds: 3 }, 1, review).accept, true);
+  const optedIn = decideRound({ id: 'custom', maxRounds: 3, rejectOnLint: 'major' }, 1, review);
+  assert.equal(optedIn.accept, false);
+  assert.equal(optedIn.next, 'revise');
+});
+
+test('erosion of soft tissue does not make a bony resection', () => {
+  const md = plan('Radial forearm free flap.', ['Allen test normal.', 'Tracheostomy.', 'Segmental resection of the tongue.', 'Doppler monitoring.']);
+  for (const caseText of [
+    'Oral tongue SCC with mucosal erosion; segmental resection of the lateral tongue.',
+    'Floor of mouth SCC eroding the ventral tongue; segmental resection planned.',
+    'Tongue SCC with surface erosion. No bony erosion on CT; composite resection of the tongue base.',
+  ]) {
+    assert.equal(parseIntake(caseText).fields.bone_involved, false, caseText);
+    assert.ok(!rules(md, caseText).includes('segmental-bony-reconstruction'), caseText);
+  }
+  const bony = 'Floor of mouth SCC with cortical erosion of the mandible; segmental mandibulectomy planned.';
+  assert.ok(rules(md, bony).includes('segmental-bony-reconstruction'));
+});
@@ -0,0 +1,121 @@
+// Token-level streaming: adapters forward text as it is written, and the
+// pipeline relays it as coalesced `delta` events.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { cases } from '../demo/cases.js';
+import { generatePlan } from '../lib/orchestrator.js';
+import { anthropicAdapter, openaiAdapter } from '../lib/providers.js';
+
+const PLAN = '# Primary Reconstructive Plan\n- Radial forearm free flap.\n\n# Operative Plan\n1. Tracheostomy.';
+const ACCEPT = '<SurgicalBoard_Verify>accept</SurgicalBoard_Verify><Feedback_Comment>Fine.</Feedback_Comment>';
+
+async function* chunks(list) {
+  for (const c of list) yield c;
+}
+
+test('chat completions stream their deltas and usage', async () => {
+  const sdk = {
+    chat: {
+      completions: {
+        async create(payload) {
+          assert.equal(payload.stream, true);
+          assert.deepEqual(payload.stream_options, { include_usage: true });
+          return chunks([
+            { choices: [{ delta: { content: '# Plan' } }] },
+            { choices: [{ delta: { content: '\n- Flap.' } }] },
+            { choices: [], usage: { prompt_tokens: 9, completion_tokens: 4 } },
+          ]);
+        },
+      },
+    },
+  };
+  const seen = [];
+  const out = await openaiAdapter(sdk, { responses: false }).complete({ system: 's', user: 'u' }, { model: 'gpt-4o', onDelta: (t) => seen.push(t) });
+  assert.deepEqual(seen, ['# Plan', '\n- Flap.']);
+  assert.deepEqual(out, { text: '# Plan\n- Flap.', usage: { input_tokens: 9, output_tokens: 4 }, model: 'gpt-4o' });
+});
+
+test('the Responses API streams output_text deltas', async () => {
+  const sdk = {
+    responses: {
+      async create() {
+        return chunks([
+          { type: 'response.output_text.delta', delta: 'Hello' },
+          { type: 'response.output_text.delta', delta: ' there' },
+          { type: 'response.completed', response: { usage: { input_tokens: 3, output_tokens: 2 } } },
+        ]);
+      },
+    },
+  };
+  const seen = [];
+  const out = await openaiAdapter(sdk).complete({ system: 's', user: 'u' }, { model: 'gpt-5', onDelta: (t) => seen.push(t) });
+  assert.deepEqual(seen, ['Hello', ' there']);
+  assert.equal(out.text, 'Hello there');
+  assert.deepEqual(out.usage, { input_tokens: 3, output_tokens: 2 });
+});
+
+test('Anthropic server-sent events are read across chunk boundaries', async (t) => {
+  const sse = [
+    'event: message_start\ndata: {"type":"message_start","message":{"usage":{"input_tokens":11}}}\n\n',
+    'event: content_block_delta\ndata: {"type":"content_block_delta","delta":{"type":"text_delta","text":"Radial "}}\n\nevent: content_bl',
+    'ock_delta\ndata: {"type":"content_block_delta","delta":{"type":"text_delta","text":"forearm"}}\n\n',
+    'event: message_delta\ndata: {"type":"message_delta","usage":{"output_tokens":5}}\n\n',
+  ];
+  t.mock.method(globalThis, 'fetch', async (url, init) => {
+    assert.equal(JSON.parse(init.body).stream, true);
+    const enc = new TextEncoder();
+    return new Response(new ReadableStream({ start(c) { sse.forEach((s) => c.enqueue(enc.encode(s))); c.close(); } }));
+  });
+  const seen = [];
+  const out = await anthropicAdapter({ apiKey: 'k' }).complete({ system: 's', user: 'u' }, { onDelta: (x) => seen.push(x) });
+  assert.deepEqual(seen, ['Radial ', 'forearm']);
+  assert.deepEqual(out.usage, { input_tokens: 11, output_tokens: 5 });
+});
+
+// Streams PLAN one character at a time for drafts and the note; the first
+// planner attempt can be made to fail half way through.
+const streaming = ({ failFirst = false } = {}) => {
+  let attempts = 0;
+  return {
+    name: 'scripted',
+    async complete(msg, opts = {}) {
+      if (opts.stage === 'review') return { text: ACCEPT, usage: {} };
+      const text = opts.stage === 'synth' ? '# Preoperative Surgical Plan' : PLAN;
+      if (!opts.onDelta) return { text, usage: {} };
+      const failing = failFirst && opts.stage === 'planner' && ++attempts === 1;
+      for (const ch of failing ? text.slice(0, 10) : text) opts.onDelta(ch);
+      if (failing) throw new Error('connection reset');
+      return { text, usage: {} };
+    },
+  };
+};
+
+test('streamed text arrives as coalesced delta events for drafts and the note only', async () => {
+  const events = [];
+  await generatePlan({ client: streaming(), caseText: cases[0].caseText, safetyLint: false, onEvent: (e) => events.push(e) });
+  const deltas = events.filter((e) => e.type === 'delta');
+  const planner = deltas.filter((d) => d.stage === 'planner');
+  assert.equal(planner.map((d) => d.text).join(''), PLAN);
+  assert.ok(planner.length < PLAN.length / 2);
+  assert.deepEqual([...new Set(deltas.map((d) => d.stage))], ['planner', 'synth']);
+  // Each stage's text is complete before its _done event.
+  assert.ok(events.findIndex((e) => e.type === 'planner_done') > events.indexOf(planner.at(-1)));
+});
+
+test('a stream that fails part way is reset before the retry', async () => {
+  const events = [];
+  const result = await generatePlan({ client: streaming({ failFirst: true }), caseText: cases[0].caseText, safetyLint: false, onEvent: (e) => events.push(e) });
+  const planner = events.filter((e) => e.type === 'delta' && e.stage === 'planner');
+  const reset = planner.findIndex((d) => d.reset);
+  assert.notEqual(reset, -1);
+  // Text still buffered when the call failed is dropped, never sent.
+  assert.ok(PLAN.slice(0, 10).startsWith(planner.slice(0, reset).map((d) => d.text).join('')));
+  assert.equal(planner.slice(reset + 1).map((d) => d.text).join(''), PLAN);
+  assert.equal(result.plan_markdown, PLAN);
+});
+
+test('streamText: false sends no deltas', async () => {
+  const events = [];
+  await generatePlan({ client: streaming(), caseText: cases[0].caseText, safetyLint: false, streamText: false, onEvent: (e) => events.push(e) });
+  assert.ok(!events.some((e) => e.type === 'delta'));
+});
@@ -0,0 +1,106 @@
+// Token usage and cost accounting (lib/usage.js) as runLLM records it.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { cases } from '../demo/cases.js';
+import { DEFAULT_PRICES, costOf, createMeter, dailySpent, resolvePrices } from '../lib/usage.js';
+import { openaiAdapter } from '../lib/providers.js';
+import { generatePlan, runLLM } from '../lib/orchestrator.js';
+
+// An OpenAI SDK stand-in whose Responses API is unavailable.
+const chatOnlySdk = (calls) => ({
+  responses: { async create() { throw new Error('404 responses not supported'); } },
+  chat: {
+    completions: {
+      async create(payload) {
+        calls.push(payload.model);
+        return { choices: [{ message: { content: 'ok' } }], usage: { prompt_tokens: 1000000, completion_tokens: 0 } };
+      },
+    },
+  },
+});
+
+test('a gpt-5 call that falls back to chat is priced as the model that answered', async () => {
+  const calls = [];
+  const client = openaiAdapter(chatOnlySdk(calls));
+  const out = await client.complete({ system: 's', user: 'u' }, { model: 'gpt-5' });
+  assert.equal(out.model, 'gpt-4o');
+
+  const meter = createMeter();
+  await runLLM({ system: 's', user: 'u', stage: 'planner' }, { client, model: 'gpt-5', meter });
+  const usage = meter.summary();
+  assert.deepEqual(calls, ['gpt-4o', 'gpt-4o']);
+  assert.deepEqual(Object.keys(usage.by_model), ['gpt-4o']);
+  assert.equal(usage.cost_usd, 2.5);
+});
+
+test('usage is recorded under the requested model when the adapter does not say', async () => {
+  const meter = createMeter();
+  const client = { name: 'scripted', async complete() { return { text: 'ok', usage: { input_tokens: 1000000, output_tokens: 0 } }; } };
+  await runLLM({ system: 's', user: 'u', stage: 'planner' }, { client, model: 'gpt-5', meter });
+  assert.equal(meter.summary().by_model['gpt-5'].cost_usd, 1.25);
+});
+
+test('prices match the longest model prefix; unknown models count tokens only', () => {
+  const usage = { input_tokens: 1000000, output_tokens: 1000000 };
+  assert.equal(costOf(usage, 'gpt-4o-mini-2024-07-18'), 0.75);
+  assert.equal(costOf(usage, 'GPT-4o'), 12.5);
+  assert.equal(costOf(usage, 'llama-3.1-70b'), null);
+  assert.equal(costOf(null, 'gpt-4o'), null);
+});
+
+test('price overrides add to the defaults and skip invalid entries', () => {
+  const prices = resolvePrices('{"llama-3": {"input": 0.5, "output": "1"}, "gpt-4o": {"input": "free"}}');
+  assert.deepEqual(prices['llama-3'], { input: 0.5, output: 1 });
+  assert.deepEqual(prices['gpt-4o'], DEFAULT_PRICES['gpt-4o']);
+  assert.deepEqual(resolvePrices('not json'), DEFAULT_PRICES);
+});
+
+test('the meter totals per stage and marks unpriced runs', () => {
+  const meter = createMeter({ prices: { local: { input: 0, output: 0 } } });
+  meter.record({ stage: 'planner', model: 'gpt-4o', usage: { input_tokens: 2000, output_tokens: 1000 } });
+  const mark = meter.mark();
+  meter.record({ stage: 'review', round: 1, model: 'mystery', usage: { input_tokens: 500, output_tokens: 50 } });
+  meter.record({ stage: 'review', round: 2, model: 'local', usage: null });
+  const s = meter.summary();
+  assert.equal(s.calls, 3);
+  assert.equal(s.cost_usd, 0.015);
+  assert.equal(s.priced, false);
+  assert.deepEqual(s.by_stage.review, { calls: 2, input_tokens: 500, output_tokens: 50, cost_usd: 0 });
+  assert.deepEqual(meter.since(mark), { calls: 2, input_tokens: 500, output_tokens: 50, cost_usd: 0 });
+});
+
+test('the call that crosses the run budget is counted, then the run stops', () => {
+  const meter = createMeter({ runBudget: 0.01 });
+  meter.record({ stage: 'planner', model: 'gpt-4o', usage: { input_tokens: 1000, output_tokens: 0 } });
+  assert.throws(
+    () => meter.record({ stage: 'review', model: 'gpt-4o', usage: { input_tokens: 4000, output_tokens: 0 } }),
+    { code: 'budget_exceeded', budget: { scope: 'run', limit_usd: 0.01, spent_usd: 0.0125, stage: 'review' } },
+  );
+  assert.equal(meter.summary().calls, 2);
+});
+
+test('a spent daily budget stops the next run before any call', () => {
+  assert.ok(dailySpent() > 0);
+  assert.throws(() => createMeter({ dailyBudget: dailySpent() }).preflight(), { code: 'budget_exceeded', budget: { scope: 'day', limit_usd: dailySpent(), spent_usd: dailySpent(), stage: null } });
+  createMeter({ dailyBudget: dailySpent() + 1 }).preflight();
+});
+
+test('a run over budget ends with the draft so far and a budget block', async () => {
+  const stages = [];
+  const events = [];
+  const client = {
+    name: 'scripted',
+    async complete(msg, opts = {}) {
+      stages.push(opts.stage);
+      return { text: '# Primary Reconstructive Plan\n- Radial forearm free flap.', usage: { input_tokens: 10000, output_tokens: 2000 } };
+    },
+  };
+  const result = await generatePlan({ client, caseText: cases[0].caseText, model: 'gpt-4o', runBudget: 0.05, onEvent: (e) => events.push(e) });
+  assert.equal(result.source, 'budget_exceeded');
+  assert.deepEqual(stages, ['planner', 'review']);
+  assert.deepEqual(result.budget, { scope: 'run', limit_usd: 0.05, spent_usd: 0.09, stage: 'review' });
+  assert.equal(result.plan_markdown, '# Primary Reconstructive Plan\n- Radial forearm free flap.');
+  assert.equal(result.usage.calls, 2);
+  assert.match(result.reason, /^Stopped: the per-run budget of \$0\.05 was reached \(\$0\.09 spent\) during review\.$/);
+  assert.equal(events.at(-1).type, 'budget_exceeded');
+});